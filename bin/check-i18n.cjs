@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+/**
+ * Lints the translation catalog in shared/content/_locale and keeps locales in sync.
+ *
+ * Checks (errors fail the run, warnings only with --strict):
+ *   - Files: a locale with a `files` list in common/presets/locales.js has
+ *     exactly those files
+ *   - Key trees: every locale has the keys of the default locale (en) with the same
+ *     value types. Regional variants (es-MX) may leave keys out. Keys the default
+ *     locale does not have are warnings
+ *   - References: data-i18n / data-i18n-attr keys in index.html, pages/ and
+ *     shared/partials/ (and component templates in common/components/) exist.
+ *     Page keys are looked up in common.json plus the page's own file, resolved
+ *     with the runtime's routes (common/presets/routes.js)
+ *   - HTML: translations only use tags that sanitizeHTML() keeps
+ *   - Messages: ICU syntax ({count, plural, ...}) parses
+ *   - Orphans: default-locale keys nothing references (warning)
+ *   - Untranslated: values still marked TODO: by --fix (warning)
+ *
+ * Errors listed in bin/i18n-baseline.json (existing content debt) are counted but
+ * do not fail the run; --update-baseline rewrites it from the current errors.
+ *
+ * --fix scaffolds missing keys with a "TODO:" value: the default-locale text for
+ * other locales, the markup's inline text for unknown references. The runtime
+ * treats TODO: values as missing, so visitors see the fallback until translated.
+ *
+ * Usage:
+ *   node bin/check-i18n.cjs [--fix] [--strict] [--update-baseline] [--verbose]
+ *
+ * Exit codes: 0 no new errors, 1 new errors (or warnings with --strict), 2 bad arguments
+ * or unreadable locale files
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+
+const repoRoot = path.resolve(__dirname, "..");
+const localeRoot = path.join(repoRoot, "shared/content/_locale");
+
+const FLAGS = new Set(["--fix", "--strict", "--update-baseline", "--verbose"]);
+const args = process.argv.slice(2);
+const unknownArgs = args.filter((arg) => !FLAGS.has(arg));
+if (unknownArgs.length > 0) {
+	console.error(`Unknown option(s): ${unknownArgs.join(" ")}`);
+	console.error(
+		"Usage: node bin/check-i18n.cjs [--fix] [--strict] [--update-baseline] [--verbose]",
+	);
+	process.exit(2);
+}
+const fix = args.includes("--fix");
+const strict = args.includes("--strict");
+const verbose = args.includes("--verbose");
+const updateBaseline = args.includes("--update-baseline");
+
+// Keys in these sources are checked against every default-locale file
+const SHARED_SOURCES = ["shared/partials", "common/components"];
+const KEY_PATTERN = /^[\w-]+(\[\d+\])?(\.[\w-]+(\[\d+\])?)*$/;
+
+// Keys looked up by scripts: t("key"), translate("key"), messageKey: "key"
+const SCRIPT_KEY_PATTERNS = [
+	/\b(?:t|translate|getTranslation)\(\s*["']([\w.[\]-]+)["']/g,
+	/\b(?:messageKey|labelKey):\s*["']([\w.[\]-]+)["']/g,
+];
+
+// Known errors (ids) that do not fail the run; new errors still do
+const BASELINE_PATH = path.join(__dirname, "i18n-baseline.json");
+
+const errors = [];
+const warnings = [];
+
+/**
+ * Record an error
+ * @param {string} id - Stable description (used in the baseline)
+ * @param {string} [location] - file:line shown instead of the file in id
+ */
+function addError(id, location = "") {
+	errors.push({ id, text: location ? id.replace(/^[^:]+/, location) : id });
+}
+
+function rel(file) {
+	return path.relative(repoRoot, file).split(path.sep).join("/");
+}
+
+function walk(dir, filter, out = []) {
+	if (!fs.existsSync(dir)) return out;
+	for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) walk(full, filter, out);
+		else if (filter(entry.name)) out.push(full);
+	}
+	return out;
+}
+
+/**
+ * Load every locale file, keeping the raw source for style-preserving writes
+ * @returns {Map<string, Map<string, {path: string, data: Object, source: string}>>}
+ */
+function loadCatalog() {
+	const catalog = new Map();
+	for (const locale of fs.readdirSync(localeRoot).sort()) {
+		const dir = path.join(localeRoot, locale);
+		if (!fs.statSync(dir).isDirectory()) continue;
+
+		const files = new Map();
+		for (const name of fs.readdirSync(dir).sort()) {
+			if (!name.endsWith(".json")) continue;
+			const full = path.join(dir, name);
+			const source = fs.readFileSync(full, "utf8");
+			try {
+				files.set(name.slice(0, -5), {
+					path: full,
+					data: JSON.parse(source),
+					source,
+				});
+			} catch (error) {
+				console.error(`${rel(full)}: invalid JSON (${error.message})`);
+				process.exit(2);
+			}
+		}
+		catalog.set(locale, files);
+	}
+	return catalog;
+}
+
+/**
+ * Flatten a translation object into leaf keys in data-i18n notation
+ * Arrays of strings are one leaf; arrays of objects use bracket notation
+ * @param {*} value - Translation value
+ * @param {string} [prefix]
+ * @param {Map<string, *>} [out]
+ * @returns {Map<string, *>} Key → value
+ */
+function flatten(value, prefix = "", out = new Map()) {
+	if (Array.isArray(value)) {
+		if (value.some((item) => item && typeof item === "object")) {
+			value.forEach((item, index) => {
+				flatten(item, `${prefix}[${index}]`, out);
+			});
+		} else {
+			out.set(prefix, value);
+		}
+	} else if (value && typeof value === "object") {
+		for (const [key, child] of Object.entries(value)) {
+			flatten(child, prefix ? `${prefix}.${key}` : key, out);
+		}
+	} else if (prefix) {
+		out.set(prefix, value);
+	}
+	return out;
+}
+
+function typeOf(value) {
+	return Array.isArray(value) ? "array" : typeof value;
+}
+
+function splitKey(key) {
+	return key.split(".").flatMap((part) => {
+		const match = part.match(/^(.+?)\[(\d+)\]$/);
+		return match ? [match[1], Number(match[2])] : [part];
+	});
+}
+
+/**
+ * Set a nested value, creating objects and arrays along the way
+ * @param {Object} obj - Translation object
+ * @param {string} key - Key in data-i18n notation
+ * @param {*} value
+ */
+function setKey(obj, key, value) {
+	const parts = splitKey(key);
+	let target = obj;
+	parts.slice(0, -1).forEach((part, index) => {
+		if (target[part] === undefined || typeof target[part] !== "object") {
+			target[part] = typeof parts[index + 1] === "number" ? [] : {};
+		}
+		target = target[part];
+	});
+	target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Write a locale file back in its own indentation
+ * @param {{path: string, data: Object, source: string}} file
+ */
+function writeLocaleFile(file) {
+	const indentLine = file.source
+		.split("\n")
+		.slice(1)
+		.find((line) => line.trim());
+	const indent = indentLine?.startsWith("\t")
+		? "\t"
+		: (indentLine?.match(/^ */)[0] ?? "\t");
+	const output = JSON.stringify(file.data, null, indent || "\t");
+	fs.writeFileSync(
+		file.path,
+		file.source.endsWith("\n") ? `${output}\n` : output,
+	);
+}
+
+function todo(value) {
+	if (typeof value === "string") {
+		return value.startsWith(runtime.UNTRANSLATED_PREFIX)
+			? value
+			: `${runtime.UNTRANSLATED_PREFIX} ${value}`;
+	}
+	if (Array.isArray(value)) return value.map(todo);
+	return value;
+}
+
+/**
+ * Find data-i18n and data-i18n-attr references in markup
+ * @param {string} file - Source file
+ * @returns {Array<{key: string, line: number, text: string}>} Keys with the inline
+ * text (or current attribute value) used when scaffolding
+ */
+function findReferences(file) {
+	const source = fs.readFileSync(file, "utf8");
+	const references = [];
+
+	for (const match of source.matchAll(/<[a-zA-Z][\w-]*(\s[^>]*)?>/g)) {
+		if (!match[1]?.includes("data-i18n")) continue;
+
+		const attributes = new Map();
+		for (const attr of match[1].matchAll(/([^\s=]+)="([^"]*)"/g)) {
+			attributes.set(attr[1], attr[2]);
+		}
+		const line = source.slice(0, match.index).split("\n").length;
+
+		const key = attributes.get("data-i18n");
+		if (key) {
+			const after = source.slice(match.index + match[0].length);
+			const text = after.slice(0, after.search(/<|$/)).trim();
+			references.push({ key, line, text });
+		}
+
+		for (const pair of (attributes.get("data-i18n-attr") || "").split("|")) {
+			const [attr, attrKey] = pair.split(":");
+			if (attrKey) {
+				references.push({
+					key: attrKey,
+					line,
+					text: attributes.get(attr) || "",
+				});
+			}
+		}
+	}
+
+	// Skip template-literal keys built at runtime (${...})
+	return references.filter((ref) => KEY_PATTERN.test(ref.key));
+}
+
+/**
+ * Keys looked up from scripts
+ * @returns {Set<string>}
+ */
+function findScriptKeys() {
+	const keys = new Set();
+	for (const file of walk(path.join(repoRoot, "common"), (name) =>
+		name.endsWith(".js"),
+	)) {
+		const source = fs.readFileSync(file, "utf8");
+		for (const pattern of SCRIPT_KEY_PATTERNS) {
+			for (const match of source.matchAll(pattern)) keys.add(match[1]);
+		}
+	}
+	return keys;
+}
+
+/**
+ * Warn about keys of a file, one line per key with --verbose, otherwise a count
+ * @param {string} file - Locale file (e.g. 'es/contact.json')
+ * @param {string[]} keys
+ * @param {string} reason - e.g. 'never referenced'
+ */
+function warnKeys(file, keys, reason) {
+	if (keys.length === 0) return;
+	if (verbose) {
+		for (const key of keys) warnings.push(`${file}: "${key}" ${reason}`);
+	} else {
+		warnings.push(
+			`${file}: ${keys.length} key(s) ${reason} (--verbose lists them)`,
+		);
+	}
+}
+
+function isReferenced(key, used) {
+	for (const ref of used) {
+		if (
+			ref === key ||
+			key.startsWith(`${ref}.`) ||
+			key.startsWith(`${ref}[`) ||
+			ref.startsWith(`${key}.`) ||
+			ref.startsWith(`${key}[`)
+		) {
+			return true;
+		}
+	}
+	return false;
+}
+
+let runtime;
+
+async function main() {
+	const load = (file) => import(pathToFileURL(path.join(repoRoot, file)).href);
+	const [i18n, locales, messageFormat, routes] = await Promise.all([
+		load("common/services/i18n.js"),
+		load("common/presets/locales.js"),
+		load("common/core/message-format.js"),
+		load("common/presets/routes.js"),
+	]);
+	runtime = i18n;
+
+	const catalog = loadCatalog();
+	const defaultLocale = locales.DEFAULT_LOCALE;
+	const base = catalog.get(defaultLocale);
+	const changed = new Set();
+
+	// 1. Locale directories must be registered
+	for (const locale of catalog.keys()) {
+		if (!locales.isSupportedLocale(locale)) {
+			addError(
+				`_locale/${locale}/: locale is not registered in common/presets/locales.js`,
+			);
+		}
+	}
+
+	// Locales listing their files load only those (LOCALES[code].files)
+	for (const [locale, files] of catalog) {
+		const listed = locales.LOCALES[locale]?.files;
+		if (!listed) continue;
+		for (const name of listed) {
+			if (!files.has(name)) {
+				addError(
+					`${locale}/${name}.json: listed in common/presets/locales.js but missing`,
+				);
+			}
+		}
+		for (const name of files.keys()) {
+			if (!listed.includes(name)) {
+				addError(
+					`${locale}/${name}.json: not listed in the files of ${locale} in common/presets/locales.js, so it is never loaded`,
+				);
+			}
+		}
+	}
+
+	// 2. Key trees
+	for (const [locale, files] of catalog) {
+		if (locale === defaultLocale) continue;
+		const partial = Boolean(locales.LOCALES[locale]?.fallback);
+
+		for (const [name, baseFile] of base) {
+			let file = files.get(name);
+			if (!file) {
+				if (partial) continue;
+				addError(`${locale}/${name}.json: file missing`);
+				if (!fix) continue;
+				file = {
+					path: path.join(localeRoot, locale, `${name}.json`),
+					data: {},
+					source: baseFile.source,
+				};
+				files.set(name, file);
+			}
+
+			const baseKeys = flatten(baseFile.data);
+			const keys = flatten(file.data);
+
+			for (const [key, value] of baseKeys) {
+				if (!keys.has(key)) {
+					if (partial) continue;
+					addError(`${locale}/${name}.json: missing "${key}"`);
+					if (fix) {
+						setKey(file.data, key, todo(value));
+						changed.add(file);
+					}
+				} else if (typeOf(keys.get(key)) !== typeOf(value)) {
+					addError(
+						`${locale}/${name}.json: "${key}" is ${typeOf(keys.get(key))}, ${defaultLocale} has ${typeOf(value)}`,
+					);
+				}
+			}
+
+			warnKeys(
+				`${locale}/${name}.json`,
+				[...keys.keys()].filter((key) => !baseKeys.has(key)),
+				`not in ${defaultLocale}/${name}.json`,
+			);
+		}
+
+		for (const name of files.keys()) {
+			if (!base.has(name)) {
+				warnings.push(
+					`${locale}/${name}.json: no ${defaultLocale}/${name}.json counterpart`,
+				);
+			}
+		}
+	}
+
+	// 3. HTML tags and ICU syntax in every value
+	const allowed = new Set(runtime.ALLOWED_HTML_TAGS);
+	for (const [locale, files] of catalog) {
+		for (const [name, file] of files) {
+			const untranslated = [];
+			for (const [key, value] of flatten(file.data)) {
+				for (const item of Array.isArray(value) ? value : [value]) {
+					if (typeof item !== "string") continue;
+					if (item.startsWith(runtime.UNTRANSLATED_PREFIX)) {
+						untranslated.push(key);
+					}
+
+					const tags = [...item.matchAll(/<\/?([a-zA-Z][\w-]*)/g)]
+						.map((match) => match[1].toLowerCase())
+						.filter((tag) => !allowed.has(tag));
+					if (tags.length > 0) {
+						addError(
+							`${locale}/${name}.json: "${key}" uses <${[...new Set(tags)].join(">, <")}>, which sanitizeHTML() removes`,
+						);
+					}
+
+					if (/[{}]/.test(item)) {
+						try {
+							messageFormat.parseMessage(item);
+						} catch (error) {
+							addError(`${locale}/${name}.json: "${key}" ${error.message}`);
+						}
+					}
+				}
+			}
+			warnKeys(
+				`${locale}/${name}.json`,
+				[...new Set(untranslated)],
+				`still ${runtime.UNTRANSLATED_PREFIX}`,
+			);
+		}
+	}
+
+	// 4. References from markup
+	const used = findScriptKeys();
+	const allBase = runtime.mergeTranslations(
+		[...base.values()].map((file) => file.data),
+	);
+	const pages = [
+		path.join(repoRoot, "index.html"),
+		...walk(path.join(repoRoot, "pages"), (name) => name === "index.html"),
+	];
+	const shared = SHARED_SOURCES.flatMap((dir) =>
+		walk(path.join(repoRoot, dir), (name) => /\.(html|js)$/.test(name)),
+	);
+
+	// Page files read under a namespace (careers.json as "careers.*")
+	const namespaces = new Map();
+
+	for (const source of [...pages, ...shared]) {
+		const isPage = pages.includes(source);
+		const route = isPage ? routes.matchRoute(`/${rel(source)}`) : null;
+		const pageFile = route?.file ?? null;
+		if (route?.namespace) namespaces.set(pageFile, route.namespace);
+		const translations = isPage
+			? {
+					...base.get("common")?.data,
+					...routes.mountPageFile(route, base.get(pageFile)?.data || {}),
+				}
+			: allBase;
+
+		for (const ref of findReferences(source)) {
+			used.add(ref.key);
+			if (runtime.getNestedTranslation(translations, ref.key) !== undefined) {
+				continue;
+			}
+
+			// Keys outside a page's namespace can only live in common.json
+			const prefix = route?.namespace ? `${route.namespace}.` : "";
+			const inPageFile =
+				isPage && base.has(pageFile) && ref.key.startsWith(prefix);
+			const target = inPageFile ? base.get(pageFile) : base.get("common");
+			const targetKey = inPageFile ? ref.key.slice(prefix.length) : ref.key;
+			const where = isPage ? ` (looked in common.json, ${pageFile}.json)` : "";
+			addError(
+				`${rel(source)}: unknown key "${ref.key}"${where}`,
+				`${rel(source)}:${ref.line}`,
+			);
+
+			if (fix && isPage && !base.has(pageFile)) {
+				warnings.push(
+					`${rel(source)}: not scaffolding "${ref.key}", ${defaultLocale}/${pageFile}.json does not exist`,
+				);
+			} else if (fix) {
+				if (
+					runtime.getNestedTranslation(target.data, targetKey) === undefined
+				) {
+					setKey(target.data, targetKey, todo(ref.text || ref.key));
+					changed.add(target);
+				}
+			}
+		}
+	}
+
+	// 5. Orphans
+	const orphans = new Map();
+	for (const [name, file] of base) {
+		const prefix = namespaces.has(name) ? `${namespaces.get(name)}.` : "";
+		const keys = [...flatten(file.data).keys()].filter(
+			(key) => !isReferenced(`${prefix}${key}`, used),
+		);
+		if (keys.length > 0) orphans.set(name, keys);
+	}
+	for (const [name, keys] of orphans) {
+		warnKeys(`${defaultLocale}/${name}.json`, keys, "never referenced");
+	}
+
+	for (const file of changed) writeLocaleFile(file);
+
+	if (updateBaseline) {
+		const ids = [...new Set(errors.map((error) => error.id))].sort();
+		fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(ids, null, "\t")}\n`);
+		console.log(`Wrote ${ids.length} known error(s) to ${rel(BASELINE_PATH)}`);
+		return;
+	}
+
+	const baseline = new Set(
+		fs.existsSync(BASELINE_PATH)
+			? JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8"))
+			: [],
+	);
+	const newErrors = errors.filter((error) => !baseline.has(error.id));
+	const known = errors.length - newErrors.length;
+	const current = new Set(errors.map((error) => error.id));
+	const resolved = [...baseline].filter((id) => !current.has(id));
+	if (resolved.length > 0) {
+		warnings.push(
+			`${resolved.length} baseline error(s) no longer occur; run with --update-baseline to drop them`,
+		);
+	}
+
+	for (const error of verbose ? errors : newErrors) {
+		console.log(`${baseline.has(error.id) ? "~" : "✗"} ${error.text}`);
+	}
+	for (const warning of warnings) console.log(`! ${warning}`);
+
+	console.log(
+		`\n${catalog.size} locales, ${base.size} files: ${newErrors.length} error(s), ${warnings.length} warning(s)` +
+			(known ? `, ${known} known error(s) in ${rel(BASELINE_PATH)}` : "") +
+			(changed.size ? `; scaffolded keys in ${changed.size} file(s)` : ""),
+	);
+
+	if (newErrors.length > 0 || (strict && warnings.length > 0)) {
+		process.exitCode = 1;
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(2);
+});
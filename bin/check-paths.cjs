@@ -7,6 +7,7 @@ const repoRoot = path.resolve(__dirname, "..");
 const SKIP_DIRS = new Set([
 	".git",
 	"node_modules",
+	"dist",
 	".tmp",
 	".DS_Store",
 	".github",
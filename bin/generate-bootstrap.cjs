@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Writes the theme and locale registries into common/core/bootstrap-init.js.
+ *
+ * The bootstrap is a classic script that runs in <head> before any module, so it
+ * cannot import them. Two blocks are generated:
+ * - THEME_SCHEMES (@themes-start … @themes-end) from THEMES in
+ *   common/services/theme.js, itself a classic script, so only its THEMES
+ *   declaration is evaluated
+ * - LOCALE_DIRS and DEFAULT_LOCALE (@locales-start … @locales-end) from
+ *   common/presets/locales.js
+ *
+ * Usage:
+ *   node bin/generate-bootstrap.cjs [--check]
+ *
+ * --check leaves bootstrap-init.js alone and fails when a block is out of date.
+ *
+ * Exit codes: 0 up to date (or written), 1 stale block (--check), 2 bad arguments,
+ * missing markers or no THEMES in theme.js
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+const vm = require("node:vm");
+
+const repoRoot = path.resolve(__dirname, "..");
+const bootstrap = path.join(repoRoot, "common/core/bootstrap-init.js");
+const themeScript = path.join(repoRoot, "common/services/theme.js");
+
+const FLAGS = new Set(["--check"]);
+const args = process.argv.slice(2);
+const unknownArgs = args.filter((arg) => !FLAGS.has(arg));
+if (unknownArgs.length > 0) {
+	console.error(`Unknown option(s): ${unknownArgs.join(" ")}`);
+	console.error("Usage: node bin/generate-bootstrap.cjs [--check]");
+	process.exit(2);
+}
+const check = args.includes("--check");
+
+/**
+ * Comment lines around a generated block
+ * @param {string} name - Block name
+ * @param {string} source - File it is generated from
+ * @returns {{start: string, end: string}}
+ */
+function markers(name, source) {
+	return {
+		start: `// @${name}-start: generated from ${source} by bin/generate-bootstrap.cjs (npm run bootstrap), do not edit`,
+		end: `// @${name}-end`,
+	};
+}
+
+// Indentation inside the bootstrap's IIFE
+const INDENT = "\t";
+
+/**
+ * Object literal source, formatted the way biome formats it
+ * @param {string} declaration - Code before the literal, e.g. "const LOCALE_DIRS = "
+ * @param {Object<string, string>} entries - Values by key
+ * @returns {string}
+ */
+function objectLiteral(declaration, entries) {
+	const props = Object.entries(entries).map(
+		([key, value]) =>
+			`${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${JSON.stringify(value)}`,
+	);
+	const inline = `{ ${props.join(", ")} }`;
+	// biome breaks lines longer than 80 columns (tabs count as 2)
+	if (`${INDENT}${declaration}${inline};`.length + 1 <= 80) {
+		return inline;
+	}
+	return `{\n${props.map((prop) => `\t${prop},`).join("\n")}\n}`;
+}
+
+/**
+ * A generated block, markers included, indented for the IIFE
+ * @param {{start: string, end: string}} marks - Block markers
+ * @param {string[]} lines - Block contents
+ * @returns {string}
+ */
+function renderBlock(marks, lines) {
+	return [marks.start, "", ...lines, "", marks.end]
+		.join("\n")
+		.replace(/^(?!$)/gm, INDENT)
+		.slice(INDENT.length);
+}
+
+/**
+ * THEMES of theme.js; the script touches document when it runs, so only the
+ * declaration is evaluated
+ * @returns {Object<string, {scheme: string}>}
+ */
+function readThemes() {
+	const source = fs.readFileSync(themeScript, "utf8");
+	const match = source.match(/^const THEMES = (\{[\s\S]*?\n\});$/m);
+	if (!match) {
+		console.error(
+			`No "const THEMES = {...};" in ${path.relative(repoRoot, themeScript)}`,
+		);
+		process.exit(2);
+	}
+	return vm.runInNewContext(`(${match[1]})`);
+}
+
+/**
+ * THEME_SCHEMES block
+ * @param {Object<string, {scheme: string}>} themes - THEMES of theme.js
+ * @returns {string}
+ */
+function renderThemes(themes) {
+	const schemes = Object.fromEntries(
+		Object.entries(themes).map(([name, { scheme }]) => [name, scheme]),
+	);
+	const declaration = "const THEME_SCHEMES = ";
+
+	return renderBlock(markers("themes", "common/services/theme.js"), [
+		"/**",
+		" * color-scheme of each registered theme",
+		' * @constant {Object<string, "light"|"dark">}',
+		" */",
+		`${declaration}${objectLiteral(declaration, schemes)};`,
+	]);
+}
+
+/**
+ * LOCALE_DIRS and DEFAULT_LOCALE block
+ * @param {object} locales - common/presets/locales.js
+ * @returns {string}
+ */
+function renderLocales(locales) {
+	const dirs = Object.fromEntries(
+		locales.SUPPORTED_LOCALES.map((code) => [code, locales.getDirection(code)]),
+	);
+	const declaration = "const LOCALE_DIRS = ";
+
+	return renderBlock(markers("locales", "common/presets/locales.js"), [
+		"/**",
+		" * Writing direction of each registered locale",
+		' * @constant {Object<string, "ltr"|"rtl">}',
+		" */",
+		`${declaration}${objectLiteral(declaration, dirs)};`,
+		"",
+		"/**",
+		" * Language of the page markup",
+		" * @constant {string}",
+		" */",
+		`const DEFAULT_LOCALE = ${JSON.stringify(locales.DEFAULT_LOCALE)};`,
+	]);
+}
+
+async function main() {
+	const locales = await import(
+		pathToFileURL(path.join(repoRoot, "common/presets/locales.js")).href
+	);
+	const blocks = [
+		{
+			marks: markers("themes", "common/services/theme.js"),
+			block: renderThemes(readThemes()),
+		},
+		{
+			marks: markers("locales", "common/presets/locales.js"),
+			block: renderLocales(locales),
+		},
+	];
+
+	const source = fs.readFileSync(bootstrap, "utf8");
+	let output = source;
+	for (const { marks, block } of blocks) {
+		const start = output.indexOf(marks.start);
+		const end = output.indexOf(marks.end);
+		if (start === -1 || end < start) {
+			console.error(
+				`Missing markers in ${path.relative(repoRoot, bootstrap)}:\n  ${marks.start}\n  ${marks.end}`,
+			);
+			process.exit(2);
+		}
+		output =
+			output.slice(0, start) + block + output.slice(end + marks.end.length);
+	}
+
+	if (output === source) {
+		console.log(
+			"✓ Themes and locales in common/core/bootstrap-init.js are up to date",
+		);
+	} else if (check) {
+		console.log(
+			"✗ Themes or locales in common/core/bootstrap-init.js are out of date; run npm run bootstrap",
+		);
+		process.exitCode = 1;
+	} else {
+		fs.writeFileSync(bootstrap, output);
+		console.log("✓ Wrote themes and locales to common/core/bootstrap-init.js");
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(2);
+});
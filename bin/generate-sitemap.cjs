@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Generates sitemap.xml from the site's pages, with an <xhtml:link hreflang>
+ * alternate per registered locale (common/presets/locales.js) and x-default.
+ *
+ * Pages are index.html and every pages/.../index.html (demos excluded). lastmod is the
+ * page's last commit date, left out for files git doesn't know; changefreq and
+ * priority are kept from the current sitemap for URLs it already lists. Comment
+ * blocks listing retired URLs are kept.
+ *
+ * URLs follow the pre-rendered build (npm run build): the default language has no
+ * prefix (/pages/about/), every other language its own (/es/pages/about/). These
+ * are the canonical URLs of the site; ?lang= only switches language at runtime.
+ *
+ * Usage:
+ *   node bin/generate-sitemap.cjs [--site https://...] [--out sitemap.xml]
+ *
+ * bin/prerender-i18n.cjs uses renderSitemap() to write dist/sitemap.xml.
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { execFileSync } = require("node:child_process");
+const { pathToFileURL } = require("node:url");
+
+const repoRoot = path.resolve(__dirname, "..");
+
+// Canonical origin of the production site
+const SITE_URL = "https://www.legacyconcierge.com";
+
+// Page directories that are not part of the public site
+const EXCLUDED_DIRS = new Set(["demos"]);
+
+function getArg(args, name, fallback) {
+	const index = args.indexOf(`--${name}`);
+	if (index === -1) return fallback;
+	const value = args[index + 1];
+	return value && !value.startsWith("--") ? value : fallback;
+}
+
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Site paths of every public page, home page first
+ * @returns {string[]} e.g. ['/', '/pages/about/']
+ */
+function findPages() {
+	const pages = ["/"];
+	const walk = (dir) => {
+		for (const entry of fs
+			.readdirSync(dir, { withFileTypes: true })
+			.sort((a, b) => a.name.localeCompare(b.name))) {
+			const full = path.join(dir, entry.name);
+			if (entry.isDirectory() && !EXCLUDED_DIRS.has(entry.name)) {
+				walk(full);
+			} else if (entry.name === "index.html") {
+				const relative = path.relative(repoRoot, dir).split(path.sep).join("/");
+				pages.push(`/${relative}/`);
+			}
+		}
+	};
+	walk(path.join(repoRoot, "pages"));
+	return pages;
+}
+
+/**
+ * URL of a page in a language
+ * @param {string} page - Site path ('/pages/about/')
+ * @param {string} lang - Locale code
+ * @param {{siteUrl: string, defaultLanguage: string}} options
+ * @returns {string} e.g. 'https://www.legacyconcierge.com/es/pages/about/'
+ */
+function localizedUrl(page, lang, { siteUrl, defaultLanguage }) {
+	return lang === defaultLanguage
+		? `${siteUrl}${page}`
+		: `${siteUrl}/${lang}${page}`;
+}
+
+/**
+ * <link rel="alternate" hreflang> targets for a page, x-default last
+ * @param {string} page - Site path
+ * @param {string[]} languages - Locale codes
+ * @param {Object} options - See localizedUrl()
+ * @returns {Array<{hreflang: string, href: string}>}
+ */
+function getAlternates(page, languages, options) {
+	return [
+		...languages.map((lang) => ({
+			hreflang: lang,
+			href: localizedUrl(page, lang, options),
+		})),
+		{
+			hreflang: "x-default",
+			href: localizedUrl(page, options.defaultLanguage, options),
+		},
+	];
+}
+
+/**
+ * Date of the last commit touching a page
+ * @param {string} page - Site path
+ * @returns {string|null} YYYY-MM-DD, or null for untracked files and outside a git checkout
+ */
+function lastModified(page) {
+	const file = page === "/" ? "index.html" : `${page.slice(1)}index.html`;
+	try {
+		const date = execFileSync(
+			"git",
+			["log", "-1", "--format=%cs", "--", file],
+			{
+				cwd: repoRoot,
+				encoding: "utf8",
+				stdio: ["ignore", "pipe", "ignore"],
+			},
+		).trim();
+		if (date) return date;
+	} catch {
+		// Not a git checkout
+	}
+	return null;
+}
+
+/**
+ * changefreq / priority of URLs in an existing sitemap, and its comment blocks
+ * that list URLs (retired pages kept for reference)
+ * @param {string} source - sitemap.xml contents
+ * @returns {{entries: Map<string, {changefreq?: string, priority?: string}>, comments: string[]}}
+ */
+function readExisting(source) {
+	const entries = new Map();
+	const active = source.replace(/<!--[\s\S]*?-->/g, "");
+	for (const [block] of active.matchAll(/<url>[\s\S]*?<\/url>/g)) {
+		const loc = block.match(/<loc>([^<]+)<\/loc>/)?.[1];
+		if (!loc) continue;
+		entries.set(loc, {
+			changefreq: block.match(/<changefreq>([^<]+)<\/changefreq>/)?.[1],
+			priority: block.match(/<priority>([^<]+)<\/priority>/)?.[1],
+		});
+	}
+	const comments = [...source.matchAll(/<!--[\s\S]*?-->/g)]
+		.map((match) => match[0])
+		.filter((comment) => comment.includes("<url>"));
+	return { entries, comments };
+}
+
+/**
+ * Render sitemap.xml
+ * @param {Object} options
+ * @param {string[]} options.languages - Locale codes
+ * @param {string} options.defaultLanguage - Locale served without prefix
+ * @param {string} [options.siteUrl=SITE_URL]
+ * @returns {string}
+ */
+function renderSitemap({ languages, defaultLanguage, siteUrl = SITE_URL }) {
+	const sitemapPath = path.join(repoRoot, "sitemap.xml");
+	const existing = readExisting(
+		fs.existsSync(sitemapPath) ? fs.readFileSync(sitemapPath, "utf8") : "",
+	);
+	const options = { siteUrl, defaultLanguage };
+
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+		'        xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+	];
+
+	for (const page of findPages()) {
+		const alternates = getAlternates(page, languages, options);
+		const lastmod = lastModified(page);
+		const depth = page.split("/").filter(Boolean).length;
+
+		// Every language version is its own entry listing all alternates
+		for (const lang of languages) {
+			const loc = localizedUrl(page, lang, options);
+			const known = existing.entries.get(`${siteUrl}${page}`) || {};
+			lines.push(
+				"  <url>",
+				`    <loc>${escapeXml(loc)}</loc>`,
+				...alternates.map(
+					(alternate) =>
+						`    <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeXml(alternate.href)}" />`,
+				),
+				...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+				`    <changefreq>${known.changefreq || (depth === 0 ? "weekly" : "monthly")}</changefreq>`,
+				`    <priority>${known.priority || (depth === 0 ? "1.0" : depth <= 2 ? "0.8" : "0.7")}</priority>`,
+				"  </url>",
+			);
+		}
+	}
+
+	for (const comment of existing.comments) {
+		lines.push("", `  ${comment.trim()}`);
+	}
+
+	lines.push("</urlset>", "");
+	return lines.join("\n");
+}
+
+async function main() {
+	const args = process.argv.slice(2);
+	const locales = await import(
+		pathToFileURL(path.join(repoRoot, "common/presets/locales.js")).href
+	);
+	const out = path.resolve(repoRoot, getArg(args, "out", "sitemap.xml"));
+	const xml = renderSitemap({
+		languages: locales.SUPPORTED_LOCALES,
+		defaultLanguage: locales.DEFAULT_LOCALE,
+		siteUrl: getArg(args, "site", SITE_URL),
+	});
+
+	fs.writeFileSync(out, xml);
+	const count = (xml.match(/<loc>/g) || []).length;
+	console.log(
+		`✓ ${path.relative(repoRoot, out)}: ${count} URLs (${locales.SUPPORTED_LOCALES.join(", ")})`,
+	);
+}
+
+module.exports = { getAlternates, localizedUrl, renderSitemap, SITE_URL };
+
+if (require.main === module) {
+	main().catch((error) => {
+		console.error(error);
+		process.exit(1);
+	});
+}
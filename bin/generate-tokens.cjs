@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Writes the design tokens of common/presets/tokens.js into shared/theme/style.css
+ * as CSS custom properties, and checks the contrast of every theme.
+ *
+ * The generated block sits between the @tokens-start and @tokens-end comments
+ * near the top of style.css:
+ *   - :root: typography, brand colours, the default (light) theme, spacing,
+ *     radii and motion
+ *   - @media (prefers-color-scheme: dark): the dark theme, for pages without
+ *     JavaScript (core/bootstrap-init.js sets data-theme otherwise)
+ *   - [data-theme="<name>"]: the colours of every theme
+ *
+ * Contrast: each pair in CONTRAST_PAIRS must reach its minimum ratio in every
+ * theme; there are no exceptions.
+ *
+ * Usage:
+ *   node bin/generate-tokens.cjs [--check] [--verbose]
+ *
+ * --check leaves style.css alone and fails when the block is out of date.
+ * --verbose lists every contrast pair, not only the failing ones.
+ *
+ * Exit codes: 0 up to date and passing, 1 stale block (--check) or contrast
+ * failures, 2 bad arguments or missing markers
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+
+const repoRoot = path.resolve(__dirname, "..");
+const stylesheet = path.join(repoRoot, "shared/theme/style.css");
+
+const FLAGS = new Set(["--check", "--verbose"]);
+const args = process.argv.slice(2);
+const unknownArgs = args.filter((arg) => !FLAGS.has(arg));
+if (unknownArgs.length > 0) {
+	console.error(`Unknown option(s): ${unknownArgs.join(" ")}`);
+	console.error("Usage: node bin/generate-tokens.cjs [--check] [--verbose]");
+	process.exit(2);
+}
+const check = args.includes("--check");
+const verbose = args.includes("--verbose");
+
+const START_MARKER =
+	"/* @tokens-start: generated from common/presets/tokens.js by bin/generate-tokens.cjs (npm run tokens), do not edit */";
+const END_MARKER = "/* @tokens-end */";
+
+// Theme that follows prefers-color-scheme: dark when no data-theme is set
+const SYSTEM_DARK_THEME = "dark";
+
+/**
+ * Custom property declarations
+ * @param {Object<string, string>} tokens - Values by name without "--"
+ * @param {string} indent
+ * @returns {string}
+ */
+function declarations(tokens, indent) {
+	return Object.entries(tokens)
+		.map(([name, value]) => `${indent}--${name}: ${value};`)
+		.join("\n");
+}
+
+/**
+ * The generated block, markers included
+ * @param {object} tokens - common/presets/tokens.js
+ * @returns {string}
+ */
+function renderBlock(tokens) {
+	const { DEFAULT_THEME, THEMES } = tokens;
+	const sections = [
+		["Typography", tokens.TYPOGRAPHY],
+		["Brand colours", tokens.BRAND_COLORS],
+		[THEMES[DEFAULT_THEME].description, THEMES[DEFAULT_THEME].colors],
+		["Spacing", tokens.SPACING],
+		["Radii", tokens.RADII],
+		["Motion", tokens.MOTION],
+	];
+
+	const root = sections
+		.map(([title, values]) => `\t/* ${title} */\n${declarations(values, "\t")}`)
+		.join("\n\n");
+
+	const systemDark = [
+		`/* ${THEMES[SYSTEM_DARK_THEME].description} */`,
+		"@media (prefers-color-scheme: dark) {",
+		"\t:root {",
+		declarations(THEMES[SYSTEM_DARK_THEME].colors, "\t\t"),
+		"\t}",
+		"}",
+	].join("\n");
+
+	const themes = Object.entries(THEMES).map(([name, theme]) =>
+		[
+			`/* ${theme.description} */`,
+			`[data-theme="${name}"] {`,
+			declarations(theme.colors, "\t"),
+			"}",
+		].join("\n"),
+	);
+
+	return [
+		START_MARKER,
+		`:root {\n${root}\n}`,
+		systemDark,
+		...themes,
+		END_MARKER,
+	].join("\n\n");
+}
+
+/**
+ * Report the contrast check
+ * @param {object} tokens - common/presets/tokens.js
+ * @returns {number} Pairs below their minimum
+ */
+function reportContrast(tokens) {
+	const results = tokens.checkContrast();
+	const failures = results.filter((result) => !result.passes);
+
+	for (const result of verbose ? results : failures) {
+		console.log(
+			`${result.passes ? "✓" : "✗"} ${result.theme}: ${result.foreground} on ${result.background} ` +
+				`${result.ratio.toFixed(2)}:1 (needs ${result.minimum}:1)`,
+		);
+	}
+
+	console.log(
+		`\n${Object.keys(tokens.THEMES).length} themes, ${results.length} contrast pairs: ${failures.length} failure(s)`,
+	);
+	return failures.length;
+}
+
+async function main() {
+	const tokens = await import(
+		pathToFileURL(path.join(repoRoot, "common/presets/tokens.js")).href
+	);
+
+	const css = fs.readFileSync(stylesheet, "utf8");
+	const start = css.indexOf(START_MARKER);
+	const end = css.indexOf(END_MARKER);
+	if (start === -1 || end < start) {
+		console.error(
+			`Missing token markers in ${path.relative(repoRoot, stylesheet)}:\n  ${START_MARKER}\n  ${END_MARKER}`,
+		);
+		process.exit(2);
+	}
+
+	const block = renderBlock(tokens);
+	const current = css.slice(start, end + END_MARKER.length);
+
+	if (current === block) {
+		console.log("✓ Design tokens in shared/theme/style.css are up to date");
+	} else if (check) {
+		console.log(
+			"✗ Design tokens in shared/theme/style.css are out of date; run npm run tokens",
+		);
+		process.exitCode = 1;
+	} else {
+		fs.writeFileSync(
+			stylesheet,
+			css.slice(0, start) + block + css.slice(end + END_MARKER.length),
+		);
+		console.log("✓ Wrote design tokens to shared/theme/style.css");
+	}
+
+	if (reportContrast(tokens) > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(2);
+});
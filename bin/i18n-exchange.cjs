@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+/**
+ * Exchanges translations with CAT tools as XLIFF 2.0 and gettext PO files.
+ *
+ * export: writes one XLIFF and/or PO file per locale with every string of the
+ *   default locale (en) as source text and the locale's current text as target.
+ *   Units are keyed by file and data-i18n key, array items included (features[2]),
+ *   and carry context for the translator: the key, its source file, ICU
+ *   placeholders and HTML tags to keep. Untranslated and TODO: values export
+ *   with an empty target.
+ *
+ * import: merges translated targets back into shared/content/_locale/{lang}/.
+ *   Only keys present in the file are written; existing keys keep their position,
+ *   new keys are appended to their parent, and each file keeps its indentation.
+ *   Empty targets and fuzzy PO entries are skipped. A source text that changed
+ *   since the export is imported with a warning so it can be reviewed.
+ *
+ * Usage:
+ *   node bin/i18n-exchange.cjs export [--lang es] [--format xliff|po] [--out translations]
+ *   node bin/i18n-exchange.cjs import <file.xlf|file.po>... [--lang es]
+ *
+ * Exports default to every non-default locale in both formats. Imports take the
+ * locale from the file (XLIFF trgLang, PO Language header) unless --lang is given.
+ *
+ * Exit codes: 0 success, 1 nothing imported because of errors, 2 bad arguments
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+
+const repoRoot = path.resolve(__dirname, "..");
+const localeRoot = path.join(repoRoot, "shared/content/_locale");
+
+const USAGE = [
+	"Usage:",
+	"  node bin/i18n-exchange.cjs export [--lang es] [--format xliff|po] [--out translations]",
+	"  node bin/i18n-exchange.cjs import <file.xlf|file.po>... [--lang es]",
+].join("\n");
+
+const FORMATS = {
+	xliff: { extension: ".xlf", write: writeXliff, read: readXliff },
+	po: { extension: ".po", write: writePo, read: readPo },
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+function getArg(name, fallback) {
+	const index = args.indexOf(`--${name}`);
+	if (index === -1) return fallback;
+	const value = args[index + 1];
+	return value && !value.startsWith("--") ? value : fallback;
+}
+
+/**
+ * Positional arguments (files to import)
+ * @returns {string[]}
+ */
+function getFiles() {
+	return args.filter(
+		(arg, index) => !arg.startsWith("--") && !args[index - 1]?.startsWith("--"),
+	);
+}
+
+function rel(file) {
+	return path.relative(repoRoot, file).split(path.sep).join("/");
+}
+
+function fail(message) {
+	console.error(message);
+	console.error(USAGE);
+	process.exit(2);
+}
+
+/**
+ * Load a locale's translation files
+ * @param {string} locale
+ * @returns {Map<string, {path: string, data: Object, source: string}>} File name (no extension) → file
+ */
+function loadLocale(locale) {
+	const dir = path.join(localeRoot, locale);
+	const files = new Map();
+	if (!fs.existsSync(dir)) return files;
+
+	for (const name of fs.readdirSync(dir).sort()) {
+		if (!name.endsWith(".json")) continue;
+		const full = path.join(dir, name);
+		const source = fs.readFileSync(full, "utf8");
+		try {
+			files.set(name.slice(0, -5), {
+				path: full,
+				data: JSON.parse(source),
+				source,
+			});
+		} catch (error) {
+			console.error(`${rel(full)}: invalid JSON (${error.message})`);
+			process.exit(2);
+		}
+	}
+	return files;
+}
+
+/**
+ * Flatten a translation object into translatable strings in data-i18n notation
+ * Every array item gets its own key (features[2]); numbers and booleans are skipped
+ * @param {*} value - Translation value
+ * @param {string} [prefix]
+ * @param {Map<string, string>} [out]
+ * @returns {Map<string, string>} Key → text, in file order
+ */
+function flatten(value, prefix = "", out = new Map()) {
+	if (Array.isArray(value)) {
+		value.forEach((item, index) => {
+			flatten(item, `${prefix}[${index}]`, out);
+		});
+	} else if (value && typeof value === "object") {
+		for (const [key, child] of Object.entries(value)) {
+			flatten(child, prefix ? `${prefix}.${key}` : key, out);
+		}
+	} else if (typeof value === "string" && prefix) {
+		out.set(prefix, value);
+	}
+	return out;
+}
+
+function splitKey(key) {
+	return key.split(".").flatMap((part) => {
+		const match = part.match(/^(.+?)\[(\d+)\]$/);
+		return match ? [match[1], Number(match[2])] : [part];
+	});
+}
+
+/**
+ * Set a nested value in place, without reordering existing keys
+ * Arrays the locale lacks (or that are shorter) are filled from the default
+ * locale, because the runtime replaces whole arrays instead of merging them
+ * @param {Object} target - Locale translation object
+ * @param {Object} source - Default-locale translation object
+ * @param {string} key - Key in data-i18n notation
+ * @param {string} value
+ */
+function setKey(target, source, key, value) {
+	const parts = splitKey(key);
+	let node = target;
+	let sourceNode = source;
+
+	parts.forEach((part, index) => {
+		const sourceChild = sourceNode?.[part];
+
+		if (index === parts.length - 1) {
+			node[part] = value;
+			return;
+		}
+
+		if (node[part] === undefined || typeof node[part] !== "object") {
+			node[part] = Array.isArray(sourceChild)
+				? structuredClone(sourceChild)
+				: {};
+		} else if (Array.isArray(node[part]) && Array.isArray(sourceChild)) {
+			for (let i = node[part].length; i < sourceChild.length; i++) {
+				node[part][i] = structuredClone(sourceChild[i]);
+			}
+		}
+
+		node = node[part];
+		sourceNode = sourceChild;
+	});
+}
+
+function getKey(obj, key) {
+	return splitKey(key).reduce((node, part) => node?.[part], obj);
+}
+
+/**
+ * Write a locale file back in its own indentation (tabs for new files)
+ * @param {{path: string, data: Object, source: string}} file
+ */
+function writeLocaleFile(file) {
+	const indentLine = file.source
+		.split("\n")
+		.slice(1)
+		.find((line) => line.trim());
+	const indent = indentLine?.startsWith("\t")
+		? "\t"
+		: (indentLine?.match(/^ */)[0] ?? "\t");
+	const output = JSON.stringify(file.data, null, indent || "\t");
+	fs.mkdirSync(path.dirname(file.path), { recursive: true });
+	fs.writeFileSync(
+		file.path,
+		file.source === "" || file.source.endsWith("\n") ? `${output}\n` : output,
+	);
+}
+
+/**
+ * Translator notes for a source string
+ * @param {string} text - Source text
+ * @returns {string[]}
+ */
+function describe(text) {
+	const notes = [];
+	const placeholders = [
+		...new Set(text.match(/\{\s*\w+\s*(?=[,}])/g) || []),
+	].map((match) => `{${match.slice(1).trim()}}`);
+	if (/\{\s*\w+\s*,\s*(plural|selectordinal|select)\s*,/.test(text)) {
+		notes.push(
+			"ICU message: translate the text inside the braces, keep keywords (one, other, =0) and # as written",
+		);
+	}
+	if (placeholders.length > 0) {
+		notes.push(`Placeholders: ${placeholders.join(", ")}`);
+	}
+	const tags = [
+		...new Set(
+			(text.match(/<\/?([a-z]+)/gi) || []).map((tag) =>
+				tag.replace(/[</]/g, "").toLowerCase(),
+			),
+		),
+	];
+	if (tags.length > 0) {
+		notes.push(`HTML: keep ${tags.map((tag) => `<${tag}>`).join(", ")} tags`);
+	}
+	return notes;
+}
+
+/**
+ * Collect exchange units for one locale
+ * @param {Map} base - Default-locale files
+ * @param {Map} target - Locale files
+ * @param {string} prefix - Value prefix marking scaffolded, untranslated text
+ * @returns {Array<{file: string, units: Array<{key: string, source: string, target: string, notes: string[]}>}>}
+ */
+function collectUnits(base, target, prefix) {
+	return [...base].map(([name, file]) => {
+		const translated = target.get(name)?.data;
+		const units = [...flatten(file.data)].map(([key, source]) => {
+			const value = getKey(translated, key);
+			return {
+				key,
+				source,
+				target:
+					typeof value === "string" && !value.startsWith(prefix) ? value : "",
+				notes: describe(source),
+			};
+		});
+		return { file: name, units };
+	});
+}
+
+function escapeXml(text) {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+function unescapeXml(text) {
+	return text
+		.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) =>
+			data.replace(/&/g, "&amp;").replace(/</g, "&lt;"),
+		)
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&#x([\da-f]+);/gi, (_, hex) =>
+			String.fromCodePoint(parseInt(hex, 16)),
+		)
+		.replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+		.replace(/&amp;/g, "&");
+}
+
+/**
+ * XLIFF unit ids are NMTOKENs, so brackets become dots; the exact key is in name
+ * @param {string} key
+ * @returns {string}
+ */
+function unitId(key) {
+	return key.replace(/\[(\d+)\]/g, ".$1");
+}
+
+/**
+ * Serialize units as an XLIFF 2.0 document, one <file> per translation file
+ * @param {Array} files - From collectUnits()
+ * @param {{sourceLocale: string, locale: string}} locales
+ * @returns {string}
+ */
+function writeXliff(files, { sourceLocale, locale }) {
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${sourceLocale}" trgLang="${locale}">`,
+	];
+
+	for (const { file, units } of files) {
+		lines.push(
+			`\t<file id="${file}" original="shared/content/_locale/${sourceLocale}/${file}.json">`,
+		);
+		for (const unit of units) {
+			lines.push(
+				`\t\t<unit id="${escapeXml(unitId(unit.key))}" name="${escapeXml(unit.key)}">`,
+				"\t\t\t<notes>",
+				`\t\t\t\t<note category="location">${escapeXml(`${file}.json: ${unit.key}`)}</note>`,
+				...unit.notes.map(
+					(note) =>
+						`\t\t\t\t<note category="context">${escapeXml(note)}</note>`,
+				),
+				"\t\t\t</notes>",
+				`\t\t\t<segment state="${unit.target ? "translated" : "initial"}">`,
+				`\t\t\t\t<source xml:space="preserve">${escapeXml(unit.source)}</source>`,
+			);
+			if (unit.target) {
+				lines.push(
+					`\t\t\t\t<target xml:space="preserve">${escapeXml(unit.target)}</target>`,
+				);
+			}
+			lines.push("\t\t\t</segment>", "\t\t</unit>");
+		}
+		lines.push("\t</file>");
+	}
+
+	lines.push("</xliff>", "");
+	return lines.join("\n");
+}
+
+/**
+ * Parse an XLIFF 2.0 document
+ * @param {string} text
+ * @returns {{locale: string|null, entries: Array<{file: string, key: string, source: string, target: string}>}}
+ */
+function readXliff(text) {
+	const locale = text.match(/<xliff\b[^>]*\btrgLang="([^"]+)"/)?.[1] || null;
+	const entries = [];
+	const content = (block, tag) => {
+		const match = block.match(
+			new RegExp(`<${tag}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${tag}>)`),
+		);
+		return match ? unescapeXml(match[1] || "") : null;
+	};
+
+	for (const fileMatch of text.matchAll(
+		/<file\b[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/file>/g,
+	)) {
+		for (const unitMatch of fileMatch[2].matchAll(
+			/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g,
+		)) {
+			const name = unitMatch[1].match(/\bname="([^"]*)"/)?.[1];
+			const id = unitMatch[1].match(/\bid="([^"]*)"/)?.[1];
+			entries.push({
+				file: unescapeXml(fileMatch[1]),
+				key: unescapeXml(name ?? id ?? ""),
+				source: content(unitMatch[2], "source") ?? "",
+				target: content(unitMatch[2], "target") ?? "",
+			});
+		}
+	}
+
+	return { locale, entries };
+}
+
+function quotePo(text) {
+	return `"${text
+		.replace(/\\/g, "\\\\")
+		.replace(/"/g, '\\"')
+		.replace(/\t/g, "\\t")
+		.replace(/\r/g, "\\r")
+		.replace(/\n/g, "\\n")}"`;
+}
+
+function unquotePo(text) {
+	return text
+		.slice(1, -1)
+		.replace(
+			/\\(["\\ntr])/g,
+			(_, char) => ({ n: "\n", t: "\t", r: "\r" })[char] ?? char,
+		);
+}
+
+/**
+ * Serialize units as a PO file; msgctxt is "file:key"
+ * @param {Array} files - From collectUnits()
+ * @param {{sourceLocale: string, locale: string}} locales
+ * @returns {string}
+ */
+function writePo(files, { sourceLocale, locale }) {
+	const lines = [
+		'msgid ""',
+		'msgstr ""',
+		quotePo("Project-Id-Version: Legacy Concierge\n"),
+		quotePo(`Language: ${locale}\n`),
+		quotePo("MIME-Version: 1.0\n"),
+		quotePo("Content-Type: text/plain; charset=UTF-8\n"),
+		quotePo("Content-Transfer-Encoding: 8bit\n"),
+		quotePo(`X-Source-Language: ${sourceLocale}\n`),
+	];
+
+	for (const { file, units } of files) {
+		for (const unit of units) {
+			lines.push(
+				"",
+				...unit.notes.map((note) => `#. ${note}`),
+				`#: shared/content/_locale/${sourceLocale}/${file}.json`,
+				`msgctxt ${quotePo(`${file}:${unit.key}`)}`,
+				`msgid ${quotePo(unit.source)}`,
+				`msgstr ${quotePo(unit.target)}`,
+			);
+		}
+	}
+
+	lines.push("");
+	return lines.join("\n");
+}
+
+/**
+ * Parse a PO file (entries without msgctxt, like the header, are ignored)
+ * @param {string} text
+ * @returns {{locale: string|null, entries: Array<{file: string, key: string, source: string, target: string, fuzzy: boolean}>}}
+ */
+function readPo(text) {
+	const entries = [];
+	let locale = null;
+
+	for (const block of text.split(/\r?\n\s*\r?\n/)) {
+		const fields = {};
+		let current = null;
+		let fuzzy = false;
+
+		for (const line of block.split(/\r?\n/).map((l) => l.trim())) {
+			if (line.startsWith("#,") && line.includes("fuzzy")) fuzzy = true;
+			if (line.startsWith("#")) continue;
+
+			const match = line.match(/^(msgctxt|msgid|msgstr)\s+(".*")$/);
+			if (match) {
+				current = match[1];
+				fields[current] = unquotePo(match[2]);
+			} else if (current && line.startsWith('"')) {
+				fields[current] += unquotePo(line);
+			}
+		}
+
+		if (fields.msgid === "" && fields.msgctxt === undefined) {
+			locale = fields.msgstr?.match(/^Language:\s*(\S+)/m)?.[1] || locale;
+			continue;
+		}
+		if (fields.msgctxt === undefined) continue;
+
+		const separator = fields.msgctxt.indexOf(":");
+		entries.push({
+			file: fields.msgctxt.slice(0, separator),
+			key: fields.msgctxt.slice(separator + 1),
+			source: fields.msgid ?? "",
+			target: fields.msgstr ?? "",
+			fuzzy,
+		});
+	}
+
+	return { locale, entries };
+}
+
+/**
+ * Write exchange files for each requested locale
+ * @param {Object} locales - common/presets/locales.js
+ * @param {string} prefix - Untranslated value prefix
+ */
+function exportTranslations(locales, prefix) {
+	const only = getArg("lang", null);
+	const format = getArg("format", null);
+	const outDir = path.resolve(repoRoot, getArg("out", "translations"));
+
+	if (only && !locales.isSupportedLocale(only)) fail(`Unknown locale: ${only}`);
+	if (format && !FORMATS[format]) fail(`Unknown format: ${format}`);
+
+	const sourceLocale = locales.DEFAULT_LOCALE;
+	const base = loadLocale(sourceLocale);
+	const targets = only
+		? [only]
+		: locales.SUPPORTED_LOCALES.filter((code) => code !== sourceLocale);
+
+	fs.mkdirSync(outDir, { recursive: true });
+
+	for (const locale of targets) {
+		const files = collectUnits(base, loadLocale(locale), prefix);
+		const units = files.flatMap((file) => file.units);
+		const done = units.filter((unit) => unit.target).length;
+
+		for (const [name, { extension, write }] of Object.entries(FORMATS)) {
+			if (format && format !== name) continue;
+			const out = path.join(outDir, `${locale}${extension}`);
+			fs.writeFileSync(out, write(files, { sourceLocale, locale }));
+			console.log(`✓ ${rel(out)}: ${units.length} strings, ${done} translated`);
+		}
+	}
+}
+
+/**
+ * Merge translated exchange files into the locale catalog
+ * @param {Object} locales - common/presets/locales.js
+ */
+function importTranslations(locales) {
+	const files = getFiles();
+	if (files.length === 0) fail("No files to import");
+
+	const base = loadLocale(locales.DEFAULT_LOCALE);
+	const catalogs = new Map();
+	const changed = new Set();
+	const warnings = [];
+	let errors = 0;
+	let updated = 0;
+
+	for (const input of files) {
+		const full = path.resolve(input);
+		const format = Object.values(FORMATS).find(
+			({ extension }) =>
+				full.endsWith(extension) ||
+				(extension === ".xlf" && full.endsWith(".xliff")),
+		);
+		if (!format) fail(`Unsupported file type: ${input} (use .xlf or .po)`);
+		if (!fs.existsSync(full)) fail(`File not found: ${input}`);
+
+		const { locale: fileLocale, entries } = format.read(
+			fs.readFileSync(full, "utf8"),
+		);
+		const locale = getArg("lang", null) || fileLocale;
+		if (!locale || !locales.isSupportedLocale(locale)) {
+			console.error(
+				`✗ ${input}: ${locale ? `unknown locale ${locale}` : "no target locale; pass --lang"}`,
+			);
+			errors++;
+			continue;
+		}
+		if (locale === locales.DEFAULT_LOCALE) {
+			console.error(
+				`✗ ${input}: cannot import into the source locale ${locale}`,
+			);
+			errors++;
+			continue;
+		}
+
+		if (!catalogs.has(locale)) catalogs.set(locale, loadLocale(locale));
+		const catalog = catalogs.get(locale);
+
+		for (const entry of entries) {
+			if (!entry.target || entry.fuzzy) continue;
+
+			const sourceFile = base.get(entry.file);
+			const current = getKey(sourceFile?.data, entry.key);
+			if (typeof current !== "string") {
+				warnings.push(
+					`${input}: ${entry.file}:${entry.key} is not a key in ${locales.DEFAULT_LOCALE}; skipped`,
+				);
+				continue;
+			}
+			if (entry.source && entry.source !== current) {
+				warnings.push(
+					`${input}: ${entry.file}:${entry.key} source text changed since export; review the translation`,
+				);
+			}
+
+			if (!catalog.has(entry.file)) {
+				catalog.set(entry.file, {
+					path: path.join(localeRoot, locale, `${entry.file}.json`),
+					data: {},
+					source: "",
+				});
+			}
+			const file = catalog.get(entry.file);
+			if (getKey(file.data, entry.key) === entry.target) continue;
+
+			setKey(file.data, sourceFile.data, entry.key, entry.target);
+			changed.add(file);
+			updated++;
+		}
+	}
+
+	for (const file of changed) writeLocaleFile(file);
+	for (const warning of warnings) console.log(`! ${warning}`);
+	for (const file of changed) console.log(`✓ ${rel(file.path)}`);
+	console.log(
+		`\n${updated} translation(s) imported into ${changed.size} file(s), ${warnings.length} warning(s)`,
+	);
+
+	if (errors > 0 && updated === 0) process.exitCode = 1;
+}
+
+async function main() {
+	const load = (file) => import(pathToFileURL(path.join(repoRoot, file)).href);
+	const [i18n, locales] = await Promise.all([
+		load("common/services/i18n.js"),
+		load("common/presets/locales.js"),
+	]);
+
+	if (command === "export") {
+		exportTranslations(locales, i18n.UNTRANSLATED_PREFIX);
+	} else if (command === "import") {
+		importTranslations(locales);
+	} else {
+		fail(command ? `Unknown command: ${command}` : "Missing command");
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(2);
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Development hot reload for translations.
+ * Watches shared/content/_locale/ and pushes every saved file to open pages over
+ * Server-Sent Events; common/tools/dev-tools.js re-translates the page in place,
+ * so open dialogs and half-filled forms survive a copy edit.
+ *
+ * Run it next to the static server:
+ *   npm run dev          # http://localhost:8000
+ *   npm run dev:i18n     # http://localhost:35729/events
+ *
+ * Usage:
+ *   node bin/locale-dev-server.cjs [--port 35729]
+ *
+ * Events:
+ *   locale  { locale: 'es', file: 'about', translations: {...} }
+ *   invalid { locale: 'es', file: 'about', message: 'Unexpected token...' }
+ */
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const localeRoot = path.resolve(__dirname, "../shared/content/_locale");
+
+const args = process.argv.slice(2);
+
+function getArg(name, fallback) {
+	const index = args.indexOf(`--${name}`);
+	if (index === -1) return fallback;
+	const value = args[index + 1];
+	return value && !value.startsWith("--") ? value : fallback;
+}
+
+const port = Number(getArg("port", process.env.LOCALE_RELOAD_PORT || 35729));
+
+// Editors often write a file several times per save
+const DEBOUNCE_MS = 100;
+
+/** @type {Set<http.ServerResponse>} */
+const clients = new Set();
+const pending = new Map();
+
+function broadcast(event, data) {
+	const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+	for (const res of clients) res.write(message);
+}
+
+/**
+ * Read a changed locale file and push it to every page
+ * @param {string} relative - Path inside _locale ('es/about.json')
+ */
+function publish(relative) {
+	const [locale, name] = relative.split(path.sep);
+	if (!name?.endsWith(".json")) return;
+	const file = name.slice(0, -".json".length);
+
+	let source;
+	try {
+		source = fs.readFileSync(path.join(localeRoot, relative), "utf8");
+	} catch {
+		return; // Deleted or renamed away
+	}
+
+	try {
+		const translations = JSON.parse(source);
+		broadcast("locale", { locale, file, translations });
+		console.log(`↻ ${locale}/${file}.json → ${clients.size} page(s)`);
+	} catch (error) {
+		// Mid-edit saves are often invalid; keep the last good version on the page
+		broadcast("invalid", { locale, file, message: error.message });
+		console.warn(`✗ ${locale}/${file}.json: ${error.message}`);
+	}
+}
+
+fs.watch(localeRoot, { recursive: true }, (_type, relative) => {
+	if (!relative) return;
+	clearTimeout(pending.get(relative));
+	pending.set(
+		relative,
+		setTimeout(() => {
+			pending.delete(relative);
+			publish(relative);
+		}, DEBOUNCE_MS),
+	);
+});
+
+const server = http.createServer((req, res) => {
+	if (req.method !== "GET" || !req.url.startsWith("/events")) {
+		res.writeHead(404, { "Access-Control-Allow-Origin": "*" });
+		res.end();
+		return;
+	}
+
+	res.writeHead(200, {
+		"Access-Control-Allow-Origin": "*",
+		"Cache-Control": "no-cache",
+		Connection: "keep-alive",
+		"Content-Type": "text/event-stream",
+	});
+	res.write("retry: 2000\n\n");
+	clients.add(res);
+	req.on("close", () => clients.delete(res));
+});
+
+// Comment lines keep idle connections from being closed by proxies
+setInterval(() => {
+	for (const res of clients) res.write(": ping\n\n");
+}, 30000).unref();
+
+server.listen(port, () => {
+	console.log(
+		`Locale hot reload on http://localhost:${port}/events (watching ${path.relative(process.cwd(), localeRoot) || "."})`,
+	);
+});
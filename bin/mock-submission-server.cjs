@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for form submission backends.
+ * Accepts POST requests (JSON or multipart) from the webhook submission adapter, logs them and
+ * replies with JSON so staging can exercise forms without a real CRM.
+ *
+ * Usage:
+ *   node bin/mock-submission-server.cjs [--port 8787] [--fail] [--delay 500]
+ *
+ * Then point a form at it:
+ *   <lc-contact-dialog adapter="webhook" endpoint="http://localhost:8787/submit">
+ */
+const http = require("node:http");
+
+const args = process.argv.slice(2);
+
+function getArg(name, fallback) {
+	const index = args.indexOf(`--${name}`);
+	if (index === -1) return fallback;
+	const value = args[index + 1];
+	return value && !value.startsWith("--") ? value : true;
+}
+
+const port = Number(getArg("port", process.env.PORT || 8787));
+const shouldFail = getArg("fail", false) === true;
+const delay = Number(getArg("delay", 0));
+
+const submissions = [];
+
+function send(res, status, body) {
+	res.writeHead(status, {
+		"Access-Control-Allow-Origin": "*",
+		"Access-Control-Allow-Headers": "Content-Type",
+		"Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+		"Content-Type": "application/json",
+	});
+	res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+	if (req.method === "OPTIONS") return send(res, 204);
+
+	// List everything received so far (handy when checking staging runs)
+	if (req.method === "GET") return send(res, 200, { submissions });
+
+	if (req.method !== "POST") {
+		return send(res, 405, { message: "Method not allowed" });
+	}
+
+	let raw = "";
+	req.on("data", (chunk) => {
+		raw += chunk;
+	});
+	req.on("end", () => {
+		let payload;
+		const contentType = req.headers["content-type"] || "";
+		if (contentType.startsWith("multipart/form-data")) {
+			// File uploads: record the size rather than echoing binary data
+			payload = { multipart: true, bytes: Buffer.byteLength(raw) };
+		} else {
+			try {
+				payload = raw ? JSON.parse(raw) : {};
+			} catch {
+				return send(res, 400, { message: "Invalid JSON body" });
+			}
+		}
+
+		const entry = {
+			id: submissions.length + 1,
+			receivedAt: new Date().toISOString(),
+			path: req.url,
+			payload,
+		};
+		submissions.push(entry);
+		console.log(`[${entry.receivedAt}] ${req.method} ${req.url}`);
+		console.log(JSON.stringify(payload, null, 2));
+
+		setTimeout(() => {
+			if (shouldFail) {
+				return send(res, 500, { message: "Mock server configured to fail" });
+			}
+			send(res, 200, {
+				id: entry.id,
+				inlineMessage: "Thank you for your request! We will contact you soon.",
+			});
+		}, delay);
+	});
+});
+
+server.listen(port, () => {
+	console.log(`Mock submission server listening on http://localhost:${port}`);
+	if (shouldFail) console.log("All submissions will fail with HTTP 500");
+});
@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+/**
+ * Pre-renders translations into static, per-language HTML.
+ * Reads shared/content/_locale/{lang}/*.json, resolves each page's translation
+ * file with the same routes the runtime uses (common/presets/routes.js) and
+ * writes fully translated pages, so text is in the HTML before any script runs.
+ *
+ * Output (default dist/):
+ *   dist/index.html, dist/pages/...        default language (en)
+ *   dist/es/index.html, dist/es/pages/...  every other language
+ * Static assets (common/, shared/, icons, manifest) are copied alongside.
+ *
+ * Each page embeds its translations in <script id="lc-i18n-data">, so the runtime
+ * i18n only fetches locale files when the visitor switches language.
+ *
+ * <html> gets the locale's lang and dir (common/presets/locales.js) and
+ * data-prerendered, and each language gets its own manifest.json (lang, dir,
+ * start_url) next to its pages.
+ * Every page's canonical and og:url point to its own output URL (/es/pages/about/),
+ * it lists its language versions in <link rel="alternate" hreflang>, and
+ * dist/sitemap.xml uses the same URLs (bin/generate-sitemap.cjs).
+ *
+ * Usage:
+ *   node bin/prerender-i18n.cjs [--out dist] [--lang es]
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+const {
+	getAlternates,
+	localizedUrl,
+	renderSitemap,
+	SITE_URL,
+} = require("./generate-sitemap.cjs");
+
+const repoRoot = path.resolve(__dirname, "..");
+const localeRoot = path.join(repoRoot, "shared/content/_locale");
+
+const args = process.argv.slice(2);
+
+function getArg(name, fallback) {
+	const index = args.indexOf(`--${name}`);
+	if (index === -1) return fallback;
+	const value = args[index + 1];
+	return value && !value.startsWith("--") ? value : fallback;
+}
+
+const outDir = path.resolve(repoRoot, getArg("out", "dist"));
+
+// Copied as-is next to the rendered pages
+const STATIC_DIRS = ["common", "shared", "pages"];
+const STATIC_FILE = /\.(ico|png|svg|txt|xml|json|webmanifest)$/;
+const SKIP_FILES = new Set([
+	"package.json",
+	"package-lock.json",
+	"tsconfig.json",
+	"biome.json",
+]);
+
+// Attributes holding asset URLs that must be re-based for /{lang}/ pages
+const URL_ATTRIBUTES = new Set(["src", "href", "poster"]);
+const VOID_ELEMENTS = new Set([
+	"area",
+	"base",
+	"br",
+	"col",
+	"embed",
+	"hr",
+	"img",
+	"input",
+	"link",
+	"meta",
+	"source",
+	"track",
+	"wbr",
+]);
+
+/**
+ * Import the runtime i18n module, locale registry and translation routes
+ * @returns {Promise<Object>} Constants and functions exported by common/services/i18n.js,
+ * common/presets/locales.js and common/presets/routes.js
+ */
+async function loadRuntime() {
+	const load = (file) => import(pathToFileURL(path.join(repoRoot, file)).href);
+	const [i18n, locales, routes] = await Promise.all([
+		load("common/services/i18n.js"),
+		load("common/presets/locales.js"),
+		load("common/presets/routes.js"),
+	]);
+	return {
+		...i18n,
+		getDirection: locales.getDirection,
+		getFallbackChain: locales.getFallbackChain,
+		matchRoute: routes.matchRoute,
+		mountPageFile: routes.mountPageFile,
+	};
+}
+
+function walkHTML(dir, out = []) {
+	for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) walkHTML(full, out);
+		else if (entry.name.endsWith(".html")) out.push(full);
+	}
+	return out;
+}
+
+function readLocale(lang, file) {
+	const fullPath = path.join(localeRoot, lang, `${file}.json`);
+	if (!fs.existsSync(fullPath)) return null;
+	return JSON.parse(fs.readFileSync(fullPath, "utf8"));
+}
+
+function escapeText(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+function escapeAttribute(value) {
+	return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+function parseAttributes(source) {
+	const attributes = new Map();
+	const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+	for (const match of source.matchAll(pattern)) {
+		attributes.set(match[1], match[2] ?? match[3] ?? match[4] ?? "");
+	}
+	return attributes;
+}
+
+/**
+ * Parse a data-i18n-params attribute value
+ * @param {string} [value] - Raw attribute value (JSON, possibly entity-encoded)
+ * @returns {Object} ICU parameters
+ */
+function parseParams(value) {
+	if (!value) return {};
+	try {
+		return JSON.parse(value.replace(/&quot;/g, '"').replace(/&amp;/g, "&"));
+	} catch {
+		console.warn(`  Invalid data-i18n-params: ${value}`);
+		return {};
+	}
+}
+
+function setAttribute(tag, name, value) {
+	const escaped = escapeAttribute(value);
+	const pattern = new RegExp(
+		`(\\s${name}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s"'>]+)`,
+	);
+	if (pattern.test(tag)) {
+		return tag.replace(pattern, (_match, prefix) => `${prefix}"${escaped}"`);
+	}
+	return tag.replace(
+		/\s*(\/?)>$/,
+		(_match, slash) => ` ${name}="${escaped}"${slash ? " /" : ""}>`,
+	);
+}
+
+/**
+ * Find the end of an element's content (start of its matching closing tag)
+ * @param {string} html - Document
+ * @param {string} name - Tag name
+ * @param {number} from - Index just after the opening tag
+ * @returns {number} Index of the closing tag, or -1
+ */
+function findClosingTag(html, name, from) {
+	const pattern = new RegExp(`<(/?)${name}\\b[^>]*>`, "gi");
+	pattern.lastIndex = from;
+	let depth = 1;
+	for (let match = pattern.exec(html); match; match = pattern.exec(html)) {
+		depth += match[1] ? -1 : 1;
+		if (depth === 0) return match.index;
+	}
+	return -1;
+}
+
+/**
+ * List opening tags outside <script> and <style> blocks
+ * @param {string} html - Document
+ * @returns {Array<{name: string, start: number, end: number, attributes: Map}>}
+ */
+function findTags(html) {
+	const tags = [];
+	const pattern = /<([a-zA-Z][\w-]*)(\s[^>]*)?>/g;
+	for (let match = pattern.exec(html); match; match = pattern.exec(html)) {
+		const name = match[1].toLowerCase();
+		tags.push({
+			name,
+			start: match.index,
+			end: match.index + match[0].length,
+			attributes: parseAttributes(match[2] || ""),
+		});
+
+		// Skip raw text content
+		if (name === "script" || name === "style") {
+			const close = html.toLowerCase().indexOf(`</${name}`, pattern.lastIndex);
+			if (close !== -1) pattern.lastIndex = close;
+		}
+	}
+	return tags;
+}
+
+/**
+ * Render a translation value the way applyTranslations() does
+ * @param {Object} runtime - i18n helpers
+ * @param {string} tagName - Element name
+ * @param {string|string[]} translation - Value
+ * @returns {string} HTML
+ */
+function renderValue(runtime, tagName, translation) {
+	if (Array.isArray(translation)) {
+		if (tagName === "ul") {
+			return translation
+				.map((item) => `<li>${runtime.sanitizeHTML(item)}</li>`)
+				.join("");
+		}
+		return translation.map((item) => runtime.sanitizeHTML(item)).join("<br>");
+	}
+	const text = String(translation);
+	return text.includes("<") ? runtime.sanitizeHTML(text) : escapeText(text);
+}
+
+/**
+ * Prefix relative asset URLs so pages one directory deeper (/{lang}/) still resolve them
+ * Links to other pages stay relative so visitors remain in the same language
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function rebaseUrl(value) {
+	if (!value || /^([a-z][a-z0-9+.-]*:|\/|#|\?|\{|\$)/i.test(value))
+		return value;
+	const pathname = value.split(/[?#]/)[0];
+	if (pathname === "" || pathname.endsWith("/") || pathname.endsWith(".html")) {
+		return value;
+	}
+	return `../${value.replace(/^\.\//, "")}`;
+}
+
+/**
+ * Render one page in one language
+ * @param {Object} runtime - i18n helpers
+ * @param {string} html - Source HTML
+ * @param {string} sitePath - Path from the site root (e.g. '/pages/about/index.html')
+ * @param {string} lang - Language code
+ * @returns {{html: string, missing: string[]}}
+ */
+function renderPage(runtime, html, sitePath, lang) {
+	const route = runtime.matchRoute(sitePath);
+	const file = route.file;
+	// Same fallback chain as the runtime (es-MX → es → en)
+	const translations = runtime.mergeTranslations(
+		runtime.getFallbackChain(lang).map((locale) => ({
+			...(readLocale(locale, "common") || {}),
+			...runtime.mountPageFile(route, readLocale(locale, file) || {}),
+		})),
+	);
+	const isDefault = lang === runtime.DEFAULT_LANGUAGE;
+	const missing = [];
+	// Site path of the page (/pages/about/index.html → /pages/about/)
+	const pagePath = sitePath.replace(/index\.html$/, "");
+	const urlOptions = {
+		siteUrl: SITE_URL,
+		defaultLanguage: runtime.DEFAULT_LANGUAGE,
+	};
+	// Canonical URL of this output page, the same one sitemap.xml lists
+	const pageUrl = localizedUrl(pagePath, lang, urlOptions);
+
+	// Work from the end so earlier offsets stay valid
+	const tags = findTags(html).reverse();
+	for (const tag of tags) {
+		let opening = html.slice(tag.start, tag.end);
+		let content = null;
+		const params = parseParams(tag.attributes.get("data-i18n-params"));
+
+		const key = tag.attributes.get("data-i18n");
+		if (key) {
+			const translation = runtime.formatTranslation(
+				runtime.getNestedTranslation(translations, key),
+				params,
+				lang,
+			);
+			if (translation) {
+				content = renderValue(runtime, tag.name, translation);
+			} else {
+				missing.push(key);
+			}
+		}
+
+		const attrData = tag.attributes.get("data-i18n-attr");
+		if (attrData) {
+			for (const pair of attrData.split("|")) {
+				const [attr, attrKey] = pair.split(":");
+				if (!attr || !attrKey) {
+					missing.push(`${pair} (data-i18n-attr needs attribute:key)`);
+					continue;
+				}
+				const translation = runtime.formatTranslation(
+					runtime.getNestedTranslation(translations, attrKey),
+					params,
+					lang,
+				);
+				if (translation) {
+					opening = setAttribute(opening, attr, translation);
+				} else {
+					missing.push(attrKey);
+				}
+			}
+		}
+
+		if (tag.name === "html") {
+			opening = setAttribute(opening, "lang", lang);
+			opening = setAttribute(opening, "dir", runtime.getDirection(lang));
+			// Tells core/bootstrap-init.js to keep the language of the URL
+			opening = setAttribute(opening, "data-prerendered", "");
+		}
+
+		const rel = tag.attributes.get("rel");
+		const property = tag.attributes.get("property") || "";
+		if (tag.name === "link" && rel === "canonical") {
+			opening = setAttribute(opening, "href", pageUrl);
+		} else if (tag.name === "meta" && /^(og|twitter):url$/.test(property)) {
+			opening = setAttribute(opening, "content", pageUrl);
+		}
+
+		if (!isDefault) {
+			for (const [name, value] of parseAttributes(
+				opening.slice(tag.name.length + 1, -1),
+			)) {
+				if (URL_ATTRIBUTES.has(name) && rebaseUrl(value) !== value) {
+					opening = setAttribute(opening, name, rebaseUrl(value));
+				}
+			}
+
+			if (tag.name === "link" && rel === "manifest") {
+				// Relative hrefs already reach /{lang}/manifest.json from /{lang}/ pages
+				const href = tag.attributes.get("href");
+				opening = setAttribute(
+					opening,
+					"href",
+					href.startsWith("/") ? `/${lang}${href}` : href,
+				);
+			}
+		}
+
+		if (content !== null && !VOID_ELEMENTS.has(tag.name)) {
+			const close = findClosingTag(html, tag.name, tag.end);
+			if (close !== -1) {
+				html = html.slice(0, tag.start) + opening + content + html.slice(close);
+				continue;
+			}
+		}
+		html = html.slice(0, tag.start) + opening + html.slice(tag.end);
+	}
+
+	// Detail pages: translated title, description and social meta
+	const detailKey = route.meta;
+	const meta = detailKey ? runtime.getPageMeta(translations, detailKey) : null;
+	if (meta?.title) {
+		html = html.replace(
+			/<title>[^<]*<\/title>/,
+			`<title>${escapeText(meta.title)}</title>`,
+		);
+	}
+	for (const [field, selectors] of Object.entries(
+		meta ? runtime.META_SELECTORS : {},
+	)) {
+		if (!meta[field]) continue;
+		for (const selector of selectors) {
+			const [, attr, value] = selector.match(/\[(\w+)="([^"]+)"\]/);
+			const pattern = new RegExp(`<meta\\b[^>]*\\b${attr}="${value}"[^>]*>`);
+			html = html.replace(pattern, (tag) =>
+				setAttribute(tag, "content", meta[field]),
+			);
+		}
+	}
+
+	// Language versions of this page
+	const alternates = getAlternates(
+		pagePath,
+		runtime.SUPPORTED_LANGUAGES,
+		urlOptions,
+	)
+		.map(
+			({ hreflang, href }) =>
+				`<link rel="alternate" hreflang="${hreflang}" href="${escapeAttribute(href)}" />\n  `,
+		)
+		.join("");
+	html = html.replace(/<\/head>/i, `${alternates}</head>`);
+
+	// Embed the translations for the runtime; "<" is escaped so the JSON can't close the script
+	const data = JSON.stringify({ lang, file, translations }).replace(
+		/</g,
+		"\\u003c",
+	);
+	html = html.replace(
+		/<\/head>/i,
+		`  <script type="application/json" id="${runtime.PRERENDERED_DATA_ID}">${data}</script>\n  </head>`,
+	);
+
+	return { html, missing };
+}
+
+function copyStatic() {
+	fs.rmSync(outDir, { recursive: true, force: true });
+	fs.mkdirSync(outDir, { recursive: true });
+
+	for (const dir of STATIC_DIRS) {
+		fs.cpSync(path.join(repoRoot, dir), path.join(outDir, dir), {
+			recursive: true,
+		});
+	}
+	for (const entry of fs.readdirSync(repoRoot, { withFileTypes: true })) {
+		if (
+			entry.isFile() &&
+			STATIC_FILE.test(entry.name) &&
+			!SKIP_FILES.has(entry.name)
+		) {
+			fs.copyFileSync(
+				path.join(repoRoot, entry.name),
+				path.join(outDir, entry.name),
+			);
+		}
+	}
+}
+
+/**
+ * Write manifest.json for each language with its lang, dir and start URL
+ * @param {Object} runtime - i18n helpers
+ * @param {string[]} languages - Language codes
+ */
+function writeManifests(runtime, languages) {
+	const source = path.join(repoRoot, "manifest.json");
+	if (!fs.existsSync(source)) return;
+	const manifest = JSON.parse(fs.readFileSync(source, "utf8"));
+
+	for (const lang of languages) {
+		const isDefault = lang === runtime.DEFAULT_LANGUAGE;
+		const localize = (url) => (isDefault ? url : `/${lang}${url}`);
+		const localized = {
+			...manifest,
+			dir: runtime.getDirection(lang),
+			lang: isDefault ? manifest.lang : lang,
+			// Same app identity in every language
+			id: manifest.id ?? manifest.start_url,
+			start_url: localize(manifest.start_url),
+			shortcuts: manifest.shortcuts?.map((shortcut) => ({
+				...shortcut,
+				url: localize(shortcut.url),
+			})),
+		};
+
+		const target = path.join(outDir, isDefault ? "" : lang, "manifest.json");
+		fs.mkdirSync(path.dirname(target), { recursive: true });
+		fs.writeFileSync(target, `${JSON.stringify(localized, null, 2)}\n`);
+	}
+}
+
+async function main() {
+	const runtime = await loadRuntime();
+	const only = getArg("lang", null);
+	const languages = runtime.SUPPORTED_LANGUAGES.filter(
+		(lang) => !only || lang === only,
+	);
+
+	if (languages.length === 0) {
+		console.error(`Unknown language: ${only}`);
+		process.exit(1);
+	}
+
+	copyStatic();
+	writeManifests(runtime, languages);
+	fs.writeFileSync(
+		path.join(outDir, "sitemap.xml"),
+		renderSitemap({
+			languages,
+			defaultLanguage: runtime.DEFAULT_LANGUAGE,
+		}),
+	);
+
+	const sources = [
+		path.join(repoRoot, "index.html"),
+		...walkHTML(path.join(repoRoot, "pages")),
+	];
+
+	let pages = 0;
+	let missingCount = 0;
+	for (const lang of languages) {
+		const prefix = lang === runtime.DEFAULT_LANGUAGE ? "" : lang;
+
+		for (const source of sources) {
+			const relative = path.relative(repoRoot, source);
+			const sitePath = `/${relative.split(path.sep).join("/")}`;
+			const { html, missing } = renderPage(
+				runtime,
+				fs.readFileSync(source, "utf8"),
+				sitePath,
+				lang,
+			);
+
+			const target = path.join(outDir, prefix, relative);
+			fs.mkdirSync(path.dirname(target), { recursive: true });
+			fs.writeFileSync(target, html);
+			pages++;
+
+			if (missing.length > 0) {
+				missingCount += missing.length;
+				console.warn(
+					`  ${lang}/${relative}: ${missing.length} missing key(s): ${[...new Set(missing)].slice(0, 5).join(", ")}`,
+				);
+			}
+		}
+		console.log(`✓ ${lang}: ${sources.length} pages`);
+	}
+
+	console.log(
+		`\nPre-rendered ${pages} pages into ${path.relative(repoRoot, outDir) || "."}/` +
+			(missingCount
+				? ` (${missingCount} untranslated keys left for runtime)`
+				: ""),
+	);
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
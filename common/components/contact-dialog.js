@@ -10,49 +10,70 @@
  * - Keyboard navigation
  * - Focus trap
  * - Escape to close
+ * - Preferred call-back date and time windows (<lc-date-picker>, <lc-time-slot-picker>)
  *
  * Usage:
  * <lc-contact-dialog></lc-contact-dialog>
+ * <lc-contact-dialog adapter="webhook" endpoint="https://example.com/leads"></lc-contact-dialog>
+ *
+ * Attributes:
+ * - adapter: Submission adapter ('hubspot', 'webhook', 'mailto', 'mock')
+ * - endpoint: Webhook URL (webhook adapter)
+ * - portal-id / form-guid: HubSpot form identifiers (hubspot adapter)
+ * - recipient: Email address (mailto adapter)
+ * Falls back to the page-level config in #lc-submission-config when omitted.
  *
  * API:
  * dialog.open() - Opens the dialog
  * dialog.close() - Closes the dialog
  */
 
+import '@/components/lc-form.js';
+import { notify } from '@/components/lc-toast.js';
+import { adoptSharedStyles } from '@/core/shadow-styles.js';
+import { tokenVar } from '@/presets/tokens.js';
+import { queueSubmission } from '@/services/outbox.js';
+import {
+	isRetryableError,
+	resolveSubmissionConfig,
+	submitForm,
+} from '@/services/submission.js';
+
 class ContactDialog extends HTMLElement {
 	constructor() {
 		super();
 		this.attachShadow({ mode: 'open' });
+		// style.css holds the date and time slot picker rules
+		adoptSharedStyles(this.shadowRoot, { global: true });
 		this._isOpen = false;
 	}
 
 	connectedCallback() {
 		this.render();
 		this.setupEventListeners();
+		this.setupOutboxListener();
+	}
+
+	disconnectedCallback() {
+		window.removeEventListener('lc-outbox-change', this.handleOutboxChange);
 	}
 
 	render() {
 		this.shadowRoot.innerHTML = `
 			<style>
+				/* Site tokens inherit from <html>, so every theme applies as is */
 				:host {
 					--dialog-max-width: 600px;
 					--dialog-padding: 2rem;
 					--dialog-border-radius: 0.5rem;
 					--overlay-bg: rgba(0, 0, 0, 0.6);
-					--dialog-bg: var(--background-color, #ffffff);
-					--dialog-text: var(--text-color, #333333);
-					--input-border: var(--border-color, #cccccc);
-					--input-focus: var(--primary-color, #007bff);
-					--error-color: #d32f2f;
-					--button-primary-bg: var(--primary-color, #007bff);
-					--button-primary-text: #ffffff;
-				}
-
-				/* Support for dark mode */
-				:host([data-theme="dark"]) {
-					--dialog-bg: #1e1e1e;
-					--dialog-text: #e0e0e0;
-					--input-border: #555555;
+					--dialog-bg: ${tokenVar("bg-tertiary")};
+					--dialog-text: ${tokenVar("text-primary")};
+					--input-border: ${tokenVar("text-muted")};
+					--input-focus: ${tokenVar("accent-primary")};
+					--error-color: ${tokenVar("color-error")};
+					--button-primary-bg: ${tokenVar("accent-primary")};
+					--button-primary-text: ${tokenVar("text-on-accent")};
 				}
 
 				/* Overlay */
@@ -158,10 +179,12 @@ class ContactDialog extends HTMLElement {
 					gap: 1.5rem;
 				}
 
-				.form-group {
+				/* Outranks the site-wide .form-group margin from style.css */
+				.form .form-group {
 					display: flex;
 					flex-direction: column;
 					gap: 0.5rem;
+					margin-bottom: 0;
 				}
 
 				.label {
@@ -414,6 +437,32 @@ class ContactDialog extends HTMLElement {
 						</span>
 					</div>
 
+					<!-- Preferred call-back date -->
+					<div class="form-group">
+						<lc-date-picker
+							name="preferred-date"
+							min="today"
+							disabled-weekdays="0"
+						>
+							<span slot="label" data-i18n="contactDialog.preferredDate">Preferred call-back date</span>
+						</lc-date-picker>
+					</div>
+
+					<!-- Preferred call-back windows -->
+					<div class="form-group">
+						<lc-time-slot-picker
+							name="preferred-time"
+							start="09:00"
+							end="17:00"
+							interval="120"
+							date-field="preferred-date"
+							multiple
+						>
+							<span slot="label" data-i18n="contactDialog.preferredTime">Preferred call-back times</span>
+							<span slot="help" data-i18n="contactDialog.preferredTimeHelp">Choose any windows that suit you</span>
+						</lc-time-slot-picker>
+					</div>
+
 					<!-- Service Interest -->
 					<div class="form-group">
 						<label for="contact-service" class="label">
@@ -559,70 +608,27 @@ class ContactDialog extends HTMLElement {
 	}
 
 	/**
-	 * Get HubSpot tracking cookie (hutk)
-	 * This connects the form submission to visitor browsing behavior
+	 * Identifier used for submissions stored in the outbox
 	 */
-	getHubSpotCookie() {
-		const value = `; ${document.cookie}`;
-		const parts = value.split('; hubspotutk=');
-		if (parts.length === 2) {
-			return parts.pop().split(';').shift();
-		}
-		return null;
+	get formId() {
+		return this.id || this.localName;
 	}
 
 	/**
-	 * Submit form to HubSpot Forms API
-	 * Uses the Forms API (not CRM API) for secure frontend submission
+	 * Let the visitor know when a request saved while offline has been delivered
 	 */
-	async submitToHubSpot(formData) {
-		// TODO: Replace with your actual Portal ID and Form GUID
-		const PORTAL_ID = 'YOUR-PORTAL-ID';
-		const FORM_GUID = 'YOUR-FORM-GUID';
-
-		const url = `https://api.hsforms.com/submissions/v3/integration/submit/${PORTAL_ID}/${FORM_GUID}`;
-
-		// Build HubSpot fields array
-		const fields = [];
-		for (const [name, value] of formData.entries()) {
-			fields.push({
-				objectTypeId: "0-1", // 0-1 indicates contact properties
-				name: name,
-				value: value
-			});
-		}
-
-		// Build submission payload
-		const payload = {
-			submittedAt: Date.now(),
-			fields: fields,
-			context: {
-				hutk: this.getHubSpotCookie(), // Critical for visitor tracking
-				pageUri: window.location.href,
-				pageName: document.title
+	setupOutboxListener() {
+		this.handleOutboxChange = (e) => {
+			const { type, entry } = e.detail;
+			if (type === 'sent' && entry.formId === this.formId) {
+				notify({
+					type: 'success',
+					messageKey: 'contactDialog.sentMessage',
+					message: 'Your saved consultation request has now been sent. We will contact you soon.',
+				});
 			}
 		};
-
-		try {
-			const response = await fetch(url, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/json'
-				},
-				body: JSON.stringify(payload)
-			});
-
-			if (!response.ok) {
-				const errorData = await response.json();
-				throw new Error(errorData.message || `HTTP ${response.status}`);
-			}
-
-			const data = await response.json();
-			return { success: true, data };
-		} catch (error) {
-			console.error('HubSpot submission error:', error);
-			return { success: false, error };
-		}
+		window.addEventListener('lc-outbox-change', this.handleOutboxChange);
 	}
 
 	async handleSubmit(event) {
@@ -648,33 +654,68 @@ class ContactDialog extends HTMLElement {
 		// Collect form data
 		const formData = new FormData(form);
 
-		// Submit to HubSpot
-		const result = await this.submitToHubSpot(formData);
+		// Submit through the configured adapter
+		const config = resolveSubmissionConfig(this);
+		const result = await submitForm(formData, config);
+
+		// Re-enable submit button
+		submitButton.disabled = false;
+		submitButton.textContent = originalText;
 
 		if (result.success) {
 			// Close dialog
 			this.close();
 
 			// Handle redirect or show inline message
-			if (result.data.redirectUri) {
+			if (result.data?.redirectUri) {
 				window.location.href = result.data.redirectUri;
 			} else {
-				// Show success message (use inline message from HubSpot if available)
-				const message = result.data.inlineMessage || 'Thank you for your request! We will contact you soon.';
-				// TODO: Replace alert with proper toast/notification component
-				alert(message);
+				// Show success message (use inline message from the adapter if available)
+				notify({
+					type: 'success',
+					messageKey: result.data?.inlineMessage ? undefined : 'contactDialog.successMessage',
+					message: result.data?.inlineMessage || 'Thank you for your request! We will contact you soon.',
+				});
 			}
-		} else {
-			// Show error message
-			// TODO: Replace alert with proper toast/notification component
-			alert('There was an error submitting your request. Please try again or contact us directly.');
+		} else if (isRetryableError(result.error)) {
+			// Connection problem: keep the request in the outbox and retry automatically
+			try {
+				await queueSubmission(formData, config, { formId: this.formId });
+			} catch (error) {
+				// Storage failed (e.g. IndexedDB quota); the visitor can send it again
+				console.error('Could not save the request for later:', error);
+				this.notifyError(form);
+				return;
+			}
+			this.close();
 
-			// Re-enable submit button
-			submitButton.disabled = false;
-			submitButton.textContent = originalText;
+			notify({
+				type: 'warning',
+				messageKey: 'contactDialog.queuedMessage',
+				message: 'You appear to be offline. Your request has been saved and will be sent automatically when your connection returns.',
+			});
+		} else {
+			this.notifyError(form);
 		}
 	}
 
+	/**
+	 * Show the error toast, letting the visitor retry without re-opening the dialog
+	 * @param {HTMLFormElement} form - Dialog form
+	 */
+	notifyError(form) {
+		notify({
+			type: 'error',
+			messageKey: 'contactDialog.errorMessage',
+			message: 'There was an error submitting your request. Please try again or contact us directly.',
+			action: {
+				label: 'Retry',
+				labelKey: 'toast.retry',
+				onClick: () => form.requestSubmit(),
+			},
+		});
+	}
+
 	open() {
 		if (this._isOpen) return;
 
@@ -0,0 +1,205 @@
+// @ts-nocheck
+/**
+ * Legacy Concierge Reading Preferences Component
+ * Disclosure panel for text size, text spacing, reduced motion, link
+ * underlines and a dyslexia-friendly font
+ *
+ * Every control applies at once through LCPreferences
+ * (common/services/preferences.js), which stores the choice and fires
+ * `lc-preferences-change` on document ({ name, value, preferences }).
+ *
+ * Keyboard:
+ * - Enter / Space on the button: open or close the panel
+ * - Escape: close and return focus to the button, Tab out: close
+ *
+ * @example
+ * <lc-a11y-preferences></lc-a11y-preferences>
+ */
+
+import { t } from "../services/i18n.js";
+
+/**
+ * On/off preferences, in panel order
+ * @constant {string[]}
+ */
+const TOGGLES = [
+	"textSpacing",
+	"reduceMotion",
+	"underlineLinks",
+	"dyslexiaFont",
+];
+
+let instanceCount = 0;
+
+class LCA11yPreferences extends HTMLElement {
+	constructor() {
+		super();
+		this.button = null;
+		this.panel = null;
+		this.handleChange = () => this.update();
+		this.handleOutsideClick = (event) => {
+			if (!this.contains(event.target)) this.close(false);
+		};
+	}
+
+	/**
+	 * Called when element is inserted into DOM
+	 */
+	connectedCallback() {
+		if (!this.button) this.render();
+		this.update();
+
+		document.addEventListener("lc-preferences-change", this.handleChange);
+		document.addEventListener("lc-translations-applied", this.handleChange);
+		document.addEventListener("click", this.handleOutsideClick);
+	}
+
+	/**
+	 * Called when element is removed from DOM
+	 */
+	disconnectedCallback() {
+		document.removeEventListener("lc-preferences-change", this.handleChange);
+		document.removeEventListener("lc-translations-applied", this.handleChange);
+		document.removeEventListener("click", this.handleOutsideClick);
+	}
+
+	/**
+	 * Render the toggle button and the panel
+	 */
+	render() {
+		const id = `lc-preferences-${++instanceCount}`;
+		const sizes = window.LCPreferences?.PREFERENCES.textSize.values ?? [100];
+
+		this.button = document.createElement("button");
+		this.button.type = "button";
+		this.button.className = "preferences-toggle";
+		this.button.setAttribute("aria-expanded", "false");
+		this.button.setAttribute("aria-controls", id);
+		this.button.innerHTML = `
+			<span class="preferences-icon" aria-hidden="true">Aa</span>
+			<span class="sr-only" data-label="label"></span>
+		`;
+
+		this.panel = document.createElement("div");
+		this.panel.id = id;
+		this.panel.className = "preferences-panel";
+		this.panel.setAttribute("role", "group");
+		this.panel.setAttribute("aria-labelledby", `${id}-title`);
+		this.panel.hidden = true;
+		this.panel.innerHTML = `
+			<p class="preferences-title" id="${id}-title" data-label="label"></p>
+			<fieldset class="preferences-sizes">
+				<legend data-label="textSize"></legend>
+				${sizes
+					.map(
+						(size) => `
+					<label>
+						<input type="radio" name="${id}-size" value="${size}" />
+						<span data-size="${size}"></span>
+					</label>`,
+					)
+					.join("")}
+			</fieldset>
+			${TOGGLES.map(
+				(name) => `
+				<label class="preferences-option">
+					<input type="checkbox" name="${name}" />
+					<span data-label="${name}"></span>
+				</label>`,
+			).join("")}
+			<button type="button" class="preferences-reset" data-label="reset"></button>
+		`;
+
+		this.append(this.button, this.panel);
+
+		this.button.addEventListener("click", () => {
+			if (this.isOpen()) {
+				this.close();
+			} else {
+				this.open();
+			}
+		});
+
+		this.panel.addEventListener("change", (event) => {
+			const input = event.target;
+			if (input.type === "radio") {
+				window.LCPreferences?.setPreference("textSize", Number(input.value));
+			} else {
+				window.LCPreferences?.setPreference(input.name, input.checked);
+			}
+		});
+		this.panel
+			.querySelector(".preferences-reset")
+			.addEventListener("click", () =>
+				window.LCPreferences?.resetPreferences(),
+			);
+
+		this.addEventListener("keydown", (event) => {
+			if (event.key === "Escape" && this.isOpen()) {
+				event.preventDefault();
+				this.close();
+			}
+		});
+		this.addEventListener("focusout", (event) => {
+			if (!this.contains(event.relatedTarget)) this.close(false);
+		});
+	}
+
+	/**
+	 * Reflect the saved preferences and the current language
+	 */
+	update() {
+		if (!this.button) return;
+		const preferences = window.LCPreferences?.getPreferences() ?? {};
+		const locale = document.documentElement.lang || "en";
+		const percent = new Intl.NumberFormat(locale, { style: "percent" });
+
+		for (const element of this.querySelectorAll("[data-label]")) {
+			element.textContent = t(`preferences.${element.dataset.label}`);
+		}
+		for (const element of this.panel.querySelectorAll("[data-size]")) {
+			element.textContent = percent.format(Number(element.dataset.size) / 100);
+		}
+
+		for (const input of this.panel.querySelectorAll("input[type=radio]")) {
+			input.checked = Number(input.value) === preferences.textSize;
+		}
+		for (const name of TOGGLES) {
+			this.panel.querySelector(`input[name="${name}"]`).checked = Boolean(
+				preferences[name],
+			);
+		}
+
+		this.button.title = t("preferences.label");
+	}
+
+	/**
+	 * @returns {boolean} Whether the panel is shown
+	 */
+	isOpen() {
+		return !this.panel.hidden;
+	}
+
+	/**
+	 * Show the panel and focus the selected text size
+	 */
+	open() {
+		this.panel.hidden = false;
+		this.button.setAttribute("aria-expanded", "true");
+		this.panel.querySelector("input[type=radio]:checked")?.focus();
+	}
+
+	/**
+	 * Hide the panel
+	 * @param {boolean} [restoreFocus=true] - Move focus back to the button
+	 */
+	close(restoreFocus = true) {
+		if (!this.panel || this.panel.hidden) return;
+		this.panel.hidden = true;
+		this.button.setAttribute("aria-expanded", "false");
+		if (restoreFocus) this.button.focus();
+	}
+}
+
+// Register the custom element
+customElements.define("lc-a11y-preferences", LCA11yPreferences);
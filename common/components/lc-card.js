@@ -6,35 +6,12 @@
 
 import { cloneTemplate } from "@/core/component-loader.js";
 import { getAttributeOr, getBooleanAttribute } from "@/core/helpers.js";
+import { adoptSharedStyles } from "@/core/shadow-styles.js";
 
 /**
  * Base Card Component
  */
 class LCCard extends HTMLElement {
-	/**
-	 * Get base path for resource loading (handles GitHub Pages deployment)
-	 * Uses the global BASE_PATH set by path-resolver-init.js
-	 */
-	getBasePath() {
-		// Use global BASE_PATH if available (set by path-resolver-init.js)
-		if (window.BASE_PATH !== undefined) {
-			return window.BASE_PATH ? `${window.BASE_PATH}/` : "/";
-		}
-
-		// Fallback: detect GitHub Pages base path
-		const path = window.location.pathname;
-		const pathParts = path.split("/").filter((p) => p);
-
-		if (
-			pathParts.length > 0 &&
-			pathParts[0] !== "pages" &&
-			!pathParts[0].includes(".html")
-		) {
-			return `/${pathParts[0]}/`;
-		}
-		return "/";
-	}
-
 	connectedCallback() {
 		// Don't reinitialize if already set up
 		if (this.shadowRoot) return;
@@ -51,12 +28,8 @@ class LCCard extends HTMLElement {
 		// Create shadow DOM
 		const shadow = this.attachShadow({ mode: "open" });
 
-		// Create a link element to import global styles (more reliable than @import in Shadow DOM)
-		const basePath = this.getBasePath();
-		const link = document.createElement("link");
-		link.rel = "stylesheet";
-		link.href = `${basePath}shared/theme/style.css`;
-		shadow.appendChild(link);
+		// Global styles and theme rules, shared by every card (core/shadow-styles.js)
+		adoptSharedStyles(shadow, { global: true });
 
 		// Add host styles
 		const style = document.createElement("style");
@@ -190,6 +163,7 @@ class LCCardGrid extends HTMLElement {
 
 		// Create shadow DOM
 		const shadow = this.attachShadow({ mode: "open" });
+		adoptSharedStyles(shadow);
 
 		// Get column and gap settings
 		const columns = getAttributeOr(this, "columns", "5rem");
@@ -256,30 +230,6 @@ class LCCardGrid extends HTMLElement {
  * Bento Grid Component (masonry-style with variable sizes)
  */
 class LCBentoGrid extends HTMLElement {
-	/**
-	 * Get base path for resource loading (handles GitHub Pages deployment)
-	 * Uses the global BASE_PATH set by path-resolver-init.js
-	 */
-	getBasePath() {
-		// Use global BASE_PATH if available (set by path-resolver-init.js)
-		if (window.BASE_PATH !== undefined) {
-			return window.BASE_PATH ? `${window.BASE_PATH}/` : "/";
-		}
-
-		// Fallback: detect GitHub Pages base path
-		const path = window.location.pathname;
-		const pathParts = path.split("/").filter((p) => p);
-
-		if (
-			pathParts.length > 0 &&
-			pathParts[0] !== "pages" &&
-			!pathParts[0].includes(".html")
-		) {
-			return `/${pathParts[0]}/`;
-		}
-		return "/";
-	}
-
 	connectedCallback() {
 		// Don't reinitialize if already set up
 		if (this.shadowRoot) return;
@@ -293,12 +243,8 @@ class LCBentoGrid extends HTMLElement {
 		// Create shadow DOM
 		const shadow = this.attachShadow({ mode: "open" });
 
-		// Create a link element to import global styles
-		const basePath = this.getBasePath();
-		const link = document.createElement("link");
-		link.rel = "stylesheet";
-		link.href = `${basePath}theme/style.css`;
-		shadow.appendChild(link);
+		// Global styles and theme rules, shared by every grid
+		adoptSharedStyles(shadow, { global: true });
 
 		// Add bento grid styles
 		const style = document.createElement("style");
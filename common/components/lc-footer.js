@@ -5,6 +5,7 @@
 
 import { cloneTemplate } from "../core/component-loader.js";
 import { getAttributeOr } from "../core/helpers.js";
+import { t } from "../services/i18n.js";
 
 class LCFooter extends HTMLElement {
 	/**
@@ -35,30 +36,27 @@ class LCFooter extends HTMLElement {
 			footer?.classList.add(`footer-${variant}`);
 		}
 
-		// Update copyright year dynamically
+		// Pass the current year to the copyright message
 		this.updateCopyrightYear();
 	}
 
 	/**
-	 * Update copyright year to current year
+	 * Provide the current year to the footer.copyright message ("© {year} ...")
+	 * through data-i18n-params, so it survives every re-translation
 	 */
 	updateCopyrightYear() {
 		const copyrightElement = this.querySelector(
 			'[data-i18n="footer.copyright"]',
 		);
-		if (copyrightElement) {
-			const currentYear = new Date().getFullYear();
-			// If translation hasn't loaded yet, set a default
-			if (!copyrightElement.textContent) {
-				copyrightElement.textContent = `© ${currentYear} Legacy Concierge. All Rights Reserved.`;
-			} else {
-				// Update year in existing text
-				copyrightElement.textContent = copyrightElement.textContent.replace(
-					/©\s*\d{4}/,
-					`© ${currentYear}`,
-				);
-			}
-		}
+		if (!copyrightElement) return;
+
+		const params = { year: new Date().getFullYear() };
+		copyrightElement.setAttribute("data-i18n-params", JSON.stringify(params));
+		copyrightElement.textContent = t(
+			"footer.copyright",
+			params,
+			copyrightElement.textContent.trim() || "© {year} Legacy Concierge",
+		);
 	}
 }
 
@@ -4,18 +4,83 @@
  * Provides accessible, validated form elements with Light DOM
  *
  * Components:
- * - <lc-form>: Form wrapper with validation
+ * - <lc-form>: Form wrapper with validation and optional submission (adapter attribute)
+ * - <lc-form-step>: Step of a multi-step (wizard) form
  * - <lc-input>: Enhanced input field
  * - <lc-textarea>: Textarea with character count
  * - <lc-select>: Select dropdown
  * - <lc-checkbox>: Checkbox with label
  * - <lc-radio-group>: Radio group wrapper
  * - <lc-radio>: Radio option
+ * - <lc-file-upload>: File picker with drag-and-drop, previews and limits
+ * - <lc-date-picker>: Calendar date picker (Intl month/weekday names)
+ * - <lc-time-slot-picker>: Preferred time-slot chooser
  * - <lc-submit-button>: Submit button with loading state
  */
 
-import { cloneTemplate } from "@/core/component-loader.js";
-import { getAttributeOr, getBooleanAttribute } from "@/core/helpers.js";
+import { cloneTemplate, loadTemplate } from "@/core/component-loader.js";
+import { notify } from "@/components/lc-toast.js";
+import {
+	debounce,
+	formatDate,
+	generateId,
+	getAttributeOr,
+	getBooleanAttribute,
+	safeJSONParse,
+} from "@/core/helpers.js";
+import { t } from "@/services/i18n.js";
+import { queueSubmission } from "@/services/outbox.js";
+import {
+	getPageSubmissionConfig,
+	isRetryableError,
+	resolveSubmissionConfig,
+	submitForm,
+} from "@/services/submission.js";
+import {
+	formatFileSize,
+	getValidationMessage,
+	hasAsyncRules,
+	parseFormRules,
+	validateField,
+	validateFieldAsync,
+} from "@/services/validation.js";
+
+/**
+ * Delay before async rules run after the last change (milliseconds)
+ * @constant {number}
+ */
+const ASYNC_VALIDATION_DELAY = 400;
+
+/**
+ * Moves `slot="…"` children of a field into the matching <slot name> of its
+ * template. The components use light DOM, so slots are never distributed by
+ * the browser; moving the content keeps labels inside their <label>.
+ * @param {HTMLElement} element - Field component
+ * @param {DocumentFragment} template - Cloned component template
+ */
+function distributeSlots(element, template) {
+	for (const slot of template.querySelectorAll("slot[name]")) {
+		const content = element.querySelectorAll(
+			`:scope > [slot="${slot.getAttribute("name")}"]`,
+		);
+		slot.replaceWith(...content);
+	}
+}
+
+/**
+ * Copies an attribute change from a field component to its native control
+ * @param {HTMLElement|null} control - Native control (null before the field renders)
+ * @param {string} name - Attribute name
+ * @param {string|null} value - New value, or null when removed
+ */
+function syncAttribute(control, name, value) {
+	if (!control) return;
+	if (value === null) {
+		control.removeAttribute(name);
+	} else {
+		control.setAttribute(name, value);
+	}
+}
 
 /**
  * Base form element class with common validation logic
@@ -67,7 +132,8 @@ class LCFormElement extends HTMLElement {
 	}
 
 	/**
-	 * Validates the input
+	 * Validates the input against its constraint attributes and `validators` rules
+	 * (see common/services/validation.js)
 	 * @returns {boolean} - True if valid
 	 */
 	validate() {
@@ -76,74 +142,219 @@ class LCFormElement extends HTMLElement {
 
 		this.clearError();
 
-		// Required validation
-		if (input.required && !input.value.trim()) {
-			this.setError("This field is required");
+		const error = validateField(input, this);
+		if (error) {
+			this.setError(error);
 			return false;
 		}
 
-		// Type validation
-		if (input.type === "email" && input.value) {
-			const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-			if (!emailRegex.test(input.value)) {
-				this.setError("Please enter a valid email address");
-				return false;
-			}
-		}
+		this.scheduleAsyncValidation();
+		return true;
+	}
 
-		if (input.type === "url" && input.value) {
-			try {
-				new URL(input.value);
-			} catch {
-				this.setError("Please enter a valid URL");
-				return false;
-			}
+	/**
+	 * Runs async rules (e.g. service-area lookups) after a short pause
+	 */
+	scheduleAsyncValidation() {
+		const input = this.getInput();
+		if (!input || !hasAsyncRules(input, this)) return;
+
+		this.debouncedAsyncValidation ??= debounce(
+			() => this.validateAsync(),
+			ASYNC_VALIDATION_DELAY,
+		);
+		this.setPending(true);
+		this.debouncedAsyncValidation();
+	}
+
+	/**
+	 * Runs async rules now, showing a pending state while they resolve
+	 * Only the latest run updates the field; earlier runs resolve with its result
+	 * @returns {Promise<boolean>} - True if valid
+	 */
+	validateAsync() {
+		const input = this.getInput();
+		if (!input || !hasAsyncRules(input, this)) return Promise.resolve(true);
+
+		// Synchronous rules report their own errors
+		if (validateField(input, this)) {
+			this.setPending(false);
+			return Promise.resolve(false);
 		}
 
-		// Pattern validation
-		if (input.pattern && input.value) {
-			const regex = new RegExp(input.pattern);
-			if (!regex.test(input.value)) {
-				const customMessage = this.getAttribute("pattern-message");
-				this.setError(customMessage || "Please match the requested format");
+		this.setPending(true);
+
+		const run = validateFieldAsync(input, this).then((error) => {
+			if (run !== this.asyncValidation) return this.asyncValidation;
+
+			this.setPending(false);
+			if (error) {
+				this.setError(error);
 				return false;
 			}
-		}
+			this.clearError();
+			return true;
+		});
 
-		// Min/max length validation
-		if (input.minLength && input.value.length < input.minLength) {
-			this.setError(`Minimum ${input.minLength} characters required`);
-			return false;
-		}
+		this.asyncValidation = run;
+		return run;
+	}
 
-		if (input.maxLength && input.value.length > input.maxLength) {
-			this.setError(`Maximum ${input.maxLength} characters allowed`);
-			return false;
-		}
+	/**
+	 * Shows or hides the pending (checking) state
+	 * @param {boolean} pending - Whether async validation is running
+	 */
+	setPending(pending) {
+		const wrapper = this.querySelector('[class*="-wrapper"]');
+		const status = this.querySelector('[class$="-pending"]');
 
-		// Min/max value validation
-		if (input.min && Number(input.value) < Number(input.min)) {
-			this.setError(`Minimum value is ${input.min}`);
-			return false;
+		wrapper?.classList.toggle("is-pending", pending);
+		if (pending) {
+			this.setAttribute("aria-busy", "true");
+		} else {
+			this.removeAttribute("aria-busy");
 		}
 
-		if (input.max && Number(input.value) > Number(input.max)) {
-			this.setError(`Maximum value is ${input.max}`);
-			return false;
+		if (status) {
+			status.textContent = translate("validation.pending", "Checking…");
+			status.hidden = !pending;
 		}
+	}
 
-		return true;
+	/**
+	 * Mirrors the shown error to the native input, so forms that rely on
+	 * constraint validation (without lc-form) also block submission
+	 */
+	syncNativeValidity() {
+		this.getInput()?.setCustomValidity(
+			this.getErrorElement()?.textContent || "",
+		);
+	}
+
+	/**
+	 * Gets the field label (used by the wizard review screen)
+	 * @returns {string}
+	 */
+	get labelText() {
+		const label = this.querySelector(
+			'[class$="-label-text"], [class$="-legend-text"]',
+		);
+		return label?.textContent.trim() || this.getAttribute("name") || "";
+	}
+
+	/**
+	 * Gets a human-readable value (used by the wizard review screen)
+	 * @returns {string}
+	 */
+	get reviewValue() {
+		return this.value;
 	}
 }
 
+/**
+ * Selector matching every field component that takes part in validation
+ * @constant {string}
+ */
+const FIELD_SELECTOR =
+	"lc-input, lc-textarea, lc-select, lc-checkbox, lc-radio-group, lc-file-upload, lc-date-picker, lc-time-slot-picker";
+
+/**
+ * Custom element names of the field components
+ * @constant {string[]}
+ */
+const FIELD_TAGS = FIELD_SELECTOR.split(",").map((tag) => tag.trim());
+
+/**
+ * Prefix of the localStorage keys holding form drafts
+ * @constant {string}
+ */
+const DRAFT_STORAGE_PREFIX = "lc-form-draft:";
+
+/**
+ * Drafts older than this are discarded instead of offered for restore (7 days)
+ * @constant {number}
+ */
+const DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Look up and format a runtime string in the loaded translations
+ * @param {string} key - Translation key (e.g., 'form.next')
+ * @param {string} fallback - English text used when no translation is loaded
+ * @param {Object} [params] - ICU message arguments (e.g., { count: 2 })
+ * @returns {string}
+ */
+function translate(key, fallback, params = {}) {
+	return t(key, params, fallback) || fallback;
+}
+
+/**
+ * Default submission status messages (used when no translation is loaded)
+ * @constant {Object<string, string>}
+ */
+const STATUS_MESSAGES = {
+	success: "Thank you! Your submission has been sent.",
+	queued:
+		"You appear to be offline. Your submission has been saved and will be sent automatically when your connection returns.",
+	sent: "Your saved submission has now been sent.",
+	error: "There was an error submitting the form. Please try again.",
+	filesUnsupported:
+		"This form cannot send attachments. Please remove the file, or email it to us with your details.",
+};
+
 /**
  * Form wrapper component with validation
  *
+ * When an `adapter` attribute is set (or the page config has an entry for the
+ * form id) the form delivers itself through common/services/submission.js.
+ * Submissions that fail because of connectivity are stored in the outbox and
+ * retried automatically. Call preventDefault() on `lc-form-submit` to handle
+ * submission yourself.
+ *
+ * Status is reported with toasts (see lc-toast.js); override the text with the
+ * success-message, queued-message, sent-message and error-message attributes.
+ *
+ * Cross-field rules are declared with the `rules` attribute (see
+ * common/services/validation.js), e.g. rules="confirm-email: matches:email".
+ *
+ * Events: lc-form-submit (cancelable), lc-form-success, lc-form-queued, lc-form-error
+ *
  * @example
  * <lc-form id="contact-form" validate-on-submit>
  *   <lc-input name="name" required></lc-input>
  *   <lc-submit-button>Submit</lc-submit-button>
  * </lc-form>
+ *
+ * @example
+ * <lc-form id="careers-form" validate-on-submit adapter="webhook" endpoint="api/careers">
+ *
+ * Wrapping fields in <lc-form-step> turns the form into a wizard with a
+ * progress indicator, Back/Next buttons and a review screen. Each step is
+ * validated before moving on, and lc-form-submit only fires from the review
+ * screen. Steps with a `when` condition are skipped (and excluded from the
+ * submission) unless earlier answers match.
+ *
+ * The `autosave` attribute keeps a draft of the field values in localStorage
+ * and offers to restore it when the visitor returns. Fields marked `sensitive`
+ * (and password fields) are never stored. The draft is cleared once the form
+ * is submitted.
+ *
+ * @example
+ * <lc-form id="intake" validate-on-submit autosave>
+ *   <lc-input name="ssn" sensitive></lc-input>
+ * </lc-form>
+ *
+ * @example
+ * <lc-form id="intake" validate-on-submit>
+ *   <lc-form-step>
+ *     <span slot="title">Care needed</span>
+ *     <lc-select name="service" required>...</lc-select>
+ *   </lc-form-step>
+ *   <lc-form-step when="service=post-op">
+ *     <span slot="title">Surgery details</span>
+ *     <lc-input name="surgery-date" type="date" required></lc-input>
+ *   </lc-form-step>
+ *   <lc-submit-button>Submit</lc-submit-button>
+ * </lc-form>
  */
 class LCForm extends HTMLElement {
 	connectedCallback() {
@@ -164,10 +375,62 @@ class LCForm extends HTMLElement {
 		// Setup form submission
 		form.addEventListener("submit", (event) => this.handleSubmit(event));
 
+		// Multi-step mode
+		this.steps = Array.from(form.querySelectorAll(":scope > lc-form-step"));
+		if (this.isWizard) {
+			// Steps and fields upgrade after the form itself
+			customElements
+				.whenDefined("lc-form-step")
+				.then(() => this.setupWizard(form));
+		}
+
+		// Report delivery of submissions that were queued while offline
+		this.handleOutboxChange = (event) => {
+			const { type, entry } = event.detail;
+			if (type === "sent" && entry.formId === this.id) {
+				this.notifyStatus("success", "sent");
+			}
+		};
+		window.addEventListener("lc-outbox-change", this.handleOutboxChange);
+
 		// Setup real-time validation if requested
 		if (getBooleanAttribute(this, "validate-on-change")) {
 			this.setupRealtimeValidation();
 		}
+
+		// Re-check cross-field rules when the fields they compare against change
+		if (this.hasAttribute("rules")) {
+			for (const type of ["lc-input", "lc-change", "lc-radio-change"]) {
+				this.addEventListener(type, (event) =>
+					this.revalidateDependents(event.target),
+				);
+			}
+		}
+
+		// Setup draft autosave if requested
+		if (getBooleanAttribute(this, "autosave")) {
+			Promise.all(
+				FIELD_TAGS.map((tag) => customElements.whenDefined(tag)),
+			).then(() => this.setupAutosave());
+		}
+	}
+
+	disconnectedCallback() {
+		window.removeEventListener("lc-outbox-change", this.handleOutboxChange);
+		document.removeEventListener(
+			"lc-translations-applied",
+			this.handleTranslations,
+		);
+	}
+
+	/**
+	 * Whether the form delivers its own submissions through an adapter
+	 * @returns {boolean}
+	 */
+	get hasAdapter() {
+		if (this.hasAttribute("adapter")) return true;
+		const { forms = {} } = getPageSubmissionConfig();
+		return Boolean(this.id && forms[this.id]);
 	}
 
 	/**
@@ -175,615 +438,2487 @@ class LCForm extends HTMLElement {
 	 * @param {Event} event - Submit event
 	 */
 	handleSubmit(event) {
-		if (getBooleanAttribute(this, "validate-on-submit")) {
+		// In wizard mode Enter (or the submit button) advances until the review screen
+		if (this.isWizard && !this.reviewing) {
 			event.preventDefault();
+			this.next();
+			return;
+		}
 
-			if (this.validateAll()) {
-				// Dispatch custom event with form data
-				const formData = new FormData(event.target);
-				const data = Object.fromEntries(formData);
+		const managed = this.hasAdapter;
+
+		if (getBooleanAttribute(this, "validate-on-submit") || managed) {
+			event.preventDefault();
+			const form = event.target;
+
+			this.validateAllAsync()
+				.then((isValid) => {
+					if (!isValid) return;
+
+					// Dispatch custom event with form data
+					const formData = new FormData(form);
+					const data = Object.fromEntries(formData);
+
+					const proceed = this.dispatchEvent(
+						new CustomEvent("lc-form-submit", {
+							detail: { data, formData },
+							bubbles: true,
+							cancelable: true,
+						}),
+					);
+
+					if (proceed && managed) {
+						return this.submit(formData);
+					}
+					if (proceed) {
+						this.clearDraft();
+					}
+				})
+				.catch((error) => {
+					// Never leave the visitor with a spinning button and no answer
+					console.error("Form submission failed:", error);
+					this.querySelector("lc-submit-button")?.setLoading(false);
+					this.reportError(error);
+				});
+		}
+	}
 
+	/**
+	 * Deliver the form through the configured submission adapter
+	 * @param {FormData} formData - Data collected from the form
+	 * @returns {Promise<{success: boolean, queued?: boolean, data?: Object, error?: Error}>}
+	 */
+	async submit(formData) {
+		const button = this.querySelector("lc-submit-button");
+		const config = resolveSubmissionConfig(this);
+		const uploads = this.querySelectorAll("lc-file-upload");
+
+		button?.setLoading(true);
+		const result = await submitForm(formData, config, {
+			onProgress: (progress) => {
+				for (const upload of uploads) upload.setProgress(progress);
 				this.dispatchEvent(
-					new CustomEvent("lc-form-submit", {
-						detail: { data, formData },
+					new CustomEvent("lc-form-progress", {
+						detail: { progress },
 						bubbles: true,
 					}),
 				);
+			},
+		});
+		button?.setLoading(false);
+		for (const upload of uploads) upload.setProgress(null);
+
+		if (result.success) {
+			this.clearDraft();
+			this.reset();
+			this.notifyStatus("success", "success", result.data?.inlineMessage);
+			this.dispatchEvent(
+				new CustomEvent("lc-form-success", {
+					detail: { data: result.data },
+					bubbles: true,
+				}),
+			);
+			return result;
+		}
+
+		if (isRetryableError(result.error)) {
+			let entry;
+			try {
+				entry = await queueSubmission(formData, config, { formId: this.id });
+			} catch (error) {
+				// Storage failed (e.g. IndexedDB quota); the visitor can send it again
+				console.error("Could not save the submission for later:", error);
+				this.reportError(error);
+				return { success: false, error };
 			}
+			this.clearDraft();
+			this.reset();
+			this.notifyStatus("warning", "queued");
+			this.dispatchEvent(
+				new CustomEvent("lc-form-queued", {
+					detail: { entry },
+					bubbles: true,
+				}),
+			);
+			return { ...result, queued: true };
 		}
+
+		this.reportError(result.error);
+		return result;
 	}
 
 	/**
-	 * Sets up real-time validation on all form elements
+	 * Reports a submission that was neither sent nor saved for later
+	 * @param {Error} error - Adapter or storage error
 	 */
-	setupRealtimeValidation() {
-		const inputs = this.querySelectorAll("input, textarea, select");
+	reportError(error) {
+		this.notifyStatus(
+			"error",
+			error?.code === "files-unsupported" ? "filesUnsupported" : "error",
+		);
+		this.dispatchEvent(
+			new CustomEvent("lc-form-error", {
+				detail: { error },
+				bubbles: true,
+			}),
+		);
+	}
 
-		for (const input of inputs) {
-			input.addEventListener("blur", () => {
-				const element = input.closest('[class*="-wrapper"]')?.parentElement;
-				if (element && typeof element.validate === "function") {
-					element.validate();
-				}
-			});
-		}
+	/**
+	 * Shows a submission status toast
+	 * Text comes from the `<status>-message` attribute, then the form.<status>Message
+	 * translation, then the built-in English default
+	 * @param {string} type - Toast type ('success', 'warning', 'error')
+	 * @param {string} status - 'success', 'queued', 'sent', 'error' or 'filesUnsupported'
+	 * @param {string} [message] - Message supplied by the submission backend
+	 */
+	notifyStatus(type, status, message) {
+		const custom = message || this.getAttribute(`${status}-message`);
+		notify({
+			type,
+			message: custom || STATUS_MESSAGES[status],
+			messageKey: custom ? undefined : `form.${status}Message`,
+		});
 	}
 
 	/**
-	 * Validates all form elements
-	 * @returns {boolean} - True if all elements are valid
+	 * Whether the form is split into <lc-form-step> steps
+	 * @returns {boolean}
 	 */
-	validateAll() {
-		const elements = this.querySelectorAll(
-			"lc-input, lc-textarea, lc-select, lc-checkbox, lc-radio-group",
-		);
-		let isValid = true;
+	get isWizard() {
+		return this.steps?.length > 0;
+	}
 
-		for (const element of elements) {
-			if (typeof element.validate === "function") {
-				if (!element.validate()) {
-					isValid = false;
-				}
-			}
+	/**
+	 * Adds the progress indicator, review screen and navigation to a wizard form
+	 * @param {HTMLFormElement} form - Inner form element
+	 */
+	setupWizard(form) {
+		const template = cloneTemplate("lc-form-wizard-template");
+		form.prepend(template.querySelector(".lc-form-progress-wrapper"));
+		form.append(template);
+
+		this.progress = this.querySelector(".lc-form-progress");
+		this.progressStatus = this.querySelector(".lc-form-progress-status");
+		this.review = this.querySelector(".lc-form-review");
+		this.backButton = this.querySelector(".lc-form-back");
+		this.nextButton = this.querySelector(".lc-form-next");
+
+		// The submit button only appears on the review screen
+		this.submitButton = form.querySelector(":scope > lc-submit-button");
+		if (this.submitButton) {
+			this.querySelector(".lc-form-wizard-nav").append(this.submitButton);
 		}
 
-		return isValid;
+		this.backButton.addEventListener("click", () => this.back());
+		this.nextButton.addEventListener("click", () => this.next());
+
+		// Re-label the progress indicator when the language changes
+		this.handleTranslations = () => this.renderProgress();
+		document.addEventListener(
+			"lc-translations-applied",
+			this.handleTranslations,
+		);
+
+		this.currentStep = 0;
+		this.reviewing = false;
+		this.showStep(0, { focus: false });
 	}
 
 	/**
-	 * Resets the form
+	 * Enables steps whose `when` condition matches earlier answers
+	 * Disabled steps are excluded from validation and FormData
+	 * @returns {HTMLElement[]} Active steps in order
 	 */
-	reset() {
+	updateActiveSteps() {
 		const form = this.querySelector("form");
-		form?.reset();
+		const active = [];
 
-		// Clear all errors
-		const elements = this.querySelectorAll(
-			"lc-input, lc-textarea, lc-select, lc-checkbox, lc-radio-group",
-		);
-		for (const element of elements) {
-			if (typeof element.clearError === "function") {
-				element.clearError();
-			}
+		for (const step of this.steps) {
+			// Evaluate in order so skipped steps never feed later conditions
+			step.disabled = !step.appliesTo(new FormData(form));
+			if (!step.disabled) active.push(step);
 		}
+
+		return active;
 	}
-}
 
-/**
- * Enhanced input component
- *
- * @example
- * <lc-input name="email" type="email" required>
- *   <span slot="label">Email Address</span>
- *   <span slot="help">We'll never share your email</span>
- * </lc-input>
- */
-class LCInput extends LCFormElement {
-	connectedCallback() {
-		const template = cloneTemplate("lc-input-template");
-		this.appendChild(template);
+	/**
+	 * Shows a step (or the review screen when index equals the number of active steps)
+	 * @param {number} index - Index into the active steps
+	 * @param {Object} [options]
+	 * @param {boolean} [options.focus=true] - Move focus to the step heading
+	 */
+	showStep(index, { focus = true } = {}) {
+		const active = this.updateActiveSteps();
+		const target = Math.max(0, Math.min(index, active.length));
 
-		const input = this.querySelector(".lc-input-field");
-		const wrapper = this.querySelector(".lc-input-wrapper");
+		this.currentStep = target;
+		this.reviewing = target === active.length;
 
-		// Transfer attributes
-		const type = getAttributeOr(this, "type", "text");
-		const name = this.getAttribute("name");
-		const placeholder = this.getAttribute("placeholder");
-		const required = getBooleanAttribute(this, "required");
-		const disabled = getBooleanAttribute(this, "disabled");
-		const value = this.getAttribute("value");
+		for (const step of this.steps) {
+			step.hidden = step !== active[target];
+		}
 
-		input.type = type;
-		if (name) input.name = name;
-		if (placeholder) input.placeholder = placeholder;
-		if (required) input.required = true;
-		if (disabled) input.disabled = true;
-		if (value) input.value = value;
+		if (this.reviewing) this.renderReview(active);
+		this.review.hidden = !this.reviewing;
 
-		// Transfer validation attributes
-		["min", "max", "minlength", "maxlength", "pattern", "step"].forEach(
-			(attr) => {
-				const val = this.getAttribute(attr);
-				if (val !== null) input.setAttribute(attr, val);
-			},
-		);
+		this.backButton.hidden = target === 0;
+		this.nextButton.hidden = this.reviewing;
+		if (this.submitButton) this.submitButton.hidden = !this.reviewing;
 
-		// Set wrapper attributes
-		wrapper.setAttribute("data-required", String(required));
+		this.renderProgress(active);
 
-		// Check for icon slot
-		const icon = this.querySelector('[slot="icon"]');
-		if (icon) {
-			wrapper?.classList.add("has-icon");
+		if (focus) {
+			const heading = this.reviewing
+				? this.review.querySelector(".lc-form-review-title")
+				: active[target].querySelector(".lc-form-step-title");
+			heading?.focus();
 		}
 
-		// Setup validation on blur
-		input.addEventListener("blur", () => this.validate());
-
-		// Setup input event for reactive updates
-		input.addEventListener("input", () => {
-			this.dispatchEvent(
-				new CustomEvent("lc-input", {
-					detail: { value: input.value },
-					bubbles: true,
-				}),
-			);
-		});
+		this.dispatchEvent(
+			new CustomEvent("lc-form-step-change", {
+				detail: {
+					index: target,
+					total: active.length,
+					step: active[target] || null,
+					review: this.reviewing,
+				},
+				bubbles: true,
+			}),
+		);
 	}
 
-	getInput() {
-		return this.querySelector(".lc-input-field");
-	}
+	/**
+	 * Validates the current step and moves to the next active step
+	 * @returns {Promise<boolean>} True if the step was valid
+	 */
+	async next() {
+		const step = this.updateActiveSteps()[this.currentStep];
+		if (step && !(await this.validateAllAsync(step))) {
+			step
+				.querySelector('[aria-invalid="true"]')
+				?.querySelector("input, textarea, select")
+				?.focus();
+			return false;
+		}
 
-	getErrorElement() {
-		return this.querySelector(".lc-input-error");
+		this.showStep(this.currentStep + 1);
+		return true;
 	}
 
 	/**
-	 * Gets the current value
-	 * @returns {string}
+	 * Moves to the previous active step
 	 */
-	get value() {
-		return this.getInput()?.value || "";
+	back() {
+		this.showStep(this.currentStep - 1);
 	}
 
 	/**
-	 * Sets the value
-	 * @param {string} val
+	 * Jumps to a step (used by the review screen's Edit buttons)
+	 * @param {HTMLElement} step - <lc-form-step> element
 	 */
-	set value(val) {
+	goToStep(step) {
+		const index = this.updateActiveSteps().indexOf(step);
+		if (index !== -1) this.showStep(index);
+	}
+
+	/**
+	 * Renders the progress indicator for the active steps
+	 * @param {HTMLElement[]} [active] - Active steps (computed when omitted)
+	 */
+	renderProgress(active = this.updateActiveSteps()) {
+		const reviewLabel = translate("form.review", "Review");
+		const labels = [...active.map((step) => step.label), reviewLabel];
+
+		this.progress.replaceChildren(
+			...labels.map((label, index) => {
+				const item = document.createElement("li");
+				item.className = "lc-form-progress-item";
+				item.textContent = label;
+				if (index < this.currentStep) {
+					item.dataset.state = "complete";
+				} else if (index === this.currentStep) {
+					item.dataset.state = "current";
+					item.setAttribute("aria-current", "step");
+				} else {
+					item.dataset.state = "upcoming";
+				}
+				return item;
+			}),
+		);
+
+		this.progressStatus.textContent = translate(
+			"form.stepProgress",
+			"Step {current} of {total}: {title}",
+			{
+				current: this.currentStep + 1,
+				total: labels.length,
+				title: labels[this.currentStep],
+			},
+		);
+	}
+
+	/**
+	 * Renders the answers from every active step for review
+	 * @param {HTMLElement[]} active - Active steps
+	 */
+	renderReview(active) {
+		const list = this.review.querySelector(".lc-form-review-list");
+		const emptyText = translate("form.notProvided", "Not provided");
+		const editText = translate("form.edit", "Edit");
+
+		list.replaceChildren();
+
+		for (const step of active) {
+			const group = document.createElement("div");
+			group.className = "lc-form-review-step";
+
+			const heading = document.createElement("div");
+			heading.className = "lc-form-review-step-header";
+
+			const title = document.createElement("h4");
+			title.textContent = step.label;
+
+			const edit = document.createElement("button");
+			edit.type = "button";
+			edit.className = "lc-form-review-edit";
+			edit.textContent = editText;
+			edit.setAttribute("aria-label", `${editText}: ${step.label}`);
+			edit.addEventListener("click", () => this.goToStep(step));
+
+			heading.append(title, edit);
+
+			const fields = document.createElement("dl");
+			for (const field of step.querySelectorAll(FIELD_SELECTOR)) {
+				const term = document.createElement("dt");
+				term.textContent = field.labelText;
+				const value = document.createElement("dd");
+				value.textContent = field.reviewValue || emptyText;
+				fields.append(term, value);
+			}
+
+			group.append(heading, fields);
+			list.append(group);
+		}
+	}
+
+	/**
+	 * localStorage key for this form's draft
+	 * @returns {string}
+	 */
+	get draftKey() {
+		return `${DRAFT_STORAGE_PREFIX}${this.id || window.location.pathname}`;
+	}
+
+	/**
+	 * Saves field values as the user types and offers to restore an earlier draft
+	 */
+	setupAutosave() {
+		const draft = this.loadDraft();
+
+		this.saveDraftDebounced = debounce(() => this.saveDraft(), 500);
+		for (const type of ["lc-input", "lc-change", "lc-radio-change"]) {
+			this.addEventListener(type, () => {
+				// Typing before answering the prompt starts a new draft
+				this.hideDraftPrompt();
+				this.saveDraftDebounced();
+			});
+		}
+
+		if (draft) {
+			this.showDraftPrompt(draft);
+		}
+	}
+
+	/**
+	 * Whether a field may be stored in a draft
+	 * @param {HTMLElement} field - Field component
+	 * @returns {boolean}
+	 */
+	isDraftable(field) {
+		if (!field.getAttribute("name")) return false;
+		if (getBooleanAttribute(field, "sensitive")) return false;
+		// Files cannot be serialised to localStorage
+		if (field.localName === "lc-file-upload") return false;
+		return field.getAttribute("type") !== "password";
+	}
+
+	/**
+	 * Snapshots the current field values to localStorage
+	 */
+	saveDraft() {
+		const values = {};
+		for (const field of this.querySelectorAll(FIELD_SELECTOR)) {
+			if (!this.isDraftable(field)) continue;
+			values[field.getAttribute("name")] =
+				field.localName === "lc-checkbox" ? field.checked : field.value;
+		}
+
+		try {
+			localStorage.setItem(
+				this.draftKey,
+				JSON.stringify({ savedAt: Date.now(), values }),
+			);
+		} catch (e) {
+			console.warn("Could not save form draft:", e);
+		}
+	}
+
+	/**
+	 * Reads the saved draft, dropping it when expired or unreadable
+	 * @returns {{savedAt: number, values: Object}|null}
+	 */
+	loadDraft() {
+		let draft = null;
+		try {
+			draft = safeJSONParse(localStorage.getItem(this.draftKey), null);
+		} catch (e) {
+			console.warn("localStorage not available:", e);
+			return null;
+		}
+
+		if (!draft?.values || Date.now() - draft.savedAt > DRAFT_MAX_AGE) {
+			this.clearDraft();
+			return null;
+		}
+
+		return draft;
+	}
+
+	/**
+	 * Removes the saved draft
+	 */
+	clearDraft() {
+		if (!getBooleanAttribute(this, "autosave")) return;
+
+		this.hideDraftPrompt();
+		try {
+			localStorage.removeItem(this.draftKey);
+		} catch (e) {
+			console.warn("Could not clear form draft:", e);
+		}
+	}
+
+	/**
+	 * Fills the form from a draft
+	 * @param {{values: Object}} draft - Saved draft
+	 */
+	restoreDraft(draft) {
+		for (const field of this.querySelectorAll(FIELD_SELECTOR)) {
+			const name = field.getAttribute("name");
+			if (!this.isDraftable(field) || !(name in draft.values)) continue;
+
+			if (field.localName === "lc-checkbox") {
+				field.checked = draft.values[name];
+			} else {
+				field.value = draft.values[name];
+			}
+		}
+
+		// Restored answers may change which wizard steps apply
+		if (this.isWizard && this.progress) {
+			this.showStep(0, { focus: false });
+		}
+
+		this.dispatchEvent(
+			new CustomEvent("lc-form-draft-restore", {
+				detail: { values: draft.values },
+				bubbles: true,
+			}),
+		);
+	}
+
+	/**
+	 * Shows the "restore your draft" prompt at the top of the form
+	 * @param {{savedAt: number, values: Object}} draft - Saved draft
+	 */
+	showDraftPrompt(draft) {
+		const template = cloneTemplate("lc-form-draft-template");
+		const form = this.querySelector("form");
+		form.prepend(template);
+
+		const prompt = form.querySelector(".lc-form-draft");
+		prompt.querySelector(".lc-form-draft-message").textContent = translate(
+			"form.draftFound",
+			"You have an unfinished draft from {date}.",
+			{ date: formatDate(draft.savedAt) },
+		);
+
+		const restore = prompt.querySelector(".lc-form-draft-restore");
+		const discard = prompt.querySelector(".lc-form-draft-discard");
+		restore.textContent = translate("form.restoreDraft", restore.textContent);
+		discard.textContent = translate("form.discardDraft", discard.textContent);
+
+		restore.addEventListener("click", () => {
+			this.hideDraftPrompt();
+			this.restoreDraft(draft);
+		});
+		discard.addEventListener("click", () => this.clearDraft());
+	}
+
+	/**
+	 * Removes the draft prompt
+	 */
+	hideDraftPrompt() {
+		this.querySelector(".lc-form-draft")?.remove();
+	}
+
+	/**
+	 * Sets up real-time validation on all form elements
+	 */
+	setupRealtimeValidation() {
+		const inputs = this.querySelectorAll("input, textarea, select");
+
+		for (const input of inputs) {
+			input.addEventListener("blur", () => {
+				const element = input.closest('[class*="-wrapper"]')?.parentElement;
+				if (element && typeof element.validate === "function") {
+					element.validate();
+				}
+			});
+		}
+	}
+
+	/**
+	 * Validates all form elements
+	 * Fields inside skipped (disabled) wizard steps are ignored
+	 * @param {HTMLElement} [root=this] - Limit validation to part of the form (e.g. one step)
+	 * @returns {boolean} - True if all elements are valid
+	 */
+	validateAll(root = this) {
+		const elements = root.querySelectorAll(FIELD_SELECTOR);
+		let isValid = true;
+
+		for (const element of elements) {
+			if (element.closest("fieldset:disabled")) continue;
+
+			if (typeof element.validate === "function") {
+				if (!element.validate()) {
+					isValid = false;
+				}
+			}
+		}
+
+		return isValid;
+	}
+
+	/**
+	 * Validates all form elements, including async and cross-field rules
+	 * @param {HTMLElement} [root=this] - Limit validation to part of the form (e.g. one step)
+	 * @returns {Promise<boolean>} - True if all elements are valid
+	 */
+	async validateAllAsync(root = this) {
+		const isValid = this.validateAll(root);
+
+		const fields = Array.from(root.querySelectorAll(FIELD_SELECTOR)).filter(
+			(element) =>
+				!element.closest("fieldset:disabled") &&
+				typeof element.validateAsync === "function",
+		);
+		const results = await Promise.all(
+			fields.map((element) => element.validateAsync()),
+		);
+
+		return isValid && results.every(Boolean);
+	}
+
+	/**
+	 * Re-validates fields whose cross-field rules depend on a changed field
+	 * @param {HTMLElement} source - Element that changed
+	 */
+	revalidateDependents(source) {
+		const name = source.closest(FIELD_SELECTOR)?.getAttribute("name");
+		if (!name) return;
+
+		const rules = parseFormRules(this.getAttribute("rules"));
+		for (const [target, list] of Object.entries(rules)) {
+			if (!list.some((rule) => rule.param === name)) continue;
+
+			const field = this.querySelector(
+				`:is(${FIELD_SELECTOR})[name="${CSS.escape(target)}"]`,
+			);
+			// Only re-check fields the visitor has already filled in
+			if (field?.value && typeof field.validate === "function") {
+				field.validate();
+			}
+		}
+	}
+
+	/**
+	 * Resets the form
+	 */
+	reset() {
+		const form = this.querySelector("form");
+		form?.reset();
+
+		// Clear all errors
+		const elements = this.querySelectorAll(FIELD_SELECTOR);
+		for (const element of elements) {
+			if (typeof element.clearError === "function") {
+				element.clearError();
+			}
+		}
+
+		// Start the wizard over
+		if (this.isWizard && this.progress) {
+			this.showStep(0, { focus: false });
+		}
+	}
+}
+
+/**
+ * Step of a multi-step form (used within lc-form)
+ * The `when` attribute shows the step only if earlier answers match:
+ * - when="service=post-op" (value equals)
+ * - when="service=post-op|palliative" (any of several values)
+ * - when="service!=other" (value differs)
+ * - when="has-caregiver" (field has any value)
+ *
+ * @example
+ * <lc-form-step when="service=post-op">
+ *   <span slot="title">Surgery details</span>
+ *   <lc-input name="surgery-date" type="date" required></lc-input>
+ * </lc-form-step>
+ */
+class LCFormStep extends HTMLElement {
+	connectedCallback() {
+		if (this.querySelector(":scope > .lc-form-step")) return;
+
+		const template = cloneTemplate("lc-form-step-template");
+
+		// Save step content
+		const children = Array.from(this.childNodes);
+
+		this.appendChild(template);
+
+		const fieldset = this.querySelector(".lc-form-step");
+		const title = this.querySelector(".lc-form-step-title");
+		const content = this.querySelector(".lc-form-step-content");
+
+		for (const child of children) {
+			if (child.slot === "title") {
+				title.appendChild(child);
+			} else {
+				content.appendChild(child);
+			}
+		}
+
+		this.fieldset = fieldset;
+	}
+
+	/**
+	 * Gets the step title
+	 * @returns {string}
+	 */
+	get label() {
+		return (
+			this.querySelector(".lc-form-step-title")?.textContent.trim() ||
+			this.getAttribute("label") ||
+			""
+		);
+	}
+
+	/**
+	 * Whether the step is skipped (its fields are excluded from the submission)
+	 * @returns {boolean}
+	 */
+	get disabled() {
+		return this.fieldset?.disabled || false;
+	}
+
+	set disabled(val) {
+		if (this.fieldset) this.fieldset.disabled = Boolean(val);
+	}
+
+	/**
+	 * Checks the `when` condition against the answers so far
+	 * @param {FormData} formData - Current form data
+	 * @returns {boolean} True if the step applies
+	 */
+	appliesTo(formData) {
+		const condition = this.getAttribute("when");
+		if (!condition) return true;
+
+		const match = condition.match(/^\s*([^!=\s]+)\s*(!?=)\s*(.*)$/);
+		if (!match) {
+			return formData.getAll(condition.trim()).some((value) => value !== "");
+		}
+
+		const [, name, operator, expected] = match;
+		const values = formData.getAll(name);
+		const found = expected
+			.split("|")
+			.some((option) => values.includes(option.trim()));
+
+		return operator === "=" ? found : !found;
+	}
+}
+
+/**
+ * Enhanced input component
+ *
+ * @example
+ * <lc-input name="email" type="email" required>
+ *   <span slot="label">Email Address</span>
+ *   <span slot="help">We'll never share your email</span>
+ * </lc-input>
+ *
+ * The placeholder follows later changes to the attribute, so it can be
+ * translated with data-i18n-attr="placeholder:…".
+ */
+class LCInput extends LCFormElement {
+	static get observedAttributes() {
+		return ["placeholder"];
+	}
+
+	connectedCallback() {
+		if (this.querySelector(".lc-input-wrapper")) return;
+
+		const template = cloneTemplate("lc-input-template");
+		distributeSlots(this, template);
+		this.appendChild(template);
+
+		const input = this.querySelector(".lc-input-field");
+		const wrapper = this.querySelector(".lc-input-wrapper");
+
+		input.id = generateId("lc-input");
+		this.querySelector(".lc-input-label").htmlFor = input.id;
+
+		// Transfer attributes
+		const type = getAttributeOr(this, "type", "text");
+		const name = this.getAttribute("name");
+		const placeholder = this.getAttribute("placeholder");
+		const required = getBooleanAttribute(this, "required");
+		const disabled = getBooleanAttribute(this, "disabled");
+		const value = this.getAttribute("value");
+
+		input.type = type;
+		if (name) input.name = name;
+		if (placeholder) input.placeholder = placeholder;
+		if (required) input.required = true;
+		if (disabled) input.disabled = true;
+		if (value) input.value = value;
+
+		// Transfer validation attributes
+		["min", "max", "minlength", "maxlength", "pattern", "step"].forEach(
+			(attr) => {
+				const val = this.getAttribute(attr);
+				if (val !== null) input.setAttribute(attr, val);
+			},
+		);
+
+		// Set wrapper attributes
+		wrapper.setAttribute("data-required", String(required));
+
+		// Check for icon slot
+		const icon = this.querySelector('[slot="icon"]');
+		if (icon) {
+			wrapper?.classList.add("has-icon");
+		}
+
+		// Setup validation on blur
+		input.addEventListener("blur", () => this.validate());
+
+		// Setup input event for reactive updates
+		input.addEventListener("input", () => {
+			this.scheduleAsyncValidation();
+			this.dispatchEvent(
+				new CustomEvent("lc-input", {
+					detail: { value: input.value },
+					bubbles: true,
+				}),
+			);
+		});
+	}
+
+	attributeChangedCallback(name, _oldValue, newValue) {
+		syncAttribute(this.getInput(), name, newValue);
+	}
+
+	getInput() {
+		return this.querySelector(".lc-input-field");
+	}
+
+	getErrorElement() {
+		return this.querySelector(".lc-input-error");
+	}
+
+	/**
+	 * Gets the current value
+	 * @returns {string}
+	 */
+	get value() {
+		return this.getInput()?.value || "";
+	}
+
+	/**
+	 * Sets the value
+	 * @param {string} val
+	 */
+	set value(val) {
+		const input = this.getInput();
+		if (input) input.value = val;
+	}
+}
+
+/**
+ * Textarea component with character counter
+ *
+ * @example
+ * <lc-textarea name="message" maxlength="500" required show-counter>
+ *   <span slot="label">Message</span>
+ *   <span slot="help">Tell us how we can help</span>
+ * </lc-textarea>
+ */
+class LCTextarea extends LCFormElement {
+	static get observedAttributes() {
+		return ["placeholder"];
+	}
+
+	connectedCallback() {
+		if (this.querySelector(".lc-textarea-wrapper")) return;
+
+		const template = cloneTemplate("lc-textarea-template");
+		distributeSlots(this, template);
+		this.appendChild(template);
+
+		const textarea = this.querySelector(".lc-textarea-field");
+		const wrapper = this.querySelector(".lc-textarea-wrapper");
+		const counter = this.querySelector(".lc-textarea-counter-current");
+		const maxCounter = this.querySelector(".lc-textarea-counter-max");
+
+		textarea.id = generateId("lc-textarea");
+		this.querySelector(".lc-textarea-label").htmlFor = textarea.id;
+
+		// Transfer attributes
+		const name = this.getAttribute("name");
+		const placeholder = this.getAttribute("placeholder");
+		const required = getBooleanAttribute(this, "required");
+		const disabled = getBooleanAttribute(this, "disabled");
+		const value = this.getAttribute("value");
+		const rows = this.getAttribute("rows");
+		const maxlength = this.getAttribute("maxlength");
+
+		if (name) textarea.name = name;
+		if (placeholder) textarea.placeholder = placeholder;
+		if (required) textarea.required = true;
+		if (disabled) textarea.disabled = true;
+		if (value) textarea.value = value;
+		if (rows) textarea.rows = rows;
+		if (maxlength) textarea.maxLength = maxlength;
+
+		// Set wrapper attributes
+		wrapper.setAttribute("data-required", String(required));
+		wrapper.setAttribute(
+			"data-show-counter",
+			String(getBooleanAttribute(this, "show-counter")),
+		);
+
+		// Update counter
+		if (maxlength && maxCounter) {
+			maxCounter.textContent = maxlength;
+		}
+
+		// Setup counter updates
+		textarea.addEventListener("input", () => {
+			if (counter) {
+				counter.textContent = textarea.value.length;
+			}
+
+			this.dispatchEvent(
+				new CustomEvent("lc-input", {
+					detail: { value: textarea.value },
+					bubbles: true,
+				}),
+			);
+		});
+
+		// Setup validation on blur
+		textarea.addEventListener("blur", () => this.validate());
+	}
+
+	attributeChangedCallback(name, _oldValue, newValue) {
+		syncAttribute(this.getInput(), name, newValue);
+	}
+
+	getInput() {
+		return this.querySelector(".lc-textarea-field");
+	}
+
+	getErrorElement() {
+		return this.querySelector(".lc-textarea-error");
+	}
+
+	get value() {
+		return this.getInput()?.value || "";
+	}
+
+	set value(val) {
+		const textarea = this.getInput();
+		if (textarea) {
+			textarea.value = val;
+			// Trigger input event to update counter
+			textarea.dispatchEvent(new Event("input"));
+		}
+	}
+}
+
+/**
+ * Select dropdown component
+ *
+ * @example
+ * <lc-select name="subject" required>
+ *   <span slot="label">Subject</span>
+ *   <option value="">Choose a subject</option>
+ *   <option value="general">General Inquiry</option>
+ * </lc-select>
+ */
+class LCSelect extends LCFormElement {
+	connectedCallback() {
+		if (this.querySelector(".lc-select-wrapper")) return;
+
+		const template = cloneTemplate("lc-select-template");
+
+		// Move existing option elements
+		const options = Array.from(this.querySelectorAll("option"));
+
+		distributeSlots(this, template);
+		this.appendChild(template);
+
+		const select = this.querySelector(".lc-select-field");
+		const wrapper = this.querySelector(".lc-select-wrapper");
+
+		select.id = generateId("lc-select");
+		this.querySelector(".lc-select-label").htmlFor = select.id;
+
+		// Add options to select
+		for (const option of options) {
+			select.appendChild(option);
+		}
+
+		// Transfer attributes
+		const name = this.getAttribute("name");
+		const required = getBooleanAttribute(this, "required");
+		const disabled = getBooleanAttribute(this, "disabled");
+		const value = this.getAttribute("value");
+
+		if (name) select.name = name;
+		if (required) select.required = true;
+		if (disabled) select.disabled = true;
+		if (value) select.value = value;
+
+		// Set wrapper attributes
+		wrapper.setAttribute("data-required", String(required));
+
+		// Setup validation on change
+		select.addEventListener("change", () => {
+			this.validate();
+			this.dispatchEvent(
+				new CustomEvent("lc-change", {
+					detail: { value: select.value },
+					bubbles: true,
+				}),
+			);
+		});
+	}
+
+	getInput() {
+		return this.querySelector(".lc-select-field");
+	}
+
+	getErrorElement() {
+		return this.querySelector(".lc-select-error");
+	}
+
+	get reviewValue() {
+		const select = this.getInput();
+		return select?.value ? select.selectedOptions[0]?.textContent.trim() : "";
+	}
+
+	get value() {
+		return this.getInput()?.value || "";
+	}
+
+	set value(val) {
+		const select = this.getInput();
+		if (select) select.value = val;
+	}
+}
+
+/**
+ * Checkbox component
+ *
+ * @example
+ * <lc-checkbox name="agree" required>
+ *   I agree to the terms and conditions
+ * </lc-checkbox>
+ */
+class LCCheckbox extends LCFormElement {
+	connectedCallback() {
+		if (this.querySelector(".lc-checkbox-input")) return;
+
+		const template = cloneTemplate("lc-checkbox-template");
+
+		// Save the label nodes, so a data-i18n span is translated inside the label
+		const content = Array.from(this.childNodes);
+
+		this.appendChild(template);
+
+		const input = this.querySelector(".lc-checkbox-input");
+		const textSlot = this.querySelector(".lc-checkbox-text");
+
+		// Restore the label
+		if (content.length > 0 && textSlot) {
+			textSlot.replaceChildren(...content);
+		}
+
+		// Transfer attributes
+		const name = this.getAttribute("name");
+		const value = getAttributeOr(this, "value", "on");
+		const required = getBooleanAttribute(this, "required");
+		const disabled = getBooleanAttribute(this, "disabled");
+		const checked = getBooleanAttribute(this, "checked");
+
+		if (name) input.name = name;
+		input.value = value;
+		if (required) input.required = true;
+		if (disabled) input.disabled = true;
+		if (checked) input.checked = true;
+
+		// Setup change event
+		input.addEventListener("change", () => {
+			this.validate();
+			this.dispatchEvent(
+				new CustomEvent("lc-change", {
+					detail: { checked: input.checked, value: input.value },
+					bubbles: true,
+				}),
+			);
+		});
+	}
+
+	getInput() {
+		return this.querySelector(".lc-checkbox-input");
+	}
+
+	getErrorElement() {
+		return this.querySelector(".lc-checkbox-error");
+	}
+
+	get labelText() {
+		return (
+			this.querySelector(".lc-checkbox-text")?.textContent.trim() ||
+			super.labelText
+		);
+	}
+
+	get reviewValue() {
+		return this.checked
+			? translate("form.yes", "Yes")
+			: translate("form.no", "No");
+	}
+
+	validate() {
 		const input = this.getInput();
-		if (input) input.value = val;
+		if (!input) return true;
+
+		this.clearError();
+
+		if (input.required && !input.checked) {
+			this.setError(getValidationMessage("required", {}, this));
+			return false;
+		}
+
+		return true;
+	}
+
+	get checked() {
+		return this.getInput()?.checked || false;
+	}
+
+	set checked(val) {
+		const input = this.getInput();
+		if (input) input.checked = Boolean(val);
+	}
+
+	get value() {
+		return this.getInput()?.value || "";
 	}
 }
 
 /**
- * Textarea component with character counter
+ * Radio group component
  *
  * @example
- * <lc-textarea name="message" maxlength="500" required show-counter>
- *   <span slot="label">Message</span>
- *   <span slot="help">Tell us how we can help</span>
- * </lc-textarea>
+ * <lc-radio-group name="contact-method" required>
+ *   <span slot="legend">Preferred Contact Method</span>
+ *   <lc-radio value="email">Email</lc-radio>
+ *   <lc-radio value="phone">Phone</lc-radio>
+ * </lc-radio-group>
  */
-class LCTextarea extends LCFormElement {
+class LCRadioGroup extends LCFormElement {
 	connectedCallback() {
-		const template = cloneTemplate("lc-textarea-template");
+		if (this.querySelector(".lc-radio-group")) return;
+
+		const template = cloneTemplate("lc-radio-group-template");
+
+		// Save radio elements
+		const radios = Array.from(this.querySelectorAll("lc-radio"));
+
+		distributeSlots(this, template);
 		this.appendChild(template);
 
-		const textarea = this.querySelector(".lc-textarea-field");
-		const wrapper = this.querySelector(".lc-textarea-wrapper");
-		const counter = this.querySelector(".lc-textarea-counter-current");
-		const maxCounter = this.querySelector(".lc-textarea-counter-max");
+		const fieldset = this.querySelector(".lc-radio-group");
+		const optionsContainer = this.querySelector(".lc-radio-group-options");
+
+		// Add radios to options container
+		for (const radio of radios) {
+			optionsContainer.appendChild(radio);
+		}
+
+		// Transfer attributes
+		const name = this.getAttribute("name");
+		const required = getBooleanAttribute(this, "required");
+
+		// Set name on all radio inputs
+		if (name) {
+			for (const radio of radios) {
+				radio.setAttribute("name", name);
+			}
+		}
+
+		// Set fieldset attributes
+		fieldset.setAttribute("data-required", String(required));
+
+		// Setup change event
+		this.addEventListener("lc-radio-change", () => {
+			this.validate();
+		});
+	}
+
+	getInput() {
+		return this.querySelector(".lc-radio-input:checked");
+	}
+
+	getErrorElement() {
+		return this.querySelector(".lc-radio-group-error");
+	}
+
+	get reviewValue() {
+		return (
+			this.getInput()
+				?.closest("lc-radio")
+				?.querySelector(".lc-radio-text")
+				?.textContent.trim() || ""
+		);
+	}
+
+	validate() {
+		const required =
+			this.querySelector(".lc-radio-group").getAttribute("data-required") ===
+			"true";
+
+		this.clearError();
+
+		if (required && !this.getInput()) {
+			this.setError(getValidationMessage("requiredChoice", {}, this));
+			return false;
+		}
+
+		return true;
+	}
+
+	get value() {
+		return this.getInput()?.value || "";
+	}
+
+	set value(val) {
+		const radios = this.querySelectorAll(".lc-radio-input");
+		for (const radio of radios) {
+			radio.checked = radio.value === val;
+		}
+	}
+}
+
+/**
+ * Radio option component (used within lc-radio-group)
+ *
+ * @example
+ * <lc-radio value="email">Email</lc-radio>
+ */
+class LCRadio extends HTMLElement {
+	connectedCallback() {
+		if (this.querySelector(".lc-radio-input")) return;
+
+		const template = cloneTemplate("lc-radio-template");
+
+		// Save the label nodes, so a data-i18n span is translated inside the label
+		const content = Array.from(this.childNodes);
+
+		this.appendChild(template);
+
+		const input = this.querySelector(".lc-radio-input");
+		const textSlot = this.querySelector(".lc-radio-text");
+
+		// Restore the label
+		if (content.length > 0 && textSlot) {
+			textSlot.replaceChildren(...content);
+		}
+
+		// Transfer attributes
+		const name = this.getAttribute("name");
+		const value = this.getAttribute("value");
+		const disabled = getBooleanAttribute(this, "disabled");
+		const checked = getBooleanAttribute(this, "checked");
+
+		if (name) input.name = name;
+		if (value) input.value = value;
+		if (disabled) input.disabled = true;
+		if (checked) input.checked = true;
+
+		// Setup change event
+		input.addEventListener("change", () => {
+			this.dispatchEvent(
+				new CustomEvent("lc-radio-change", {
+					detail: { value: input.value },
+					bubbles: true,
+				}),
+			);
+		});
+	}
+
+	get checked() {
+		return this.querySelector(".lc-radio-input")?.checked || false;
+	}
+
+	set checked(val) {
+		const input = this.querySelector(".lc-radio-input");
+		if (input) input.checked = Boolean(val);
+	}
+
+	get value() {
+		return this.querySelector(".lc-radio-input")?.value || "";
+	}
+}
+
+/**
+ * Submit button with loading state
+ *
+ * @example
+ * <lc-submit-button>Submit Form</lc-submit-button>
+ */
+class LCSubmitButton extends HTMLElement {
+	connectedCallback() {
+		if (this.querySelector(".lc-submit-button")) return;
+
+		const template = cloneTemplate("lc-submit-button-template");
+
+		// Save the label nodes, so a data-i18n span is translated inside the button
+		const content = Array.from(this.childNodes);
+
+		this.appendChild(template);
+
+		const button = this.querySelector(".lc-submit-button");
+		const textSlot = this.querySelector(".lc-submit-button-text");
+
+		// Restore the label
+		if (content.length > 0 && textSlot) {
+			textSlot.replaceChildren(...content);
+		}
+
+		// Transfer attributes
+		const disabled = getBooleanAttribute(this, "disabled");
+		const type = getAttributeOr(this, "type", "submit");
+
+		button.type = type;
+		if (disabled) button.disabled = true;
+	}
+
+	/**
+	 * Sets loading state
+	 * @param {boolean} loading - Whether button is loading
+	 */
+	setLoading(loading) {
+		const button = this.querySelector(".lc-submit-button");
+		if (button) {
+			if (loading) {
+				button?.classList.add("loading");
+				button.disabled = true;
+			} else {
+				button?.classList.remove("loading");
+				button.disabled = getBooleanAttribute(this, "disabled");
+			}
+		}
+	}
+
+	get disabled() {
+		return this.querySelector(".lc-submit-button")?.disabled || false;
+	}
+
+	set disabled(val) {
+		const button = this.querySelector(".lc-submit-button");
+		if (button) button.disabled = Boolean(val);
+	}
+}
+
+/**
+ * File upload component with drag-and-drop, previews and limits
+ * The native file input covers the drop zone, so clicking and dropping both
+ * use the browser's own handling; selected files are part of the form's FormData.
+ *
+ * Limits: `accept` (extensions or MIME types), `max-size` per file ("5MB"),
+ * `max-files` when `multiple` is set. All are checked by LCForm validation.
+ *
+ * @example
+ * <lc-file-upload name="resume" accept=".pdf,.docx" max-size="5MB" required>
+ *   <span slot="label">Attach Resume</span>
+ *   <span slot="help">PDF or Word, up to 5 MB</span>
+ * </lc-file-upload>
+ */
+class LCFileUpload extends LCFormElement {
+	connectedCallback() {
+		if (this.querySelector(".lc-file-upload-wrapper")) return;
+
+		const template = cloneTemplate("lc-file-upload-template");
+		if (!template) return;
+
+		// Move slotted content into place so the label is associated with the input
+		distributeSlots(this, template);
+		this.appendChild(template);
+
+		const input = this.getInput();
+		const wrapper = this.querySelector(".lc-file-upload-wrapper");
+		const dropzone = this.querySelector(".lc-file-upload-dropzone");
+
+		/** @type {File[]} */
+		this.selectedFiles = [];
 
 		// Transfer attributes
-		const name = this.getAttribute("name");
-		const placeholder = this.getAttribute("placeholder");
 		const required = getBooleanAttribute(this, "required");
-		const disabled = getBooleanAttribute(this, "disabled");
-		const value = this.getAttribute("value");
-		const rows = this.getAttribute("rows");
-		const maxlength = this.getAttribute("maxlength");
-
-		if (name) textarea.name = name;
-		if (placeholder) textarea.placeholder = placeholder;
-		if (required) textarea.required = true;
-		if (disabled) textarea.disabled = true;
-		if (value) textarea.value = value;
-		if (rows) textarea.rows = rows;
-		if (maxlength) textarea.maxLength = maxlength;
+		input.id = generateId("lc-file-upload");
+		this.querySelector(".lc-file-upload-label").htmlFor = input.id;
+		if (this.getAttribute("name")) input.name = this.getAttribute("name");
+		if (this.hasAttribute("accept")) input.accept = this.getAttribute("accept");
+		if (this.multiple) input.multiple = true;
+		if (required) input.required = true;
+		if (getBooleanAttribute(this, "disabled")) input.disabled = true;
 
-		// Set wrapper attributes
 		wrapper.setAttribute("data-required", String(required));
-		wrapper.setAttribute(
-			"data-show-counter",
-			String(getBooleanAttribute(this, "show-counter")),
-		);
+		this.renderLimits();
 
-		// Update counter
-		if (maxlength && maxCounter) {
-			maxCounter.textContent = maxlength;
-		}
+		input.addEventListener("change", () => {
+			this.addFiles(Array.from(input.files));
+		});
 
-		// Setup counter updates
-		textarea.addEventListener("input", () => {
-			if (counter) {
-				counter.textContent = textarea.value.length;
-			}
+		// Highlight the drop zone while files are dragged over it
+		let dragDepth = 0;
+		dropzone.addEventListener("dragenter", () => {
+			dragDepth++;
+			dropzone.classList.add("is-dragover");
+		});
+		dropzone.addEventListener("dragleave", () => {
+			dragDepth = Math.max(dragDepth - 1, 0);
+			if (dragDepth === 0) dropzone.classList.remove("is-dragover");
+		});
+		dropzone.addEventListener("drop", () => {
+			dragDepth = 0;
+			dropzone.classList.remove("is-dragover");
+		});
 
-			this.dispatchEvent(
-				new CustomEvent("lc-input", {
-					detail: { value: textarea.value },
-					bubbles: true,
-				}),
-			);
+		this.querySelector(".lc-file-upload-list").addEventListener(
+			"click",
+			(event) => {
+				const button = event.target.closest(".lc-file-upload-remove");
+				if (button) this.removeFile(Number(button.dataset.index));
+			},
+		);
+
+		// form.reset() empties the input; keep the list in sync
+		this.closest("form")?.addEventListener("reset", () => {
+			this.selectedFiles = [];
+			this.renderFiles();
+			this.clearError();
 		});
+	}
 
-		// Setup validation on blur
-		textarea.addEventListener("blur", () => this.validate());
+	disconnectedCallback() {
+		this.revokePreviews();
 	}
 
 	getInput() {
-		return this.querySelector(".lc-textarea-field");
+		return this.querySelector(".lc-file-upload-input");
 	}
 
 	getErrorElement() {
-		return this.querySelector(".lc-textarea-error");
+		return this.querySelector(".lc-file-upload-error");
+	}
+
+	/**
+	 * Whether several files may be attached
+	 * @returns {boolean}
+	 */
+	get multiple() {
+		return getBooleanAttribute(this, "multiple");
+	}
+
+	/**
+	 * Gets the selected files
+	 * @returns {File[]}
+	 */
+	get files() {
+		return [...(this.selectedFiles || [])];
 	}
 
+	/**
+	 * Gets the selected file names
+	 * @returns {string}
+	 */
 	get value() {
-		return this.getInput()?.value || "";
+		return this.files.map((file) => file.name).join(", ");
 	}
 
+	/**
+	 * Files can only be chosen by the visitor; clearing is allowed
+	 * @param {string} val
+	 */
 	set value(val) {
-		const textarea = this.getInput();
-		if (textarea) {
-			textarea.value = val;
-			// Trigger input event to update counter
-			textarea.dispatchEvent(new Event("input"));
+		if (!val) this.clear();
+	}
+
+	get labelText() {
+		return (
+			this.querySelector(".lc-file-upload-label-text")?.textContent.trim() ||
+			this.getAttribute("name") ||
+			""
+		);
+	}
+
+	/**
+	 * Adds files from the picker or a drop, replacing the selection unless `multiple`
+	 * @param {File[]} files - Newly chosen files
+	 */
+	addFiles(files) {
+		if (this.multiple) {
+			const key = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+			const existing = new Set(this.selectedFiles.map(key));
+			this.selectedFiles = [
+				...this.selectedFiles,
+				...files.filter((file) => !existing.has(key(file))),
+			];
+		} else {
+			this.selectedFiles = files.slice(0, 1);
 		}
+
+		this.syncInput();
+		this.renderFiles();
+		this.validate();
+		this.dispatchChange();
 	}
-}
 
-/**
- * Select dropdown component
- *
- * @example
- * <lc-select name="subject" required>
- *   <span slot="label">Subject</span>
- *   <option value="">Choose a subject</option>
- *   <option value="general">General Inquiry</option>
- * </lc-select>
- */
-class LCSelect extends LCFormElement {
-	connectedCallback() {
-		const template = cloneTemplate("lc-select-template");
+	/**
+	 * Removes a selected file
+	 * @param {number} index - Position in the file list
+	 */
+	removeFile(index) {
+		const file = this.selectedFiles[index];
+		if (!file) return;
+
+		this.selectedFiles = this.selectedFiles.filter((_, i) => i !== index);
+		this.syncInput();
+		this.renderFiles();
+		this.validate();
+		this.dispatchChange();
+
+		// Keep focus in the list, or return it to the picker when it empties
+		const buttons = this.querySelectorAll(".lc-file-upload-remove");
+		(buttons[Math.min(index, buttons.length - 1)] || this.getInput())?.focus();
+	}
 
-		// Move existing option elements
-		const options = Array.from(this.querySelectorAll("option"));
+	/**
+	 * Removes every selected file
+	 */
+	clear() {
+		this.selectedFiles = [];
+		this.syncInput();
+		this.renderFiles();
+		this.clearError();
+	}
 
-		this.appendChild(template);
+	/**
+	 * Copies the selection back to the native input so FormData includes it
+	 */
+	syncInput() {
+		const input = this.getInput();
+		if (!input) return;
 
-		const select = this.querySelector(".lc-select-field");
-		const wrapper = this.querySelector(".lc-select-wrapper");
+		const transfer = new DataTransfer();
+		for (const file of this.selectedFiles) transfer.items.add(file);
+		input.files = transfer.files;
+	}
 
-		// Add options to select
-		for (const option of options) {
-			select.appendChild(option);
-		}
+	/**
+	 * Validates and mirrors the result to the native input, so plain
+	 * (non-lc-form) forms also block submission
+	 * @returns {boolean} - True if valid
+	 */
+	validate() {
+		const valid = super.validate();
+		this.syncNativeValidity();
+		return valid;
+	}
 
-		// Transfer attributes
-		const name = this.getAttribute("name");
-		const required = getBooleanAttribute(this, "required");
-		const disabled = getBooleanAttribute(this, "disabled");
-		const value = this.getAttribute("value");
+	/**
+	 * Shows the accepted types and size limit under the drop zone
+	 */
+	renderLimits() {
+		const limits = this.querySelector(".lc-file-upload-limits");
+		if (!limits) return;
+
+		const parts = [];
+		const accept = this.getAttribute("accept");
+		if (accept) {
+			parts.push(
+				accept
+					.split(",")
+					.map((token) => token.trim())
+					.filter((token) => token.startsWith("."))
+					.map((token) => token.slice(1).toUpperCase())
+					.join(", "),
+			);
+		}
+		const maxSize = this.getAttribute("max-size");
+		if (maxSize) {
+			parts.push(
+				translate("fileUpload.maxSize", "Up to {size} each", { size: maxSize }),
+			);
+		}
 
-		if (name) select.name = name;
-		if (required) select.required = true;
-		if (disabled) select.disabled = true;
-		if (value) select.value = value;
+		limits.textContent = parts.filter(Boolean).join(" · ");
+		limits.hidden = parts.length === 0;
+	}
 
-		// Set wrapper attributes
-		wrapper.setAttribute("data-required", String(required));
+	/**
+	 * Renders the selected files with image thumbnails or a type badge
+	 */
+	renderFiles() {
+		const list = this.querySelector(".lc-file-upload-list");
+		if (!list) return;
+
+		this.revokePreviews();
+		list.replaceChildren();
+
+		this.selectedFiles.forEach((file, index) => {
+			const item = document.createElement("li");
+			item.className = "lc-file-upload-item";
+
+			if (file.type.startsWith("image/")) {
+				const url = URL.createObjectURL(file);
+				this.previewUrls.push(url);
+				const image = document.createElement("img");
+				image.className = "lc-file-upload-thumbnail";
+				image.src = url;
+				image.alt = "";
+				item.appendChild(image);
+			} else {
+				const badge = document.createElement("span");
+				badge.className = "lc-file-upload-badge";
+				badge.setAttribute("aria-hidden", "true");
+				badge.textContent =
+					file.type === "application/pdf"
+						? "PDF"
+						: file.name.split(".").pop().slice(0, 4).toUpperCase();
+				item.appendChild(badge);
+			}
 
-		// Setup validation on change
-		select.addEventListener("change", () => {
-			this.validate();
-			this.dispatchEvent(
-				new CustomEvent("lc-change", {
-					detail: { value: select.value },
-					bubbles: true,
-				}),
+			const name = document.createElement("span");
+			name.className = "lc-file-upload-name";
+			name.textContent = file.name;
+
+			const size = document.createElement("span");
+			size.className = "lc-file-upload-size";
+			size.textContent = formatFileSize(file.size);
+
+			const remove = document.createElement("button");
+			remove.type = "button";
+			remove.className = "lc-file-upload-remove";
+			remove.dataset.index = String(index);
+			remove.setAttribute(
+				"aria-label",
+				translate("fileUpload.remove", "Remove {file}", { file: file.name }),
 			);
+			remove.textContent = "×";
+
+			item.append(name, size, remove);
+			list.appendChild(item);
 		});
+
+		list.hidden = this.selectedFiles.length === 0;
 	}
 
-	getInput() {
-		return this.querySelector(".lc-select-field");
+	/**
+	 * Releases object URLs created for image previews
+	 */
+	revokePreviews() {
+		for (const url of this.previewUrls || []) URL.revokeObjectURL(url);
+		this.previewUrls = [];
 	}
 
-	getErrorElement() {
-		return this.querySelector(".lc-select-error");
+	/**
+	 * Shows upload progress while the form is submitted
+	 * @param {number|null} progress - Fraction between 0 and 1, or null to hide
+	 */
+	setProgress(progress) {
+		const bar = this.querySelector(".lc-file-upload-progress");
+		if (!bar) return;
+
+		if (progress === null || this.selectedFiles.length === 0) {
+			bar.hidden = true;
+			bar.value = 0;
+			return;
+		}
+
+		bar.hidden = false;
+		bar.value = Math.round(progress * 100);
+		bar.textContent = `${bar.value}%`;
 	}
 
-	get value() {
-		return this.getInput()?.value || "";
+	/**
+	 * Announces a selection change
+	 */
+	dispatchChange() {
+		this.dispatchEvent(
+			new CustomEvent("lc-change", {
+				detail: { value: this.value, files: this.files },
+				bubbles: true,
+			}),
+		);
 	}
+}
 
-	set value(val) {
-		const select = this.getInput();
-		if (select) select.value = val;
+/**
+ * Pending load of forms.html, shared by every picker waiting for its template
+ * @type {Promise<boolean>|null}
+ */
+let formTemplatesLoading = null;
+
+/**
+ * Loads forms.html when a picker connects before the page has loaded it
+ * (e.g. inside <lc-contact-dialog>, which renders as soon as it is defined)
+ * @returns {Promise<boolean>} True if the templates loaded
+ */
+function loadFormTemplates() {
+	formTemplatesLoading ??= loadTemplate("forms");
+	return formTemplatesLoading;
+}
+
+/**
+ * Whether a picker can render now; otherwise renders it once forms.html loads
+ * @param {HTMLElement} element - Connected picker element
+ * @param {string} templateId - Picker template in forms.html
+ * @returns {boolean} True if the template is in the document
+ */
+function hasPickerTemplate(element, templateId) {
+	if (document.getElementById(templateId)) return true;
+	loadFormTemplates().then(() => {
+		if (element.isConnected && document.getElementById(templateId)) {
+			element.connectedCallback();
+		}
+	});
+	return false;
+}
+
+/**
+ * Moves `slot="label"` / `slot="help"` children of a picker into its markup
+ * @param {HTMLElement} element - Picker element
+ * @param {string} name - Slot name
+ * @param {HTMLElement} target - Element receiving the slotted content
+ */
+function moveSlotted(element, name, target) {
+	for (const node of element.querySelectorAll(`:scope > [slot="${name}"]`)) {
+		target.appendChild(node);
 	}
 }
 
 /**
- * Checkbox component
+ * Gets the active locale for Intl formatting
+ * @returns {string}
+ */
+function getLocale() {
+	return document.documentElement.lang || "en";
+}
+
+/**
+ * Formats a Date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function toISODate(date) {
+	const month = String(date.getMonth() + 1).padStart(2, "0");
+	const day = String(date.getDate()).padStart(2, "0");
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses YYYY-MM-DD (or "today") as a local date
+ * @param {string} value - ISO date
+ * @returns {Date|null}
+ */
+function fromISODate(value) {
+	if (value === "today") {
+		const today = new Date();
+		return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+	}
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+	if (!match) return null;
+	return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Accessible date picker with a calendar grid
+ * Month and weekday names come from Intl in the page language. The value is an
+ * ISO date (YYYY-MM-DD) held in a native date input, so `required`, `min` and
+ * `max` use the standard validators and the value is part of FormData.
+ * Markup comes from lc-date-picker-template (forms.html, loaded on demand) and
+ * styles from style.css, so it also works inside shadow roots.
+ *
+ * Attributes:
+ * - min / max: ISO dates or "today"
+ * - disabled-dates: ISO dates that cannot be chosen ("2025-12-25 2026-01-01")
+ * - disabled-weekdays: Day numbers that cannot be chosen (0 = Sunday, "0 6")
+ *
+ * Keyboard (calendar): arrows move by day/week, Home/End to week start/end,
+ * PageUp/PageDown by month (with Shift, by year), Enter/Space select, Escape closes.
  *
  * @example
- * <lc-checkbox name="agree" required>
- *   I agree to the terms and conditions
- * </lc-checkbox>
+ * <lc-date-picker name="preferred-date" min="today" disabled-weekdays="0" required>
+ *   <span slot="label">Preferred date</span>
+ * </lc-date-picker>
  */
-class LCCheckbox extends LCFormElement {
+class LCDatePicker extends LCFormElement {
 	connectedCallback() {
-		const template = cloneTemplate("lc-checkbox-template");
-
-		// Save text content
-		const text = this.textContent;
+		if (this.querySelector(".lc-date-picker-wrapper")) return;
+		if (!hasPickerTemplate(this, "lc-date-picker-template")) return;
 
-		this.appendChild(template);
-
-		const input = this.querySelector(".lc-checkbox-input");
-		const textSlot = this.querySelector(".lc-checkbox-text");
+		this.render();
 
-		// Restore text content
-		if (text && textSlot) {
-			textSlot.textContent = text;
+		const input = this.getInput();
+		const toggle = this.querySelector(".lc-date-picker-toggle");
+		const calendar = this.querySelector(".lc-date-picker-calendar");
+
+		if (this.getAttribute("name")) input.name = this.getAttribute("name");
+		if (getBooleanAttribute(this, "required")) input.required = true;
+		if (getBooleanAttribute(this, "disabled")) toggle.disabled = true;
+		for (const attr of ["min", "max"]) {
+			const bound = fromISODate(this.getAttribute(attr));
+			if (bound) input.setAttribute(attr, toISODate(bound));
 		}
 
-		// Transfer attributes
-		const name = this.getAttribute("name");
-		const value = getAttributeOr(this, "value", "on");
-		const required = getBooleanAttribute(this, "required");
-		const disabled = getBooleanAttribute(this, "disabled");
-		const checked = getBooleanAttribute(this, "checked");
+		const initial = fromISODate(this.getAttribute("value"));
+		if (initial) input.value = toISODate(initial);
 
-		if (name) input.name = name;
-		input.value = value;
-		if (required) input.required = true;
-		if (disabled) input.disabled = true;
-		if (checked) input.checked = true;
+		// Keep the hidden input out of the focus order (e.g. when focused as first invalid field)
+		input.addEventListener("focus", () => toggle.focus());
+		input.addEventListener("invalid", () => this.validate());
 
-		// Setup change event
-		input.addEventListener("change", () => {
-			this.validate();
-			this.dispatchEvent(
-				new CustomEvent("lc-change", {
-					detail: { checked: input.checked, value: input.value },
-					bubbles: true,
-				}),
-			);
+		toggle.addEventListener("click", () => {
+			if (calendar.hidden) {
+				this.open();
+			} else {
+				this.close();
+			}
 		});
-	}
 
-	getInput() {
-		return this.querySelector(".lc-checkbox-input");
-	}
+		this.querySelector(".lc-date-picker-prev").addEventListener("click", () =>
+			this.moveFocus(this.addMonths(this.focusedDate, -1), { focus: false }),
+		);
+		this.querySelector(".lc-date-picker-next").addEventListener("click", () =>
+			this.moveFocus(this.addMonths(this.focusedDate, 1), { focus: false }),
+		);
 
-	getErrorElement() {
-		return this.querySelector(".lc-checkbox-error");
-	}
+		const grid = this.querySelector(".lc-date-picker-grid");
+		grid.addEventListener("click", (event) => {
+			const cell = event.target.closest("[data-date]");
+			if (cell) this.select(cell.dataset.date);
+		});
+		grid.addEventListener("keydown", (event) => this.handleKeydown(event));
+
+		calendar.addEventListener("keydown", (event) => {
+			if (event.key === "Escape") {
+				// Don't let the contact dialog close as well
+				event.stopPropagation();
+				this.close();
+				toggle.focus();
+			}
+		});
 
-	validate() {
-		const input = this.getInput();
-		if (!input) return true;
+		this.handleTranslations = () => this.renderValue();
+		document.addEventListener(
+			"lc-translations-applied",
+			this.handleTranslations,
+		);
 
-		this.clearError();
+		this.closest("form")?.addEventListener("reset", () => {
+			// Runs before the native reset clears the input
+			setTimeout(() => {
+				this.clearError();
+				this.renderValue();
+			});
+		});
 
-		if (input.required && !input.checked) {
-			this.setError("This field is required");
-			return false;
-		}
+		this.focusedDate =
+			fromISODate(input.value) || this.clampDate(fromISODate("today"));
+		this.renderValue();
+	}
+
+	disconnectedCallback() {
+		document.removeEventListener(
+			"lc-translations-applied",
+			this.handleTranslations,
+		);
+	}
 
-		return true;
+	/**
+	 * Builds the picker markup from lc-date-picker-template, linking its parts by id
+	 */
+	render() {
+		const id = generateId("lc-date-picker");
+		const template = cloneTemplate("lc-date-picker-template");
+		const part = (name) => template.querySelector(`.lc-date-picker-${name}`);
+
+		part("wrapper").setAttribute(
+			"data-required",
+			String(getBooleanAttribute(this, "required")),
+		);
+		part("label").id = `${id}-label`;
+		part("value-text").id = `${id}-value`;
+		part("calendar").id = `${id}-calendar`;
+		part("month").id = `${id}-month`;
+		part("error").id = `${id}-error`;
+		part("grid").setAttribute("aria-labelledby", `${id}-month`);
+
+		const toggle = part("toggle");
+		toggle.setAttribute("aria-controls", `${id}-calendar`);
+		toggle.setAttribute("aria-labelledby", `${id}-label ${id}-value`);
+		toggle.setAttribute("aria-describedby", `${id}-error`);
+
+		moveSlotted(this, "label", part("label-text"));
+		this.appendChild(template);
 	}
 
-	get checked() {
-		return this.getInput()?.checked || false;
+	getInput() {
+		return this.querySelector(".lc-date-picker-input");
 	}
 
-	set checked(val) {
-		const input = this.getInput();
-		if (input) input.checked = Boolean(val);
+	getErrorElement() {
+		return this.querySelector(".lc-date-picker-error");
+	}
+
+	get labelText() {
+		return (
+			this.querySelector(".lc-date-picker-label-text")?.textContent.trim() ||
+			this.getAttribute("name") ||
+			""
+		);
 	}
 
+	/**
+	 * Gets the selected ISO date
+	 * @returns {string}
+	 */
 	get value() {
 		return this.getInput()?.value || "";
 	}
-}
-
-/**
- * Radio group component
- *
- * @example
- * <lc-radio-group name="contact-method" required>
- *   <span slot="legend">Preferred Contact Method</span>
- *   <lc-radio value="email">Email</lc-radio>
- *   <lc-radio value="phone">Phone</lc-radio>
- * </lc-radio-group>
- */
-class LCRadioGroup extends LCFormElement {
-	connectedCallback() {
-		const template = cloneTemplate("lc-radio-group-template");
 
-		// Save radio elements
-		const radios = Array.from(this.querySelectorAll("lc-radio"));
+	/**
+	 * Sets the selected ISO date
+	 * @param {string} val
+	 */
+	set value(val) {
+		const input = this.getInput();
+		if (!input) return;
+		const date = fromISODate(val);
+		input.value = date ? toISODate(date) : "";
+		if (date) this.focusedDate = date;
+		this.renderValue();
+	}
 
-		this.appendChild(template);
+	get reviewValue() {
+		const date = fromISODate(this.value);
+		return date
+			? new Intl.DateTimeFormat(getLocale(), { dateStyle: "full" }).format(date)
+			: "";
+	}
 
-		const fieldset = this.querySelector(".lc-radio-group");
-		const optionsContainer = this.querySelector(".lc-radio-group-options");
+	/**
+	 * Whether a date can be chosen
+	 * @param {Date} date - Date to check
+	 * @returns {boolean}
+	 */
+	isDateDisabled(date) {
+		const iso = toISODate(date);
+		const input = this.getInput();
+		if (input.min && iso < input.min) return true;
+		if (input.max && iso > input.max) return true;
 
-		// Add radios to options container
-		for (const radio of radios) {
-			optionsContainer.appendChild(radio);
-		}
+		const dates = (this.getAttribute("disabled-dates") || "").split(/[\s,]+/);
+		if (dates.includes(iso)) return true;
 
-		// Transfer attributes
-		const name = this.getAttribute("name");
-		const required = getBooleanAttribute(this, "required");
+		const weekdays = (this.getAttribute("disabled-weekdays") || "")
+			.split(/[\s,]+/)
+			.filter(Boolean)
+			.map(Number);
+		return weekdays.includes(date.getDay());
+	}
 
-		// Set name on all radio inputs
-		if (name) {
-			for (const radio of radios) {
-				radio.setAttribute("name", name);
-			}
+	/**
+	 * Validates the standard rules, then that the date is not disabled
+	 * @returns {boolean} - True if valid
+	 */
+	validate() {
+		let valid = super.validate();
+		const date = fromISODate(this.value);
+		if (valid && date && this.isDateDisabled(date)) {
+			this.setError(getValidationMessage("dateUnavailable", {}, this));
+			valid = false;
 		}
+		this.syncNativeValidity();
+		return valid;
+	}
 
-		// Set fieldset attributes
-		fieldset.setAttribute("data-required", String(required));
+	/**
+	 * Keeps a date within min/max
+	 * @param {Date} date - Candidate date
+	 * @returns {Date}
+	 */
+	clampDate(date) {
+		const min = fromISODate(this.getInput().min);
+		const max = fromISODate(this.getInput().max);
+		if (min && date < min) return min;
+		if (max && date > max) return max;
+		return date;
+	}
 
-		// Setup change event
-		this.addEventListener("lc-radio-change", () => {
-			this.validate();
-		});
+	/**
+	 * Adds months, keeping the day within the target month
+	 * @param {Date} date - Start date
+	 * @param {number} months - Months to add (may be negative)
+	 * @returns {Date}
+	 */
+	addMonths(date, months) {
+		const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+		const lastDay = new Date(
+			target.getFullYear(),
+			target.getMonth() + 1,
+			0,
+		).getDate();
+		target.setDate(Math.min(date.getDate(), lastDay));
+		return target;
 	}
 
-	getInput() {
-		return this.querySelector(".lc-radio-input:checked");
+	/**
+	 * First day of the week for the page locale (0 = Sunday)
+	 * @returns {number}
+	 */
+	get firstDayOfWeek() {
+		try {
+			const locale = new Intl.Locale(getLocale());
+			const info = locale.getWeekInfo?.() || locale.weekInfo;
+			if (info) return info.firstDay % 7;
+		} catch {
+			// Unknown locale tags fall through to the default
+		}
+		return 0;
 	}
 
-	getErrorElement() {
-		return this.querySelector(".lc-radio-group-error");
+	/**
+	 * Opens the calendar and focuses the selected (or nearest available) date
+	 */
+	open() {
+		const calendar = this.querySelector(".lc-date-picker-calendar");
+		calendar.hidden = false;
+		this.querySelector(".lc-date-picker-toggle").setAttribute(
+			"aria-expanded",
+			"true",
+		);
+		this.focusedDate =
+			fromISODate(this.value) || this.clampDate(fromISODate("today"));
+		this.renderCalendar();
+		this.querySelector('.lc-date-picker-day[tabindex="0"]')?.focus();
 	}
 
-	validate() {
-		const required =
-			this.querySelector(".lc-radio-group").getAttribute("data-required") ===
-			"true";
+	/**
+	 * Closes the calendar
+	 */
+	close() {
+		this.querySelector(".lc-date-picker-calendar").hidden = true;
+		this.querySelector(".lc-date-picker-toggle").setAttribute(
+			"aria-expanded",
+			"false",
+		);
+	}
 
-		this.clearError();
+	/**
+	 * Selects a date, closes the calendar and returns focus to the toggle
+	 * @param {string} iso - ISO date
+	 */
+	select(iso) {
+		const date = fromISODate(iso);
+		if (!date || this.isDateDisabled(date)) return;
+
+		this.value = iso;
+		this.close();
+		this.querySelector(".lc-date-picker-toggle").focus();
+		this.validate();
+
+		this.getInput().dispatchEvent(new Event("input", { bubbles: true }));
+		this.dispatchEvent(
+			new CustomEvent("lc-change", {
+				detail: { value: iso },
+				bubbles: true,
+			}),
+		);
+	}
 
-		if (required && !this.getInput()) {
-			this.setError("Please select an option");
-			return false;
+	/**
+	 * Moves the active cell, re-rendering when the month changes
+	 * @param {Date} date - Date to move to
+	 * @param {Object} [options]
+	 * @param {boolean} [options.focus=true] - Move keyboard focus to the cell
+	 */
+	moveFocus(date, { focus = true } = {}) {
+		this.focusedDate = this.clampDate(date);
+		this.renderCalendar();
+		if (focus) {
+			this.querySelector('.lc-date-picker-day[tabindex="0"]')?.focus();
 		}
+	}
 
-		return true;
+	/**
+	 * Handles calendar grid keyboard navigation
+	 * @param {KeyboardEvent} event
+	 */
+	handleKeydown(event) {
+		const current = this.focusedDate;
+		const offset = (days) =>
+			new Date(
+				current.getFullYear(),
+				current.getMonth(),
+				current.getDate() + days,
+			);
+		const weekday = (current.getDay() - this.firstDayOfWeek + 7) % 7;
+
+		const moves = {
+			ArrowLeft: () => offset(-1),
+			ArrowRight: () => offset(1),
+			ArrowUp: () => offset(-7),
+			ArrowDown: () => offset(7),
+			Home: () => offset(-weekday),
+			End: () => offset(6 - weekday),
+			PageUp: () => this.addMonths(current, event.shiftKey ? -12 : -1),
+			PageDown: () => this.addMonths(current, event.shiftKey ? 12 : 1),
+		};
+
+		if (document.documentElement.dir === "rtl") {
+			[moves.ArrowLeft, moves.ArrowRight] = [moves.ArrowRight, moves.ArrowLeft];
+		}
+
+		if (moves[event.key]) {
+			event.preventDefault();
+			this.moveFocus(moves[event.key]());
+		} else if (event.key === "Enter" || event.key === " ") {
+			event.preventDefault();
+			this.select(toISODate(current));
+		}
 	}
 
-	get value() {
-		return this.getInput()?.value || "";
+	/**
+	 * Updates the toggle text and calendar for the current value and locale
+	 */
+	renderValue() {
+		const toggle = this.querySelector(".lc-date-picker-toggle");
+		const text = this.querySelector(".lc-date-picker-value-text");
+		if (!toggle || !text) return;
+
+		const date = fromISODate(this.value);
+		text.textContent = date
+			? new Intl.DateTimeFormat(getLocale(), { dateStyle: "full" }).format(date)
+			: translate("datePicker.placeholder", "Choose a date");
+		toggle.toggleAttribute("data-empty", !date);
+
+		this.querySelector(".lc-date-picker-prev").setAttribute(
+			"aria-label",
+			translate("datePicker.previousMonth", "Previous month"),
+		);
+		this.querySelector(".lc-date-picker-next").setAttribute(
+			"aria-label",
+			translate("datePicker.nextMonth", "Next month"),
+		);
+
+		if (!this.querySelector(".lc-date-picker-calendar").hidden) {
+			this.renderCalendar();
+		}
 	}
 
-	set value(val) {
-		const radios = this.querySelectorAll(".lc-radio-input");
-		for (const radio of radios) {
-			radio.checked = radio.value === val;
+	/**
+	 * Renders the weekday headers and the days of the focused month
+	 */
+	renderCalendar() {
+		const locale = getLocale();
+		const focused = this.focusedDate;
+		const year = focused.getFullYear();
+		const month = focused.getMonth();
+		const firstDay = this.firstDayOfWeek;
+
+		this.querySelector(".lc-date-picker-month").textContent =
+			new Intl.DateTimeFormat(locale, {
+				month: "long",
+				year: "numeric",
+			}).format(focused);
+
+		// Weekday headers, starting on the locale's first day of the week
+		const short = new Intl.DateTimeFormat(locale, { weekday: "short" });
+		const long = new Intl.DateTimeFormat(locale, { weekday: "long" });
+		const headerRow = this.querySelector(".lc-date-picker-grid thead tr");
+		headerRow.replaceChildren();
+		for (let i = 0; i < 7; i++) {
+			// 2023-01-01 was a Sunday
+			const day = new Date(2023, 0, 1 + ((firstDay + i) % 7));
+			const th = document.createElement("th");
+			th.scope = "col";
+			th.abbr = long.format(day);
+			th.textContent = short.format(day);
+			headerRow.appendChild(th);
+		}
+
+		const full = new Intl.DateTimeFormat(locale, { dateStyle: "full" });
+		const today = toISODate(fromISODate("today"));
+		const selected = this.value;
+		const focusedISO = toISODate(focused);
+		const lead = (new Date(year, month, 1).getDay() - firstDay + 7) % 7;
+		const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+		const body = this.querySelector(".lc-date-picker-grid tbody");
+		body.replaceChildren();
+		let row = null;
+		for (let cell = 0; cell < lead + daysInMonth; cell++) {
+			if (cell % 7 === 0) {
+				row = document.createElement("tr");
+				body.appendChild(row);
+			}
+
+			const td = document.createElement("td");
+			if (cell >= lead) {
+				const date = new Date(year, month, cell - lead + 1);
+				const iso = toISODate(date);
+				td.className = "lc-date-picker-day";
+				td.dataset.date = iso;
+				td.textContent = String(date.getDate());
+				td.setAttribute("aria-label", full.format(date));
+				td.setAttribute("aria-selected", String(iso === selected));
+				td.tabIndex = iso === focusedISO ? 0 : -1;
+				if (iso === today) td.setAttribute("aria-current", "date");
+				if (this.isDateDisabled(date)) td.setAttribute("aria-disabled", "true");
+			}
+			row.appendChild(td);
 		}
 	}
 }
 
 /**
- * Radio option component (used within lc-radio-group)
+ * Time slot picker for preferred call-back windows
+ * Slots are generated from start/end/interval (or listed in `slots`) and shown
+ * in the page locale's time format. Values are "HH:MM-HH:MM" strings; with
+ * `multiple`, each chosen slot is a separate FormData entry.
+ *
+ * Attributes:
+ * - start / end / interval: Opening hours and slot length in minutes (default 09:00-17:00, 60)
+ * - slots: Explicit slot list ("09:00-12:00 12:00-15:00"), overrides start/end/interval
+ * - disabled-slots: Slot values that cannot be chosen
+ * - multiple / max-selections: Allow several slots, optionally capped
+ * - date-field: Name of an <lc-date-picker>; when it is today, past slots are disabled
  *
  * @example
- * <lc-radio value="email">Email</lc-radio>
+ * <lc-time-slot-picker name="preferred-time" start="09:00" end="17:00" interval="120" multiple>
+ *   <span slot="label">Preferred call-back window</span>
+ * </lc-time-slot-picker>
  */
-class LCRadio extends HTMLElement {
+class LCTimeSlotPicker extends LCFormElement {
 	connectedCallback() {
-		const template = cloneTemplate("lc-radio-template");
-
-		// Save text content
-		const text = this.textContent;
-
+		if (this.querySelector(".lc-time-slot-picker-wrapper")) return;
+		if (!hasPickerTemplate(this, "lc-time-slot-picker-template")) return;
+
+		const template = cloneTemplate("lc-time-slot-picker-template");
+		const fieldset = template.querySelector(".lc-time-slot-picker-wrapper");
+		fieldset.setAttribute(
+			"data-required",
+			String(getBooleanAttribute(this, "required")),
+		);
+		moveSlotted(
+			this,
+			"label",
+			fieldset.querySelector(".lc-time-slot-picker-label-text"),
+		);
+		moveSlotted(
+			this,
+			"help",
+			fieldset.querySelector(".lc-time-slot-picker-help"),
+		);
+		if (getBooleanAttribute(this, "disabled")) fieldset.disabled = true;
 		this.appendChild(template);
 
-		const input = this.querySelector(".lc-radio-input");
-		const textSlot = this.querySelector(".lc-radio-text");
-
-		// Restore text content
-		if (text && textSlot) {
-			textSlot.textContent = text;
-		}
-
-		// Transfer attributes
-		const name = this.getAttribute("name");
-		const value = this.getAttribute("value");
-		const disabled = getBooleanAttribute(this, "disabled");
-		const checked = getBooleanAttribute(this, "checked");
+		// Keep the proxy out of the focus order (e.g. when focused as first invalid field)
+		const proxy = this.querySelector(".lc-time-slot-picker-proxy");
+		if (getBooleanAttribute(this, "required")) proxy.required = true;
+		proxy.addEventListener("focus", () =>
+			this.querySelector(".lc-time-slot-input:not(:disabled)")?.focus(),
+		);
 
-		if (name) input.name = name;
-		if (value) input.value = value;
-		if (disabled) input.disabled = true;
-		if (checked) input.checked = true;
+		this.renderSlots();
 
-		// Setup change event
-		input.addEventListener("change", () => {
+		fieldset.addEventListener("change", (event) => {
+			if (!event.target.matches(".lc-time-slot-input")) return;
+			this.validate();
 			this.dispatchEvent(
-				new CustomEvent("lc-radio-change", {
-					detail: { value: input.value },
+				new CustomEvent("lc-change", {
+					detail: { value: this.value, values: this.values },
 					bubbles: true,
 				}),
 			);
 		});
+		fieldset.addEventListener("invalid", () => this.validate(), true);
+
+		// Follow the linked date picker so past slots can't be chosen for today
+		const form = this.closest("form");
+		const dateField = this.getAttribute("date-field");
+		if (form && dateField) {
+			form.addEventListener("lc-change", (event) => {
+				if (event.target.getAttribute?.("name") === dateField) {
+					this.updateAvailability();
+				}
+			});
+		}
+
+		this.handleTranslations = () => this.renderSlots();
+		document.addEventListener(
+			"lc-translations-applied",
+			this.handleTranslations,
+		);
+
+		form?.addEventListener("reset", () =>
+			setTimeout(() => {
+				this.clearError();
+				this.syncProxy();
+			}),
+		);
 	}
 
-	get checked() {
-		return this.querySelector(".lc-radio-input")?.checked || false;
+	disconnectedCallback() {
+		document.removeEventListener(
+			"lc-translations-applied",
+			this.handleTranslations,
+		);
 	}
 
-	set checked(val) {
-		const input = this.querySelector(".lc-radio-input");
-		if (input) input.checked = Boolean(val);
+	getInput() {
+		return this.querySelector(".lc-time-slot-input:checked");
+	}
+
+	getErrorElement() {
+		return this.querySelector(".lc-time-slot-picker-error");
+	}
+
+	get labelText() {
+		return (
+			this.querySelector(
+				".lc-time-slot-picker-label-text",
+			)?.textContent.trim() ||
+			this.getAttribute("name") ||
+			""
+		);
+	}
+
+	/**
+	 * Gets the chosen slot values
+	 * @returns {string[]}
+	 */
+	get values() {
+		return Array.from(
+			this.querySelectorAll(".lc-time-slot-input:checked"),
+			(input) => input.value,
+		);
 	}
 
+	/**
+	 * Gets the chosen slots as a comma-separated string
+	 * @returns {string}
+	 */
 	get value() {
-		return this.querySelector(".lc-radio-input")?.value || "";
+		return this.values.join(",");
 	}
-}
 
-/**
- * Submit button with loading state
- *
- * @example
- * <lc-submit-button>Submit Form</lc-submit-button>
- */
-class LCSubmitButton extends HTMLElement {
-	connectedCallback() {
-		const template = cloneTemplate("lc-submit-button-template");
+	/**
+	 * Chooses slots from a comma-separated string
+	 * @param {string} val
+	 */
+	set value(val) {
+		const chosen = String(val || "").split(",");
+		for (const input of this.querySelectorAll(".lc-time-slot-input")) {
+			input.checked = !input.disabled && chosen.includes(input.value);
+		}
+		this.syncProxy();
+	}
 
-		// Save text content
-		const text = this.textContent;
+	get reviewValue() {
+		return Array.from(
+			this.querySelectorAll(".lc-time-slot-input:checked"),
+			(input) => input.nextElementSibling.textContent,
+		).join(", ");
+	}
 
-		this.appendChild(template);
+	/**
+	 * Lists the slots as [start, end] minute pairs
+	 * @returns {Array<[number, number]>}
+	 */
+	getSlots() {
+		const toMinutes = (time) => {
+			const [hours, minutes = 0] = time.split(":").map(Number);
+			return hours * 60 + minutes;
+		};
+
+		const list = this.getAttribute("slots");
+		if (list) {
+			return list
+				.split(/[\s,]+/)
+				.filter(Boolean)
+				.map((slot) => slot.split("-").map(toMinutes));
+		}
 
-		const button = this.querySelector(".lc-submit-button");
-		const textSlot = this.querySelector(".lc-submit-button-text");
+		const start = toMinutes(getAttributeOr(this, "start", "09:00"));
+		const end = toMinutes(getAttributeOr(this, "end", "17:00"));
+		const interval = Number(getAttributeOr(this, "interval", "60")) || 60;
 
-		// Restore text content
-		if (text && textSlot) {
-			textSlot.textContent = text;
+		const slots = [];
+		for (let from = start; from + interval <= end; from += interval) {
+			slots.push([from, from + interval]);
 		}
+		return slots;
+	}
 
-		// Transfer attributes
-		const disabled = getBooleanAttribute(this, "disabled");
-		const type = getAttributeOr(this, "type", "submit");
+	/**
+	 * Renders one option per slot, keeping the current selection
+	 */
+	renderSlots() {
+		const options = this.querySelector(".lc-time-slot-picker-options");
+		if (!options) return;
+
+		const chosen = this.values;
+		const multiple = getBooleanAttribute(this, "multiple");
+		const name = this.getAttribute("name") || "";
+		const disabled = (this.getAttribute("disabled-slots") || "").split(
+			/[\s,]+/,
+		);
+		const format = new Intl.DateTimeFormat(getLocale(), {
+			hour: "numeric",
+			minute: "2-digit",
+		});
+		const pad = (minutes) =>
+			`${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+		const toDate = (minutes) => new Date(2000, 0, 1, 0, minutes);
+
+		options.replaceChildren();
+		for (const [from, to] of this.getSlots()) {
+			const value = `${pad(from)}-${pad(to)}`;
+
+			const label = document.createElement("label");
+			label.className = "lc-time-slot";
+
+			const input = document.createElement("input");
+			input.type = multiple ? "checkbox" : "radio";
+			input.className = "lc-time-slot-input";
+			input.name = name;
+			input.value = value;
+			input.dataset.start = String(from);
+			input.checked = chosen.includes(value);
+			input.disabled = disabled.includes(value);
+			input.dataset.unavailable = String(input.disabled);
+
+			const text = document.createElement("span");
+			text.className = "lc-time-slot-text";
+			text.textContent = format.formatRange
+				? format.formatRange(toDate(from), toDate(to))
+				: `${format.format(toDate(from))} – ${format.format(toDate(to))}`;
+
+			label.append(input, text);
+			options.appendChild(label);
+		}
 
-		button.type = type;
-		if (disabled) button.disabled = true;
+		this.updateAvailability();
 	}
 
 	/**
-	 * Sets loading state
-	 * @param {boolean} loading - Whether button is loading
+	 * Disables slots that have already started when the linked date is today
 	 */
-	setLoading(loading) {
-		const button = this.querySelector(".lc-submit-button");
-		if (button) {
-			if (loading) {
-				button?.classList.add("loading");
-				button.disabled = true;
-			} else {
-				button?.classList.remove("loading");
-				button.disabled = getBooleanAttribute(this, "disabled");
-			}
+	updateAvailability() {
+		const dateField = this.getAttribute("date-field");
+		const picker = dateField
+			? this.closest("form")?.querySelector(
+					`lc-date-picker[name="${CSS.escape(dateField)}"]`,
+				)
+			: null;
+		const isToday =
+			Boolean(picker?.value) &&
+			picker.value === toISODate(fromISODate("today"));
+		const now = new Date();
+		const minutesNow = now.getHours() * 60 + now.getMinutes();
+
+		for (const input of this.querySelectorAll(".lc-time-slot-input")) {
+			const past = isToday && Number(input.dataset.start) <= minutesNow;
+			input.disabled = input.dataset.unavailable === "true" || past;
+			if (input.disabled) input.checked = false;
 		}
+		this.syncProxy();
 	}
 
-	get disabled() {
-		return this.querySelector(".lc-submit-button")?.disabled || false;
+	/**
+	 * Mirrors the chosen slots and the error to the hidden proxy input, so that
+	 * native form submission (e.g. the contact dialog) is blocked as well.
+	 * The slot inputs can't carry the validity: any of them may be disabled.
+	 * @param {string} [error] - Validation message, empty when valid
+	 */
+	syncProxy(error = "") {
+		const proxy = this.querySelector(".lc-time-slot-picker-proxy");
+		if (!proxy) return;
+		proxy.value = this.value;
+		proxy.setCustomValidity(error);
 	}
 
-	set disabled(val) {
-		const button = this.querySelector(".lc-submit-button");
-		if (button) button.disabled = Boolean(val);
+	/**
+	 * Validates required and max-selections
+	 * @returns {boolean} - True if valid
+	 */
+	validate() {
+		this.clearError();
+
+		const count = this.values.length;
+		const max = Number(this.getAttribute("max-selections"));
+		let error = "";
+
+		if (getBooleanAttribute(this, "required") && count === 0) {
+			error = getValidationMessage("requiredChoice", {}, this);
+		} else if (max && count > max) {
+			error = getValidationMessage("maxSelections", { count: max }, this);
+		}
+
+		if (error) this.setError(error);
+		this.syncProxy(error);
+		return !error;
 	}
 }
 
 // Define custom elements
 customElements.define("lc-form", LCForm);
+customElements.define("lc-form-step", LCFormStep);
 customElements.define("lc-input", LCInput);
 customElements.define("lc-textarea", LCTextarea);
 customElements.define("lc-select", LCSelect);
@@ -791,15 +2926,22 @@ customElements.define("lc-checkbox", LCCheckbox);
 customElements.define("lc-radio-group", LCRadioGroup);
 customElements.define("lc-radio", LCRadio);
 customElements.define("lc-submit-button", LCSubmitButton);
+customElements.define("lc-file-upload", LCFileUpload);
+customElements.define("lc-date-picker", LCDatePicker);
+customElements.define("lc-time-slot-picker", LCTimeSlotPicker);
 
 // Export for use in other modules
 export {
 	LCCheckbox,
+	LCDatePicker,
+	LCFileUpload,
 	LCForm,
+	LCFormStep,
 	LCInput,
 	LCRadio,
 	LCRadioGroup,
 	LCSelect,
 	LCSubmitButton,
 	LCTextarea,
+	LCTimeSlotPicker,
 };
@@ -6,6 +6,10 @@
 
 import { cloneTemplate } from "@/core/component-loader.js";
 import { getAttributeOr } from "@/core/helpers.js";
+import { BREAKPOINTS } from "@/presets/tokens.js";
+import "@/components/lc-language-switcher.js";
+import "@/components/lc-theme-switcher.js";
+import "@/components/lc-a11y-preferences.js";
 
 class LCHeader extends HTMLElement {
 	constructor() {
@@ -201,8 +205,10 @@ class LCHeader extends HTMLElement {
 							}
 						}
 
-						// Arrow Right - open nested submenu
-						if (event.key === "ArrowRight") {
+						const { open, close } = this.getSubmenuKeys();
+
+						// Arrow Right (Left in RTL) - open nested submenu
+						if (event.key === open) {
 							const parentLi = link.parentElement;
 							const nestedSubmenu = parentLi.querySelector(".dropdown-submenu");
 							if (nestedSubmenu) {
@@ -214,8 +220,8 @@ class LCHeader extends HTMLElement {
 							}
 						}
 
-						// Arrow Left - close submenu and return to parent
-						if (event.key === "ArrowLeft") {
+						// Arrow Left (Right in RTL) - close submenu and return to parent
+						if (event.key === close) {
 							const isInSubmenu = link.closest(".dropdown-submenu");
 							if (isInSubmenu) {
 								event.preventDefault();
@@ -247,6 +253,17 @@ class LCHeader extends HTMLElement {
 		}
 	}
 
+	/**
+	 * Arrow keys that move into and out of nested submenus
+	 * Submenus open toward the end of the line, so the keys swap on RTL pages
+	 * @returns {{open: string, close: string}}
+	 */
+	getSubmenuKeys() {
+		return document.documentElement.dir === "rtl"
+			? { open: "ArrowLeft", close: "ArrowRight" }
+			: { open: "ArrowRight", close: "ArrowLeft" };
+	}
+
 	/**
 	 * Ensure submenu triggers have proper ARIA and unique controls
 	 */
@@ -277,7 +294,8 @@ class LCHeader extends HTMLElement {
 	 * On mobile, intercept single click on submenu triggers to expand instead of navigating
 	 */
 	setupMobileSubmenuToggles() {
-		const isMobile = () => window.matchMedia("(max-width: 768px)").matches;
+		const isMobile = () =>
+			window.matchMedia(`(max-width: ${BREAKPOINTS.md})`).matches;
 		const triggers = this.querySelectorAll('[aria-haspopup="true"]');
 
 		for (const trigger of triggers) {
@@ -315,6 +333,8 @@ class LCHeader extends HTMLElement {
 
 	/**
 	 * Setup viewport-aware dropdowns
+	 * Submenus open toward the end of the line (right, or left on RTL pages) and
+	 * flip to the other side when they would overflow the viewport
 	 */
 	setupViewportAwareDropdowns() {
 		const nav = this.querySelector("nav");
@@ -328,17 +348,17 @@ class LCHeader extends HTMLElement {
 				if (submenu) {
 					const rect = submenu.getBoundingClientRect();
 					const vw = window.innerWidth;
-					if (rect.right > vw && vw > 0) {
-						submenu.classList.add("opens-left");
-					} else {
-						submenu.classList.remove("opens-left");
-					}
+					const overflows =
+						document.documentElement.dir === "rtl"
+							? rect.left < 0
+							: rect.right > vw && vw > 0;
+					submenu.classList.toggle("opens-reverse", overflows);
 				}
 			});
 
 			li.addEventListener("mouseleave", function () {
 				const submenu = this.querySelector(":scope > .dropdown-submenu");
-				if (submenu) submenu.classList.remove("opens-left");
+				if (submenu) submenu.classList.remove("opens-reverse");
 			});
 		}
 	}
@@ -15,17 +15,39 @@
  * - size: Predefined size - 'small' (1.5rem), 'medium' (2.5rem), 'large' (3.5rem), or custom CSS value
  * - color: Color value - 'primary', 'secondary', 'inherit', or any CSS color
  * - aria-label: Accessible label for screen readers
+ * - mirror: Flip the icon on right-to-left pages (implied for MIRRORED_ICONS)
  */
 
+import { adoptSharedStyles } from "@/core/shadow-styles.js";
+import { tokenVar } from "@/presets/tokens.js";
+
+/**
+ * Icons pointing along the reading direction ("next", "back", sending, signing in/out)
+ * that are flipped on right-to-left pages. Physical directions (arrow-left) are not
+ * @constant {Set<string>}
+ */
+const MIRRORED_ICONS = new Set([
+	"arrow-next",
+	"arrow-prev",
+	"caret-next",
+	"caret-prev",
+	"direction-next",
+	"direction-prev",
+	"login",
+	"logout",
+	"send",
+]);
+
 class LcIcon extends HTMLElement {
 	constructor() {
 		super();
 		this.attachShadow({ mode: "open" });
+		adoptSharedStyles(this.shadowRoot);
 	}
 
 	// Observed attributes for reactivity
 	static get observedAttributes() {
-		return ["name", "size", "color", "aria-label"];
+		return ["name", "size", "color", "aria-label", "mirror"];
 	}
 
 	connectedCallback() {
@@ -62,11 +84,11 @@ class LcIcon extends HTMLElement {
 	getColorValue() {
 		const color = this.getAttribute("color") || "primary";
 		const colorMap = {
-			primary: "var(--color-warm-tan, #C9A876)",
-			secondary: "var(--color-dark-blue, #0B2935)",
+			primary: tokenVar("color-warm-tan"),
+			secondary: tokenVar("color-dark-blue"),
 			inherit: "currentColor",
-			white: "var(--color-white, #FFFFFF)",
-			accent: "var(--color-sage, #9FBDBF)",
+			white: tokenVar("color-white"),
+			accent: tokenVar("color-blue-grey"),
 		};
 		return colorMap[color] || color; // Allow custom CSS colors
 	}
@@ -113,6 +135,9 @@ class LcIcon extends HTMLElement {
 
 			// Add class for styling hooks
 			svg.classList.add("lc-icon-svg");
+			if (this.isMirrored()) {
+				svg.classList.add("lc-icon-mirror");
+			}
 
 			return svg;
 		} catch (error) {
@@ -121,6 +146,17 @@ class LcIcon extends HTMLElement {
 		}
 	}
 
+	/**
+	 * Whether the icon follows the reading direction
+	 * @returns {boolean}
+	 */
+	isMirrored() {
+		return (
+			this.hasAttribute("mirror") ||
+			MIRRORED_ICONS.has(this.getAttribute("name") || "")
+		);
+	}
+
 	renderFallback() {
 		const span = document.createElement("span");
 		span.textContent = "●";
@@ -157,6 +193,11 @@ class LcIcon extends HTMLElement {
         transform: scale(1.1);
       }
 
+      /* scale composes with the hover transform */
+      :host(:dir(rtl)) .lc-icon-mirror {
+        scale: -1 1;
+      }
+
       :host([spin]) .lc-icon-svg {
         animation: spin 2s linear infinite;
       }
@@ -0,0 +1,261 @@
+// @ts-nocheck
+/**
+ * Legacy Concierge Language Switcher Component
+ * Lists every locale of the registry (common/presets/locales.js) in an ARIA listbox
+ *
+ * Selecting a language calls switchLanguage(), which updates <html lang dir>,
+ * stores the preference, re-translates the page and fires `lc-language-change`
+ * on document ({ lang, previous, dir }) for any component to subscribe to.
+ *
+ * Keyboard:
+ * - Enter / Space / ArrowDown / ArrowUp on the button: open the list
+ * - ArrowDown / ArrowUp / Home / End: move through languages
+ * - Enter / Space: select, Escape: close without selecting, Tab: close
+ *
+ * @example
+ * <lc-language-switcher></lc-language-switcher>
+ */
+
+import { DEFAULT_LOCALE, LOCALES, matchLocale } from "../presets/locales.js";
+import { switchLanguage, t } from "../services/i18n.js";
+
+let instanceCount = 0;
+
+class LCLanguageSwitcher extends HTMLElement {
+	constructor() {
+		super();
+		this.button = null;
+		this.list = null;
+		this.handleLanguageChange = () => this.update();
+		this.handleOutsideClick = (event) => {
+			if (!this.contains(event.target)) this.close();
+		};
+	}
+
+	/**
+	 * Called when element is inserted into DOM
+	 */
+	connectedCallback() {
+		if (!this.button) this.render();
+		this.update();
+
+		document.addEventListener("lc-language-change", this.handleLanguageChange);
+		document.addEventListener(
+			"lc-translations-applied",
+			this.handleLanguageChange,
+		);
+		document.addEventListener("click", this.handleOutsideClick);
+	}
+
+	/**
+	 * Called when element is removed from DOM
+	 */
+	disconnectedCallback() {
+		document.removeEventListener(
+			"lc-language-change",
+			this.handleLanguageChange,
+		);
+		document.removeEventListener(
+			"lc-translations-applied",
+			this.handleLanguageChange,
+		);
+		document.removeEventListener("click", this.handleOutsideClick);
+	}
+
+	/**
+	 * Render the toggle button and the language list
+	 */
+	render() {
+		const listId = `lc-language-list-${++instanceCount}`;
+
+		this.button = document.createElement("button");
+		this.button.type = "button";
+		this.button.className = "language-toggle";
+		this.button.setAttribute("aria-haspopup", "listbox");
+		this.button.setAttribute("aria-expanded", "false");
+		this.button.setAttribute("aria-controls", listId);
+		this.button.innerHTML = `
+			<span class="language-current"></span>
+			<span class="language-arrow" aria-hidden="true">▾</span>
+		`;
+
+		this.list = document.createElement("ul");
+		this.list.id = listId;
+		this.list.className = "language-options";
+		this.list.setAttribute("role", "listbox");
+		this.list.setAttribute("tabindex", "-1");
+		this.list.setAttribute("aria-label", "Language");
+		this.list.setAttribute("data-i18n-attr", "aria-label:language.label");
+		this.list.hidden = true;
+
+		for (const [code, locale] of Object.entries(LOCALES)) {
+			const option = document.createElement("li");
+			option.id = `${listId}-${code}`;
+			option.setAttribute("role", "option");
+			option.setAttribute("lang", code);
+			option.dataset.lang = code;
+			option.textContent = locale.name;
+			this.list.appendChild(option);
+		}
+
+		this.append(this.button, this.list);
+
+		this.button.addEventListener("click", () => {
+			if (this.isOpen()) {
+				this.close();
+			} else {
+				this.open();
+			}
+		});
+		this.button.addEventListener("keydown", (event) => {
+			if (["ArrowDown", "ArrowUp"].includes(event.key)) {
+				event.preventDefault();
+				this.open();
+			}
+		});
+
+		this.list.addEventListener("click", (event) => {
+			const option = event.target.closest('[role="option"]');
+			if (option) this.select(option.dataset.lang);
+		});
+		this.list.addEventListener("keydown", (event) => this.handleKeydown(event));
+		this.list.addEventListener("focusout", (event) => {
+			if (!this.contains(event.relatedTarget)) this.close(false);
+		});
+	}
+
+	/**
+	 * Language currently applied to the document
+	 * @returns {string} Registered locale code
+	 */
+	getCurrentLanguage() {
+		return matchLocale(document.documentElement.lang) || DEFAULT_LOCALE;
+	}
+
+	/**
+	 * @returns {HTMLElement[]} Language options in list order
+	 */
+	getOptions() {
+		return Array.from(this.list.querySelectorAll('[role="option"]'));
+	}
+
+	/**
+	 * Reflect the document language in the button and the selected option
+	 */
+	update() {
+		if (!this.button) return;
+		const current = this.getCurrentLanguage();
+
+		this.button.querySelector(".language-current").textContent =
+			current.toUpperCase();
+		this.button.setAttribute(
+			"aria-label",
+			`${t("accessibility.switchLanguage", {}, "Switch language")}: ${LOCALES[current].name}`,
+		);
+
+		for (const option of this.getOptions()) {
+			option.setAttribute(
+				"aria-selected",
+				String(option.dataset.lang === current),
+			);
+		}
+	}
+
+	/**
+	 * @returns {boolean} Whether the list is shown
+	 */
+	isOpen() {
+		return this.button?.getAttribute("aria-expanded") === "true";
+	}
+
+	/**
+	 * Show the list and focus the selected language
+	 */
+	open() {
+		this.button.setAttribute("aria-expanded", "true");
+		this.list.hidden = false;
+		this.classList.add("open");
+
+		const selected =
+			this.getOptions().find(
+				(option) => option.getAttribute("aria-selected") === "true",
+			) || this.getOptions()[0];
+		this.setActive(selected);
+		this.list.focus();
+	}
+
+	/**
+	 * Hide the list
+	 * @param {boolean} [restoreFocus=true] - Move focus back to the button
+	 */
+	close(restoreFocus = true) {
+		if (!this.isOpen()) return;
+
+		this.button.setAttribute("aria-expanded", "false");
+		this.list.hidden = true;
+		this.list.removeAttribute("aria-activedescendant");
+		this.classList.remove("open");
+
+		if (restoreFocus && this.contains(document.activeElement)) {
+			this.button.focus();
+		}
+	}
+
+	/**
+	 * Mark an option as the keyboard position
+	 * @param {HTMLElement} option
+	 */
+	setActive(option) {
+		if (!option) return;
+		for (const item of this.getOptions()) {
+			item.classList.toggle("active", item === option);
+		}
+		this.list.setAttribute("aria-activedescendant", option.id);
+		option.scrollIntoView({ block: "nearest" });
+	}
+
+	/**
+	 * Keyboard navigation within the open list
+	 * @param {KeyboardEvent} event
+	 */
+	handleKeydown(event) {
+		const options = this.getOptions();
+		const index = options.findIndex((option) =>
+			option.classList.contains("active"),
+		);
+
+		const moves = {
+			ArrowDown: () => options[Math.min(index + 1, options.length - 1)],
+			ArrowUp: () => options[Math.max(index - 1, 0)],
+			Home: () => options[0],
+			End: () => options[options.length - 1],
+		};
+
+		if (moves[event.key]) {
+			event.preventDefault();
+			this.setActive(moves[event.key]());
+		} else if (event.key === "Enter" || event.key === " ") {
+			event.preventDefault();
+			if (options[index]) this.select(options[index].dataset.lang);
+		} else if (event.key === "Escape") {
+			event.preventDefault();
+			this.close();
+		} else if (event.key === "Tab") {
+			this.close(false);
+		}
+	}
+
+	/**
+	 * Switch to a language and close the list
+	 * @param {string} lang - Locale code
+	 */
+	select(lang) {
+		this.close();
+		if (lang !== this.getCurrentLanguage()) {
+			switchLanguage(lang);
+		}
+	}
+}
+
+// Register the custom element
+customElements.define("lc-language-switcher", LCLanguageSwitcher);
@@ -0,0 +1,164 @@
+// @ts-nocheck
+/**
+ * Legacy Concierge Theme Switcher Component
+ * Light / dark / system choice as an ARIA radio group
+ *
+ * Selecting an option calls LCTheme.setTheme() (common/services/theme.js),
+ * which stores the preference, updates <html data-theme> and fires
+ * `lc-theme-change` on document ({ theme, preference, previous }). "System"
+ * follows the device, including prefers-contrast and forced colors.
+ * High-contrast and sepia are set with LCTheme.setTheme(); while one of them
+ * is the saved preference no option here is checked.
+ *
+ * Keyboard:
+ * - Tab: focus the checked option (or the first)
+ * - ArrowLeft / ArrowRight / ArrowUp / ArrowDown: move and select
+ *
+ * @example
+ * <lc-theme-switcher></lc-theme-switcher>
+ */
+
+import { t } from "../services/i18n.js";
+
+/**
+ * Options in display order
+ * @constant {Array<{value: string, icon: string}>}
+ */
+const THEME_OPTIONS = [
+	{ value: "light", icon: "☀️" },
+	{ value: "dark", icon: "🌙" },
+	{ value: "system", icon: "💻" },
+];
+
+class LCThemeSwitcher extends HTMLElement {
+	constructor() {
+		super();
+		this.group = null;
+		this.handleChange = () => this.update();
+	}
+
+	/**
+	 * Called when element is inserted into DOM
+	 */
+	connectedCallback() {
+		if (!this.group) this.render();
+		this.update();
+
+		document.addEventListener("lc-theme-change", this.handleChange);
+		document.addEventListener("lc-translations-applied", this.handleChange);
+	}
+
+	/**
+	 * Called when element is removed from DOM
+	 */
+	disconnectedCallback() {
+		document.removeEventListener("lc-theme-change", this.handleChange);
+		document.removeEventListener("lc-translations-applied", this.handleChange);
+	}
+
+	/**
+	 * Render the radio group
+	 */
+	render() {
+		this.group = document.createElement("div");
+		this.group.className = "theme-switcher";
+		this.group.setAttribute("role", "radiogroup");
+		this.group.setAttribute("aria-label", "Theme");
+		this.group.setAttribute("data-i18n-attr", "aria-label:theme.label");
+
+		for (const { value, icon } of THEME_OPTIONS) {
+			const option = document.createElement("button");
+			option.type = "button";
+			option.className = "theme-option";
+			option.setAttribute("role", "radio");
+			option.dataset.theme = value;
+			option.innerHTML = `
+				<span class="theme-icon" aria-hidden="true">${icon}</span>
+				<span class="sr-only"></span>
+			`;
+			this.group.appendChild(option);
+		}
+
+		this.append(this.group);
+
+		this.group.addEventListener("click", (event) => {
+			const option = event.target.closest(".theme-option");
+			if (option) this.select(option.dataset.theme);
+		});
+		this.group.addEventListener("keydown", (event) =>
+			this.handleKeydown(event),
+		);
+	}
+
+	/**
+	 * @returns {HTMLButtonElement[]} Options in display order
+	 */
+	getOptions() {
+		return Array.from(this.group.querySelectorAll(".theme-option"));
+	}
+
+	/**
+	 * Reflect the saved preference and the current language
+	 */
+	update() {
+		if (!this.group) return;
+		const preference = window.LCTheme?.getThemePreference() ?? "system";
+		const options = this.getOptions();
+		const checked = options.find(
+			(option) => option.dataset.theme === preference,
+		);
+
+		for (const option of options) {
+			const label = t(
+				`theme.${option.dataset.theme}`,
+				{},
+				option.dataset.theme,
+			);
+			option.querySelector(".sr-only").textContent = label;
+			option.title = label;
+			option.setAttribute("aria-checked", String(option === checked));
+			// Roving tabindex: one tab stop for the whole group
+			option.tabIndex = option === (checked || options[0]) ? 0 : -1;
+		}
+	}
+
+	/**
+	 * Arrow keys move the selection, as in a native radio group
+	 * @param {KeyboardEvent} event
+	 */
+	handleKeydown(event) {
+		const step = {
+			ArrowRight: 1,
+			ArrowDown: 1,
+			ArrowLeft: -1,
+			ArrowUp: -1,
+		}[event.key];
+		if (!step) return;
+
+		event.preventDefault();
+		const options = this.getOptions();
+		const index = options.indexOf(event.target.closest(".theme-option"));
+		// Arrow direction follows the reading direction
+		const direction =
+			document.documentElement.dir === "rtl" &&
+			["ArrowLeft", "ArrowRight"].includes(event.key)
+				? -step
+				: step;
+		const next = options[(index + direction + options.length) % options.length];
+
+		this.select(next.dataset.theme);
+		next.focus();
+	}
+
+	/**
+	 * Save and apply a theme preference
+	 * @param {string} preference - 'light', 'dark' or 'system'
+	 */
+	select(preference) {
+		window.LCTheme?.setTheme(preference);
+		this.update();
+	}
+}
+
+// Register the custom element
+customElements.define("lc-theme-switcher", LCThemeSwitcher);
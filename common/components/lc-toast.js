@@ -0,0 +1,481 @@
+// @ts-nocheck
+/**
+ * Toast Notifications for Legacy Concierge
+ * Non-blocking status messages that replace window.alert()
+ *
+ * Components:
+ * - <lc-toast-region>: Live region that stacks toasts (added to the page when this
+ *   module loads, so it exists before the first toast is announced)
+ *
+ * Features:
+ * - Polite live region for info/success/warning, role="alert" for errors
+ * - Stacking with a configurable maximum (oldest toasts are dismissed first)
+ * - Auto-dismiss timer that pauses on hover and keyboard focus
+ * - Optional action button (e.g. "Retry")
+ * - Messages and labels can be given as i18n keys (resolved via getTranslation,
+ *   formatted with `params`)
+ * - No animation when the visitor prefers reduced motion
+ *
+ * @example
+ * import { notify } from "@/components/lc-toast.js";
+ * notify({ type: "success", messageKey: "toast.saved", message: "Saved" });
+ *
+ * @example
+ * notify({
+ *   type: "error",
+ *   message: "Could not send your request.",
+ *   action: { label: "Retry", onClick: () => form.requestSubmit() },
+ * });
+ */
+
+import { generateId, prefersReducedMotion } from "@/core/helpers.js";
+import { formatMessage } from "@/core/message-format.js";
+import { adoptSharedStyles } from "@/core/shadow-styles.js";
+import { tokenVar } from "@/presets/tokens.js";
+
+/**
+ * Auto-dismiss delay in milliseconds (errors stay until dismissed)
+ * @constant {number}
+ */
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Maximum number of toasts shown at once
+ * @constant {number}
+ */
+const DEFAULT_MAX_TOASTS = 4;
+
+/**
+ * Duration of the enter/exit animation in milliseconds
+ * @constant {number}
+ */
+const ANIMATION_DURATION = 200;
+
+/**
+ * Supported toast types
+ * @constant {string[]}
+ */
+const TOAST_TYPES = ["info", "success", "warning", "error"];
+
+/**
+ * Icon paths per toast type (same glyphs as <lc-alert>)
+ * @constant {Object<string, string>}
+ */
+const ICONS = {
+	info: "M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z",
+	success: "M9 16.2L4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z",
+	warning: "M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z",
+	error:
+		"M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z",
+};
+
+/**
+ * Resolve an i18n key against the loaded translations
+ * @param {string} [key] - Translation key (e.g., 'toast.dismiss')
+ * @param {string} [fallback] - Text used when the key is missing
+ * @param {Object} [params] - ICU message arguments
+ * @returns {string}
+ */
+function translate(key, fallback = "", params = {}) {
+	const message =
+		key && typeof window.getTranslation === "function"
+			? window.getTranslation(key, fallback)
+			: fallback;
+	return formatMessage(message, params);
+}
+
+/**
+ * Toast region component
+ *
+ * @example
+ * <lc-toast-region position="bottom-end" max="3"></lc-toast-region>
+ */
+class LCToastRegion extends HTMLElement {
+	constructor() {
+		super();
+		this.attachShadow({ mode: "open" });
+		adoptSharedStyles(this.shadowRoot);
+		this.toasts = new Map();
+	}
+
+	connectedCallback() {
+		if (this.shadowRoot.childElementCount) return;
+		this.render();
+	}
+
+	render() {
+		this.shadowRoot.innerHTML = `
+			<style>
+				:host {
+					--toast-bg: ${tokenVar("bg-tertiary")};
+					--toast-text: ${tokenVar("text-primary")};
+					--toast-border: ${tokenVar("border-color")};
+					--toast-shadow: ${tokenVar("shadow-color")};
+					--toast-info: ${tokenVar("accent-secondary")};
+					--toast-success: ${tokenVar("color-success")};
+					--toast-warning: ${tokenVar("color-warning")};
+					--toast-error: ${tokenVar("color-error")};
+					position: fixed;
+					z-index: 10000;
+					inset-block-end: 1rem;
+					inset-inline-end: 1rem;
+					width: min(24rem, calc(100vw - 2rem));
+					pointer-events: none;
+				}
+
+				:host([position="top-end"]) {
+					inset-block-start: 1rem;
+					inset-block-end: auto;
+				}
+
+				:host([position="bottom-center"]) {
+					inset-inline-end: auto;
+					left: 50%;
+					transform: translateX(-50%);
+				}
+
+				.stack {
+					display: flex;
+					flex-direction: column;
+					gap: 0.75rem;
+					margin: 0;
+					padding: 0;
+					list-style: none;
+				}
+
+				.toast {
+					display: flex;
+					align-items: flex-start;
+					gap: 0.75rem;
+					padding: 0.875rem 1rem;
+					background: var(--toast-bg);
+					color: var(--toast-text);
+					border: 1px solid var(--toast-border);
+					border-inline-start: 4px solid var(--toast-accent);
+					border-radius: 0.5rem;
+					box-shadow: 0 4px 16px var(--toast-shadow);
+					font-family: var(--font-body, sans-serif);
+					font-size: 0.95rem;
+					line-height: 1.4;
+					pointer-events: auto;
+					transition: opacity ${ANIMATION_DURATION}ms ease, transform ${ANIMATION_DURATION}ms ease;
+				}
+
+				.toast[data-state="entering"],
+				.toast[data-state="leaving"] {
+					opacity: 0;
+					transform: translateY(0.5rem);
+				}
+
+				.toast[data-type="info"] { --toast-accent: var(--toast-info); }
+				.toast[data-type="success"] { --toast-accent: var(--toast-success); }
+				.toast[data-type="warning"] { --toast-accent: var(--toast-warning); }
+				.toast[data-type="error"] { --toast-accent: var(--toast-error); }
+
+				.icon {
+					flex-shrink: 0;
+					color: var(--toast-accent);
+				}
+
+				.message {
+					flex: 1;
+					margin: 0;
+				}
+
+				.action,
+				.close {
+					flex-shrink: 0;
+					font: inherit;
+					cursor: pointer;
+					border-radius: 0.25rem;
+				}
+
+				.action {
+					padding: 0.25rem 0.625rem;
+					background: transparent;
+					color: var(--toast-accent);
+					border: 1px solid currentColor;
+					font-weight: 600;
+				}
+
+				.close {
+					display: inline-flex;
+					padding: 0.25rem;
+					background: transparent;
+					color: inherit;
+					border: none;
+					opacity: 0.7;
+				}
+
+				.close:hover {
+					opacity: 1;
+				}
+
+				.action:focus-visible,
+				.close:focus-visible {
+					outline: 2px solid var(--toast-accent);
+					outline-offset: 2px;
+				}
+
+				@media (prefers-reduced-motion: reduce) {
+					.toast {
+						transition: none;
+					}
+				}
+			</style>
+			<ol class="stack" aria-live="polite" aria-relevant="additions"></ol>
+		`;
+
+		this.stack = this.shadowRoot.querySelector(".stack");
+		this.updateLabel();
+	}
+
+	/**
+	 * Sets the accessible name of the region from translations
+	 */
+	updateLabel() {
+		this.stack?.setAttribute(
+			"aria-label",
+			translate("toast.region", "Notifications"),
+		);
+	}
+
+	/**
+	 * Shows a toast
+	 * @param {Object} options - See notify()
+	 * @returns {{id: string, dismiss: Function}} Handle for the toast
+	 */
+	show(options) {
+		if (!this.stack) this.render();
+
+		const type = TOAST_TYPES.includes(options.type) ? options.type : "info";
+		const timeout = options.timeout ?? (type === "error" ? 0 : DEFAULT_TIMEOUT);
+		const id = generateId("lc-toast");
+
+		const toast = document.createElement("li");
+		toast.className = "toast";
+		toast.id = id;
+		toast.dataset.type = type;
+		toast.dataset.state = "entering";
+		if (type === "error") toast.setAttribute("role", "alert");
+
+		const icon = document.createElement("span");
+		icon.className = "icon";
+		icon.setAttribute("aria-hidden", "true");
+		icon.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="${ICONS[type]}"/></svg>`;
+
+		const message = document.createElement("p");
+		message.className = "message";
+		message.textContent = translate(
+			options.messageKey,
+			options.message,
+			options.params,
+		);
+
+		toast.append(icon, message);
+
+		if (options.action) {
+			const action = document.createElement("button");
+			action.type = "button";
+			action.className = "action";
+			action.textContent = translate(
+				options.action.labelKey,
+				options.action.label,
+			);
+			action.addEventListener("click", () => {
+				options.action.onClick?.();
+				this.dismiss(id);
+			});
+			toast.append(action);
+		}
+
+		const close = document.createElement("button");
+		close.type = "button";
+		close.className = "close";
+		close.setAttribute(
+			"aria-label",
+			translate("toast.dismiss", "Dismiss notification"),
+		);
+		close.innerHTML =
+			'<svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path d="M10 8.586L2.929 1.515 1.515 2.929 8.586 10l-7.071 7.071 1.414 1.414L10 11.414l7.071 7.071 1.414-1.414L11.414 10l7.071-7.071-1.414-1.414L10 8.586z"/></svg>';
+		close.addEventListener("click", () => this.dismiss(id));
+		toast.append(close);
+
+		const record = {
+			element: toast,
+			timeout,
+			remaining: timeout,
+			timer: null,
+			startedAt: 0,
+			paused: false,
+		};
+		this.toasts.set(id, record);
+		this.setupTimer(id, record);
+
+		this.stack.append(toast);
+		this.trimStack();
+
+		requestAnimationFrame(() => {
+			toast.dataset.state = "visible";
+		});
+
+		this.dispatchEvent(
+			new CustomEvent("lc-toast-show", {
+				detail: { id, type },
+				bubbles: true,
+			}),
+		);
+
+		return { id, dismiss: () => this.dismiss(id) };
+	}
+
+	/**
+	 * Starts the auto-dismiss timer and pauses it on hover/focus
+	 * Hover and focus can overlap, so the timer only pauses or resumes when
+	 * record.paused changes and elapsed time is counted once
+	 * @param {string} id - Toast id
+	 * @param {Object} record - Toast record
+	 */
+	setupTimer(id, record) {
+		if (!record.timeout) return;
+
+		const start = () => {
+			clearTimeout(record.timer);
+			record.startedAt = Date.now();
+			record.timer = setTimeout(() => this.dismiss(id), record.remaining);
+		};
+
+		const pause = () => {
+			if (record.paused) return;
+			record.paused = true;
+			clearTimeout(record.timer);
+			record.remaining -= Date.now() - record.startedAt;
+		};
+
+		const resume = () => {
+			if (!record.paused) return;
+			record.paused = false;
+			start();
+		};
+
+		const { element } = record;
+		element.addEventListener("mouseenter", pause);
+		element.addEventListener("mouseleave", () => {
+			if (!element.contains(this.shadowRoot.activeElement)) resume();
+		});
+		element.addEventListener("focusin", pause);
+		element.addEventListener("focusout", (event) => {
+			if (
+				!element.contains(event.relatedTarget) &&
+				!element.matches(":hover")
+			) {
+				resume();
+			}
+		});
+
+		start();
+	}
+
+	/**
+	 * Dismisses the oldest toasts when more than `max` are visible
+	 */
+	trimStack() {
+		const max =
+			Number.parseInt(this.getAttribute("max"), 10) || DEFAULT_MAX_TOASTS;
+		const ids = Array.from(this.toasts.keys());
+		for (const id of ids.slice(0, Math.max(ids.length - max, 0))) {
+			this.dismiss(id);
+		}
+	}
+
+	/**
+	 * Dismisses a toast
+	 * @param {string} id - Toast id
+	 */
+	dismiss(id) {
+		const record = this.toasts.get(id);
+		if (!record) return;
+
+		clearTimeout(record.timer);
+		this.toasts.delete(id);
+
+		const remove = () => {
+			record.element.remove();
+			this.dispatchEvent(
+				new CustomEvent("lc-toast-dismiss", {
+					detail: { id },
+					bubbles: true,
+				}),
+			);
+		};
+
+		if (prefersReducedMotion()) {
+			remove();
+		} else {
+			record.element.dataset.state = "leaving";
+			setTimeout(remove, ANIMATION_DURATION);
+		}
+	}
+
+	/**
+	 * Dismisses every toast
+	 */
+	clear() {
+		for (const id of Array.from(this.toasts.keys())) {
+			this.dismiss(id);
+		}
+	}
+}
+
+/**
+ * Get the page's toast region, creating one if the page has none
+ * @returns {LCToastRegion}
+ */
+function getToastRegion() {
+	let region = document.querySelector("lc-toast-region");
+	if (!region) {
+		region = document.createElement("lc-toast-region");
+		document.body.appendChild(region);
+	}
+	return region;
+}
+
+/**
+ * Show a toast notification
+ * @param {Object} options
+ * @param {string} [options.type='info'] - 'info', 'success', 'warning' or 'error'
+ * @param {string} [options.message] - Message text (fallback when messageKey is missing)
+ * @param {string} [options.messageKey] - i18n key for the message
+ * @param {Object} [options.params] - ICU arguments for the message (e.g., { count: 2 })
+ * @param {number} [options.timeout] - Auto-dismiss delay in ms; 0 keeps the toast until dismissed
+ * @param {{label?: string, labelKey?: string, onClick?: Function}} [options.action] - Optional action button
+ * @returns {{id: string, dismiss: Function}} Handle for the toast
+ */
+function notify(options = {}) {
+	return getToastRegion().show(options);
+}
+
+customElements.define("lc-toast-region", LCToastRegion);
+
+// Screen readers only announce changes to a live region that is already in the
+// page, so the region must exist before the first toast is added to it
+if (document.body) {
+	getToastRegion();
+} else {
+	document.addEventListener("DOMContentLoaded", getToastRegion, {
+		once: true,
+	});
+}
+
+// Keep labels in sync with the active language
+document.addEventListener("lc-translations-applied", () => {
+	document.querySelector("lc-toast-region")?.updateLabel();
+});
+
+// Export for use in other modules
+export { LCToastRegion, notify };
+
+// Also expose globally for non-module usage
+if (typeof window !== "undefined") {
+	window.notify = notify;
+}
@@ -0,0 +1,148 @@
+// @ts-nocheck
+/**
+ * Theme and Language Bootstrap - Initialization Script
+ * Runs immediately in <head>, right after path-resolver-init.js, so <html>
+ * has its theme and language before the first paint
+ *
+ * Sets data-theme, data-theme-preference and color-scheme from the saved theme
+ * (services/theme.js), and lang and dir from ?lang= or the saved language
+ * (services/i18n.js). Until the first translations are applied, a page in
+ * another language than the markup's English carries data-i18n-pending, which
+ * shared/theme/style.css uses to hide the body instead of flashing English.
+ *
+ * The full services run later and pick up window.LCBootstrap instead of
+ * initialising again. THEME_SCHEMES is generated from THEMES (services/theme.js)
+ * and LOCALE_DIRS and DEFAULT_LOCALE from presets/locales.js by
+ * bin/generate-bootstrap.cjs (npm run bootstrap).
+ *
+ * @file Applies saved theme and language before the first paint
+ */
+
+(() => {
+	const root = document.documentElement;
+
+	// @themes-start: generated from common/services/theme.js by bin/generate-bootstrap.cjs (npm run bootstrap), do not edit
+
+	/**
+	 * color-scheme of each registered theme
+	 * @constant {Object<string, "light"|"dark">}
+	 */
+	const THEME_SCHEMES = {
+		light: "light",
+		dark: "dark",
+		"high-contrast": "light",
+		sepia: "light",
+	};
+
+	// @themes-end
+
+	// @locales-start: generated from common/presets/locales.js by bin/generate-bootstrap.cjs (npm run bootstrap), do not edit
+
+	/**
+	 * Writing direction of each registered locale
+	 * @constant {Object<string, "ltr"|"rtl">}
+	 */
+	const LOCALE_DIRS = { en: "ltr", es: "ltr", "es-MX": "ltr" };
+
+	/**
+	 * Language of the page markup
+	 * @constant {string}
+	 */
+	const DEFAULT_LOCALE = "en";
+
+	// @locales-end
+
+	/**
+	 * Longest time the body stays hidden waiting for translations (ms)
+	 * @constant {number}
+	 */
+	const PENDING_TIMEOUT = 3000;
+
+	/**
+	 * Read a localStorage key, null when storage is unavailable
+	 * @param {string} key
+	 * @returns {string|null}
+	 */
+	const read = (key) => {
+		try {
+			return localStorage.getItem(key);
+		} catch {
+			return null;
+		}
+	};
+
+	/**
+	 * Registered locale for a tag (exact, then language subtag)
+	 * Same rules as matchLocale() in presets/locales.js
+	 * @param {string|null} tag
+	 * @returns {string|null}
+	 */
+	const matchLocale = (tag) => {
+		if (!tag) return null;
+		const lower = tag.toLowerCase();
+		const codes = Object.keys(LOCALE_DIRS);
+		const exact = codes.find((code) => code.toLowerCase() === lower);
+		if (exact) return exact;
+		const language = lower.split("-")[0];
+		return codes.includes(language) ? language : null;
+	};
+
+	// Theme: same resolution as getThemePreference() / getSystemTheme()
+	const savedTheme = read("preferred-theme");
+	const themePreference = Object.hasOwn(THEME_SCHEMES, savedTheme ?? "")
+		? savedTheme
+		: "system";
+	let theme = themePreference;
+	if (themePreference === "system") {
+		const matches = (query) => window.matchMedia(query).matches;
+		if (
+			matches("(forced-colors: active)") ||
+			matches("(prefers-contrast: more)")
+		) {
+			theme = "high-contrast";
+		} else {
+			theme = matches("(prefers-color-scheme: dark)") ? "dark" : "light";
+		}
+	}
+
+	root.setAttribute("data-theme", theme);
+	root.setAttribute("data-theme-preference", themePreference);
+	root.style.colorScheme = THEME_SCHEMES[theme];
+
+	// Language: same order as initializeLanguage(); pre-rendered pages
+	// (data-prerendered) are already in the language of their URL
+	let lang = root.lang || DEFAULT_LOCALE;
+	if (!root.hasAttribute("data-prerendered")) {
+		const urlLang = matchLocale(
+			new URLSearchParams(window.location.search).get("lang"),
+		);
+		const savedLang = read("preferred-language");
+		const browserLang = (navigator.languages || [navigator.language])
+			.map(matchLocale)
+			.find(Boolean);
+
+		lang =
+			urlLang ||
+			(Object.hasOwn(LOCALE_DIRS, savedLang ?? "") ? savedLang : null) ||
+			browserLang ||
+			DEFAULT_LOCALE;
+		root.lang = lang;
+		root.dir = LOCALE_DIRS[lang];
+
+		if (lang !== DEFAULT_LOCALE) {
+			const reveal = () => root.removeAttribute("data-i18n-pending");
+			root.setAttribute("data-i18n-pending", "");
+			document.addEventListener("lc-translations-applied", reveal, {
+				once: true,
+			});
+			setTimeout(reveal, PENDING_TIMEOUT);
+		}
+	}
+
+	/**
+	 * @global
+	 * @type {{theme: string, themePreference: string, lang: string}}
+	 * @description State applied before the first paint, read by theme.js and i18n.js
+	 */
+	window.LCBootstrap = { theme, themePreference, lang };
+})();
@@ -183,15 +183,21 @@ function generateId(prefix = "lc") {
 
 /**
  * Check if user prefers reduced motion
+ * The reading preferences panel (common/services/preferences.js) can turn
+ * motion off on any device by setting data-reduce-motion on <html>
  * @returns {boolean} True if prefers reduced motion
  */
 function prefersReducedMotion() {
-	return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+	return (
+		document.documentElement.hasAttribute("data-reduce-motion") ||
+		window.matchMedia("(prefers-reduced-motion: reduce)").matches
+	);
 }
 
 /**
  * Get current theme
- * @returns {string} Current theme ('light' or 'dark')
+ * The "system" preference is already resolved (see common/services/theme.js)
+ * @returns {string} Current theme ('light', 'dark', 'high-contrast' or 'sepia')
  */
 function getCurrentTheme() {
 	return document.documentElement.getAttribute("data-theme") || "light";
@@ -0,0 +1,264 @@
+// @ts-nocheck
+/**
+ * ICU-style message formatting
+ * Formats translated strings with named arguments, plurals and selects using Intl
+ *
+ * Supported syntax:
+ * - {name}                           Argument as-is
+ * - {n, number} / {n, number, percent|integer}
+ * - {d, date, short|medium|long|full} / {d, time, short|medium|long|full}
+ * - {count, plural, =0 {none} one {# item} other {# items}}  (# = locale-formatted count, offset:n supported)
+ * - {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ * - {role, select, nurse {Nurse} other {Caregiver}}
+ * - '{' ... '}' quotes literal braces; '' is a literal apostrophe
+ *
+ * Missing arguments are left as {name} so untranslated placeholders stay visible.
+ *
+ * @example
+ * formatMessage("{count, plural, one {# nurse} other {# nurses}} available", { count: 3 }, "en");
+ * // "3 nurses available"
+ */
+
+/**
+ * Parsed messages, keyed by source string
+ * @type {Map<string, Array>}
+ */
+const cache = new Map();
+
+/**
+ * Parse a message into text and argument parts
+ * @param {string} message - ICU message
+ * @returns {Array<string|Object>} Parts
+ * @throws {SyntaxError} When braces are unbalanced or an option is malformed
+ */
+function parseMessage(message) {
+	let index = 0;
+
+	const fail = (reason) => {
+		throw new SyntaxError(`${reason} at position ${index} in "${message}"`);
+	};
+
+	const skipSpace = () => {
+		while (index < message.length && /\s/.test(message[index])) index++;
+	};
+
+	const expect = (char) => {
+		skipSpace();
+		if (message[index] !== char) fail(`Expected "${char}"`);
+		index++;
+	};
+
+	const readWord = () => {
+		skipSpace();
+		const start = index;
+		while (index < message.length && !/[\s,{}]/.test(message[index])) index++;
+		return message.slice(start, index);
+	};
+
+	const parseParts = (inPlural) => {
+		const parts = [];
+		let text = "";
+
+		while (index < message.length) {
+			const char = message[index];
+
+			if (char === "'") {
+				const next = message[index + 1];
+				if (next === "'") {
+					text += "'";
+					index += 2;
+					continue;
+				}
+				if (next === "{" || next === "}" || (inPlural && next === "#")) {
+					const end = message.indexOf("'", index + 1);
+					const stop = end === -1 ? message.length : end;
+					text += message.slice(index + 1, stop);
+					index = stop + 1;
+					continue;
+				}
+			}
+
+			if (char === "}") break;
+
+			if (char === "{" || (char === "#" && inPlural)) {
+				if (text) parts.push(text);
+				text = "";
+				index++;
+				parts.push(char === "#" ? { type: "pound" } : parseArgument(inPlural));
+				continue;
+			}
+
+			text += char;
+			index++;
+		}
+
+		if (text) parts.push(text);
+		return parts;
+	};
+
+	const parseArgument = (inPlural) => {
+		const name = readWord();
+		if (!name) fail("Missing argument name");
+
+		skipSpace();
+		if (message[index] === "}") {
+			index++;
+			return { type: "argument", name };
+		}
+
+		expect(",");
+		const format = readWord();
+
+		if (
+			format === "plural" ||
+			format === "selectordinal" ||
+			format === "select"
+		) {
+			expect(",");
+			const options = {};
+			let offset = 0;
+
+			skipSpace();
+			while (index < message.length && message[index] !== "}") {
+				const selector = readWord();
+				if (!selector) fail("Missing option selector");
+
+				if (selector.startsWith("offset:")) {
+					offset = Number(selector.slice(7)) || 0;
+				} else {
+					expect("{");
+					options[selector] = parseParts(inPlural || format !== "select");
+					expect("}");
+				}
+				skipSpace();
+			}
+			expect("}");
+
+			if (!options.other) fail(`Missing "other" option for ${name}`);
+			return { type: format, name, offset, options };
+		}
+
+		// number, date and time take an optional style
+		skipSpace();
+		let style = "";
+		if (message[index] === ",") {
+			index++;
+			const start = index;
+			while (index < message.length && message[index] !== "}") index++;
+			style = message.slice(start, index).trim();
+		}
+		expect("}");
+		return { type: "argument", name, format, style };
+	};
+
+	const parts = parseParts(false);
+	if (index < message.length) fail('Unexpected "}"');
+	return parts;
+}
+
+/**
+ * Format a simple argument according to its format and style
+ * @param {*} value - Argument value
+ * @param {Object} part - Parsed argument
+ * @param {string} locale - Locale for Intl
+ * @returns {string}
+ */
+function formatArgument(value, part, locale) {
+	switch (part.format) {
+		case "number": {
+			const options = {
+				percent: { style: "percent" },
+				integer: { maximumFractionDigits: 0 },
+			};
+			return new Intl.NumberFormat(locale, options[part.style]).format(value);
+		}
+		case "date":
+		case "time": {
+			const date = value instanceof Date ? value : new Date(value);
+			const key = part.format === "date" ? "dateStyle" : "timeStyle";
+			return new Intl.DateTimeFormat(locale, {
+				[key]: part.style || "medium",
+			}).format(date);
+		}
+		default:
+			return String(value);
+	}
+}
+
+/**
+ * Format parsed parts
+ * @param {Array<string|Object>} parts - Parsed message
+ * @param {Object} params - Argument values
+ * @param {string} locale - Locale for Intl
+ * @param {number} [count] - Value of the enclosing plural (for #)
+ * @returns {string}
+ */
+function formatParts(parts, params, locale, count) {
+	return parts
+		.map((part) => {
+			if (typeof part === "string") return part;
+
+			if (part.type === "pound") {
+				return count === undefined
+					? "#"
+					: new Intl.NumberFormat(locale).format(count);
+			}
+
+			const value = params[part.name];
+			if (value === undefined || value === null) return `{${part.name}}`;
+
+			if (part.type === "argument") {
+				return formatArgument(value, part, locale);
+			}
+
+			if (part.type === "select") {
+				const option = part.options[String(value)] || part.options.other;
+				return formatParts(option, params, locale, count);
+			}
+
+			// plural / selectordinal: exact matches (=0) win over plural categories
+			const number = Number(value);
+			const rules = new Intl.PluralRules(locale, {
+				type: part.type === "selectordinal" ? "ordinal" : "cardinal",
+			});
+			const option =
+				part.options[`=${number}`] ||
+				part.options[rules.select(number - part.offset)] ||
+				part.options.other;
+			return formatParts(option, params, locale, number - part.offset);
+		})
+		.join("");
+}
+
+/**
+ * Format an ICU-style message
+ * Invalid messages are returned unchanged (with a console warning)
+ * @param {string} message - Message with {arguments}
+ * @param {Object} [params={}] - Argument values
+ * @param {string} [locale] - Locale (defaults to the document language)
+ * @returns {string} Formatted message
+ */
+function formatMessage(message, params = {}, locale = null) {
+	if (typeof message !== "string" || !/[{']/.test(message)) return message;
+
+	const lang =
+		locale ||
+		(typeof document !== "undefined" && document.documentElement.lang) ||
+		"en";
+
+	try {
+		if (!cache.has(message)) cache.set(message, parseMessage(message));
+		return formatParts(cache.get(message), params || {}, lang);
+	} catch (error) {
+		console.warn("formatMessage:", error.message);
+		return message;
+	}
+}
+
+// Export functions
+export { formatMessage, parseMessage };
+
+// Also expose globally for non-module usage
+if (typeof window !== "undefined") {
+	window.formatMessage = formatMessage;
+}
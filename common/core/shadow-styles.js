@@ -0,0 +1,202 @@
+// @ts-nocheck
+/**
+ * Legacy Concierge Shadow DOM Styles
+ * Shares document styles with shadow-DOM components through constructable
+ * stylesheets (adoptedStyleSheets), so a page with 40 cards parses its CSS once
+ *
+ * Design tokens are CSS custom properties on <html> and inherit into every
+ * shadow root, so a theme switch recolors components on its own. What does
+ * not cross the shadow boundary are rules keyed on <html> attributes: the
+ * high-contrast focus rings and the reading preferences (reduced motion,
+ * underlined links). The theme sheet holds those rules for the current state
+ * and is rewritten in place on `lc-theme-change` and `lc-preferences-change`;
+ * every shadow root that adopted it updates at once.
+ *
+ * @example
+ * import { adoptSharedStyles } from "@/core/shadow-styles.js";
+ *
+ * const shadow = this.attachShadow({ mode: "open" });
+ * adoptSharedStyles(shadow);                  // theme sheet only
+ * adoptSharedStyles(shadow, { global: true }); // plus shared/theme/style.css
+ */
+
+/**
+ * Site path of the global stylesheet
+ * @constant {string}
+ */
+const GLOBAL_STYLESHEET = "shared/theme/style.css";
+
+/**
+ * Rules for the current theme, by data-theme value
+ * Mirrors the [data-theme="..."] rules at the end of shared/theme/style.css
+ * @constant {Object<string, string>}
+ */
+const THEME_RULES = {
+	"high-contrast": `
+		:focus-visible {
+			outline: 3px solid #000000;
+			outline-offset: 3px;
+		}
+
+		a {
+			text-decoration: underline;
+			text-decoration-thickness: 2px;
+		}
+	`,
+};
+
+/**
+ * Rules for reading preferences set on <html> (common/services/preferences.js)
+ * @constant {Object<string, string>}
+ */
+const PREFERENCE_RULES = {
+	"data-reduce-motion": `
+		*,
+		*::before,
+		*::after {
+			animation-duration: 0.01ms;
+			animation-iteration-count: 1;
+			transition-duration: 0.01ms;
+		}
+	`,
+	"data-underline-links": `
+		a {
+			text-decoration: underline;
+		}
+	`,
+};
+
+/**
+ * Rules that apply in every theme
+ * @constant {string}
+ */
+const BASE_RULES = `
+	@media (forced-colors: active) {
+		:focus-visible {
+			outline: 3px solid Highlight;
+		}
+	}
+`;
+
+/**
+ * Whether the browser supports constructable stylesheets
+ * @constant {boolean}
+ */
+const supportsAdoptedStyleSheets =
+	typeof Document !== "undefined" &&
+	"adoptedStyleSheets" in Document.prototype &&
+	"replaceSync" in CSSStyleSheet.prototype;
+
+/** @type {CSSStyleSheet|null} */
+let themeSheet = null;
+
+/** @type {CSSStyleSheet|null} */
+let globalSheet = null;
+
+/**
+ * URL of the global stylesheet, with the GitHub Pages base path
+ * @returns {string}
+ */
+function getGlobalStylesheetUrl() {
+	return window.resolvePath
+		? window.resolvePath(GLOBAL_STYLESHEET)
+		: `/${GLOBAL_STYLESHEET}`;
+}
+
+/**
+ * Rewrite the theme sheet for the current theme and preferences
+ * @returns {void}
+ */
+function updateThemeSheet() {
+	if (!themeSheet) return;
+	const root = document.documentElement;
+	const rules = [BASE_RULES, THEME_RULES[root.getAttribute("data-theme")]];
+
+	for (const [attribute, css] of Object.entries(PREFERENCE_RULES)) {
+		if (root.hasAttribute(attribute)) rules.push(css);
+	}
+
+	themeSheet.replaceSync(rules.filter(Boolean).join("\n"));
+}
+
+/**
+ * The shared theme sheet, created on first use
+ * @returns {CSSStyleSheet}
+ */
+function getThemeSheet() {
+	if (!themeSheet) {
+		themeSheet = new CSSStyleSheet();
+		updateThemeSheet();
+		document.addEventListener("lc-theme-change", updateThemeSheet);
+		document.addEventListener("lc-preferences-change", updateThemeSheet);
+	}
+	return themeSheet;
+}
+
+/**
+ * The shared copy of shared/theme/style.css, created on first use
+ * Copies the rules of the page's own <link> (already downloaded); when that is
+ * missing or not readable yet, fetches the file once (usually from the HTTP cache)
+ * @returns {CSSStyleSheet}
+ */
+function getGlobalSheet() {
+	if (globalSheet) return globalSheet;
+
+	// baseURL keeps url() references relative to the stylesheet, not the page
+	const url = new URL(getGlobalStylesheetUrl(), window.location.href).href;
+	globalSheet = new CSSStyleSheet({ baseURL: url });
+	const source = Array.from(document.styleSheets).find(
+		(sheet) => sheet.href === url,
+	);
+
+	try {
+		// @import is not allowed in constructable sheets; fonts load in the document
+		const css = Array.from(source.cssRules)
+			.filter((rule) => !(rule instanceof CSSImportRule))
+			.map((rule) => rule.cssText)
+			.join("\n");
+		globalSheet.replaceSync(css);
+	} catch {
+		fetch(url)
+			.then((response) => response.text())
+			.then((css) => globalSheet.replace(css.replace(/@import[^;]+;/g, "")))
+			.catch((error) =>
+				console.warn("Could not load shared styles for components:", error),
+			);
+	}
+
+	return globalSheet;
+}
+
+/**
+ * Give a shadow root the shared theme sheet, and optionally the global styles
+ * Without constructable stylesheet support, the global styles fall back to a
+ * <link> (cached by the browser) and the theme sheet is skipped
+ * @param {ShadowRoot} shadowRoot - Component's shadow root
+ * @param {Object} [options]
+ * @param {boolean} [options.global=false] - Also adopt shared/theme/style.css
+ * @returns {void}
+ */
+function adoptSharedStyles(shadowRoot, { global = false } = {}) {
+	if (!supportsAdoptedStyleSheets) {
+		if (global) {
+			const link = document.createElement("link");
+			link.rel = "stylesheet";
+			link.href = getGlobalStylesheetUrl();
+			shadowRoot.prepend(link);
+		}
+		return;
+	}
+
+	const shared = global
+		? [getGlobalSheet(), getThemeSheet()]
+		: [getThemeSheet()];
+	const own = shadowRoot.adoptedStyleSheets.filter(
+		(sheet) => !shared.includes(sheet),
+	);
+	// Adopted sheets follow the root's <style> elements in the cascade, so the
+	// theme rules win ties with component styles
+	shadowRoot.adoptedStyleSheets = [...shared, ...own];
+}
+
+export { adoptSharedStyles, getGlobalSheet, getThemeSheet, updateThemeSheet };
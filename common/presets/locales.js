@@ -0,0 +1,149 @@
+// @ts-nocheck
+/**
+ * Locale Registry
+ * Locales the site can be shown in and the order their translations fall back
+ *
+ * Each locale reads shared/content/_locale/{code}/*.json. A regional variant
+ * (es-MX) only needs the keys that differ from its base language; anything it
+ * lacks comes from the next locale in its chain, ending at the default locale.
+ * `files` lists the files such a variant ships, so the other files are read from
+ * its fallbacks without a request that would 404.
+ * `dir` is the writing direction set on <html> (and the built manifest).
+ * The codes and directions are also written into core/bootstrap-init.js by
+ * bin/generate-bootstrap.cjs (npm run bootstrap); run it after changing them.
+ *
+ * @example
+ * getFallbackChain("es-MX"); // ["es-MX", "es", "en"]
+ * matchLocale(["es-AR", "en-US"]); // "es"
+ * getDirection("ar"); // "rtl" once ar is registered with dir: "rtl"
+ */
+
+/**
+ * Locale used when nothing else matches, and the end of every fallback chain
+ * @constant {string}
+ */
+const DEFAULT_LOCALE = "en";
+
+/**
+ * Registered locales
+ * `fallback` defaults to the language subtag (es-MX → es), then DEFAULT_LOCALE
+ * `files` (without .json) defaults to every file; bin/check-i18n.cjs checks it
+ * @constant {Object<string, {name: string, dir: "ltr"|"rtl", fallback?: string, files?: string[]}>}
+ */
+const LOCALES = {
+	en: { name: "English", dir: "ltr" },
+	es: { name: "Español", dir: "ltr" },
+	"es-MX": {
+		name: "Español (México)",
+		dir: "ltr",
+		fallback: "es",
+		files: ["common"],
+	},
+};
+
+/**
+ * Codes of all registered locales
+ * @constant {string[]}
+ */
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+/**
+ * Check whether a locale code is registered (exact, case-sensitive match)
+ * @param {string} code - Locale code (e.g. 'es-MX')
+ * @returns {boolean}
+ */
+function isSupportedLocale(code) {
+	return Object.hasOwn(LOCALES, code ?? "");
+}
+
+/**
+ * Check whether a locale ships a translation file
+ * @param {string} code - Registered locale code
+ * @param {string} file - File name without .json (e.g. 'about')
+ * @returns {boolean} False when the locale lists its files and this is not one
+ */
+function hasLocaleFile(code, file) {
+	const files = LOCALES[code]?.files;
+	return !files || files.includes(file);
+}
+
+/**
+ * Get the locales to read translations from, most specific first
+ * @param {string} code - Requested locale
+ * @returns {string[]} e.g. ['es-MX', 'es', 'en']
+ */
+function getFallbackChain(code) {
+	const chain = [];
+	let current = matchLocale(code) || DEFAULT_LOCALE;
+
+	while (current && !chain.includes(current)) {
+		chain.push(current);
+
+		const language = current.split("-")[0];
+		current =
+			LOCALES[current].fallback ||
+			(language !== current && isSupportedLocale(language)
+				? language
+				: DEFAULT_LOCALE);
+	}
+
+	return chain;
+}
+
+/**
+ * Get the writing direction of a locale
+ * Unregistered codes resolve through matchLocale(), so "es-AR" reads es
+ * @param {string} code - Locale code
+ * @returns {"ltr"|"rtl"}
+ */
+function getDirection(code) {
+	const locale = LOCALES[matchLocale(code) || DEFAULT_LOCALE];
+	return locale.dir === "rtl" ? "rtl" : "ltr";
+}
+
+/**
+ * Find the best registered locale for one or more requested tags
+ * Tries an exact (case-insensitive) match for each tag, then its language subtag
+ * @param {string|string[]} requested - e.g. navigator.languages
+ * @returns {string|null} Registered locale code, or null when none match
+ */
+function matchLocale(requested) {
+	const tags = (Array.isArray(requested) ? requested : [requested]).filter(
+		Boolean,
+	);
+
+	for (const tag of tags) {
+		const lower = tag.toLowerCase();
+		const exact = SUPPORTED_LOCALES.find(
+			(code) => code.toLowerCase() === lower,
+		);
+		if (exact) return exact;
+
+		const language = lower.split("-")[0];
+		if (isSupportedLocale(language)) return language;
+	}
+
+	return null;
+}
+
+// Export registry and helpers
+export {
+	DEFAULT_LOCALE,
+	getDirection,
+	getFallbackChain,
+	hasLocaleFile,
+	isSupportedLocale,
+	LOCALES,
+	matchLocale,
+	SUPPORTED_LOCALES,
+};
+
+// Also expose globally for non-module usage
+if (typeof window !== "undefined") {
+	window.LCLocales = {
+		LOCALES,
+		getDirection,
+		getFallbackChain,
+		matchLocale,
+	};
+}
@@ -0,0 +1,133 @@
+// @ts-nocheck
+/**
+ * Translation Routes
+ * Which locale file each page reads besides common.json, and where detail
+ * pages keep their meta data (title, description, social tags)
+ *
+ * Patterns are site paths without the GitHub Pages base or language prefix,
+ * ending in "/" (index.html is implied). `*` matches one path segment and is
+ * captured as $1, $2...; `**` matches any number of segments. The first
+ * matching route wins, so specific routes go above the catch-all.
+ *
+ * Route fields:
+ * - file: locale file without .json, may use captures ("$1")
+ * - namespace: key the file's contents are read under, for pages whose
+ *   markup uses "careers.title" while careers.json starts at "title"
+ * - meta: key of the page's entry in `file` holding its meta data
+ *
+ * A new section under pages/ reads the file named after its directory
+ * (pages/about/partners/ → partners.json); add a route only when it differs.
+ *
+ * @example
+ * matchRoute("/pages/services/treatments/views/iv-therapy/");
+ * // { file: "treatments-detail", meta: "iv-therapy", ... }
+ */
+
+/**
+ * Page routes, most specific first
+ * @constant {Array<{pattern: string, file: string, namespace?: string, meta?: string}>}
+ */
+const TRANSLATION_ROUTES = [
+	{ pattern: "/", file: "home" },
+
+	// Detail pages share one file; each page's entry is keyed by its slug
+	{
+		pattern: "/pages/services/treatments/views/*/",
+		file: "treatments-detail",
+		meta: "$1",
+	},
+	{
+		pattern: "/pages/services/expertise/views/*/",
+		file: "expertise-detail",
+		meta: "$1",
+	},
+	{ pattern: "/pages/blog/post/*/", file: "blog" },
+
+	// Files whose keys are not prefixed with the section name
+	{ pattern: "/pages/about/jobs/", file: "careers", namespace: "careers" },
+	{
+		pattern: "/pages/about/legal/privacy/",
+		file: "privacy",
+		namespace: "privacy",
+	},
+	{ pattern: "/pages/about/legal/terms/", file: "terms", namespace: "terms" },
+
+	// Component demos reuse the content of the pages they preview
+	{ pattern: "/pages/demos/", file: "examples" },
+	{ pattern: "/pages/demos/blog/**/", file: "blog" },
+	{ pattern: "/pages/demos/components/", file: "home", namespace: "home" },
+	{ pattern: "/pages/demos/entry/", file: "home" },
+	{ pattern: "/pages/demos/entry/landing/", file: "splash" },
+	{ pattern: "/pages/demos/subpage/contact/", file: "contact" },
+
+	// Everything else: the page's directory name (/pages/about/team/ → team)
+	{ pattern: "/pages/**/*/", file: "$1" },
+];
+
+/**
+ * Compiled patterns, in route order
+ * @type {RegExp[]}
+ */
+const ROUTE_PATTERNS = TRANSLATION_ROUTES.map(({ pattern }) => {
+	const source = pattern
+		.split(/(\*\*\/|\*)/)
+		.map((part) => {
+			if (part === "**/") return "(?:[^/]+/)*";
+			if (part === "*") return "([^/]+)";
+			return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+		})
+		.join("");
+	return new RegExp(`^${source}$`);
+});
+
+/**
+ * Normalize a site path for matching: no index.html, trailing slash
+ * @param {string} path - e.g. '/pages/about/index.html', '/pages/about'
+ * @returns {string} e.g. '/pages/about/'
+ */
+function normalizeRoutePath(path) {
+	const trimmed = path.replace(/index\.html$/, "").replace(/\/?$/, "/");
+	return trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
+}
+
+/**
+ * Find the route of a page and fill in its captures
+ * @param {string} path - Site path without base or language prefix
+ * @returns {{pattern: string, file: string, namespace?: string, meta?: string}}
+ * Matched route; pages outside pages/ fall back to home
+ */
+function matchRoute(path) {
+	const normalized = normalizeRoutePath(path);
+
+	for (const [index, route] of TRANSLATION_ROUTES.entries()) {
+		const match = normalized.match(ROUTE_PATTERNS[index]);
+		if (!match) continue;
+
+		const fill = (value) =>
+			value?.replace(/\$(\d)/g, (_, group) => match[Number(group)] ?? "");
+		return {
+			...route,
+			file: fill(route.file),
+			...(route.meta && { meta: fill(route.meta) }),
+		};
+	}
+
+	return { ...TRANSLATION_ROUTES[0] };
+}
+
+/**
+ * Place a page file's contents under the route's namespace
+ * @param {{namespace?: string}} route - Route from matchRoute()
+ * @param {Object} translations - Parsed locale file
+ * @returns {Object} Translations as the page's markup addresses them
+ */
+function mountPageFile(route, translations) {
+	return route.namespace ? { [route.namespace]: translations } : translations;
+}
+
+export { matchRoute, mountPageFile, normalizeRoutePath, TRANSLATION_ROUTES };
+
+// Expose for non-module scripts and the console
+if (typeof window !== "undefined") {
+	window.LCRoutes = { matchRoute, mountPageFile, TRANSLATION_ROUTES };
+}
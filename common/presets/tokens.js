@@ -0,0 +1,373 @@
+/**
+ * Legacy Concierge Design Tokens
+ * Source of truth for colours, spacing, radii, typography, breakpoints and motion
+ *
+ * bin/generate-tokens.cjs (npm run tokens) writes these as CSS custom
+ * properties into the marked block at the top of shared/theme/style.css: one
+ * rule per theme in THEMES, the light theme also on :root. Edit the values
+ * here, never in the generated block; npm run tokens:check fails when the block
+ * is stale or a pair in CONTRAST_PAIRS is below its minimum.
+ *
+ * Components read the same values through tokenVar(), which keeps the custom
+ * property (so themes still apply) with the light value as fallback.
+ *
+ * @example
+ * import { BREAKPOINTS, tokenVar } from "@/presets/tokens.js";
+ *
+ * tokenVar("accent-primary"); // "var(--accent-primary, #82634c)"
+ * window.matchMedia(`(max-width: ${BREAKPOINTS.md})`);
+ */
+
+/**
+ * Brand palette, the same in every theme
+ * @constant {Object<string, string>}
+ */
+const BRAND_COLORS = {
+	"color-dark-blue": "#0b2935",
+	"color-muted-brown": "#82634c",
+	"color-dusty-rose": "#8d8180",
+	"color-blue-grey": "#9fbdbf",
+	"color-warm-tan": "#a07e66",
+	"color-off-white": "#f9f7f4",
+	"color-light-tan": "#f5f3ed",
+	"color-white": "#ffffff",
+
+	// Status colours for toasts and form errors
+	"color-success": "#2e7d32",
+	"color-warning": "#b26a00",
+	"color-error": "#d32f2f",
+};
+
+/**
+ * Colours of each theme (the keys of THEMES in services/theme.js)
+ * Every theme defines the same names; light is also the no-JS default
+ * @constant {Object<string, {description: string, colors: Object<string, string>}>}
+ */
+const THEMES = {
+	light: {
+		description: "Light: the brand palette on off-white",
+		colors: {
+			"bg-primary": "#f9f7f4",
+			"bg-secondary": "#f5f3ed",
+			"bg-tertiary": "#ffffff",
+			"bg-primary-alpha": "rgba(249, 247, 244, 0.95)",
+			"bg-tertiary-alpha": "rgba(255, 255, 255, 0.95)",
+			"text-primary": "#0b2935",
+			"text-secondary": "#82634c",
+			"text-muted": "#705c5b",
+			"text-on-accent": "#ffffff",
+			"accent-primary": "#82634c",
+			"accent-primary-alpha": "rgba(130, 99, 76, 0.1)",
+			"accent-secondary": "#9fbdbf",
+			"border-color": "rgba(159, 189, 191, 0.15)",
+			"shadow-color": "rgba(0, 0, 0, 0.08)",
+			"overlay-bg": "rgba(11, 41, 53, 0.85)",
+			"color-warm-tan-text": "#82634c",
+			"color-dusty-rose-text": "#705c5b",
+			"color-blue-grey-text": "#557375",
+		},
+	},
+	dark: {
+		description:
+			"Dark: light text on near-black, also used for prefers-color-scheme: dark",
+		colors: {
+			"bg-primary": "#0f1419",
+			"bg-secondary": "#1a1f26",
+			"bg-tertiary": "#242933",
+			"bg-primary-alpha": "rgba(15, 20, 25, 0.95)",
+			"bg-tertiary-alpha": "rgba(36, 41, 51, 0.95)",
+			"text-primary": "#e8e6e3",
+			"text-secondary": "#d4b5a0",
+			"text-muted": "#b8a99d",
+			"text-on-accent": "#0f1419",
+			"accent-primary": "#d4a574",
+			"accent-primary-alpha": "rgba(212, 165, 116, 0.1)",
+			"accent-secondary": "#7da8aa",
+			"border-color": "rgba(212, 165, 116, 0.2)",
+			"shadow-color": "rgba(0, 0, 0, 0.4)",
+			"overlay-bg": "rgba(15, 20, 25, 0.9)",
+			"color-warm-tan-text": "#d4b5a0",
+			"color-dusty-rose-text": "#c9b3af",
+			"color-blue-grey-text": "#a8c5c7",
+		},
+	},
+	"high-contrast": {
+		description:
+			"High contrast: black on white, AAA text contrast and solid borders for low vision",
+		colors: {
+			"bg-primary": "#ffffff",
+			"bg-secondary": "#ffffff",
+			"bg-tertiary": "#ffffff",
+			"bg-primary-alpha": "rgba(255, 255, 255, 0.98)",
+			"bg-tertiary-alpha": "rgba(255, 255, 255, 0.98)",
+			"text-primary": "#000000",
+			"text-secondary": "#3d2a1b",
+			"text-muted": "#1f1f1f",
+			"text-on-accent": "#ffffff",
+			"accent-primary": "#4a3320",
+			"accent-primary-alpha": "rgba(74, 51, 32, 0.12)",
+			"accent-secondary": "#0b2935",
+			"border-color": "#000000",
+			"shadow-color": "rgba(0, 0, 0, 0.5)",
+			"overlay-bg": "rgba(0, 0, 0, 0.92)",
+			"color-warm-tan-text": "#4a3320",
+			"color-dusty-rose-text": "#3d2f2e",
+			"color-blue-grey-text": "#0b2935",
+		},
+	},
+	sepia: {
+		description:
+			"Sepia: warm paper tones with little blue light, for evening reading",
+		colors: {
+			"bg-primary": "#f4ecd8",
+			"bg-secondary": "#ede2c8",
+			"bg-tertiary": "#f9f3e6",
+			"bg-primary-alpha": "rgba(244, 236, 216, 0.95)",
+			"bg-tertiary-alpha": "rgba(249, 243, 230, 0.95)",
+			"text-primary": "#3b2f22",
+			"text-secondary": "#6b4f33",
+			"text-muted": "#5c4a3a",
+			"text-on-accent": "#ffffff",
+			"accent-primary": "#8a5a2b",
+			"accent-primary-alpha": "rgba(138, 90, 43, 0.12)",
+			"accent-secondary": "#a08a64",
+			"border-color": "rgba(107, 79, 51, 0.25)",
+			"shadow-color": "rgba(59, 47, 34, 0.12)",
+			"overlay-bg": "rgba(59, 47, 34, 0.88)",
+			"color-warm-tan-text": "#6b4f33",
+			"color-dusty-rose-text": "#6a4f4c",
+			"color-blue-grey-text": "#55604c",
+		},
+	},
+};
+
+/**
+ * Theme applied on :root, before any data-theme is set
+ * @constant {string}
+ */
+const DEFAULT_THEME = "light";
+
+/**
+ * Spacing scale, in steps of 0.25rem
+ * @constant {Object<string, string>}
+ */
+const SPACING = {
+	"space-1": "0.25rem",
+	"space-2": "0.5rem",
+	"space-3": "0.75rem",
+	"space-4": "1rem",
+	"space-6": "1.5rem",
+	"space-8": "2rem",
+	"space-12": "3rem",
+	"space-16": "4rem",
+};
+
+/**
+ * Corner radii
+ * @constant {Object<string, string>}
+ */
+const RADII = {
+	"radius-sm": "4px",
+	"radius-md": "8px",
+	"radius-lg": "16px",
+	"radius-xl": "20px",
+	"radius-pill": "50px",
+	"radius-round": "50%",
+};
+
+/**
+ * Font families, sizes, weights and line heights
+ * Sizes are in rem so they follow the text size reading preference
+ * @constant {Object<string, string>}
+ */
+const TYPOGRAPHY = {
+	"font-heading": '"Playfair Display", serif',
+	"font-nav": '"Raleway", sans-serif',
+	"font-body": '"Work Sans", sans-serif',
+
+	"font-size-xs": "0.75rem",
+	"font-size-sm": "0.875rem",
+	"font-size-base": "1rem",
+	"font-size-lg": "1.125rem",
+	"font-size-xl": "1.25rem",
+	"font-size-2xl": "1.5rem",
+	"font-size-3xl": "2rem",
+	"font-size-4xl": "2.5rem",
+
+	"font-weight-normal": "400",
+	"font-weight-medium": "500",
+	"font-weight-semibold": "600",
+	"font-weight-bold": "700",
+
+	"line-height-tight": "1.2",
+	"line-height-normal": "1.6",
+	"line-height-relaxed": "1.8",
+};
+
+/**
+ * Viewport widths of the layout breakpoints
+ * Not written as custom properties: media queries cannot read them
+ * @constant {Object<string, string>}
+ */
+const BREAKPOINTS = {
+	sm: "480px",
+	md: "768px",
+	lg: "1024px",
+};
+
+/**
+ * Transition durations and easing curves
+ * The reduced motion preference shortens durations in style.css
+ * @constant {Object<string, string>}
+ */
+const MOTION = {
+	"duration-fast": "0.2s",
+	"duration-base": "0.3s",
+	"duration-slow": "0.4s",
+	"ease-standard": "cubic-bezier(0.4, 0, 0.2, 1)",
+	"ease-out": "ease-out",
+	"ease-in-out": "ease-in-out",
+};
+
+/**
+ * Foreground/background pairs checked in every theme, with the minimum
+ * WCAG 2.2 contrast ratio for how they are used: 4.5 for text, 3 for
+ * focus rings, borders and other non-text UI (1.4.11)
+ * @constant {Array<{foreground: string, background: string, minimum: number}>}
+ */
+const CONTRAST_PAIRS = [
+	"text-primary",
+	"text-secondary",
+	"text-muted",
+	"color-warm-tan-text",
+	"color-dusty-rose-text",
+	"color-blue-grey-text",
+]
+	.flatMap((foreground) =>
+		["bg-primary", "bg-secondary", "bg-tertiary"].map((background) => ({
+			foreground,
+			background,
+			minimum: 4.5,
+		})),
+	)
+	.concat(
+		["bg-primary", "bg-secondary", "bg-tertiary"].map((background) => ({
+			foreground: "accent-primary",
+			background,
+			minimum: 3,
+		})),
+		{
+			foreground: "text-on-accent",
+			background: "accent-primary",
+			minimum: 4.5,
+		},
+	);
+
+/**
+ * Every token written as a custom property, by name without the leading "--"
+ * Colours are those of DEFAULT_THEME
+ * @returns {Object<string, string>}
+ */
+function getTokens() {
+	return {
+		...TYPOGRAPHY,
+		...BRAND_COLORS,
+		...THEMES[DEFAULT_THEME].colors,
+		...SPACING,
+		...RADII,
+		...MOTION,
+	};
+}
+
+/**
+ * CSS value for a token: its custom property, with the default value as fallback
+ * @param {string} name - Token name without "--", e.g. 'accent-primary'
+ * @returns {string} e.g. 'var(--accent-primary, #82634c)'
+ */
+function tokenVar(name) {
+	const value = getTokens()[name];
+	if (value === undefined) {
+		console.warn(`Unknown design token: ${name}`);
+		return `var(--${name})`;
+	}
+	return `var(--${name}, ${value})`;
+}
+
+/**
+ * Relative luminance of a #rrggbb colour (WCAG 2.2)
+ * @param {string} hex - Colour such as '#0b2935'
+ * @returns {number} 0 (black) to 1 (white)
+ */
+function relativeLuminance(hex) {
+	const [r, g, b] = [1, 3, 5].map((start) => {
+		const channel = Number.parseInt(hex.slice(start, start + 2), 16) / 255;
+		return channel <= 0.04045
+			? channel / 12.92
+			: ((channel + 0.055) / 1.055) ** 2.4;
+	});
+	return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Contrast ratio of two #rrggbb colours
+ * @param {string} foreground - Colour such as '#0b2935'
+ * @param {string} background - Colour such as '#f9f7f4'
+ * @returns {number} 1 to 21
+ */
+function contrastRatio(foreground, background) {
+	const [lighter, darker] = [
+		relativeLuminance(foreground),
+		relativeLuminance(background),
+	].sort((a, b) => b - a);
+	return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Check every pair in CONTRAST_PAIRS in every theme
+ * Theme colours fall back to the brand palette
+ * @returns {Array<{theme: string, foreground: string, background: string, ratio: number, minimum: number, passes: boolean}>}
+ */
+function checkContrast() {
+	return Object.entries(THEMES).flatMap(([theme, { colors }]) =>
+		CONTRAST_PAIRS.map(({ foreground, background, minimum }) => {
+			const palette = { ...BRAND_COLORS, ...colors };
+			const ratio = contrastRatio(palette[foreground], palette[background]);
+			return {
+				theme,
+				foreground,
+				background,
+				ratio,
+				minimum,
+				passes: ratio >= minimum,
+			};
+		}),
+	);
+}
+
+// Export tokens and helpers
+export {
+	BRAND_COLORS,
+	BREAKPOINTS,
+	CONTRAST_PAIRS,
+	checkContrast,
+	contrastRatio,
+	DEFAULT_THEME,
+	getTokens,
+	MOTION,
+	RADII,
+	relativeLuminance,
+	SPACING,
+	THEMES,
+	TYPOGRAPHY,
+	tokenVar,
+};
+
+// Also expose globally for non-module usage
+if (typeof window !== "undefined") {
+	window.LCTokens = {
+		BREAKPOINTS,
+		THEMES,
+		getTokens,
+		tokenVar,
+	};
+}
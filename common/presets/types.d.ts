@@ -0,0 +1,29 @@
+/**
+ * Global typings for the Legacy Concierge runtime
+ * Objects that classic scripts and presets expose on window
+ */
+
+interface Window {
+	/** State applied before the first paint (core/bootstrap-init.js) */
+	LCBootstrap?: {
+		theme: string;
+		themePreference: string;
+		lang: string;
+	};
+
+	/** Theme registry and API (services/theme.js) */
+	LCTheme?: {
+		THEMES: Record<string, { scheme: string }>;
+		SYSTEM_THEME: string;
+		getThemePreference(): string;
+		getSystemTheme(): string;
+		resolveTheme(preference: string): string;
+		setTheme(preference: string): void;
+	};
+
+	/** Design tokens for non-module scripts (presets/tokens.js) */
+	LCTokens?: Pick<
+		typeof import("./tokens.js"),
+		"BREAKPOINTS" | "THEMES" | "getTokens" | "tokenVar"
+	>;
+}
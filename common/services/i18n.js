@@ -1,4 +1,41 @@
 // @ts-nocheck
+import { formatMessage } from "../core/message-format.js";
+import {
+	DEFAULT_LOCALE,
+	getDirection,
+	getFallbackChain,
+	hasLocaleFile,
+	isSupportedLocale,
+	matchLocale,
+	SUPPORTED_LOCALES,
+} from "../presets/locales.js";
+import { matchRoute, mountPageFile } from "../presets/routes.js";
+
+/**
+ * Prefix of values scaffolded by bin/check-i18n.cjs --fix; treated as missing
+ * so the fallback locale is shown until the text is translated
+ * @constant {string}
+ */
+const UNTRANSLATED_PREFIX = "TODO:";
+
+/**
+ * Tags kept by sanitizeHTML(); any other tag in a translation is removed
+ * (bin/check-i18n.cjs reports them)
+ * @constant {string[]}
+ */
+const ALLOWED_HTML_TAGS = [
+	"b",
+	"i",
+	"em",
+	"strong",
+	"br",
+	"p",
+	"span",
+	"ul",
+	"li",
+	"ol",
+];
+
 /**
  * Simple HTML sanitizer - only allows safe tags and removes dangerous attributes
  * @param {string} html - HTML string to sanitize
@@ -7,23 +44,8 @@
 function sanitizeHTML(html) {
 	if (typeof html !== "string") return "";
 
-	// Create a temporary div to parse HTML
-	const temp = document.createElement("div");
-	temp.textContent = html; // First set as text to escape everything
-
 	// If the original contained HTML tags, we need to allow specific safe ones
-	const allowedTags = [
-		"b",
-		"i",
-		"em",
-		"strong",
-		"br",
-		"p",
-		"span",
-		"ul",
-		"li",
-		"ol",
-	];
+	const allowedTags = ALLOWED_HTML_TAGS;
 	const tagRegex = /<(\/?)([\w]+)([^>]*)>/g;
 
 	// Check if HTML contains any tags
@@ -51,16 +73,80 @@ function sanitizeHTML(html) {
 }
 
 /**
- * Supported languages list
+ * Supported languages list (registered in presets/locales.js)
  * @constant {string[]}
  */
-const SUPPORTED_LANGUAGES = ["en", "es"];
+const SUPPORTED_LANGUAGES = SUPPORTED_LOCALES;
 
 /**
  * Default language
  * @constant {string}
  */
-const DEFAULT_LANGUAGE = "en";
+const DEFAULT_LANGUAGE = DEFAULT_LOCALE;
+
+/**
+ * Translations loaded for the current page and language
+ * @type {Object}
+ */
+let activeTranslations = {};
+
+/**
+ * Translations per locale of the fallback chain, most specific first
+ * Kept for the missing/unused key report
+ * @type {Array<{locale: string, common: Object, page: Object, prerendered?: boolean}>}
+ */
+let translationLayers = [];
+
+/**
+ * Keys looked up on the current page (markup and runtime strings)
+ * @type {Set<string>}
+ */
+const usedKeys = new Set();
+
+/**
+ * Language and translation file of the last applyTranslations() run
+ * @type {{lang: string, pageFile: string, detailKey?: string}|null}
+ */
+let reportScope = null;
+
+/**
+ * Locale files loaded during this page session, keyed 'es/about'
+ * Holds the pending request too, so concurrent loads share one fetch
+ * @type {Map<string, Promise<Object>>}
+ */
+const translationCache = new Map();
+
+/**
+ * localStorage key prefix of persisted locale files
+ * @constant {string}
+ */
+const TRANSLATION_CACHE_PREFIX = "lc-i18n-cache:";
+
+/**
+ * Format version of persisted locale files; bump to drop every stored copy
+ * @constant {number}
+ */
+const TRANSLATION_CACHE_VERSION = 1;
+
+/**
+ * Locale files pushed by the development hot reload, keyed 'es/about'
+ * Used instead of fetching the file (see updateLocaleFile())
+ * @type {Map<string, Object>}
+ */
+const localeFileOverrides = new Map();
+
+/**
+ * Id of the inline script holding translations embedded by the pre-render build
+ * (bin/prerender-i18n.cjs)
+ * @constant {string}
+ */
+const PRERENDERED_DATA_ID = "lc-i18n-data";
+
+/**
+ * Query parameter selecting the page language (?lang=es)
+ * @constant {string}
+ */
+const LANGUAGE_PARAM = "lang";
 
 /**
  * Validate language code
@@ -68,136 +154,398 @@ const DEFAULT_LANGUAGE = "en";
  * @returns {boolean} True if language is supported
  */
 function isValidLanguage(lang) {
-	return SUPPORTED_LANGUAGES.includes(lang);
+	return isSupportedLocale(lang);
 }
 
 /**
- * Fetch translation files for a given language and page
- * @param {string} lang - Language code ('en', 'es')
- * @param {string} page - Page identifier or full path for detail pages
- * @returns {Promise<Object>} Combined translations object
+ * Split a URL pathname into the GitHub Pages base path and the site-relative parts
+ * A leading language segment (e.g. /es/ from the pre-render build) is kept in the parts
+ * @param {string} pathname - URL pathname
+ * @returns {{base: string, parts: string[]}} Base path ('' locally) and remaining segments
  */
-async function fetchTranslations(lang, page) {
-	// Validate language
-	if (!isValidLanguage(lang)) {
-		console.warn(
-			`Invalid language code: ${lang}, falling back to ${DEFAULT_LANGUAGE}`,
-		);
-		lang = DEFAULT_LANGUAGE;
+function splitPagePath(pathname) {
+	const parts = pathname
+		.replace(/\/$/, "")
+		.split("/")
+		.filter((p) => p);
+
+	// If first segment is not 'pages', a language or an HTML file, it is a GitHub Pages base
+	if (
+		parts.length > 0 &&
+		parts[0] !== "pages" &&
+		!isValidLanguage(parts[0]) &&
+		!parts[0].includes(".html")
+	) {
+		return { base: `/${parts[0]}`, parts: parts.slice(1) };
+	}
+
+	return { base: "", parts };
+}
+
+/**
+ * Language requested by a URL: the ?lang= parameter, else a /es/ path prefix
+ * @param {string} [url=window.location.href] - Absolute URL
+ * @returns {string|null} Registered locale code or null when the URL names none
+ */
+function getUrlLanguage(url = window.location.href) {
+	const { searchParams, pathname } = new URL(url);
+	const param = searchParams.get(LANGUAGE_PARAM);
+	if (param) {
+		const lang = matchLocale(param);
+		if (lang) return lang;
+	}
+
+	const { parts } = splitPagePath(pathname);
+	return parts.length > 0 && isValidLanguage(parts[0]) ? parts[0] : null;
+}
+
+/**
+ * Path-style URL of a page in a language, as published by the pre-render build
+ * The default language has no prefix (/pages/about/), others their own (/es/pages/about/)
+ * @param {string} lang - Registered locale code
+ * @param {string} [url=window.location.href] - Absolute URL
+ * @returns {string} Localized URL, same origin, without ?lang=
+ */
+function getPathUrl(lang, url = window.location.href) {
+	const target = new URL(url);
+	const { base, parts } = splitPagePath(target.pathname);
+	const pageParts =
+		parts.length > 0 && isValidLanguage(parts[0]) ? parts.slice(1) : parts;
+	const segments = lang === DEFAULT_LANGUAGE ? pageParts : [lang, ...pageParts];
+	// Directory URLs keep their trailing slash; /es/ itself always has one
+	const trailingSlash =
+		target.pathname.endsWith("/") || pageParts.length === 0 ? "/" : "";
+	target.pathname = segments.length
+		? `${base}/${segments.join("/")}${trailingSlash}`
+		: `${base}/`;
+	target.searchParams.delete(LANGUAGE_PARAM);
+	return target.href;
+}
+
+/**
+ * URL of the current page in another language
+ * Pre-rendered pages and /es/ URLs keep the path style (getPathUrl); source pages
+ * use ?lang=, dropped for the default language
+ * @param {string} lang - Registered locale code
+ * @param {string} [url=window.location.href] - Absolute URL
+ * @returns {string} Localized URL, same origin
+ */
+function getLocalizedUrl(lang, url = window.location.href) {
+	const target = new URL(url);
+	const { parts } = splitPagePath(target.pathname);
+	const hasPrefix = parts.length > 0 && isValidLanguage(parts[0]);
+	const prerendered =
+		typeof document !== "undefined" &&
+		document.getElementById(PRERENDERED_DATA_ID);
+
+	if (hasPrefix || prerendered) {
+		return getPathUrl(lang, url);
+	}
+	if (lang === DEFAULT_LANGUAGE) {
+		target.searchParams.delete(LANGUAGE_PARAM);
+	} else {
+		target.searchParams.set(LANGUAGE_PARAM, lang);
+	}
+
+	return target.href;
+}
+
+/**
+ * Read translations embedded in the page by the pre-render build
+ * @param {string} lang - Language code
+ * @param {string} pageFile - Page translation file (route.file)
+ * @returns {Object|null} Translations, or null when the page has none for this language
+ */
+function getPrerenderedTranslations(lang, pageFile) {
+	const script = document.getElementById(PRERENDERED_DATA_ID);
+	if (!script) return null;
+
+	try {
+		const data = JSON.parse(script.textContent);
+		return data.lang === lang && data.file === pageFile
+			? data.translations
+			: null;
+	} catch (error) {
+		console.warn("i18n: invalid pre-rendered translations", error);
+		return null;
 	}
+}
+
+/**
+ * Get the URL of the _locale directory relative to the current page
+ * @returns {string} e.g. '../../shared/content/_locale'
+ */
+function getLocaleBasePath() {
+	const pathname = window.location.pathname;
+
+	// Detect GitHub Pages base path (e.g., /legacy-concierge/)
+	const { base: githubPagesBase, parts: adjustedPathParts } =
+		splitPagePath(pathname);
+
+	// Remove 'index.html' if present to get the actual directory depth
+	const cleanParts = adjustedPathParts.filter((part) => part !== "index.html");
+
+	// Calculate depth based on directory structure
+	// Root: [] → 0, pages/about: ['pages', 'about'] → 2, pages/treatments/views/post-op: ['pages', 'treatments', 'views', 'post-op'] → 4
+	const depth = cleanParts.length;
+
+	console.log("i18n: pathname:", pathname, "| depth:", depth);
+
+	// GitHub Pages deployment - always use absolute path
+	if (githubPagesBase) return `${githubPagesBase}/shared/content/_locale`;
+
+	// Local development at root
+	if (depth === 0) return "./shared/content/_locale";
+
+	// Local development in subdirectory - go up to root, then into shared/content/_locale
+	return `${"../".repeat(depth)}shared/content/_locale`;
+}
+
+/**
+ * Read a locale file persisted by a previous visit
+ * @param {string} key - 'es/about'
+ * @returns {{version: number, etag?: string, lastModified?: string, data: Object}|null}
+ */
+function readStoredLocaleFile(key) {
 	try {
-		// Determine the base path for locale files based on directory depth
-		const pathname = window.location.pathname;
-
-		// Detect GitHub Pages base path (e.g., /legacy-concierge/)
-		// by checking if the first path segment doesn't look like a page
-		const pathParts = pathname
-			.replace(/\/$/, "")
-			.split("/")
-			.filter((p) => p);
-
-		let githubPagesBase = "";
-		let adjustedPathParts = pathParts;
-
-		// If first segment is not 'pages' and not 'index.html', it might be a GitHub Pages base
-		if (
-			pathParts.length > 0 &&
-			pathParts[0] !== "pages" &&
-			pathParts[0] !== "index.html" &&
-			!pathParts[0].includes(".html")
-		) {
-			// This is likely a GitHub Pages repository base path
-			githubPagesBase = `/${pathParts[0]}`;
-			adjustedPathParts = pathParts.slice(1);
-		}
+		const entry = JSON.parse(
+			localStorage.getItem(`${TRANSLATION_CACHE_PREFIX}${key}`),
+		);
+		return entry?.version === TRANSLATION_CACHE_VERSION ? entry : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Persist a locale file with the validators of its response
+ * @param {string} key - 'es/about'
+ * @param {Object} data - Parsed file
+ * @param {Headers} headers - Response headers (ETag, Last-Modified)
+ * @returns {void}
+ */
+function storeLocaleFile(key, data, headers) {
+	const etag = headers.get("ETag");
+	const lastModified = headers.get("Last-Modified");
+	// Without a validator the stored copy could never be confirmed as current
+	if (!etag && !lastModified) return;
 
-		// Remove 'index.html' if present to get the actual directory depth
-		const cleanParts = adjustedPathParts.filter(
-			(part) => part !== "index.html",
+	try {
+		localStorage.setItem(
+			`${TRANSLATION_CACHE_PREFIX}${key}`,
+			JSON.stringify({
+				version: TRANSLATION_CACHE_VERSION,
+				etag,
+				lastModified,
+				data,
+			}),
 		);
+	} catch (e) {
+		console.warn("Could not cache translations:", e);
+	}
+}
+
+/**
+ * Fetch one translation file, revalidating a persisted copy
+ * The stored ETag / Last-Modified is sent along; a 304 reuses the stored file
+ * @param {string} basePath - _locale directory from getLocaleBasePath()
+ * @param {string} key - 'es/about'
+ * @returns {Promise<Object>} Translations, or an empty object
+ */
+async function loadLocaleFile(basePath, key) {
+	const stored = readStoredLocaleFile(key);
+	const headers = {};
+	if (stored?.etag) headers["If-None-Match"] = stored.etag;
+	if (stored?.lastModified) headers["If-Modified-Since"] = stored.lastModified;
+
+	try {
+		const res = await fetch(`${basePath}/${key}.json`, { headers });
+		if (res.status === 304 && stored) return stored.data;
+		if (res.status === 404) return {};
+		if (!res.ok) throw new Error(`Failed to load ${key}.json: ${res.status}`);
+		const data = await res.json();
+		storeLocaleFile(key, data, res.headers);
+		return data;
+	} catch (err) {
+		// Offline: the last stored version beats untranslated text
+		if (stored) return stored.data;
+		console.warn(`Failed to load ${key}.json:`, err);
+		translationCache.delete(key);
+		return {};
+	}
+}
 
-		// Calculate depth based on directory structure
-		// Root: [] → 0, pages/about: ['pages', 'about'] → 2, pages/treatments/views/post-op: ['pages', 'treatments', 'views', 'post-op'] → 4
-		const depth = cleanParts.length;
-
-		// Build the correct path to _locale based on depth
-		let localeBasePath;
-		if (githubPagesBase) {
-			// GitHub Pages deployment - always use absolute path
-			localeBasePath = `${githubPagesBase}/shared/content/_locale`;
-		} else if (depth === 0) {
-			// Local development at root
-			localeBasePath = "./shared/content/_locale";
-		} else {
-			// Local development in subdirectory - go up to root, then into shared/content/_locale
-			localeBasePath = `${"../".repeat(depth)}shared/content/_locale`;
+/**
+ * Get one translation file, at most one request per page session
+ * Files a regional variant does not list in LOCALES (presets/locales.js) are
+ * empty without a request; its fallbacks supply them
+ * @param {string} basePath - _locale directory from getLocaleBasePath()
+ * @param {string} locale - Locale code
+ * @param {string} file - File name without .json
+ * @returns {Promise<Object>} Translations, or an empty object
+ */
+function fetchLocaleFile(basePath, locale, file) {
+	const key = `${locale}/${file}`;
+	const override = localeFileOverrides.get(key);
+	if (override) return Promise.resolve(override);
+	if (!hasLocaleFile(locale, file)) return Promise.resolve({});
+
+	if (!translationCache.has(key)) {
+		translationCache.set(key, loadLocaleFile(basePath, key));
+	}
+	return translationCache.get(key);
+}
+
+/**
+ * Load the current page's files for a language ahead of a switch
+ * @param {string} lang - Registered locale code
+ * @returns {Promise<void>}
+ */
+async function prefetchTranslations(lang) {
+	if (!reportScope || !isValidLanguage(lang)) return;
+
+	const basePath = getLocaleBasePath();
+	await Promise.all(
+		getFallbackChain(lang).flatMap((locale) => [
+			fetchLocaleFile(basePath, locale, "common"),
+			fetchLocaleFile(basePath, locale, reportScope.pageFile),
+		]),
+	);
+}
+
+/**
+ * Prefetch the other languages once the browser is idle, so switching is instant
+ * Skipped when the visitor asked to save data
+ * @returns {void}
+ */
+function prefetchOtherLanguages() {
+	if (navigator.connection?.saveData) return;
+
+	const whenIdle =
+		window.requestIdleCallback || ((callback) => setTimeout(callback, 2000));
+	whenIdle(() => {
+		for (const lang of SUPPORTED_LANGUAGES) {
+			if (lang !== document.documentElement.lang) prefetchTranslations(lang);
 		}
+	});
+}
 
-		console.log(
-			"i18n: pathname:",
-			pathname,
-			"| depth:",
-			depth,
-			"| localeBasePath:",
-			localeBasePath,
-		);
+/**
+ * Forget cached translations, in memory and in localStorage
+ * @returns {void}
+ */
+function clearTranslationCache() {
+	translationCache.clear();
+	try {
+		for (const key of Object.keys(localStorage)) {
+			if (key.startsWith(TRANSLATION_CACHE_PREFIX))
+				localStorage.removeItem(key);
+		}
+	} catch (e) {
+		console.warn("localStorage not available:", e);
+	}
+}
+
+/**
+ * Replace the contents of a locale file for this page session
+ * Development hot reload (common/tools/dev-tools.js) calls this with an edited
+ * file, then applyTranslations() to re-translate the page without a reload
+ * @param {string} locale - Locale code ('en', 'es-MX')
+ * @param {string} file - File name without .json ('common', 'about')
+ * @param {Object} translations - Parsed file contents
+ * @returns {boolean} Whether the file is used by the current page and language
+ */
+function updateLocaleFile(locale, file, translations) {
+	localeFileOverrides.set(`${locale}/${file}`, translations);
+	if (!reportScope) return false;
+	return (
+		getFallbackChain(reportScope.lang).includes(locale) &&
+		(file === "common" || file === reportScope.pageFile)
+	);
+}
 
-		const commonPromise = fetch(`${localeBasePath}/${lang}/common.json`)
-			.then((res) => {
-				if (!res.ok)
-					throw new Error(`Failed to load common.json: ${res.status}`);
-				return res.json();
-			})
-			.catch((err) => {
-				console.warn("Failed to load common.json:", err);
-				return {};
-			});
-
-		// Determine which JSON file to load based on the page
-		let pageFile;
-
-		if (page.includes("/")) {
-			// It's a full path (detail page)
-			const pathParts = page.split("/");
-			const fileName = pathParts[pathParts.length - 1];
-
-			// Check if it's a treatment or expertise detail page
-			if (pathParts.includes("treatments") && pathParts.includes("views")) {
-				pageFile = "treatments-detail";
-			} else if (
-				pathParts.includes("expertise") &&
-				pathParts.includes("views")
+/**
+ * Deep-merge translation objects; earlier layers win
+ * Arrays are replaced whole; empty strings and TODO: placeholders count as missing
+ * @param {Object[]} layers - Translations, most specific first (e.g. es-MX, es, en)
+ * @returns {Object} Merged translations
+ */
+function mergeTranslations(layers) {
+	const isPlainObject = (value) =>
+		value !== null && typeof value === "object" && !Array.isArray(value);
+
+	const merge = (base, override) => {
+		const result = { ...base };
+		for (const [key, value] of Object.entries(override || {})) {
+			if (
+				value === "" ||
+				value === null ||
+				value === undefined ||
+				(typeof value === "string" && value.startsWith(UNTRANSLATED_PREFIX))
 			) {
-				pageFile = "expertise-detail";
-			} else if (pathParts.includes("blog") && pathParts.includes("posts")) {
-				// Blog post pages use blog.json
-				pageFile = "blog";
-			} else {
-				pageFile = fileName;
+				continue;
 			}
-		} else {
-			// Simple page name - map 'index' to 'home', everything else stays as-is
-			pageFile = page === "index" ? "home" : page;
+			result[key] =
+				isPlainObject(value) && isPlainObject(result[key])
+					? merge(result[key], value)
+					: value;
 		}
+		return result;
+	};
+
+	return layers.reduceRight((merged, layer) => merge(merged, layer), {});
+}
+
+/**
+ * Fetch translation files for a given language and page
+ * Loads common.json and the page file for every locale of the fallback chain
+ * (es-MX → es → en) and merges them, so a missing key shows the next locale's text
+ * @param {string} lang - Language code ('en', 'es', 'es-MX')
+ * @param {{file: string, namespace?: string}} route - Page route from matchRoute()
+ * @returns {Promise<Object>} Combined translations object
+ */
+async function fetchTranslations(lang, route) {
+	// Validate language
+	if (!isValidLanguage(lang)) {
+		console.warn(
+			`Invalid language code: ${lang}, falling back to ${DEFAULT_LANGUAGE}`,
+		);
+		lang = DEFAULT_LANGUAGE;
+	}
+
+	// Translation file of the page (common/presets/routes.js)
+	const pageFile = route.file;
+
+	// Pre-rendered pages carry their own (already merged) translations; no request needed
+	// (unless a locale file was hot-reloaded since)
+	const prerendered =
+		localeFileOverrides.size === 0 &&
+		getPrerenderedTranslations(lang, pageFile);
+	if (prerendered) {
+		translationLayers = [
+			{ locale: lang, common: {}, page: prerendered, prerendered: true },
+		];
+		return prerendered;
+	}
+
+	try {
+		const localeBasePath = getLocaleBasePath();
 
 		console.log("i18n: loading page file:", pageFile);
 
-		const pagePromise = fetch(`${localeBasePath}/${lang}/${pageFile}.json`)
-			.then((res) => {
-				if (!res.ok)
-					throw new Error(`Failed to load ${pageFile}.json: ${res.status}`);
-				return res.json();
-			})
-			.catch((err) => {
-				console.warn(`Failed to load ${pageFile}.json:`, err);
-				return {};
-			});
-		const [common, pageContent] = await Promise.all([
-			commonPromise,
-			pagePromise,
-		]);
-
-		return { ...common, ...pageContent };
+		translationLayers = await Promise.all(
+			getFallbackChain(lang).map(async (locale) => {
+				const [common, pageContent] = await Promise.all([
+					fetchLocaleFile(localeBasePath, locale, "common"),
+					fetchLocaleFile(localeBasePath, locale, pageFile),
+				]);
+				return { locale, common, page: mountPageFile(route, pageContent) };
+			}),
+		);
+
+		return mergeTranslations(
+			translationLayers.map((layer) => ({ ...layer.common, ...layer.page })),
+		);
 	} catch (error) {
 		console.error("Error fetching translation files:", error);
 		return {};
@@ -227,78 +575,123 @@ function getNestedTranslation(obj, key) {
 }
 
 /**
- * Update page meta tags (title, description, Open Graph) with translations
- * @param {Object} translations - Translation object
- * @param {string} pageKey - Key for the page-specific translations
- * @returns {void}
+ * Look up a translation for the current page and language
+ * Used by scripts that build text at runtime (toasts, validation messages)
+ * @param {string} key - Key in dot notation (e.g., 'contactDialog.successMessage')
+ * @param {string} [fallback=''] - Text returned when the key is missing
+ * @returns {string} Translation or fallback
  */
-function updateMetaTags(translations, pageKey) {
-	if (!translations[pageKey]) return;
+function getTranslation(key, fallback = "") {
+	usedKeys.add(key);
+	const translation = getNestedTranslation(activeTranslations, key);
+	return typeof translation === "string" ? translation : fallback;
+}
 
-	const pageData = translations[pageKey];
+/**
+ * Translate a key and format it with ICU-style parameters
+ * Supports {name}, {count, plural, ...}, {value, select, ...} (see core/message-format.js)
+ * @param {string} key - Key in dot notation (e.g., 'validation.maxFiles')
+ * @param {Object} [params={}] - Values for the message arguments
+ * @param {string} [fallback=''] - Message used when the key is missing (also formatted)
+ * @returns {string} Formatted translation
+ * @example
+ * t("careers.openings", { count: 3 }); // "3 nurses available"
+ */
+function t(key, params = {}, fallback = "") {
+	return formatMessage(getTranslation(key, fallback), params);
+}
 
-	// Update title
-	if (pageData.title) {
-		document.title = `${pageData.title} - Legacy Concierge`;
-	}
+/**
+ * Read the ICU parameters of an element from its data-i18n-params attribute
+ * @param {Element} element - Element with data-i18n / data-i18n-attr
+ * @returns {Object} Parameters (empty when missing or not valid JSON)
+ */
+function getElementParams(element) {
+	const raw = element.getAttribute("data-i18n-params");
+	if (!raw) return {};
 
-	// Update meta description
-	if (pageData.subtitle) {
-		const metaDesc = document.querySelector('meta[name="description"]');
-		if (metaDesc) {
-			metaDesc.setAttribute("content", pageData.subtitle);
-		}
+	try {
+		const params = JSON.parse(raw);
+		return params && typeof params === "object" ? params : {};
+	} catch (error) {
+		console.warn("Invalid data-i18n-params:", raw, error);
+		return {};
 	}
+}
 
-	// Update Open Graph tags
-	if (pageData.title) {
-		const ogTitle = document.querySelector('meta[property="og:title"]');
-		if (ogTitle) {
-			ogTitle.setAttribute("content", `${pageData.title} - Legacy Concierge`);
-		}
-
-		const twitterTitle = document.querySelector(
-			'meta[property="twitter:title"]',
-		);
-		if (twitterTitle) {
-			twitterTitle.setAttribute(
-				"content",
-				`${pageData.title} - Legacy Concierge`,
-			);
-		}
+/**
+ * Format a translation value with element parameters
+ * @param {*} translation - Translation value (string or array of strings)
+ * @param {Object} params - ICU parameters
+ * @param {string} lang - Language for plural rules and number formatting
+ * @returns {*} Formatted value
+ */
+function formatTranslation(translation, params, lang) {
+	if (typeof translation === "string") {
+		return formatMessage(translation, params, lang);
 	}
-
-	if (pageData.subtitle) {
-		const ogDesc = document.querySelector('meta[property="og:description"]');
-		if (ogDesc) {
-			ogDesc.setAttribute("content", pageData.subtitle);
-		}
-
-		const twitterDesc = document.querySelector(
-			'meta[property="twitter:description"]',
-		);
-		if (twitterDesc) {
-			twitterDesc.setAttribute("content", pageData.subtitle);
-		}
+	if (Array.isArray(translation)) {
+		return translation.map((item) => formatTranslation(item, params, lang));
 	}
+	return translation;
+}
+
+/**
+ * Get translated meta data (title, description, image) for a detail page
+ * @param {Object} translations - Translation object
+ * @param {string} pageKey - Key for the page-specific translations
+ * @returns {{title?: string, description?: string, image?: string}|null} Meta values, or null when the key is missing
+ */
+function getPageMeta(translations, pageKey) {
+	const pageData = translations[pageKey];
+	if (!pageData) return null;
 
-	// Update Open Graph and Twitter image tags
+	const meta = {};
+	if (pageData.title) meta.title = `${pageData.title} - Legacy Concierge`;
+	if (pageData.subtitle) meta.description = pageData.subtitle;
 	if (pageData.image) {
 		const baseUrl = "https://www.legacyconcierge.com/";
-		const fullImageUrl = pageData.image.startsWith("http")
+		meta.image = pageData.image.startsWith("http")
 			? pageData.image
 			: baseUrl + pageData.image;
+	}
+	return meta;
+}
 
-		const ogImage = document.querySelector('meta[property="og:image"]');
-		if (ogImage) {
-			ogImage.setAttribute("content", fullImageUrl);
-		}
+/**
+ * Meta tag selectors updated from getPageMeta() values
+ * @constant {Object<string, string[]>}
+ */
+const META_SELECTORS = {
+	title: ['meta[property="og:title"]', 'meta[property="twitter:title"]'],
+	description: [
+		'meta[name="description"]',
+		'meta[property="og:description"]',
+		'meta[property="twitter:description"]',
+	],
+	image: ['meta[property="og:image"]', 'meta[property="twitter:image"]'],
+};
 
-		const twitterImage = document.querySelector(
-			'meta[property="twitter:image"]',
-		);
-		if (twitterImage) {
-			twitterImage.setAttribute("content", fullImageUrl);
+/**
+ * Update page meta tags (title, description, Open Graph) with translations
+ * @param {Object} translations - Translation object
+ * @param {string} pageKey - Key for the page-specific translations
+ * @returns {void}
+ */
+function updateMetaTags(translations, pageKey) {
+	const meta = getPageMeta(translations, pageKey);
+	if (!meta) return;
+
+	// Update title
+	if (meta.title) {
+		document.title = meta.title;
+	}
+
+	// Update description, Open Graph and Twitter tags
+	for (const [field, selectors] of Object.entries(META_SELECTORS)) {
+		if (!meta[field]) continue;
+		for (const selector of selectors) {
+			document.querySelector(selector)?.setAttribute("content", meta[field]);
 		}
 	}
 }
@@ -309,89 +702,41 @@ function updateMetaTags(translations, pageKey) {
  */
 async function applyTranslations() {
 	const lang = document.documentElement.lang || "en";
-	let path = window.location.pathname;
-
-	// Detect and strip GitHub Pages base path if present
-	const pathSegments = path
-		.replace(/\/$/, "")
-		.split("/")
-		.filter((p) => p);
-
-	let githubPagesBase = "";
 
-	// Check if first segment is a GitHub Pages base (not 'pages' or an HTML file)
-	if (
-		pathSegments.length > 0 &&
-		pathSegments[0] !== "pages" &&
-		!pathSegments[0].includes(".html")
-	) {
-		// This is likely a GitHub Pages repository base path
-		githubPagesBase = `/${pathSegments[0]}`;
-		// Strip the base path for page detection
-		path = `/${pathSegments.slice(1).join("/")}`;
-	}
-
-	const pathParts = path
-		.replace(/\/$/, "")
-		.split("/")
-		.filter((p) => p);
-
-	// Determine the page identifier for fetching translations
-	let page;
-
-	// If it's the root index.html or just /
-	if (
-		pathParts.length === 0 ||
-		(pathParts.length === 1 && pathParts[0] === "index.html")
-	) {
-		page = "index";
-	}
-	// If it's a detail page in treatments or expertise
-	else if (
-		path.includes("/treatments/views/") ||
-		path.includes("/expertise/views/")
-	) {
-		page = path; // Pass full path for detail pages
-	}
-	// For other pages, use the directory name (e.g., /pages/about/ → 'about')
-	else {
-		// Get the last meaningful directory name (not 'index.html')
-		const lastPart = pathParts[pathParts.length - 1];
-		page =
-			lastPart === "index.html"
-				? pathParts[pathParts.length - 2]
-				: lastPart.replace(".html", "");
-	}
+	// Strip the GitHub Pages base and any language prefix for page detection
+	const { base: githubPagesBase, parts } = splitPagePath(
+		window.location.pathname,
+	);
+	const pageParts = isValidLanguage(parts[0]) ? parts.slice(1) : parts;
+	const trailingSlash = window.location.pathname.endsWith("/") ? "/" : "";
+	const path = pageParts.length
+		? `/${pageParts.join("/")}${trailingSlash}`
+		: "/";
 
-	console.log("applyTranslations: path:", path, "| page:", page);
+	// Translation file and meta key for this page (common/presets/routes.js)
+	const route = matchRoute(path);
 
-	const translations = await fetchTranslations(lang, page);
+	console.log("applyTranslations: path:", path, "| file:", route.file);
 
-	// Extract fileName for detail pages (e.g., 'post-op-recovery' from '$/treatments/views/post-op-recovery/')
-	let fileName;
-	if (
-		path.includes("/treatments/views/") ||
-		path.includes("/expertise/views/")
-	) {
-		const cleanParts = pathParts.filter((part) => part !== "index.html");
-		fileName = cleanParts[cleanParts.length - 1];
-	}
+	const translations = await fetchTranslations(lang, route);
+	activeTranslations = translations;
+	usedKeys.clear();
 
-	// Update meta tags for detail pages
-	if (path.includes("/treatments/") && fileName && translations[fileName]) {
-		updateMetaTags(translations, fileName);
-	} else if (
-		path.includes("/expertise/") &&
-		fileName &&
-		translations[fileName]
-	) {
-		updateMetaTags(translations, fileName);
+	// Update meta tags for detail pages (e.g., 'post-op-recovery' from '$/treatments/views/post-op-recovery/')
+	reportScope = { lang, pageFile: route.file, detailKey: route.meta };
+	if (route.meta) {
+		updateMetaTags(translations, route.meta);
 	}
 
 	// Apply translations to elements with data-i18n attributes
 	for (const element of document.querySelectorAll("[data-i18n]")) {
 		const key = element.getAttribute("data-i18n");
-		const translation = getNestedTranslation(translations, key);
+		usedKeys.add(key);
+		const translation = formatTranslation(
+			getNestedTranslation(translations, key),
+			getElementParams(element),
+			lang,
+		);
 		if (translation) {
 			if (Array.isArray(translation)) {
 				// Handle arrays (like features lists)
@@ -421,10 +766,16 @@ async function applyTranslations() {
 	for (const element of document.querySelectorAll("[data-i18n-attr]")) {
 		const attrData = element.getAttribute("data-i18n-attr");
 		const pairs = attrData.split("|");
+		const params = getElementParams(element);
 
 		for (const pair of pairs) {
 			const [attr, key] = pair.split(":");
-			let translation = getNestedTranslation(translations, key);
+			usedKeys.add(key);
+			let translation = formatTranslation(
+				getNestedTranslation(translations, key),
+				params,
+				lang,
+			);
 
 			if (translation) {
 				// Fix paths for src, href attributes when on GitHub Pages
@@ -446,21 +797,129 @@ async function applyTranslations() {
 			}
 		}
 	}
+
+	// Let runtime-generated text (toasts, messages) pick up the new language
+	document.dispatchEvent(
+		new CustomEvent("lc-translations-applied", { detail: { lang } }),
+	);
+}
+
+/**
+ * Check whether a translation value has usable content
+ * @param {*} value - Translation value
+ * @returns {boolean}
+ */
+function hasTranslation(value) {
+	return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * List the leaf keys of a translation object in data-i18n notation
+ * Arrays of strings are one key; arrays of objects use bracket notation
+ * @param {Object} obj - Translations
+ * @param {string} [prefix=''] - Key of obj itself
+ * @returns {string[]} e.g. ['hero.title', 'services[0].title']
+ */
+function listTranslationKeys(obj, prefix = "") {
+	if (Array.isArray(obj)) {
+		if (!obj.some((item) => item && typeof item === "object")) return [prefix];
+		return obj.flatMap((item, index) =>
+			listTranslationKeys(item, `${prefix}[${index}]`),
+		);
+	}
+	if (obj && typeof obj === "object") {
+		return Object.entries(obj).flatMap(([key, value]) =>
+			listTranslationKeys(value, prefix ? `${prefix}.${key}` : key),
+		);
+	}
+	return prefix ? [prefix] : [];
+}
+
+/**
+ * Report keys on the current page that are missing, served by a fallback locale, or unused
+ * Unused keys come from the page's own translation file (common.json is shared by every page)
+ * @returns {{lang: string, pageFile: string, chain: string[], prerendered: boolean, rows: Array<{key: string, status: string, locale: string}>}|null}
+ * Report, or null before translations have been applied
+ */
+function getTranslationReport() {
+	if (!reportScope || translationLayers.length === 0) return null;
+
+	const [primary] = translationLayers;
+	const rows = [];
+
+	for (const key of usedKeys) {
+		const source = translationLayers.find((layer) =>
+			hasTranslation(
+				getNestedTranslation({ ...layer.common, ...layer.page }, key),
+			),
+		);
+		if (!source) {
+			rows.push({ key, status: "missing", locale: "" });
+		} else if (source !== primary) {
+			rows.push({ key, status: "fallback", locale: source.locale });
+		}
+	}
+
+	// Pre-rendered translations are already merged with common.json
+	if (!primary.prerendered) {
+		const { detailKey } = reportScope;
+		const pageKeys = detailKey
+			? listTranslationKeys(primary.page[detailKey], detailKey)
+			: listTranslationKeys(primary.page);
+		const isUsed = (key) =>
+			[...usedKeys].some(
+				(used) =>
+					used === key ||
+					key.startsWith(`${used}.`) ||
+					key.startsWith(`${used}[`) ||
+					used.startsWith(`${key}.`) ||
+					used.startsWith(`${key}[`),
+			);
+
+		for (const key of pageKeys) {
+			if (!isUsed(key)) {
+				rows.push({ key, status: "unused", locale: primary.locale });
+			}
+		}
+	}
+
+	return {
+		lang: reportScope.lang,
+		pageFile: reportScope.pageFile,
+		chain: translationLayers.map((layer) => layer.locale),
+		prerendered: Boolean(primary.prerendered),
+		rows,
+	};
+}
+
+/**
+ * Set the document language and its writing direction (dir="rtl" for Arabic, Hebrew...)
+ * @param {string} lang - Registered language code
+ * @returns {void}
+ */
+function setDocumentLanguage(lang) {
+	document.documentElement.lang = lang;
+	document.documentElement.dir = getDirection(lang);
 }
 
 /**
  * Switch the current language and reload translations
- * @param {string} lang - Language code to switch to ('en', 'es')
+ * Fires `lc-language-change` on document ({ lang, previous, dir }) when the
+ * language changes; subscribe to it rather than watching the lang attribute
+ * @param {string} lang - Language code to switch to ('en', 'es', 'es-MX')
+ * @param {Object} [options]
+ * @param {boolean} [options.updateHistory=true] - Push the localized URL (getLocalizedUrl) to history
  * @returns {void}
  */
-function switchLanguage(lang) {
+function switchLanguage(lang, { updateHistory = true } = {}) {
 	// Validate language before switching
 	if (!isValidLanguage(lang)) {
 		console.error(`Invalid language code: ${lang}`);
 		return;
 	}
 
-	document.documentElement.lang = lang;
+	const previous = document.documentElement.lang;
+	setDocumentLanguage(lang);
 
 	// Store language preference
 	try {
@@ -469,16 +928,61 @@ function switchLanguage(lang) {
 		console.warn("Could not save language preference:", e);
 	}
 
+	if (lang !== previous) {
+		if (updateHistory) {
+			history.pushState({ lang }, "", getLocalizedUrl(lang));
+		}
+		updateAlternateLinks();
+		document.dispatchEvent(
+			new CustomEvent("lc-language-change", {
+				detail: { lang, previous, dir: document.documentElement.dir },
+			}),
+		);
+	}
+
 	// Reload translations
 	applyTranslations();
 }
 
 /**
- * Initialize the language from localStorage or browser preference
- * Falls back to 'en' if no valid language is found
+ * Initialize the language from the URL (?lang=es, /es/), localStorage or browser preference
+ * Falls back to 'en' if no valid language is found; pre-rendered pages keep their lang attribute
  * @returns {void}
  */
 function initializeLanguage() {
+	// Pre-rendered pages are already in the language of their URL
+	if (document.getElementById(PRERENDERED_DATA_ID)) {
+		history.replaceState({ lang: document.documentElement.lang }, "");
+		return;
+	}
+
+	// A language in the URL wins and becomes the saved preference
+	const urlLang = getUrlLanguage();
+	if (urlLang) {
+		try {
+			localStorage.setItem("preferred-language", urlLang);
+		} catch (e) {
+			console.warn("Could not save language preference:", e);
+		}
+	}
+
+	// The <head> bootstrap (core/bootstrap-init.js) already picked the language
+	const bootLang = window.LCBootstrap?.lang;
+	const lang =
+		isValidLanguage(bootLang) && (!urlLang || urlLang === bootLang)
+			? bootLang
+			: detectLanguage(urlLang);
+
+	setDocumentLanguage(lang);
+	history.replaceState({ lang }, "");
+}
+
+/**
+ * Pick the language for a page without a bootstrap: URL, saved, browser, 'en'
+ * @param {string|null} urlLang - Language named by the URL (getUrlLanguage)
+ * @returns {string} Registered locale code
+ */
+function detectLanguage(urlLang) {
 	let savedLang;
 	try {
 		savedLang = localStorage.getItem("preferred-language");
@@ -487,35 +991,113 @@ function initializeLanguage() {
 		savedLang = null;
 	}
 
-	const browserLang = navigator.language.split("-")[0];
+	// Best registered match for the browser languages (es-AR → es, es-MX → es-MX)
+	const browserLang = matchLocale(navigator.languages || [navigator.language]);
+
+	if (urlLang) return urlLang;
+	if (savedLang && isValidLanguage(savedLang)) return savedLang;
+	return browserLang || DEFAULT_LANGUAGE;
+}
 
-	let lang = DEFAULT_LANGUAGE;
-	if (savedLang && isValidLanguage(savedLang)) {
-		lang = savedLang;
-	} else if (isValidLanguage(browserLang)) {
-		lang = browserLang;
+/**
+ * Point <link rel="canonical"> at the current language and add
+ * <link rel="alternate" hreflang> for every registered locale and x-default
+ * Both use the published /es/ URLs (getPathUrl), also on ?lang= pages, so they
+ * match sitemap.xml. Pre-rendered pages ship their own and are left alone.
+ * @returns {void}
+ */
+function updateAlternateLinks() {
+	if (document.getElementById(PRERENDERED_DATA_ID)) return;
+
+	// Published URL of the page: no query, hash or index.html
+	const pageUrl = (lang) => {
+		const url = new URL(getPathUrl(lang));
+		url.search = "";
+		url.hash = "";
+		return url.href.replace(/index\.html$/, "");
+	};
+
+	const canonical = document.head.querySelector('link[rel="canonical"]');
+	if (canonical) canonical.href = pageUrl(document.documentElement.lang);
+
+	for (const link of document.head.querySelectorAll(
+		'link[rel="alternate"][hreflang][data-lc-generated]',
+	)) {
+		link.remove();
 	}
+	if (document.head.querySelector('link[rel="alternate"][hreflang]')) return;
 
-	document.documentElement.lang = lang;
+	const alternates = [
+		...SUPPORTED_LANGUAGES.map((lang) => [lang, pageUrl(lang)]),
+		["x-default", pageUrl(DEFAULT_LANGUAGE)],
+	];
+	for (const [hreflang, href] of alternates) {
+		const link = document.createElement("link");
+		link.rel = "alternate";
+		link.hreflang = hreflang;
+		link.href = href;
+		link.dataset.lcGenerated = "";
+		document.head.appendChild(link);
+	}
 }
 
-document.addEventListener("DOMContentLoaded", () => {
+/**
+ * Set the language and translate the page once the DOM is ready
+ * Back/forward between language URLs restores the language of the entry
+ * @returns {void}
+ */
+function initialize() {
 	initializeLanguage();
-	applyTranslations();
+	updateAlternateLinks();
+	applyTranslations().then(prefetchOtherLanguages);
 
-	// Language toggle functionality
-	const languageToggle = document.querySelector(".language-toggle");
-	if (languageToggle) {
-		languageToggle.addEventListener("click", () => {
-			const currentLang = document.documentElement.lang;
-			const newLang = currentLang === "en" ? "es" : "en";
-			switchLanguage(newLang);
-		});
+	window.addEventListener("popstate", (event) => {
+		const lang = event.state?.lang || getUrlLanguage() || DEFAULT_LANGUAGE;
+		if (lang !== document.documentElement.lang) {
+			switchLanguage(lang, { updateHistory: false });
+		}
+	});
+}
+
+// Skipped outside the browser (bin/prerender-i18n.cjs imports this module)
+if (typeof document !== "undefined") {
+	if (document.readyState === "loading") {
+		document.addEventListener("DOMContentLoaded", initialize);
+	} else {
+		initialize();
 	}
-});
+}
+
+// Export functions
+export {
+	ALLOWED_HTML_TAGS,
+	applyTranslations,
+	clearTranslationCache,
+	DEFAULT_LANGUAGE,
+	formatTranslation,
+	getLocalizedUrl,
+	getNestedTranslation,
+	getPageMeta,
+	getTranslation,
+	getTranslationReport,
+	getUrlLanguage,
+	LANGUAGE_PARAM,
+	META_SELECTORS,
+	mergeTranslations,
+	PRERENDERED_DATA_ID,
+	prefetchTranslations,
+	SUPPORTED_LANGUAGES,
+	sanitizeHTML,
+	UNTRANSLATED_PREFIX,
+	switchLanguage,
+	updateLocaleFile,
+	t,
+};
 
 // Expose applyTranslations globally for component integration
 if (typeof window !== "undefined") {
 	window.applyTranslations = applyTranslations;
 	window.switchLanguage = switchLanguage;
+	window.getTranslation = getTranslation;
+	window.t = t;
 }
@@ -0,0 +1,360 @@
+// @ts-nocheck
+/**
+ * Submission Outbox
+ * Persists form submissions that failed because of connectivity problems and
+ * retries them with exponential backoff until they are delivered.
+ *
+ * - Entries are stored in IndexedDB (falls back to memory when unavailable)
+ * - Retries run when the browser fires `online`, on page load and on a backoff timer
+ * - Only one tab delivers at a time (Web Locks), so no entry is sent twice
+ * - Every change is announced with a `lc-outbox-change` event on window:
+ *   detail.type is 'queued', 'retry', 'sent' or 'failed'; detail.entry is the stored submission
+ * - Entries the backend rejects, or that still fail after MAX_ATTEMPTS tries or
+ *   MAX_ENTRY_AGE, are dropped with an error toast, since no form on the
+ *   current page may own them
+ *
+ * @example
+ * import { queueSubmission } from "@/services/outbox.js";
+ * await queueSubmission(formData, config, { formId: "contact-dialog" });
+ */
+
+import { notify } from "@/components/lc-toast.js";
+import { formatDate } from "@/core/helpers.js";
+import { isRetryableError, submitForm } from "@/services/submission.js";
+
+/**
+ * IndexedDB database name
+ * @constant {string}
+ */
+const DB_NAME = "lc-outbox";
+
+/**
+ * IndexedDB object store name
+ * @constant {string}
+ */
+const STORE_NAME = "submissions";
+
+/**
+ * First retry delay in milliseconds
+ * @constant {number}
+ */
+const BASE_RETRY_DELAY = 5000;
+
+/**
+ * Upper bound for the retry delay in milliseconds
+ * @constant {number}
+ */
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+/**
+ * Attempts before an entry is given up (about an hour and a half of failures)
+ * @constant {number}
+ */
+const MAX_ATTEMPTS = 24;
+
+/**
+ * Entries still failing this long after they were queued are given up (7 days)
+ * @constant {number}
+ */
+const MAX_ENTRY_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Web Lock held by the tab that is delivering entries
+ * @constant {string}
+ */
+const LOCK_NAME = "lc-outbox-flush";
+
+/**
+ * In-memory store used when IndexedDB cannot be opened
+ * @type {Map<number, Object>}
+ */
+const memoryStore = new Map();
+let memoryId = 0;
+
+let dbPromise = null;
+let flushing = false;
+let retryTimer = null;
+
+/**
+ * Open (and create on first use) the outbox database
+ * @returns {Promise<IDBDatabase|null>} Database or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+	if (dbPromise) return dbPromise;
+
+	dbPromise = new Promise((resolve) => {
+		if (typeof indexedDB === "undefined") {
+			resolve(null);
+			return;
+		}
+
+		const request = indexedDB.open(DB_NAME, 1);
+		request.onupgradeneeded = () => {
+			request.result.createObjectStore(STORE_NAME, {
+				keyPath: "id",
+				autoIncrement: true,
+			});
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => {
+			console.warn(
+				"Outbox: IndexedDB unavailable, using memory",
+				request.error,
+			);
+			resolve(null);
+		};
+	});
+
+	return dbPromise;
+}
+
+/**
+ * Run a request against the object store
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, operation) {
+	const db = await openDatabase();
+	if (!db) return null;
+
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(STORE_NAME, mode);
+		const request = operation(transaction.objectStore(STORE_NAME));
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Save an entry, assigning an id to new entries
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} Saved entry
+ */
+async function saveEntry(entry) {
+	const db = await openDatabase();
+	if (!db) {
+		const id = entry.id ?? ++memoryId;
+		memoryStore.set(id, { ...entry, id });
+		return memoryStore.get(id);
+	}
+
+	const id = await withStore("readwrite", (store) => store.put(entry));
+	return { ...entry, id };
+}
+
+/**
+ * Remove an entry
+ * @param {number} id - Entry id
+ * @returns {Promise<void>}
+ */
+async function deleteEntry(id) {
+	const db = await openDatabase();
+	if (!db) {
+		memoryStore.delete(id);
+		return;
+	}
+	await withStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Get every submission still waiting to be delivered
+ * @returns {Promise<Object[]>} Pending entries, oldest first
+ */
+async function getPendingSubmissions() {
+	const db = await openDatabase();
+	if (!db) return Array.from(memoryStore.values());
+	return (await withStore("readonly", (store) => store.getAll())) || [];
+}
+
+/**
+ * Calculate the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds (with up to 20% jitter)
+ */
+function getRetryDelay(attempts) {
+	const delay = Math.min(
+		BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0),
+		MAX_RETRY_DELAY,
+	);
+	return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Announce an outbox change
+ * @param {string} type - 'queued', 'retry', 'sent' or 'failed'
+ * @param {Object} entry - Affected entry
+ * @param {Object} [extra] - Additional detail (e.g. adapter result)
+ */
+function notifyChange(type, entry, extra = {}) {
+	window.dispatchEvent(
+		new CustomEvent("lc-outbox-change", {
+			detail: { type, entry, ...extra },
+		}),
+	);
+}
+
+/**
+ * Remove an entry that will not be delivered and tell the visitor
+ * @param {Object} entry - Outbox entry
+ * @param {Object} result - Last adapter result
+ * @returns {Promise<void>}
+ */
+async function dropEntry(entry, result) {
+	console.error("Outbox: dropping undeliverable submission", entry, result);
+	await deleteEntry(entry.id);
+	notifyChange("failed", entry, { result });
+	notify({
+		type: "error",
+		messageKey: "form.failedMessage",
+		message:
+			"A request you saved on {date} could not be delivered. Please send it again or contact us directly.",
+		params: { date: formatDate(entry.createdAt) },
+		timeout: 0,
+	});
+}
+
+/**
+ * Whether an entry whose delivery just failed again should be given up
+ * @param {Object} entry - Outbox entry (attempts does not count the failed one yet)
+ * @returns {boolean}
+ */
+function isExhausted(entry) {
+	return (
+		entry.attempts + 1 >= MAX_ATTEMPTS ||
+		Date.now() - entry.createdAt > MAX_ENTRY_AGE
+	);
+}
+
+/**
+ * Store a submission for later delivery
+ * @param {FormData} formData - Data collected from the form
+ * @param {Object} config - Resolved submission configuration (see submission.js)
+ * @param {Object} [options]
+ * @param {string} [options.formId] - Identifier of the originating form
+ * @returns {Promise<Object>} Stored entry
+ */
+async function queueSubmission(formData, config, { formId = "" } = {}) {
+	const entry = await saveEntry({
+		formId,
+		config,
+		fields: Array.from(formData.entries()),
+		createdAt: Date.now(),
+		attempts: 1,
+		nextAttemptAt: Date.now() + getRetryDelay(1),
+	});
+
+	notifyChange("queued", entry);
+	await scheduleRetry();
+	return entry;
+}
+
+/**
+ * Deliver the entries that are due
+ * @param {boolean} force - Ignore backoff and retry everything now
+ * @returns {Promise<void>}
+ */
+async function deliverPending(force) {
+	const entries = await getPendingSubmissions();
+
+	for (const entry of entries) {
+		if (!force && entry.nextAttemptAt > Date.now()) continue;
+
+		const formData = new FormData();
+		for (const [name, value] of entry.fields) {
+			formData.append(name, value);
+		}
+
+		const result = await submitForm(formData, entry.config);
+
+		if (result.success) {
+			await deleteEntry(entry.id);
+			notifyChange("sent", entry, { result });
+		} else if (isRetryableError(result.error) && !isExhausted(entry)) {
+			const attempts = entry.attempts + 1;
+			const updated = await saveEntry({
+				...entry,
+				attempts,
+				nextAttemptAt: Date.now() + getRetryDelay(attempts),
+			});
+			notifyChange("retry", updated);
+		} else {
+			// Rejected by the backend, or still failing after every retry
+			await dropEntry(entry, result);
+		}
+	}
+}
+
+/**
+ * Try to deliver pending submissions
+ * Skipped while another tab holds the outbox lock; that tab delivers them
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignore backoff and retry everything now
+ * @returns {Promise<void>}
+ */
+async function flushOutbox({ force = false } = {}) {
+	if (flushing || navigator.onLine === false) return;
+	flushing = true;
+
+	try {
+		if (navigator.locks) {
+			await navigator.locks.request(
+				LOCK_NAME,
+				{ ifAvailable: true },
+				(lock) => lock && deliverPending(force),
+			);
+		} else {
+			await deliverPending(force);
+		}
+	} catch (error) {
+		console.error("Outbox: flush failed", error);
+	} finally {
+		flushing = false;
+		scheduleRetry();
+	}
+}
+
+/**
+ * Schedule the next retry for the earliest pending entry
+ * Never rejects: a storage error only skips the timer (online and page load
+ * still retry)
+ * @returns {Promise<void>}
+ */
+async function scheduleRetry() {
+	clearTimeout(retryTimer);
+
+	try {
+		const entries = await getPendingSubmissions();
+		if (entries.length === 0) return;
+
+		const next = Math.min(...entries.map((entry) => entry.nextAttemptAt));
+		retryTimer = setTimeout(
+			() => flushOutbox(),
+			Math.max(next - Date.now(), 0),
+		);
+	} catch (error) {
+		console.error("Outbox: could not schedule a retry", error);
+	}
+}
+
+// Retry everything as soon as connectivity returns
+window.addEventListener("online", () => flushOutbox({ force: true }));
+
+// Deliver anything left over from a previous visit
+if (document.readyState === "loading") {
+	document.addEventListener("DOMContentLoaded", () => flushOutbox());
+} else {
+	flushOutbox();
+}
+
+// Export functions
+export { flushOutbox, getPendingSubmissions, queueSubmission };
+
+// Also expose globally for non-module usage
+if (typeof window !== "undefined") {
+	window.LCOutbox = {
+		queueSubmission,
+		flushOutbox,
+		getPendingSubmissions,
+	};
+}
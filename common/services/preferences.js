@@ -0,0 +1,185 @@
+// @ts-nocheck
+/**
+ * Reading Preferences Module
+ * Text size, text spacing, reduced motion, link underlines and a
+ * dyslexia-friendly font, saved in localStorage ("reading-preferences")
+ *
+ * Loaded as a classic script in <head>, right after path-resolver-init.js, so
+ * the saved preferences are on <html> before the first paint. Each preference
+ * sets an attribute on <html> (data-text-size, data-text-spacing,
+ * data-reduce-motion, data-underline-links, data-dyslexia-font) that
+ * shared/theme/style.css styles; only non-default values are set.
+ *
+ * Changes fire `lc-preferences-change` on document ({ name, value, preferences }).
+ * The panel is <lc-a11y-preferences>; the API is on window.LCPreferences.
+ */
+
+(() => {
+	/**
+	 * Storage key for the saved preferences (JSON)
+	 * @constant {string}
+	 */
+	const STORAGE_KEY = "reading-preferences";
+
+	/**
+	 * Registered preferences
+	 * `values` lists the accepted values of non-boolean preferences
+	 * @constant {Object<string, {default: (number|boolean), attribute: string, values?: number[]}>}
+	 */
+	const PREFERENCES = {
+		textSize: {
+			default: 100,
+			values: [100, 115, 130, 150],
+			attribute: "data-text-size",
+		},
+		textSpacing: { default: false, attribute: "data-text-spacing" },
+		reduceMotion: { default: false, attribute: "data-reduce-motion" },
+		underlineLinks: { default: false, attribute: "data-underline-links" },
+		dyslexiaFont: { default: false, attribute: "data-dyslexia-font" },
+	};
+
+	/**
+	 * Check a value against a preference's accepted values
+	 * @param {string} name - Preference name
+	 * @param {*} value - Value to check
+	 * @returns {boolean}
+	 */
+	function isValidPreference(name, value) {
+		const preference = PREFERENCES[name];
+		if (!preference) return false;
+		return preference.values
+			? preference.values.includes(value)
+			: typeof value === "boolean";
+	}
+
+	/**
+	 * Get every preference, saved values over defaults
+	 * @returns {Object<string, (number|boolean)>}
+	 */
+	function getPreferences() {
+		let saved = {};
+		try {
+			saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+		} catch (e) {
+			console.warn("Could not read reading preferences:", e);
+		}
+
+		const preferences = {};
+		for (const [name, preference] of Object.entries(PREFERENCES)) {
+			preferences[name] = isValidPreference(name, saved[name])
+				? saved[name]
+				: preference.default;
+		}
+		return preferences;
+	}
+
+	/**
+	 * Reflect preferences on <html>
+	 * @param {Object<string, (number|boolean)>} preferences
+	 * @returns {void}
+	 */
+	function applyPreferences(preferences) {
+		const root = document.documentElement;
+
+		for (const [name, preference] of Object.entries(PREFERENCES)) {
+			const value = preferences[name];
+			if (value === preference.default) {
+				root.removeAttribute(preference.attribute);
+			} else {
+				root.setAttribute(preference.attribute, String(value));
+			}
+		}
+
+		// Scales rem-based sizes; see "Reading preferences" in style.css
+		root.style.setProperty("--text-scale", String(preferences.textSize / 100));
+	}
+
+	/**
+	 * Save and apply one preference
+	 * @param {string} name - Preference name, e.g. 'textSize'
+	 * @param {number|boolean} value - New value
+	 * @returns {void}
+	 */
+	function setPreference(name, value) {
+		if (!isValidPreference(name, value)) {
+			console.error(`Invalid reading preference: ${name}=${value}`);
+			return;
+		}
+
+		const preferences = { ...getPreferences(), [name]: value };
+		savePreferences(preferences);
+		applyPreferences(preferences);
+
+		document.dispatchEvent(
+			new CustomEvent("lc-preferences-change", {
+				detail: { name, value, preferences },
+			}),
+		);
+	}
+
+	/**
+	 * Restore every preference to its default
+	 * @returns {void}
+	 */
+	function resetPreferences() {
+		try {
+			localStorage.removeItem(STORAGE_KEY);
+		} catch (e) {
+			console.warn("Could not reset reading preferences:", e);
+		}
+
+		const preferences = getPreferences();
+		applyPreferences(preferences);
+
+		document.dispatchEvent(
+			new CustomEvent("lc-preferences-change", {
+				detail: { name: null, value: null, preferences },
+			}),
+		);
+	}
+
+	/**
+	 * Store preferences, leaving out defaults
+	 * @param {Object<string, (number|boolean)>} preferences
+	 * @returns {void}
+	 */
+	function savePreferences(preferences) {
+		const changed = Object.fromEntries(
+			Object.entries(preferences).filter(
+				([name, value]) => value !== PREFERENCES[name].default,
+			),
+		);
+
+		try {
+			if (Object.keys(changed).length === 0) {
+				localStorage.removeItem(STORAGE_KEY);
+			} else {
+				localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+			}
+		} catch (e) {
+			console.warn("Could not save reading preferences:", e);
+		}
+	}
+
+	/**
+	 * Whether motion should be reduced, by the saved preference or the device
+	 * @returns {boolean}
+	 */
+	function prefersReducedMotion() {
+		return (
+			getPreferences().reduceMotion ||
+			window.matchMedia("(prefers-reduced-motion: reduce)").matches
+		);
+	}
+
+	// Apply immediately: this script runs in <head>, before the first paint
+	applyPreferences(getPreferences());
+
+	window.LCPreferences = {
+		PREFERENCES,
+		getPreferences,
+		setPreference,
+		resetPreferences,
+		prefersReducedMotion,
+	};
+})();
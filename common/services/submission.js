@@ -0,0 +1,507 @@
+// @ts-nocheck
+/**
+ * Form Submission Service
+ * Registry of submission adapters used by form components to deliver leads
+ *
+ * Built-in adapters:
+ * - hubspot: HubSpot Forms API (requires portalId and formGuid; no files)
+ * - webhook: Generic JSON POST to any endpoint (multipart when files are attached)
+ * - mailto: Opens the visitor's mail client with the form contents (no files)
+ * - mock: Resolves locally without any network request
+ *
+ * Configuration is resolved from (lowest to highest priority):
+ * 1. Page-level JSON config: <script type="application/json" id="lc-submission-config">
+ * 2. Per-form overrides inside the page config, keyed by element id ("forms": { "contact-dialog": {...} })
+ * 3. Attributes on the element itself (adapter, endpoint, portal-id, form-guid, recipient, ...)
+ *
+ * A site-relative endpoint ("api/careers") is resolved against the base path,
+ * so it also works when the site is served from a GitHub Pages subdirectory.
+ *
+ * @example
+ * <lc-contact-dialog adapter="webhook" endpoint="http://localhost:8787/submit"></lc-contact-dialog>
+ *
+ * @example
+ * <script type="application/json" id="lc-submission-config">
+ *   { "adapter": "hubspot", "portalId": "1234567", "formGuid": "abc-123" }
+ * </script>
+ */
+
+import { safeJSONParse } from "@/core/helpers.js";
+
+/**
+ * Adapter used when neither the page nor the element configures one
+ * @constant {string}
+ */
+const DEFAULT_ADAPTER = "mailto";
+
+/**
+ * Recipient used by the mailto adapter when none is configured
+ * @constant {string}
+ */
+const DEFAULT_RECIPIENT = "info@legacyconcierge.com";
+
+/**
+ * Id of the page-level configuration script element
+ * @constant {string}
+ */
+const PAGE_CONFIG_ID = "lc-submission-config";
+
+/**
+ * Element attributes mapped to their config property names
+ * @constant {Object<string, string>}
+ */
+const CONFIG_ATTRIBUTES = {
+	adapter: "adapter",
+	endpoint: "endpoint",
+	"portal-id": "portalId",
+	"form-guid": "formGuid",
+	recipient: "recipient",
+	subject: "subject",
+	"mock-delay": "delay",
+	"mock-fail": "fail",
+};
+
+/**
+ * Registered adapter factories
+ * @type {Map<string, Function>}
+ */
+const adapters = new Map();
+
+/**
+ * Register a submission adapter
+ * @param {string} name - Adapter name used in configuration (e.g., 'webhook')
+ * @param {Function} factory - Receives the resolved config and returns an object with a submit(formData, context, options) method
+ * @returns {void}
+ */
+function registerSubmissionAdapter(name, factory) {
+	if (typeof factory !== "function") {
+		throw new TypeError(
+			`Submission adapter "${name}" must be a factory function`,
+		);
+	}
+	adapters.set(name, factory);
+}
+
+/**
+ * Check whether an adapter has been registered
+ * @param {string} name - Adapter name
+ * @returns {boolean} True if the adapter exists
+ */
+function hasSubmissionAdapter(name) {
+	return adapters.has(name);
+}
+
+/**
+ * Read the page-level submission configuration
+ * @returns {Object} Parsed config or an empty object
+ */
+function getPageSubmissionConfig() {
+	const script = document.getElementById(PAGE_CONFIG_ID);
+	if (!script) return {};
+	return safeJSONParse(script.textContent, {}) || {};
+}
+
+/**
+ * Resolve the submission configuration for a form element
+ * @param {HTMLElement} element - Form host element (<lc-contact-dialog>, <lc-form>)
+ * @returns {Object} Merged configuration with an adapter name
+ */
+function resolveSubmissionConfig(element) {
+	const { forms = {}, ...pageConfig } = getPageSubmissionConfig();
+	const formConfig = element?.id ? forms[element.id] || {} : {};
+
+	const attributeConfig = {};
+	for (const [attr, key] of Object.entries(CONFIG_ATTRIBUTES)) {
+		if (element?.hasAttribute(attr)) {
+			attributeConfig[key] = element.getAttribute(attr);
+		}
+	}
+
+	const config = {
+		adapter: DEFAULT_ADAPTER,
+		...pageConfig,
+		...formConfig,
+		...attributeConfig,
+	};
+	if (config.endpoint) config.endpoint = resolveEndpoint(config.endpoint);
+	return config;
+}
+
+/**
+ * Resolve a site-relative endpoint against the base path (see core/path-resolver-init.js)
+ * @param {string} endpoint - URL ("https://…") or site path ("api/careers", "/api/careers")
+ * @returns {string} Absolute URLs unchanged, site paths with the base path
+ */
+function resolveEndpoint(endpoint) {
+	if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(endpoint)) return endpoint;
+	return typeof window.resolvePath === "function"
+		? window.resolvePath(endpoint)
+		: endpoint;
+}
+
+/**
+ * Create an adapter instance for a configuration
+ * @param {Object} config - Resolved submission configuration
+ * @returns {{name: string, submit: Function}} Adapter instance
+ */
+function createSubmissionAdapter(config) {
+	const factory = adapters.get(config.adapter);
+	if (!factory) {
+		throw new Error(`Unknown submission adapter: ${config.adapter}`);
+	}
+	return { name: config.adapter, ...factory(config) };
+}
+
+/**
+ * Build the page context sent alongside every submission
+ * @returns {{pageUri: string, pageName: string}}
+ */
+function getSubmissionContext() {
+	return {
+		pageUri: window.location.href,
+		pageName: document.title,
+	};
+}
+
+/**
+ * Submit form data using the configured adapter
+ * @param {FormData} formData - Data collected from the form
+ * @param {Object} config - Resolved submission configuration
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the upload fraction (0-1) when the adapter reports it
+ * @returns {Promise<{success: boolean, data?: Object, error?: Error}>} Submission result
+ */
+async function submitForm(formData, config, { onProgress } = {}) {
+	try {
+		const adapter = createSubmissionAdapter(config);
+		const data = await adapter.submit(formData, getSubmissionContext(), {
+			onProgress: typeof onProgress === "function" ? onProgress : () => {},
+		});
+		return { success: true, data: data || {} };
+	} catch (error) {
+		console.error(`Submission error (${config.adapter}):`, error);
+		return { success: false, error };
+	}
+}
+
+/**
+ * HTTP statuses that report a temporary problem (timeout, rate limiting,
+ * server error or an unavailable gateway)
+ * @constant {number[]}
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Check whether a failed submission is worth retrying later
+ * Network failures and temporary server errors are retryable; anything the
+ * backend rejected (4xx), an endpoint that does not accept the request (e.g.
+ * 501 from a static host), a bug in an adapter, or an adapter that cannot
+ * send the attached files, is not
+ * @param {Error} error - Error from a failed submission
+ * @returns {boolean} True if the submission should be queued for retry
+ */
+function isRetryableError(error) {
+	if (error?.code === "files-unsupported") return false;
+	if (navigator.onLine === false) return true;
+	if (!error) return false;
+	if (error.code === "network") return true;
+	return RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Wrap a failed network request (no response at all) so it stays retryable
+ * Other TypeErrors, such as a bug in an adapter, are not retried
+ * @param {Error} [cause] - Error thrown by fetch() or XMLHttpRequest
+ * @returns {Error} Error with code "network"
+ */
+function createNetworkError(cause) {
+	const error = new Error("Network request failed", { cause });
+	error.code = "network";
+	return error;
+}
+
+/**
+ * Check whether FormData contains any non-empty file entries
+ * @param {FormData} formData - Data collected from the form
+ * @returns {boolean}
+ */
+function hasFiles(formData) {
+	return Array.from(formData.values()).some(
+		(value) => value instanceof File && value.name,
+	);
+}
+
+/**
+ * Reject file attachments for adapters that can only send text
+ * Sending only the file name would report success while the file is lost
+ * @param {FormData} formData - Data collected from the form
+ * @param {string} adapter - Adapter name, for the error message
+ * @returns {void}
+ * @throws {Error} With code "files-unsupported" when files are attached
+ */
+function assertNoFiles(formData, adapter) {
+	if (!hasFiles(formData)) return;
+	const error = new Error(
+		`The ${adapter} adapter cannot send file attachments; use the webhook adapter`,
+	);
+	error.code = "files-unsupported";
+	throw error;
+}
+
+/**
+ * Convert a FormData value to text (files are represented by their name)
+ * @param {FormDataEntryValue} value - Entry value
+ * @returns {string}
+ */
+function toFieldValue(value) {
+	return value instanceof File ? value.name : value;
+}
+
+/**
+ * Convert FormData into a plain object, keeping repeated fields as arrays
+ * Files are represented by their name
+ * @param {FormData} formData - Data collected from the form
+ * @returns {Object<string, string|string[]>}
+ */
+function formDataToObject(formData) {
+	const data = {};
+	for (const [name, entry] of formData.entries()) {
+		const value = toFieldValue(entry);
+		if (name in data) {
+			data[name] = [].concat(data[name], value);
+		} else {
+			data[name] = value;
+		}
+	}
+	return data;
+}
+
+/**
+ * POST a JSON payload and return the parsed response body
+ * @param {string} url - Endpoint URL
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} Parsed JSON response (empty object for empty bodies)
+ */
+async function postJSON(url, payload) {
+	let response;
+	try {
+		response = await fetch(url, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+			},
+			body: JSON.stringify(payload),
+		});
+	} catch (error) {
+		// fetch() only rejects when no response arrives (offline, DNS, CORS)
+		throw createNetworkError(error);
+	}
+
+	const text = await response.text();
+	const data = text ? safeJSONParse(text, { message: text }) : {};
+
+	if (!response.ok) {
+		const error = new Error(data.message || `HTTP ${response.status}`);
+		error.status = response.status;
+		throw error;
+	}
+
+	return data;
+}
+
+/**
+ * POST a multipart payload, reporting upload progress
+ * Uses XMLHttpRequest because fetch() has no upload progress events
+ * @param {string} url - Endpoint URL
+ * @param {FormData} body - Request body
+ * @param {Function} onProgress - Called with the upload fraction (0-1)
+ * @returns {Promise<Object>} Parsed JSON response (empty object for empty bodies)
+ */
+function postFormData(url, body, onProgress) {
+	return new Promise((resolve, reject) => {
+		const request = new XMLHttpRequest();
+		request.open("POST", url);
+
+		request.upload.addEventListener("progress", (event) => {
+			if (event.lengthComputable) onProgress(event.loaded / event.total);
+		});
+
+		request.addEventListener("load", () => {
+			const text = request.responseText;
+			const data = text ? safeJSONParse(text, { message: text }) : {};
+
+			if (request.status < 200 || request.status >= 300) {
+				const error = new Error(data.message || `HTTP ${request.status}`);
+				error.status = request.status;
+				reject(error);
+				return;
+			}
+
+			onProgress(1);
+			resolve(data);
+		});
+
+		// Like postJSON(), a request without any response stays retryable
+		request.addEventListener("error", () => reject(createNetworkError()));
+
+		request.send(body);
+	});
+}
+
+/**
+ * Get HubSpot tracking cookie (hutk)
+ * This connects the form submission to visitor browsing behavior
+ * @returns {string|null}
+ */
+function getHubSpotCookie() {
+	const value = `; ${document.cookie}`;
+	const parts = value.split("; hubspotutk=");
+	if (parts.length === 2) {
+		return parts.pop().split(";").shift();
+	}
+	return null;
+}
+
+/**
+ * HubSpot Forms API adapter
+ * Uses the Forms API (not CRM API) for secure frontend submission
+ */
+registerSubmissionAdapter("hubspot", (config) => ({
+	async submit(formData, context) {
+		if (!config.portalId || !config.formGuid) {
+			throw new Error("HubSpot adapter requires portalId and formGuid");
+		}
+		assertNoFiles(formData, "hubspot");
+
+		const url = `https://api.hsforms.com/submissions/v3/integration/submit/${config.portalId}/${config.formGuid}`;
+
+		// Build HubSpot fields array
+		const fields = [];
+		for (const [name, value] of formData.entries()) {
+			fields.push({
+				objectTypeId: "0-1", // 0-1 indicates contact properties
+				name,
+				value: toFieldValue(value),
+			});
+		}
+
+		return postJSON(url, {
+			submittedAt: Date.now(),
+			fields,
+			context: {
+				hutk: getHubSpotCookie(), // Critical for visitor tracking
+				...context,
+			},
+		});
+	},
+}));
+
+/**
+ * Generic webhook adapter
+ * Posts { fields, context, submittedAt } as JSON to any endpoint; when files are
+ * attached the form is sent as multipart/form-data with the context in a "context" field
+ */
+registerSubmissionAdapter("webhook", (config) => ({
+	async submit(formData, context, { onProgress }) {
+		if (!config.endpoint) {
+			throw new Error("Webhook adapter requires an endpoint");
+		}
+
+		if (hasFiles(formData)) {
+			const body = new FormData();
+			for (const [name, value] of formData.entries()) {
+				body.append(name, value);
+			}
+			body.append("submittedAt", String(Date.now()));
+			body.append("context", JSON.stringify(context));
+			return postFormData(config.endpoint, body, onProgress);
+		}
+
+		return postJSON(config.endpoint, {
+			submittedAt: Date.now(),
+			fields: formDataToObject(formData),
+			context,
+		});
+	},
+}));
+
+/**
+ * Build the mailto: URL for a submission, one "name: value" line per field
+ * @param {FormData} formData - Data collected from the form
+ * @param {Object} config - Resolved submission configuration
+ * @param {{pageName: string}} context - Submission context
+ * @returns {string}
+ */
+function createMailtoUrl(formData, config, context) {
+	const recipient = config.recipient || DEFAULT_RECIPIENT;
+	const subject = config.subject || context.pageName;
+	const body = Array.from(formData.entries())
+		.map(([name, value]) => `${name}: ${toFieldValue(value)}`)
+		.join("\n");
+
+	const params = new URLSearchParams({ subject, body });
+	// URLSearchParams encodes spaces as '+', which mail clients show literally
+	return `mailto:${recipient}?${params.toString().replace(/\+/g, "%20")}`;
+}
+
+/**
+ * mailto: adapter
+ * Hands the submission to the visitor's mail client; nothing is sent by the site
+ */
+registerSubmissionAdapter("mailto", (config) => ({
+	async submit(formData, context) {
+		assertNoFiles(formData, "mailto");
+		window.location.href = createMailtoUrl(formData, config, context);
+		return {};
+	},
+}));
+
+/**
+ * Local mock adapter
+ * Logs the submission and resolves after an optional delay; set fail to simulate errors
+ * Progress is reported in steps across the delay so upload UI can be exercised
+ */
+registerSubmissionAdapter("mock", (config) => ({
+	async submit(formData, context, { onProgress }) {
+		const delay = Number.parseInt(config.delay, 10) || 500;
+		const steps = 5;
+		for (let step = 1; step <= steps; step++) {
+			await new Promise((resolve) => setTimeout(resolve, delay / steps));
+			onProgress(step / steps);
+		}
+
+		console.log("[Mock submission]", formDataToObject(formData), context);
+
+		if (config.fail === true || config.fail === "true" || config.fail === "") {
+			throw new Error("Mock submission failure");
+		}
+
+		return { inlineMessage: config.message };
+	},
+}));
+
+// Export functions
+export {
+	DEFAULT_ADAPTER,
+	createMailtoUrl,
+	createSubmissionAdapter,
+	formDataToObject,
+	getPageSubmissionConfig,
+	hasSubmissionAdapter,
+	isRetryableError,
+	registerSubmissionAdapter,
+	resolveSubmissionConfig,
+	submitForm,
+};
+
+// Also expose globally for non-module usage
+if (typeof window !== "undefined") {
+	window.LCSubmission = {
+		registerSubmissionAdapter,
+		hasSubmissionAdapter,
+		resolveSubmissionConfig,
+		createSubmissionAdapter,
+		isRetryableError,
+		submitForm,
+	};
+}
@@ -1,15 +1,62 @@
 /**
  * Theme Management Module
- * Handles dark/light theme switching with localStorage persistence
- * and system preference detection
+ * Applies one of the registered themes to <html data-theme> with localStorage
+ * persistence ("preferred-theme") and system preference detection
+ *
+ * The "system" preference follows the device: forced colors (Windows contrast
+ * themes) and prefers-contrast: more pick high-contrast, otherwise
+ * prefers-color-scheme picks dark or light, and it updates when they change.
+ *
+ * Changes fire `lc-theme-change` on document ({ theme, preference, previous });
+ * subscribe to it rather than watching the data-theme attribute.
+ *
+ * Loaded as a classic script; the API is on window.LCTheme.
  */
 
 /**
- * Initialize the theme based on saved preference or system preference
- * @returns {void}
+ * Registered themes (npm run bootstrap writes their schemes into
+ * core/bootstrap-init.js as THEME_SCHEMES; their colours are THEMES in
+ * presets/tokens.js)
+ * `scheme` is the color-scheme used for form controls and scrollbars
+ * @constant {Object<string, {scheme: "light"|"dark"}>}
  */
-function initializeTheme() {
-	// Check for saved theme preference or default to system preference
+const THEMES = {
+	light: { scheme: "light" },
+	dark: { scheme: "dark" },
+	"high-contrast": { scheme: "light" },
+	sepia: { scheme: "light" },
+};
+
+/**
+ * Preference that follows the device settings
+ * @constant {string}
+ */
+const SYSTEM_THEME = "system";
+
+/**
+ * Media queries the system preference depends on
+ * @constant {Object<string, string>}
+ */
+const THEME_MEDIA = {
+	forcedColors: "(forced-colors: active)",
+	moreContrast: "(prefers-contrast: more)",
+	dark: "(prefers-color-scheme: dark)",
+};
+
+/**
+ * Check whether a value is a registered theme or "system"
+ * @param {string|null} value - Theme name
+ * @returns {value is string}
+ */
+function isThemePreference(value) {
+	return value === SYSTEM_THEME || Object.hasOwn(THEMES, value ?? "");
+}
+
+/**
+ * Get the saved theme preference
+ * @returns {string} Registered theme or 'system' when nothing valid is saved
+ */
+function getThemePreference() {
 	let savedTheme;
 	try {
 		savedTheme = localStorage.getItem("preferred-theme");
@@ -17,43 +64,116 @@ function initializeTheme() {
 		console.warn("localStorage not available:", e);
 		savedTheme = null;
 	}
+	return isThemePreference(savedTheme) ? savedTheme : SYSTEM_THEME;
+}
 
-	const systemPrefersDark = window.matchMedia(
-		"(prefers-color-scheme: dark)",
-	).matches;
+/**
+ * Theme matching the device settings
+ * @returns {string} 'high-contrast', 'dark' or 'light'
+ */
+function getSystemTheme() {
+	const matches = (query) => window.matchMedia(query).matches;
+	if (matches(THEME_MEDIA.forcedColors) || matches(THEME_MEDIA.moreContrast)) {
+		return "high-contrast";
+	}
+	return matches(THEME_MEDIA.dark) ? "dark" : "light";
+}
 
-	const theme = savedTheme || (systemPrefersDark ? "dark" : "light");
+/**
+ * Resolve a preference to the theme to show
+ * @param {string} preference - Registered theme or 'system'
+ * @returns {string} Registered theme
+ */
+function resolveTheme(preference) {
+	return preference === SYSTEM_THEME ? getSystemTheme() : preference;
+}
 
-	// Apply theme
-	document.documentElement.setAttribute("data-theme", theme);
+/**
+ * Apply a theme preference to the document
+ * Fires `lc-theme-change` when the theme or the preference changes
+ * @param {string} preference - Registered theme or 'system'
+ * @returns {void}
+ */
+function applyTheme(preference) {
+	const root = document.documentElement;
+	const theme = resolveTheme(preference);
+	const previous = root.getAttribute("data-theme");
+	const previousPreference = root.getAttribute("data-theme-preference");
+
+	root.setAttribute("data-theme", theme);
+	root.setAttribute("data-theme-preference", preference);
+	root.style.colorScheme = THEMES[theme].scheme;
 	updateThemeToggleIcon(theme);
+
+	if (
+		previous !== null &&
+		(theme !== previous || preference !== previousPreference)
+	) {
+		document.dispatchEvent(
+			new CustomEvent("lc-theme-change", {
+				detail: { theme, preference, previous },
+			}),
+		);
+	}
 }
 
 /**
- * Toggle between dark and light themes
+ * Save and apply a theme preference
+ * @param {string} preference - Registered theme or 'system'
  * @returns {void}
  */
-function toggleTheme() {
-	const currentTheme = document.documentElement.getAttribute("data-theme");
-	const newTheme = currentTheme === "dark" ? "light" : "dark";
-
-	// Apply new theme
-	document.documentElement.setAttribute("data-theme", newTheme);
+function setTheme(preference) {
+	if (!isThemePreference(preference)) {
+		console.error(`Invalid theme: ${preference}`);
+		return;
+	}
 
-	// Save preference
 	try {
-		localStorage.setItem("preferred-theme", newTheme);
+		if (preference === SYSTEM_THEME) {
+			localStorage.removeItem("preferred-theme");
+		} else {
+			localStorage.setItem("preferred-theme", preference);
+		}
 	} catch (e) {
 		console.warn("Could not save theme preference:", e);
 	}
 
-	// Update icon
-	updateThemeToggleIcon(newTheme);
+	applyTheme(preference);
+}
+
+/**
+ * Initialize the theme based on saved preference or system preference
+ * The <head> bootstrap (core/bootstrap-init.js) has usually applied it already;
+ * then only the legacy toggle icons need syncing
+ * @returns {void}
+ */
+function initializeTheme() {
+	const preference = getThemePreference();
+	const theme = resolveTheme(preference);
+	const boot = window.LCBootstrap;
+
+	if (
+		boot?.themePreference === preference &&
+		document.documentElement.getAttribute("data-theme") === theme
+	) {
+		updateThemeToggleIcon(theme);
+		return;
+	}
+	applyTheme(preference);
+}
+
+/**
+ * Toggle between dark and light themes
+ * @returns {void}
+ */
+function toggleTheme() {
+	const currentTheme = document.documentElement.getAttribute("data-theme");
+	setTheme(currentTheme === "dark" ? "light" : "dark");
 }
 
 /**
- * Update the theme toggle icon to reflect the current theme
- * @param {string} theme - The current theme ('dark' or 'light')
+ * Update the legacy theme toggle icon to reflect the current theme
+ * @param {string} theme - The current theme
  * @returns {void}
  */
 function updateThemeToggleIcon(theme) {
@@ -78,8 +198,8 @@ function updateThemeToggleIcon(theme) {
 }
 
 /**
- * Setup theme toggle button event listener
- * Call this after components are rendered
+ * Setup legacy `.theme-toggle` buttons (light/dark only)
+ * The header uses <lc-theme-switcher>, which needs no setup
  * @returns {void}
  */
 function setupThemeToggle() {
@@ -111,28 +231,24 @@ document.addEventListener("DOMContentLoaded", () => {
 	// This will be called again after components load
 	setupThemeToggle();
 
-	// Listen for system theme changes
-	window
-		.matchMedia("(prefers-color-scheme: dark)")
-		.addEventListener("change", (e) => {
-			// Only update if user hasn't set a manual preference
-			let hasManualPreference = false;
-			try {
-				hasManualPreference = !!localStorage.getItem("preferred-theme");
-			} catch (err) {
-				console.warn("Could not check theme preference:", err);
-			}
-
-			if (!hasManualPreference) {
-				const theme = e.matches ? "dark" : "light";
-				document.documentElement.setAttribute("data-theme", theme);
-				updateThemeToggleIcon(theme);
-			}
+	// Follow device changes while the preference is "system"
+	for (const query of Object.values(THEME_MEDIA)) {
+		window.matchMedia(query).addEventListener("change", () => {
+			if (getThemePreference() === SYSTEM_THEME) applyTheme(SYSTEM_THEME);
 		});
+	}
 });
 
 // Expose functions globally for component integration
 if (typeof window !== "undefined") {
+	window.LCTheme = {
+		THEMES,
+		SYSTEM_THEME,
+		getThemePreference,
+		getSystemTheme,
+		resolveTheme,
+		setTheme,
+	};
 	window.toggleTheme = toggleTheme;
 	window.setupThemeToggle = setupThemeToggle;
 	window.updateThemeToggleIcon = updateThemeToggleIcon;
@@ -0,0 +1,699 @@
+// @ts-nocheck
+/**
+ * Form Validation Service
+ * Registry of named validation rules with localized messages
+ *
+ * Built-in rules mirror the constraint attributes on the field (required,
+ * type="email"/"url", pattern, minlength, maxlength, min, max). Extra rules are
+ * listed in the field's `validators` attribute, with an optional parameter
+ * after a colon:
+ *
+ * @example
+ * <lc-input name="phone" validators="phone-us"></lc-input>
+ * <lc-input name="zip" validators="zip"></lc-input>
+ * <lc-input name="dob" type="date" validators="dob:18-120"></lc-input>
+ *
+ * Cross-field rules are declared on the <lc-form> with `rules`, as
+ * "field: rule:param" pairs separated by semicolons:
+ *
+ * @example
+ * <lc-form rules="confirm-email: matches:email; end-date: after:start-date">
+ *
+ * Async rules (registered with `async: true`) return a promise and only run
+ * once the synchronous rules pass, e.g. checking a ZIP against our service area:
+ *
+ * @example
+ * <lc-input name="zip" validators="zip service-zip"></lc-input>
+ *
+ * Messages come from the `validation` section of the translation files and may
+ * use {placeholders} filled from the rule's parameters. A `<rule>-message`
+ * attribute on the field overrides the message for that field.
+ *
+ * @example
+ * import { registerValidator } from "@/services/validation.js";
+ * registerValidator("member-id", {
+ *   validate: (value) => /^LC\d{6}$/.test(value),
+ *   messageKey: "validation.memberId",
+ *   message: "Please enter your member ID (LC123456)",
+ * });
+ */
+
+import { formatMessage } from "@/core/message-format.js";
+import { DEFAULT_LOCALE } from "@/presets/locales.js";
+import { t } from "@/services/i18n.js";
+
+/**
+ * Registered validation rules
+ * @type {Map<string, {validate: Function, messageKey: string, message: string}>}
+ */
+const validators = new Map();
+
+/**
+ * Messages for checks that field components make themselves rather than
+ * through a rule (radio groups and the date and time-slot pickers)
+ * @constant {Object<string, {messageKey: string, message: string}>}
+ */
+const MESSAGES = {
+	requiredChoice: {
+		messageKey: "validation.requiredChoice",
+		message: "Please select an option",
+	},
+	dateUnavailable: {
+		messageKey: "validation.dateUnavailable",
+		message: "This date is not available",
+	},
+	maxSelections: {
+		messageKey: "validation.maxSelections",
+		message: "Choose up to {count, plural, one {# option} other {# options}}",
+	},
+};
+
+/**
+ * Register a validation rule
+ * @param {string} name - Rule name used in the `validators` attribute
+ * @param {Object} rule
+ * @param {Function} rule.validate - (value, context) => boolean|Object; return an object to fail with extra message params
+ * @param {boolean} [rule.async] - validate returns a promise (run after the synchronous rules)
+ * @param {string} rule.messageKey - Translation key for the error message
+ * @param {string} rule.message - English message used when no translation is loaded
+ * @returns {void}
+ */
+function registerValidator(name, rule) {
+	if (typeof rule?.validate !== "function") {
+		throw new TypeError(`Validator "${name}" must have a validate function`);
+	}
+	validators.set(name, rule);
+}
+
+/**
+ * Check whether a rule has been registered
+ * @param {string} name - Rule name
+ * @returns {boolean}
+ */
+function hasValidator(name) {
+	return validators.has(name);
+}
+
+/**
+ * Resolve the localized message for a rule (or an entry of MESSAGES)
+ * @param {string} name - Rule name
+ * @param {Object} [params] - ICU message arguments (see core/message-format.js)
+ * @param {HTMLElement} [element] - Field component (for `<rule>-message` overrides)
+ * @returns {string}
+ */
+function getValidationMessage(name, params = {}, element = null) {
+	const custom = element?.getAttribute(`${name}-message`);
+	if (custom) return formatMessage(custom, params);
+
+	const { messageKey, message = "" } =
+		validators.get(name) || MESSAGES[name] || {};
+	return messageKey
+		? t(messageKey, params, message)
+		: formatMessage(message, params);
+}
+
+/**
+ * Parse a `validators` attribute into rule names and parameters
+ * @param {string} attribute - e.g. "phone-us dob:18-120"
+ * @returns {Array<{name: string, param: string}>}
+ */
+function parseValidators(attribute) {
+	if (!attribute) return [];
+	return attribute
+		.trim()
+		.split(/\s+/)
+		.map((entry) => {
+			const [name, ...rest] = entry.split(":");
+			return { name, param: rest.join(":") };
+		});
+}
+
+/**
+ * Parse the cross-field `rules` attribute of a form
+ * @param {string} attribute - e.g. "confirm-email: matches:email; end-date: after:start-date"
+ * @returns {Object<string, Array<{name: string, param: string}>>} Rules keyed by field name
+ */
+function parseFormRules(attribute) {
+	const rules = {};
+	if (!attribute) return rules;
+
+	for (const declaration of attribute.split(";")) {
+		const separator = declaration.indexOf(":");
+		if (separator === -1) continue;
+
+		const field = declaration.slice(0, separator).trim();
+		const list = parseValidators(declaration.slice(separator + 1));
+		if (field && list.length) {
+			rules[field] = (rules[field] || []).concat(list);
+		}
+	}
+
+	return rules;
+}
+
+/**
+ * Build the ordered list of rules that apply to a field
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input - Native control
+ * @param {HTMLElement} [element] - Field component
+ * @returns {Array<{name: string, param: string}>}
+ */
+function getFieldRules(input, element) {
+	const rules = [];
+
+	if (input.required) rules.push({ name: "required", param: "" });
+	if (input.type === "email") rules.push({ name: "email", param: "" });
+	if (input.type === "url") rules.push({ name: "url", param: "" });
+
+	for (const attr of ["pattern", "minlength", "maxlength", "min", "max"]) {
+		const param = input.getAttribute(attr);
+		if (param !== null && param !== "") rules.push({ name: attr, param });
+	}
+
+	// File limits live on the <lc-file-upload> element
+	if (input.type === "file") {
+		if (input.accept) rules.push({ name: "file-type", param: input.accept });
+		for (const attr of ["max-size", "max-files"]) {
+			const param = element?.getAttribute(attr);
+			if (param) rules.push({ name: attr, param });
+		}
+	}
+
+	const form = element?.closest("lc-form");
+	const formRules = parseFormRules(form?.getAttribute("rules"))[input.name];
+
+	return rules.concat(
+		parseValidators(element?.getAttribute("validators")),
+		formRules || [],
+	);
+}
+
+/**
+ * Build the context passed to a rule
+ * @param {string} param - Rule parameter
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input - Native control
+ * @param {HTMLElement} [element] - Field component
+ * @returns {Object} Context with helpers for reading other fields
+ */
+function createContext(param, input, element) {
+	const form = element?.closest("lc-form") || input.form;
+
+	return {
+		param,
+		input,
+		element,
+		form,
+		getFieldValue(name) {
+			const field = input.form?.elements.namedItem(name);
+			return field?.value ?? "";
+		},
+		getFieldLabel(name) {
+			const field = form?.querySelector(`[name="${CSS.escape(name)}"]`);
+			return field?.labelText || name;
+		},
+	};
+}
+
+/**
+ * Check whether a field has rules that run asynchronously
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input - Native control
+ * @param {HTMLElement} [element] - Field component
+ * @returns {boolean}
+ */
+function hasAsyncRules(input, element = null) {
+	return getFieldRules(input, element).some(
+		({ name }) => validators.get(name)?.async,
+	);
+}
+
+/**
+ * Turn a rule result into an error message
+ * @param {string} name - Rule name
+ * @param {string} param - Rule parameter
+ * @param {boolean|Object} result - Rule result
+ * @param {HTMLElement} [element] - Field component
+ * @returns {string} Error message, or an empty string when the rule passed
+ */
+function toMessage(name, param, result, element) {
+	if (result === true) return "";
+
+	const params = {
+		[name]: param,
+		...(typeof result === "object" ? result : {}),
+	};
+	return getValidationMessage(name, params, element);
+}
+
+/**
+ * Validate a field and return the first error message
+ * Rules other than `required` are skipped while the field is empty
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input - Native control
+ * @param {HTMLElement} [element] - Field component
+ * @returns {string} Error message, or an empty string when valid
+ */
+function validateField(input, element = null) {
+	const value = input.value;
+
+	for (const { name, param } of getFieldRules(input, element)) {
+		const rule = validators.get(name);
+		if (!rule) {
+			console.warn(`Unknown validator: ${name}`);
+			continue;
+		}
+
+		// Async rules are handled by validateFieldAsync()
+		if (rule.async) continue;
+		if (name !== "required" && value === "") continue;
+
+		const result = rule.validate(value, createContext(param, input, element));
+		const message = toMessage(name, param, result, element);
+		if (message) return message;
+	}
+
+	return "";
+}
+
+/**
+ * Run a field's async rules and return the first error message
+ * Call after validateField() has passed
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input - Native control
+ * @param {HTMLElement} [element] - Field component
+ * @returns {Promise<string>} Error message, or an empty string when valid
+ */
+async function validateFieldAsync(input, element = null) {
+	const value = input.value;
+	if (value === "") return "";
+
+	for (const { name, param } of getFieldRules(input, element)) {
+		const rule = validators.get(name);
+		if (!rule?.async) continue;
+
+		let result;
+		try {
+			result = await rule.validate(value, createContext(param, input, element));
+		} catch (error) {
+			// A failing lookup should not block the visitor
+			console.warn(`Validator "${name}" failed:`, error);
+			continue;
+		}
+
+		const message = toMessage(name, param, result, element);
+		if (message) return message;
+	}
+
+	return "";
+}
+
+/**
+ * Parse a YYYY-MM-DD date as a local date
+ * @param {string} value - Date string
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+	if (!match) return null;
+
+	const [, year, month, day] = match.map(Number);
+	const date = new Date(year, month - 1, day);
+	// Reject rollovers such as 2023-02-30
+	return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Compare a value to a min/max bound (dates compare as dates, everything else as numbers)
+ * @param {string} value - Field value
+ * @param {string} bound - Bound from the attribute
+ * @param {string} type - Input type
+ * @returns {number} Negative when value < bound, positive when value > bound
+ */
+function compareToBound(value, bound, type) {
+	if (type === "date") {
+		return (
+			(parseDate(value)?.getTime() ?? 0) - (parseDate(bound)?.getTime() ?? 0)
+		);
+	}
+	return Number(value) - Number(bound);
+}
+
+/**
+ * Parse a file size such as "5MB", "500 KB" or "1048576" into bytes
+ * @param {string} size - Size with an optional B/KB/MB/GB unit
+ * @returns {number} Size in bytes (NaN when unparseable)
+ */
+function parseFileSize(size) {
+	const match = /^\s*([\d.]+)\s*(b|kb|mb|gb)?\s*$/i.exec(String(size));
+	if (!match) return Number.NaN;
+
+	const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+	return Number(match[1]) * units[(match[2] || "b").toLowerCase()];
+}
+
+/**
+ * Format a byte count for display (e.g. "2.4 MB")
+ * @param {number} bytes - Size in bytes
+ * @param {string} [locale] - Locale (defaults to the document language)
+ * @returns {string}
+ */
+function formatFileSize(bytes, locale = document.documentElement.lang || "en") {
+	const units = ["byte", "kilobyte", "megabyte", "gigabyte"];
+	let value = bytes;
+	let unit = 0;
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+
+	return new Intl.NumberFormat(locale, {
+		style: "unit",
+		unit: units[unit],
+		unitDisplay: "short",
+		maximumFractionDigits: unit > 1 ? 1 : 0,
+	}).format(value);
+}
+
+/**
+ * Check a file against an accept list (".pdf", "image/*", "application/pdf")
+ * @param {File} file - Selected file
+ * @param {string} accept - Comma-separated accept attribute
+ * @returns {boolean}
+ */
+function fileMatchesAccept(file, accept) {
+	const name = file.name.toLowerCase();
+	const type = file.type.toLowerCase();
+
+	return accept
+		.split(",")
+		.map((token) => token.trim().toLowerCase())
+		.filter(Boolean)
+		.some((token) => {
+			if (token.startsWith(".")) return name.endsWith(token);
+			if (token.endsWith("/*")) return type.startsWith(token.slice(0, -1));
+			return type === token;
+		});
+}
+
+registerValidator("required", {
+	validate: (value) => value.trim() !== "",
+	messageKey: "validation.required",
+	message: "This field is required",
+});
+
+registerValidator("email", {
+	validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+	messageKey: "validation.email",
+	message: "Please enter a valid email address",
+});
+
+registerValidator("url", {
+	validate(value) {
+		try {
+			new URL(value);
+			return true;
+		} catch {
+			return false;
+		}
+	},
+	messageKey: "validation.url",
+	message: "Please enter a valid URL",
+});
+
+registerValidator("pattern", {
+	validate(value, { param }) {
+		try {
+			return new RegExp(`^(?:${param})$`).test(value);
+		} catch {
+			// Browsers ignore an invalid pattern attribute; so does this rule
+			console.warn(`Invalid pattern: ${param}`);
+			return true;
+		}
+	},
+	messageKey: "validation.pattern",
+	message: "Please match the requested format",
+});
+
+registerValidator("minlength", {
+	validate: (value, { param }) => value.length >= Number(param),
+	messageKey: "validation.minlength",
+	message: "Minimum {minlength} characters required",
+});
+
+registerValidator("maxlength", {
+	validate: (value, { param }) => value.length <= Number(param),
+	messageKey: "validation.maxlength",
+	message: "Maximum {maxlength} characters allowed",
+});
+
+registerValidator("min", {
+	validate: (value, { param, input }) =>
+		compareToBound(value, param, input.type) >= 0,
+	messageKey: "validation.min",
+	message: "Minimum value is {min}",
+});
+
+registerValidator("max", {
+	validate: (value, { param, input }) =>
+		compareToBound(value, param, input.type) <= 0,
+	messageKey: "validation.max",
+	message: "Maximum value is {max}",
+});
+
+/**
+ * US phone number: 10 digits with optional +1, spaces, dots, dashes or parentheses
+ */
+registerValidator("phone-us", {
+	validate: (value) =>
+		/^(?:\+?1[\s.-]?)?\(?([2-9]\d{2})\)?[\s.-]?(\d{3})[\s.-]?(\d{4})$/.test(
+			value.trim(),
+		),
+	messageKey: "validation.phoneUs",
+	message: "Please enter a valid US phone number (e.g., 555-123-4567)",
+});
+
+/**
+ * US ZIP code: 12345 or ZIP+4 (12345-6789)
+ */
+registerValidator("zip", {
+	validate: (value) => /^\d{5}(?:-\d{4})?$/.test(value.trim()),
+	messageKey: "validation.zip",
+	message: "Please enter a valid ZIP code (12345 or 12345-6789)",
+});
+
+/**
+ * Date of birth with an optional age range, e.g. "dob:18-120" (defaults to 0-120)
+ */
+registerValidator("dob", {
+	validate(value, { param }) {
+		const [minAge = 0, maxAge = 120] = (param || "")
+			.split("-")
+			.filter(Boolean)
+			.map(Number);
+		const range = { minAge, maxAge };
+
+		const birthDate = parseDate(value);
+		if (!birthDate) return range;
+
+		const today = new Date();
+		let age = today.getFullYear() - birthDate.getFullYear();
+		const hadBirthday =
+			today.getMonth() > birthDate.getMonth() ||
+			(today.getMonth() === birthDate.getMonth() &&
+				today.getDate() >= birthDate.getDate());
+		if (!hadBirthday) age--;
+
+		return birthDate <= today && age >= minAge && age <= maxAge ? true : range;
+	},
+	messageKey: "validation.dob",
+	message:
+		"Please enter a date of birth for an age between {minAge} and {maxAge}",
+});
+
+/**
+ * Files must match the accept attribute
+ */
+registerValidator("file-type", {
+	validate(_value, { param, input }) {
+		const file = Array.from(input.files || []).find(
+			(item) => !fileMatchesAccept(item, param),
+		);
+		return !file || { file: file.name };
+	},
+	messageKey: "validation.fileType",
+	message: "{file} is not an accepted file type",
+});
+
+/**
+ * Each file must be no larger than max-size (e.g. "5MB")
+ */
+registerValidator("max-size", {
+	validate(_value, { param, input }) {
+		const limit = parseFileSize(param);
+		const file = Array.from(input.files || []).find(
+			(item) => item.size > limit,
+		);
+		return !file || { file: file.name, size: formatFileSize(limit) };
+	},
+	messageKey: "validation.maxSize",
+	message: "{file} is larger than {size}",
+});
+
+/**
+ * No more than max-files files may be attached
+ */
+registerValidator("max-files", {
+	validate: (_value, { param, input }) =>
+		(input.files?.length || 0) <= Number(param) || { count: param },
+	messageKey: "validation.maxFiles",
+	message: "You can attach up to {count, plural, one {# file} other {# files}}",
+});
+
+/**
+ * Cross-field: value must equal another field, e.g. "confirm-email: matches:email"
+ */
+registerValidator("matches", {
+	validate: (value, { param, getFieldValue, getFieldLabel }) =>
+		value === getFieldValue(param) || { field: getFieldLabel(param) },
+	messageKey: "validation.matches",
+	message: "Must match {field}",
+});
+
+/**
+ * Cross-field: date or number must be later than another field, e.g. "end-date: after:start-date"
+ */
+registerValidator("after", {
+	validate(value, { param, input, getFieldValue, getFieldLabel }) {
+		const other = getFieldValue(param);
+		if (!other) return true;
+		return (
+			compareToBound(value, other, input.type) > 0 || {
+				field: getFieldLabel(param),
+			}
+		);
+	},
+	messageKey: "validation.after",
+	message: "Must be after {field}",
+});
+
+/**
+ * Cross-field: date or number must be earlier than another field
+ */
+registerValidator("before", {
+	validate(value, { param, input, getFieldValue, getFieldLabel }) {
+		const other = getFieldValue(param);
+		if (!other) return true;
+		return (
+			compareToBound(value, other, input.type) < 0 || {
+				field: getFieldLabel(param),
+			}
+		);
+	},
+	messageKey: "validation.before",
+	message: "Must be before {field}",
+});
+
+/**
+ * Service-area ZIP codes, keyed like the counties in locations.json
+ * @constant {URL}
+ */
+const SERVICE_AREA_URL = new URL(
+	"../../shared/content/data/service-area.json",
+	import.meta.url,
+);
+
+/**
+ * Counties we list on the locations page; only these count as served
+ * @constant {URL}
+ */
+const LOCATIONS_URL = new URL(
+	`../../shared/content/_locale/${DEFAULT_LOCALE}/locations.json`,
+	import.meta.url,
+);
+
+/**
+ * Pending or loaded set of ZIP codes we serve
+ * @type {Promise<Set<string>>|null}
+ */
+let serviceZipCodes = null;
+
+/**
+ * Fetch a JSON file, failing on HTTP errors
+ * @param {URL} url - File URL
+ * @returns {Promise<any>}
+ */
+function fetchJSON(url) {
+	return fetch(url).then((res) => {
+		if (!res.ok) {
+			throw new Error(`Failed to load ${url.pathname}: ${res.status}`);
+		}
+		return res.json();
+	});
+}
+
+/**
+ * Load the five-digit ZIP codes of every county listed in locations.json,
+ * looked up in service-area.json
+ * @returns {Promise<Set<string>>} ZIP codes
+ */
+function loadServiceZipCodes() {
+	serviceZipCodes ??= Promise.all([
+		fetchJSON(LOCATIONS_URL),
+		fetchJSON(SERVICE_AREA_URL),
+	])
+		.then(([{ locations }, { counties: zipsByCounty = {} }]) => {
+			const zipCodes = new Set();
+			for (const county of Object.keys(locations?.counties || {})) {
+				if (!zipsByCounty[county]) {
+					console.warn(
+						`No ZIP codes for county "${county}" in service-area.json`,
+					);
+					continue;
+				}
+				for (const zip of zipsByCounty[county].zips) {
+					zipCodes.add(zip);
+				}
+			}
+			return zipCodes;
+		})
+		.catch((error) => {
+			// Allow a retry on the next validation
+			serviceZipCodes = null;
+			throw error;
+		});
+
+	return serviceZipCodes;
+}
+
+/**
+ * Async: ZIP code (or ZIP+4) must be in one of the counties on our locations page
+ */
+registerValidator("service-zip", {
+	async: true,
+	async validate(value) {
+		const zipCodes = await loadServiceZipCodes();
+		return zipCodes.has(value.trim().slice(0, 5));
+	},
+	messageKey: "validation.serviceZip",
+	message: "Sorry, we do not currently serve this ZIP code",
+});
+
+// Export functions
+export {
+	formatFileSize,
+	getValidationMessage,
+	hasAsyncRules,
+	hasValidator,
+	parseFileSize,
+	parseFormRules,
+	registerValidator,
+	validateField,
+	validateFieldAsync,
+};
+
+// Also expose globally for non-module usage
+if (typeof window !== "undefined") {
+	window.LCValidation = {
+		registerValidator,
+		hasValidator,
+		validateField,
+		validateFieldAsync,
+		getValidationMessage,
+	};
+}
@@ -5,6 +5,8 @@
  * Conditionally loads development-only tools based on environment detection.
  * Currently loads:
  * - Web Vitals performance monitoring
+ * - Translation key report (missing, fallback and unused keys)
+ * - Translation hot reload (when `npm run dev:i18n` is running)
  *
  * Detection methods:
  * - Checks if running on localhost or 127.0.0.1
@@ -15,8 +17,15 @@
  * - Automatically loads on development environments
  * - Set localStorage.setItem('force-dev-tools', 'true') to force enable
  * - Set localStorage.setItem('force-dev-tools', 'false') to force disable
+ * - Set localStorage.setItem('locale-reload-port', '35730') if dev:i18n runs on another port
  */
 
+/**
+ * Default port of bin/locale-dev-server.cjs
+ * @constant {number}
+ */
+const LOCALE_RELOAD_PORT = 35729;
+
 /**
  * Detect if we're in development mode
  * @returns {boolean} - True if in development mode
@@ -55,10 +64,63 @@ async function loadWebVitals() {
 		await import("/common/libs/web-vitals.js");
 		console.log("✓ Web Vitals monitoring loaded");
 	} catch (error) {
-		console.error("✗ Failed to load Web Vitals. Please verify that '/common/libs/web-vitals.js' exists and the path is correct.", error);
+		console.error(
+			"✗ Failed to load Web Vitals. Please verify that '/common/libs/web-vitals.js' exists and the path is correct.",
+			error,
+		);
+	}
+}
+
+/**
+ * Load the translation key report
+ */
+async function loadI18nReport() {
+	try {
+		await import("./i18n-report.js");
+		console.log("✓ Translation report loaded");
+	} catch (error) {
+		console.error("✗ Failed to load the translation report.", error);
 	}
 }
 
+/**
+ * Re-translate the page when a locale file is saved (bin/locale-dev-server.cjs)
+ * Text is swapped in place, so dialogs, form input and scroll position are kept.
+ * Stays silent when the server isn't running.
+ */
+async function connectLocaleHotReload() {
+	if (typeof EventSource === "undefined") return;
+
+	const { applyTranslations, updateLocaleFile } = await import(
+		"../services/i18n.js"
+	);
+	const port = localStorage.getItem("locale-reload-port") || LOCALE_RELOAD_PORT;
+	const source = new EventSource(
+		`${window.location.protocol}//${window.location.hostname}:${port}/events`,
+	);
+	let connected = false;
+
+	source.addEventListener("open", () => {
+		if (!connected) console.log("✓ Translation hot reload connected");
+		connected = true;
+	});
+	source.addEventListener("error", () => {
+		// Never connected: dev:i18n isn't running, don't retry forever
+		if (!connected) source.close();
+	});
+	source.addEventListener("locale", async (event) => {
+		const { locale, file, translations } = JSON.parse(event.data);
+		if (updateLocaleFile(locale, file, translations)) {
+			await applyTranslations();
+			console.log(`↻ Translations reloaded: ${locale}/${file}.json`);
+		}
+	});
+	source.addEventListener("invalid", (event) => {
+		const { locale, file, message } = JSON.parse(event.data);
+		console.warn(`✗ ${locale}/${file}.json is not valid JSON: ${message}`);
+	});
+}
+
 /**
  * Initialize development tools
  */
@@ -77,6 +139,12 @@ async function initDevTools() {
 	// Load Web Vitals
 	await loadWebVitals();
 
+	// Load translation key report
+	await loadI18nReport();
+
+	// Live translation updates from npm run dev:i18n
+	await connectLocaleHotReload();
+
 	// Add dev tools status to window for debugging
 	window.devToolsEnabled = true;
 
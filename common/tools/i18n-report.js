@@ -0,0 +1,246 @@
+// @ts-nocheck
+/**
+ * Translation Key Report
+ *
+ * Development aid that lists the translation keys of the current page that are:
+ * - missing: not found in any locale of the fallback chain
+ * - fallback: shown from a less specific locale (e.g. es-MX → es → en)
+ * - unused: defined in the page's translation file but not referenced on the page
+ *
+ * Usage:
+ * - Loaded by dev-tools.js in development mode
+ * - Logs a console table every time translations are applied
+ * - Overlay opens automatically when keys are missing; toggle with Ctrl+Shift+L
+ * - Call window.showTranslationReport() to refresh it (includes keys looked up since)
+ */
+
+import { getTranslationReport } from "../services/i18n.js";
+
+/**
+ * Row colors per status
+ * @constant {Object<string, string>}
+ */
+const STATUS_COLORS = {
+	missing: "#ff4e42",
+	fallback: "#ffa400",
+	unused: "#888",
+};
+
+/**
+ * Count report rows per status
+ * @param {Object} report - Report from getTranslationReport()
+ * @returns {{missing: number, fallback: number, unused: number}}
+ */
+function countRows(report) {
+	const counts = { missing: 0, fallback: 0, unused: 0 };
+	for (const row of report.rows) counts[row.status]++;
+	return counts;
+}
+
+/**
+ * Log the report as a console table
+ * @param {Object} report - Report from getTranslationReport()
+ */
+function logReport(report) {
+	const counts = countRows(report);
+	const color = counts.missing ? STATUS_COLORS.missing : "#0cce6b";
+
+	console.groupCollapsed(
+		`%c🌐 i18n ${report.lang} (${report.chain.join(" → ")}): ${counts.missing} missing, ${counts.fallback} fallback, ${counts.unused} unused`,
+		`font-weight: bold; color: ${color};`,
+	);
+	if (report.prerendered) {
+		console.log("Pre-rendered page: fallback and unused keys are not tracked");
+	}
+	if (report.rows.length > 0) {
+		console.table(report.rows);
+	}
+	console.groupEnd();
+}
+
+/**
+ * Create and inject the report overlay
+ * @returns {HTMLElement}
+ */
+function createOverlay() {
+	const overlay = document.createElement("div");
+	overlay.id = "i18n-report-overlay";
+	overlay.className = "hidden";
+	overlay.innerHTML = `
+    <style>
+      #i18n-report-overlay {
+        position: fixed;
+        bottom: 20px;
+        left: 20px;
+        background: rgba(0, 0, 0, 0.9);
+        color: white;
+        padding: 16px;
+        border-radius: 8px;
+        font-family: 'Monaco', 'Consolas', monospace;
+        font-size: 12px;
+        z-index: 999999;
+        min-width: 240px;
+        max-width: 420px;
+        max-height: 50vh;
+        overflow: auto;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+        transition: opacity 0.3s ease;
+        pointer-events: auto;
+      }
+
+      #i18n-report-overlay.hidden {
+        opacity: 0;
+        pointer-events: none;
+      }
+
+      #i18n-report-overlay .header {
+        font-weight: bold;
+        margin-bottom: 12px;
+        padding-bottom: 8px;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.2);
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+      }
+
+      #i18n-report-overlay .close-btn {
+        background: none;
+        border: none;
+        color: white;
+        cursor: pointer;
+        font-size: 16px;
+        padding: 0;
+        line-height: 1;
+        opacity: 0.7;
+      }
+
+      #i18n-report-overlay .close-btn:hover {
+        opacity: 1;
+      }
+
+      #i18n-report-overlay .summary {
+        margin-bottom: 8px;
+      }
+
+      #i18n-report-overlay ul {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      #i18n-report-overlay li {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+        padding: 2px 0;
+        word-break: break-all;
+      }
+
+      #i18n-report-overlay .footer {
+        margin-top: 12px;
+        padding-top: 8px;
+        border-top: 1px solid rgba(255, 255, 255, 0.2);
+        font-size: 10px;
+        color: rgba(255, 255, 255, 0.6);
+        text-align: center;
+      }
+    </style>
+
+    <div class="header">
+      <span>🌐 Translations</span>
+      <button class="close-btn" aria-label="Close translation report">✕</button>
+    </div>
+
+    <div class="summary"></div>
+    <ul class="rows"></ul>
+
+    <div class="footer">
+      Press Ctrl+Shift+L to toggle
+    </div>
+  `;
+
+	document.body.appendChild(overlay);
+
+	overlay.querySelector(".close-btn").addEventListener("click", () => {
+		overlay.classList.add("hidden");
+	});
+
+	return overlay;
+}
+
+/**
+ * Show the report in the overlay
+ * @param {Object} report - Report from getTranslationReport()
+ */
+function updateOverlay(report) {
+	const overlay =
+		document.getElementById("i18n-report-overlay") || createOverlay();
+	const counts = countRows(report);
+
+	overlay.querySelector(".summary").textContent =
+		`${report.lang} (${report.chain.join(" → ")}) · ${report.pageFile}.json · ` +
+		`${counts.missing} missing, ${counts.fallback} fallback, ${counts.unused} unused`;
+
+	const list = overlay.querySelector(".rows");
+	list.replaceChildren(
+		...report.rows.map((row) => {
+			const item = document.createElement("li");
+			const key = document.createElement("span");
+			const status = document.createElement("span");
+			key.textContent = row.key;
+			status.textContent = row.locale
+				? `${row.status} (${row.locale})`
+				: row.status;
+			status.style.color = STATUS_COLORS[row.status];
+			item.append(key, status);
+			return item;
+		}),
+	);
+
+	if (counts.missing > 0) {
+		overlay.classList.remove("hidden");
+	}
+}
+
+/**
+ * Log and display the report for the translations just applied
+ */
+function showReport() {
+	const report = getTranslationReport();
+	if (!report) return;
+
+	logReport(report);
+	updateOverlay(report);
+}
+
+/**
+ * Initialize the translation report
+ */
+function initI18nReport() {
+	console.log(
+		"%c🌐 Translation report enabled",
+		"font-weight: bold; font-size: 14px; color: #0cce6b;",
+	);
+	console.log(
+		"%cPress Ctrl+Shift+L to toggle overlay",
+		"font-size: 12px; color: #888;",
+	);
+
+	document.addEventListener("lc-translations-applied", showReport);
+
+	// Translations may have been applied before this tool loaded
+	showReport();
+
+	document.addEventListener("keydown", (e) => {
+		if (e.ctrlKey && e.shiftKey && e.key === "L") {
+			e.preventDefault();
+			(
+				document.getElementById("i18n-report-overlay") || createOverlay()
+			).classList.toggle("hidden");
+		}
+	});
+
+	window.showTranslationReport = showReport;
+}
+
+initI18nReport();
@@ -33,16 +33,40 @@
 		);
 	}
 
+	/**
+	 * Check for reduced motion, from the device or the reading preferences
+	 * (common/services/preferences.js sets data-reduce-motion on <html>)
+	 * @returns {boolean}
+	 */
+	function prefersReducedMotion() {
+		return (
+			document.documentElement.hasAttribute("data-reduce-motion") ||
+			window.matchMedia("(prefers-reduced-motion: reduce)").matches
+		);
+	}
+
+	/**
+	 * Pause or resume the video after a motion preference change
+	 */
+	function updateMotion() {
+		if (prefersReducedMotion()) {
+			video.pause();
+			videoBackground?.classList.add("no-video");
+			announceToScreenReader(
+				"Video playback paused due to motion sensitivity preferences.",
+			);
+		} else {
+			videoBackground?.classList.remove("no-video");
+			video.play().catch(handleVideoError);
+			announceToScreenReader("Video playback resumed.");
+		}
+	}
+
 	/**
 	 * Initialize video playback with accessibility features
 	 */
 	function initializeVideo() {
-		// Check for reduced motion preference
-		const prefersReducedMotion = window.matchMedia(
-			"(prefers-reduced-motion: reduce)",
-		).matches;
-
-		if (prefersReducedMotion) {
+		if (prefersReducedMotion()) {
 			video.pause();
 			videoBackground?.classList.add("no-video");
 			announceToScreenReader(
@@ -85,16 +109,10 @@
 	const motionMediaQuery = window.matchMedia(
 		"(prefers-reduced-motion: reduce)",
 	);
-	motionMediaQuery.addEventListener("change", (e) => {
-		if (e.matches) {
-			video.pause();
-			videoBackground?.classList.add("no-video");
-			announceToScreenReader(
-				"Video playback paused due to motion sensitivity preferences.",
-			);
-		} else {
-			video.play().catch(handleVideoError);
-			announceToScreenReader("Video playback resumed.");
+	motionMediaQuery.addEventListener("change", updateMotion);
+	document.addEventListener("lc-preferences-change", (e) => {
+		if (e.detail.name === "reduceMotion" || e.detail.name === null) {
+			updateMotion();
 		}
 	});
 
@@ -8,6 +8,8 @@
  * - Focus management
  * - Color contrast
  * - Form accessibility
+ * - Toast notifications
+ * - Reading preferences
  */
 
 import AxeBuilder from '@axe-core/playwright';
@@ -431,6 +433,36 @@ test.describe('Form Validation', () => {
 	});
 });
 
+test.describe('Toast Notifications', () => {
+	test('should announce toasts in a live region', async ({ page }) => {
+		await page.goto('/');
+		await page.waitForFunction(() => typeof window.notify === 'function');
+
+		// The live region is in the page before the first toast
+		const stack = page.locator('lc-toast-region .stack');
+		await expect(stack).toHaveAttribute('aria-live', 'polite');
+
+		await page.evaluate(() => {
+			window.notify({ type: 'success', message: 'Saved' });
+			window.notify({ type: 'error', message: 'Failed' });
+		});
+
+		await expect(page.locator('lc-toast-region [role="alert"]')).toHaveText(/Failed/);
+		await expect(page.locator('lc-toast-region .toast')).toHaveCount(2);
+	});
+
+	test('should dismiss a toast with its close button', async ({ page }) => {
+		await page.goto('/');
+		await page.waitForFunction(() => typeof window.notify === 'function');
+
+		await page.evaluate(() => window.notify({ message: 'Hello', timeout: 0 }));
+
+		const toast = page.locator('lc-toast-region .toast');
+		await toast.locator('.close').click();
+		await expect(toast).toHaveCount(0);
+	});
+});
+
 test.describe('Reduced Motion', () => {
 	test('should respect prefers-reduced-motion', async ({ page }) => {
 		// Set reduced motion preference
@@ -451,3 +483,50 @@ test.describe('Reduced Motion', () => {
 		// This depends on implementation - might need to check specific elements
 	});
 });
+
+test.describe('Reading Preferences', () => {
+	test('should apply panel choices and keep them before first paint', async ({ page }) => {
+		await page.goto('/');
+
+		const toggle = page.locator('header .preferences-toggle').first();
+		await toggle.click();
+		await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+
+		const panel = page.locator('header .preferences-panel').first();
+		await panel.locator('input[type="radio"][value="130"]').check();
+		await panel.locator('input[name="reduceMotion"]').check();
+
+		const html = page.locator('html');
+		await expect(html).toHaveAttribute('data-text-size', '130');
+		await expect(html).toHaveAttribute('data-reduce-motion', 'true');
+
+		// Escape closes the panel and returns focus to the button
+		await page.keyboard.press('Escape');
+		await expect(panel).toBeHidden();
+		await expect(toggle).toBeFocused();
+
+		// Set by the <head> script, so it is there once the document is parsed
+		await page.addInitScript(() => {
+			document.addEventListener('readystatechange', () => {
+				window.initialTextSize ??= document.documentElement.getAttribute('data-text-size');
+			});
+		});
+		await page.reload();
+		expect(await page.evaluate(() => window.initialTextSize)).toBe('130');
+		expect(await page.evaluate(() => window.LCPreferences.prefersReducedMotion())).toBe(true);
+	});
+
+	test('should reset every preference', async ({ page }) => {
+		await page.goto('/');
+		await page.evaluate(() => {
+			window.LCPreferences.setPreference('dyslexiaFont', true);
+			window.LCPreferences.setPreference('underlineLinks', true);
+			window.LCPreferences.resetPreferences();
+		});
+
+		const html = page.locator('html');
+		await expect(html).not.toHaveAttribute('data-dyslexia-font');
+		await expect(html).not.toHaveAttribute('data-underline-links');
+		expect(await page.evaluate(() => localStorage.getItem('reading-preferences'))).toBeNull();
+	});
+});
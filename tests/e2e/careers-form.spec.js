@@ -0,0 +1,137 @@
+/**
+ * Careers Application Form Tests
+ *
+ * Tests:
+ * - Field labels translated in English and Spanish
+ * - Required fields are checked before sending
+ * - Resume upload: accepted types, size limit, file list and removal
+ * - The mail adapter refuses attachments instead of dropping them
+ */
+
+import { expect, test } from '@playwright/test';
+
+const CAREERS_URL = '/pages/about/jobs/';
+const MB = 1024 * 1024;
+
+/**
+ * Open the careers page and wait for the form to render
+ * @param {import('@playwright/test').Page} page
+ * @param {string} [url] - Page URL, e.g. with ?lang=es
+ */
+async function openCareers(page, url = CAREERS_URL) {
+	await page.goto(url);
+	await expect(page.locator('#careers-form lc-file-upload .lc-file-upload-dropzone')).toBeVisible();
+}
+
+/**
+ * A file for the resume picker
+ * @param {string} name - File name
+ * @param {string} mimeType - MIME type
+ * @param {number} [size] - Size in bytes
+ * @returns {{name: string, mimeType: string, buffer: Buffer}}
+ */
+function resumeFile(name, mimeType, size = 1024) {
+	return { name, mimeType, buffer: Buffer.alloc(size, 'a') };
+}
+
+/**
+ * The resume upload field
+ * @param {import('@playwright/test').Page} page
+ */
+function resume(page) {
+	return page.locator('#careers-form lc-file-upload[name="resume"]');
+}
+
+test.describe('Careers application', () => {
+	test('should label every field', async ({ page }) => {
+		await openCareers(page);
+
+		const form = page.locator('#careers-form');
+		await expect(form.getByLabel('First Name')).toBeVisible();
+		await expect(form.getByLabel('Last Name')).toBeVisible();
+		await expect(form.getByLabel('Your Email')).toBeVisible();
+		await expect(form.getByLabel('Your Phone')).toBeVisible();
+		await expect(form.getByLabel('Your Message')).toBeVisible();
+		await expect(form.getByLabel('Attach Resume')).toHaveAttribute('type', 'file');
+		await expect(form.locator('lc-submit-button button')).toHaveText('Submit Application');
+	});
+
+	test('should translate the labels', async ({ page }) => {
+		await openCareers(page, `${CAREERS_URL}?lang=es`);
+
+		const form = page.locator('#careers-form');
+		await expect(form.getByLabel('Nombre')).toBeVisible();
+		await expect(form.getByLabel('Su Correo Electrónico')).toBeVisible();
+		await expect(form.getByLabel('Su Mensaje')).toBeVisible();
+		await expect(form.getByLabel('Adjuntar Currículum')).toHaveAttribute('type', 'file');
+		await expect(form.locator('lc-submit-button button')).toHaveText('Enviar Aplicación');
+	});
+
+	test('should check required fields before sending', async ({ page }) => {
+		await openCareers(page);
+		await page.locator('#careers-form lc-submit-button button').click();
+
+		await expect(page.locator('lc-input[name="first-name"] .lc-input-error')).toHaveText('This field is required');
+		await expect(page.locator('lc-textarea[name="message"] .lc-textarea-error')).toHaveText('This field is required');
+		await expect(page.locator('lc-input[name="phone"] .lc-input-error')).toBeEmpty();
+	});
+});
+
+test.describe('Resume upload', () => {
+	test.beforeEach(async ({ page }) => {
+		await openCareers(page);
+	});
+
+	test('should show the accepted types and size limit', async ({ page }) => {
+		await expect(resume(page).locator('.lc-file-upload-limits')).toHaveText('PDF, DOC, DOCX · Up to 5MB each');
+	});
+
+	test('should list an accepted file', async ({ page }) => {
+		await resume(page).locator('input[type="file"]').setInputFiles(resumeFile('resume.pdf', 'application/pdf'));
+
+		const item = resume(page).locator('.lc-file-upload-item');
+		await expect(item).toHaveCount(1);
+		await expect(item.locator('.lc-file-upload-name')).toHaveText('resume.pdf');
+		await expect(item.locator('.lc-file-upload-badge')).toHaveText('PDF');
+		await expect(item.locator('.lc-file-upload-size')).toHaveText('1 kB');
+		await expect(resume(page).locator('.lc-file-upload-error')).toBeEmpty();
+	});
+
+	test('should reject a file of another type', async ({ page }) => {
+		await resume(page).locator('input[type="file"]').setInputFiles(resumeFile('resume.exe', 'application/x-msdownload'));
+
+		await expect(resume(page).locator('.lc-file-upload-error')).toHaveText('resume.exe is not an accepted file type');
+		await expect(resume(page)).toHaveAttribute('aria-invalid', 'true');
+	});
+
+	test('should reject a file over the size limit', async ({ page }) => {
+		await resume(page).locator('input[type="file"]').setInputFiles(resumeFile('resume.pdf', 'application/pdf', 6 * MB));
+
+		await expect(resume(page).locator('.lc-file-upload-error')).toHaveText('resume.pdf is larger than 5 MB');
+	});
+
+	test('should remove a file and its error', async ({ page }) => {
+		await resume(page).locator('input[type="file"]').setInputFiles(resumeFile('resume.exe', 'application/x-msdownload'));
+		await expect(resume(page).locator('.lc-file-upload-error')).not.toBeEmpty();
+
+		await resume(page).getByRole('button', { name: 'Remove resume.exe' }).click();
+
+		await expect(resume(page).locator('.lc-file-upload-item')).toHaveCount(0);
+		await expect(resume(page).locator('.lc-file-upload-list')).toBeHidden();
+		await expect(resume(page).locator('.lc-file-upload-error')).toBeEmpty();
+		await expect(resume(page).locator('input[type="file"]')).toBeFocused();
+		expect(await resume(page).locator('input[type="file"]').evaluate((input) => input.files.length)).toBe(0);
+	});
+
+	test('should not send a resume by mail', async ({ page }) => {
+		await page.locator('lc-input[name="first-name"] input').fill('Jane');
+		await page.locator('lc-input[name="last-name"] input').fill('Doe');
+		await page.locator('lc-input[name="email"] input').fill('jane@example.com');
+		await page.locator('lc-textarea[name="message"] textarea').fill('Registered nurse, ten years in home care.');
+		await resume(page).locator('input[type="file"]').setInputFiles(resumeFile('resume.pdf', 'application/pdf'));
+		await page.locator('#careers-form lc-submit-button button').click();
+
+		await expect(page.locator('lc-toast-region .toast .message')).toHaveText('This form cannot send attachments. Please remove the file, or email it to us with your details.');
+		await expect(page).toHaveURL(new RegExp(`${CAREERS_URL}$`));
+	});
+});
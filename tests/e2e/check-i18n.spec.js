@@ -0,0 +1,177 @@
+/**
+ * Translation Catalog Linter Tests
+ *
+ * Tests (bin/check-i18n.cjs, run on a copy of the site in a temporary directory):
+ * - The current catalog passes
+ * - Missing keys, type mismatches, unsafe HTML, broken ICU messages, unknown
+ *   references and unregistered locales are errors
+ * - --fix scaffolds missing keys with TODO: values, which then warn
+ * - Baseline errors are counted but do not fail the run
+ * - Unknown options exit with 2
+ */
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from '@playwright/test';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/** What the linter reads, copied for each test */
+const SITE_FILES = ['package.json', 'index.html', 'bin/check-i18n.cjs', 'bin/i18n-baseline.json', 'common', 'pages', 'shared/content/_locale', 'shared/partials'];
+
+/**
+ * Run the linter
+ * @param {string} root - Site root
+ * @param {string[]} [args] - Command-line arguments
+ * @returns {{status: number, output: string}}
+ */
+function checkI18n(root, args = []) {
+	const result = spawnSync(process.execPath, [path.join(root, 'bin/check-i18n.cjs'), ...args], { cwd: root, encoding: 'utf8' });
+	return { status: result.status, output: result.stdout + result.stderr };
+}
+
+/**
+ * Change a locale file
+ * @param {string} root - Site root
+ * @param {string} file - Path under shared/content/_locale, e.g. 'es/intake.json'
+ * @param {Function} change - Receives the parsed file and changes it in place
+ */
+function editLocale(root, file, change) {
+	const target = path.join(root, 'shared/content/_locale', file);
+	const data = JSON.parse(fs.readFileSync(target, 'utf8'));
+	change(data);
+	fs.writeFileSync(target, `${JSON.stringify(data, null, '\t')}\n`);
+}
+
+/**
+ * Read a locale file
+ * @param {string} root - Site root
+ * @param {string} file - Path under shared/content/_locale
+ * @returns {any}
+ */
+function readLocale(root, file) {
+	return JSON.parse(fs.readFileSync(path.join(root, 'shared/content/_locale', file), 'utf8'));
+}
+
+test.describe('Translation catalog linter', () => {
+	let root;
+
+	test.beforeEach(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'lc-check-i18n-'));
+		for (const file of SITE_FILES) {
+			fs.cpSync(path.join(repoRoot, file), path.join(root, file), { recursive: true });
+		}
+	});
+
+	test.afterEach(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('should pass on the current catalog', () => {
+		const { status, output } = checkI18n(root);
+
+		expect(output).toMatch(/\d+ locales, \d+ files: 0 error\(s\)/);
+		expect(status).toBe(0);
+	});
+
+	test('should report a key missing from a locale', () => {
+		editLocale(root, 'es/intake.json', (data) => {
+			delete data.intake.form.zip.help;
+		});
+
+		const { status, output } = checkI18n(root);
+		expect(output).toContain('✗ es/intake.json: missing "intake.form.zip.help"');
+		expect(output).toMatch(/: 1 error\(s\)/);
+		expect(status).toBe(1);
+	});
+
+	test('should report a value of the wrong type', () => {
+		editLocale(root, 'es/intake.json', (data) => {
+			data.intake.subtitle = [data.intake.subtitle];
+		});
+
+		const { status, output } = checkI18n(root);
+		expect(output).toContain('✗ es/intake.json: "intake.subtitle" is array, en has string');
+		expect(status).toBe(1);
+	});
+
+	test('should report HTML that sanitizeHTML() removes', () => {
+		editLocale(root, 'es/intake.json', (data) => {
+			data.intake.subtitle = 'Llámenos <script>alert(1)</script>';
+		});
+
+		const { status, output } = checkI18n(root);
+		expect(output).toContain('✗ es/intake.json: "intake.subtitle" uses <script>, which sanitizeHTML() removes');
+		expect(status).toBe(1);
+	});
+
+	test('should report a broken ICU message', () => {
+		editLocale(root, 'es/common.json', (data) => {
+			data.validation.maxFiles = 'Puede adjuntar hasta {count, plural, one {# archivo}';
+		});
+
+		const { status, output } = checkI18n(root);
+		expect(output).toContain('✗ es/common.json: "validation.maxFiles"');
+		expect(status).toBe(1);
+	});
+
+	test('should report a key the markup uses but no file has', () => {
+		const page = path.join(root, 'pages/services/intake/index.html');
+		const html = fs.readFileSync(page, 'utf8').replace('<h1 itemprop="name" data-i18n="intake.title"></h1>', '<h1 itemprop="name" data-i18n="intake.heading"></h1>');
+		fs.writeFileSync(page, html);
+
+		const { status, output } = checkI18n(root);
+		expect(output).toMatch(/✗ pages\/services\/intake\/index\.html:\d+: unknown key "intake\.heading" \(looked in common\.json, intake\.json\)/);
+		expect(status).toBe(1);
+	});
+
+	test('should report a locale that is not registered', () => {
+		fs.mkdirSync(path.join(root, 'shared/content/_locale/fr'));
+		fs.writeFileSync(path.join(root, 'shared/content/_locale/fr/common.json'), '{}\n');
+
+		const { status, output } = checkI18n(root);
+		expect(output).toContain('✗ _locale/fr/: locale is not registered in common/presets/locales.js');
+		expect(status).toBe(1);
+	});
+
+	test('should scaffold missing keys with --fix', () => {
+		editLocale(root, 'es/intake.json', (data) => {
+			delete data.intake.form.zip.help;
+		});
+
+		const fixed = checkI18n(root, ['--fix']);
+		expect(fixed.output).toMatch(/; scaffolded keys in \d+ file\(s\)/);
+
+		const english = readLocale(root, 'en/intake.json').intake.form.zip.help;
+		expect(readLocale(root, 'es/intake.json').intake.form.zip.help).toBe(`TODO: ${english}`);
+
+		const { output } = checkI18n(root, ['--verbose']);
+		expect(output).not.toContain('missing "intake.form.zip.help"');
+		expect(output).toContain('! es/intake.json: "intake.form.zip.help" still TODO:');
+	});
+
+	test('should not fail on errors in the baseline', () => {
+		editLocale(root, 'es/intake.json', (data) => {
+			delete data.intake.form.zip.help;
+		});
+		const known = Number(checkI18n(root).output.match(/(\d+) known error\(s\)/)[1]);
+
+		expect(checkI18n(root, ['--update-baseline']).output).toMatch(/Wrote \d+ known error\(s\) to bin\/i18n-baseline\.json/);
+		expect(JSON.parse(fs.readFileSync(path.join(root, 'bin/i18n-baseline.json'), 'utf8'))).toContain('es/intake.json: missing "intake.form.zip.help"');
+
+		const { status, output } = checkI18n(root);
+		expect(output).toContain(`: 0 error(s)`);
+		expect(output).toContain(`${known + 1} known error(s)`);
+		expect(status).toBe(0);
+	});
+
+	test('should reject unknown options', () => {
+		const { status, output } = checkI18n(root, ['--frobnicate']);
+
+		expect(output).toContain('Unknown option(s): --frobnicate');
+		expect(status).toBe(2);
+	});
+});
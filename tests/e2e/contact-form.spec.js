@@ -0,0 +1,227 @@
+/**
+ * Contact Form and Date/Time Picker Tests
+ *
+ * Tests:
+ * - Field labels translated in English and Spanish
+ * - Date picker keyboard navigation, min date and disabled weekdays
+ * - Time slots already started are disabled when the date is today
+ * - Required pickers block submission
+ *
+ * The clock is fixed to Wednesday 11 March 2026, 12:00, so "today" and the
+ * disabled Sundays fall on known days.
+ */
+
+import { expect, test } from '@playwright/test';
+
+const CONTACT_URL = '/pages/about/contact/';
+const NOW = new Date(2026, 2, 11, 12, 0);
+
+/**
+ * Open the contact page with the clock fixed, and wait for the pickers to render
+ * @param {import('@playwright/test').Page} page
+ * @param {string} [url] - Page URL, e.g. with ?lang=es
+ */
+async function openContact(page, url = CONTACT_URL) {
+	await page.clock.install({ time: NOW });
+	await page.goto(url);
+	await expect(page.locator('#contact-form .lc-date-picker-toggle')).toBeVisible();
+}
+
+/**
+ * The preferred date picker
+ * @param {import('@playwright/test').Page} page
+ */
+function datePicker(page) {
+	return page.locator('#contact-form lc-date-picker[name="preferred-date"]');
+}
+
+/**
+ * The focused day of the open calendar
+ * @param {import('@playwright/test').Page} page
+ */
+function focusedDay(page) {
+	return datePicker(page).locator('.lc-date-picker-day[tabindex="0"]');
+}
+
+/**
+ * Open the calendar from the toggle
+ * @param {import('@playwright/test').Page} page
+ */
+async function openCalendar(page) {
+	await datePicker(page).locator('.lc-date-picker-toggle').click();
+	await expect(datePicker(page).locator('.lc-date-picker-calendar')).toBeVisible();
+}
+
+test.describe('Contact form', () => {
+	test('should label every field', async ({ page }) => {
+		await openContact(page);
+
+		const form = page.locator('#contact-form');
+		await expect(form.getByLabel('Your Name')).toBeVisible();
+		await expect(form.getByLabel('Email Address')).toBeVisible();
+		await expect(form.getByLabel('Phone Number')).toBeVisible();
+		await expect(form.getByLabel('Subject')).toBeVisible();
+		await expect(form.getByLabel('Message')).toBeVisible();
+		await expect(form.getByRole('button', { name: 'Preferred call-back date' })).toBeVisible();
+		await expect(form.getByRole('group', { name: 'Preferred call-back times' })).toBeVisible();
+		await expect(form.locator('lc-submit-button button')).toHaveText('Send Message');
+	});
+
+	test('should translate the labels', async ({ page }) => {
+		await openContact(page, `${CONTACT_URL}?lang=es`);
+
+		const form = page.locator('#contact-form');
+		await expect(form.getByLabel('Su Nombre')).toBeVisible();
+		await expect(form.getByLabel('Asunto')).toBeVisible();
+		await expect(form.getByRole('button', { name: 'Fecha preferida para devolver la llamada' })).toBeVisible();
+		await expect(form.getByRole('group', { name: 'Horarios preferidos para devolver la llamada' })).toBeVisible();
+		await expect(form.locator('lc-submit-button button')).toHaveText('Enviar Mensaje');
+	});
+});
+
+test.describe('Date picker', () => {
+	test.beforeEach(async ({ page }) => {
+		await openContact(page);
+	});
+
+	test('should open on today and move with the keyboard', async ({ page }) => {
+		await openCalendar(page);
+		await expect(focusedDay(page)).toBeFocused();
+		await expect(focusedDay(page)).toHaveAttribute('data-date', '2026-03-11');
+		await expect(focusedDay(page)).toHaveAttribute('aria-current', 'date');
+
+		const moves = [
+			['ArrowRight', '2026-03-12'],
+			['ArrowDown', '2026-03-19'],
+			['End', '2026-03-21'],
+			['Home', '2026-03-15'],
+			['ArrowUp', '2026-03-11'],
+			['PageDown', '2026-04-11'],
+			['Shift+PageDown', '2027-04-11'],
+			['Shift+PageUp', '2026-04-11'],
+			['PageUp', '2026-03-11'],
+		];
+		for (const [key, date] of moves) {
+			await page.keyboard.press(key);
+			await expect(focusedDay(page), key).toHaveAttribute('data-date', date);
+			await expect(focusedDay(page), key).toBeFocused();
+		}
+	});
+
+	test('should show the month being browsed', async ({ page }) => {
+		await openCalendar(page);
+		await expect(datePicker(page).locator('.lc-date-picker-month')).toHaveText('March 2026');
+
+		await page.keyboard.press('Shift+PageDown');
+		await expect(datePicker(page).locator('.lc-date-picker-month')).toHaveText('March 2027');
+	});
+
+	test('should not move before the min date', async ({ page }) => {
+		await openCalendar(page);
+		await page.keyboard.press('ArrowLeft');
+		await expect(focusedDay(page)).toHaveAttribute('data-date', '2026-03-11');
+
+		await expect(datePicker(page).locator('[data-date="2026-03-10"]')).toHaveAttribute('aria-disabled', 'true');
+	});
+
+	test('should select with Enter and return focus to the toggle', async ({ page }) => {
+		await openCalendar(page);
+		await page.keyboard.press('ArrowRight');
+		await page.keyboard.press('Enter');
+
+		const toggle = datePicker(page).locator('.lc-date-picker-toggle');
+		await expect(datePicker(page).locator('.lc-date-picker-calendar')).toBeHidden();
+		await expect(toggle).toBeFocused();
+		await expect(toggle.locator('.lc-date-picker-value-text')).toHaveText('Thursday, March 12, 2026');
+		await expect(datePicker(page).locator('input[type="date"]')).toHaveValue('2026-03-12');
+	});
+
+	test('should close with Escape without choosing a date', async ({ page }) => {
+		await openCalendar(page);
+		await page.keyboard.press('ArrowRight');
+		await page.keyboard.press('Escape');
+
+		await expect(datePicker(page).locator('.lc-date-picker-calendar')).toBeHidden();
+		await expect(datePicker(page).locator('.lc-date-picker-toggle')).toBeFocused();
+		await expect(datePicker(page).locator('input[type="date"]')).toHaveValue('');
+	});
+
+	test('should not select a disabled weekday', async ({ page }) => {
+		await openCalendar(page);
+		const sunday = datePicker(page).locator('[data-date="2026-03-15"]');
+		await expect(sunday).toHaveAttribute('aria-disabled', 'true');
+
+		await sunday.click();
+		await expect(datePicker(page).locator('.lc-date-picker-calendar')).toBeVisible();
+
+		await page.keyboard.press('ArrowDown');
+		await page.keyboard.press('Home');
+		await expect(focusedDay(page)).toHaveAttribute('data-date', '2026-03-15');
+		await page.keyboard.press('Enter');
+		await expect(datePicker(page).locator('.lc-date-picker-calendar')).toBeVisible();
+		await expect(datePicker(page).locator('input[type="date"]')).toHaveValue('');
+	});
+});
+
+test.describe('Time slot picker', () => {
+	test.beforeEach(async ({ page }) => {
+		await openContact(page);
+	});
+
+	test('should offer every slot before a date is chosen', async ({ page }) => {
+		const slots = page.locator('#contact-form lc-time-slot-picker .lc-time-slot-input');
+		await expect(slots).toHaveCount(4);
+		for (const slot of await slots.all()) await expect(slot).toBeEnabled();
+	});
+
+	test('should disable slots that have started when the date is today', async ({ page }) => {
+		const picker = page.locator('#contact-form lc-time-slot-picker');
+		await picker.locator('input[value="09:00-11:00"]').check();
+
+		await openCalendar(page);
+		await page.keyboard.press('Enter');
+
+		await expect(picker.locator('input[value="09:00-11:00"]')).toBeDisabled();
+		await expect(picker.locator('input[value="09:00-11:00"]')).not.toBeChecked();
+		await expect(picker.locator('input[value="11:00-13:00"]')).toBeDisabled();
+		await expect(picker.locator('input[value="13:00-15:00"]')).toBeEnabled();
+		await expect(picker.locator('input[value="15:00-17:00"]')).toBeEnabled();
+	});
+});
+
+test.describe('Required pickers', () => {
+	test.beforeEach(async ({ page }) => {
+		await openContact(page);
+		// The contact page's pickers are optional; add required ones to the same form
+		await page.evaluate(() => {
+			document.querySelector('#contact-form lc-submit-button').closest('.form-actions').insertAdjacentHTML(
+				'beforebegin',
+				`<lc-date-picker name="visit-date" min="today" required><span slot="label">Visit date</span></lc-date-picker>
+				<lc-time-slot-picker name="visit-time" slots="09:00-12:00 12:00-15:00" required><span slot="label">Visit time</span></lc-time-slot-picker>`,
+			);
+		});
+	});
+
+	test('should block submission until both are chosen', async ({ page }) => {
+		await page.locator('#contact-form lc-submit-button button').click();
+
+		await expect(page.locator('lc-date-picker[name="visit-date"] .lc-date-picker-error')).toHaveText('This field is required');
+		await expect(page.locator('lc-time-slot-picker[name="visit-time"] .lc-time-slot-picker-error')).toHaveText('Please select an option');
+		await expect(page.locator('lc-time-slot-picker[name="visit-time"]')).toHaveAttribute('aria-invalid', 'true');
+	});
+
+	test('should clear the errors once chosen', async ({ page }) => {
+		await page.locator('#contact-form lc-submit-button button').click();
+		const date = page.locator('lc-date-picker[name="visit-date"]');
+		const time = page.locator('lc-time-slot-picker[name="visit-time"]');
+
+		await date.locator('.lc-date-picker-toggle').click();
+		await page.keyboard.press('ArrowRight');
+		await page.keyboard.press('Enter');
+		await time.locator('input[value="12:00-15:00"]').check();
+
+		await expect(date.locator('.lc-date-picker-error')).toBeEmpty();
+		await expect(time.locator('.lc-time-slot-picker-error')).toBeEmpty();
+		await expect(time).not.toHaveAttribute('aria-invalid', 'true');
+	});
+});
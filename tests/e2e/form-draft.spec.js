@@ -0,0 +1,134 @@
+/**
+ * Form Draft Autosave Tests
+ *
+ * Tests:
+ * - Field values are saved as the visitor types, sensitive fields excluded
+ * - "Restore draft" prompt on return, restore and discard
+ * - Drafts older than seven days are dropped
+ * - The draft is cleared after a successful submission
+ */
+
+import { expect, test } from '@playwright/test';
+
+const INTAKE_URL = '/pages/services/intake/';
+const DRAFT_KEY = 'lc-form-draft:intake-form';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Open the care intake and wait for the wizard to render
+ * @param {import('@playwright/test').Page} page
+ */
+async function openIntake(page) {
+	await page.goto(INTAKE_URL);
+	await expect(page.locator('#intake-form .lc-form-progress-item').first()).toBeVisible();
+}
+
+/**
+ * The saved draft, or null
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<{savedAt: number, values: Object}|null>}
+ */
+function readDraft(page) {
+	return page.evaluate((key) => JSON.parse(localStorage.getItem(key) || 'null'), DRAFT_KEY);
+}
+
+/**
+ * Save a draft before the page loads
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} values - Field values by name
+ * @param {number} age - Age of the draft in milliseconds
+ */
+async function seedDraft(page, values, age) {
+	await page.addInitScript(
+		({ key, draft }) => {
+			// Only seed the first load, so later reloads see what the form saved
+			if (sessionStorage.getItem('draft-seeded')) return;
+			sessionStorage.setItem('draft-seeded', '1');
+			localStorage.setItem(key, JSON.stringify(draft));
+		},
+		{ key: DRAFT_KEY, draft: { savedAt: Date.now() - age, values } },
+	);
+}
+
+test.describe('Form draft autosave', () => {
+	test('should save answers as the visitor types, without sensitive fields', async ({ page }) => {
+		await openIntake(page);
+		await page.locator('lc-radio[value="other"]').click();
+		await page.locator('lc-input[name="patient-name"] input').fill('Jane Doe');
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('lc-input[name="contact-name"] input').fill('John Doe');
+		await page.locator('lc-input[name="member-id"] input').fill('LC123456');
+
+		await expect.poll(async () => (await readDraft(page))?.values['contact-name']).toBe('John Doe');
+		const { values } = await readDraft(page);
+		expect(values.service).toBe('other');
+		expect(values['patient-name']).toBe('Jane Doe');
+		expect(values).not.toHaveProperty('member-id');
+	});
+
+	test('should offer to restore a draft and fill the form from it', async ({ page }) => {
+		await seedDraft(page, { service: 'palliative', 'patient-name': 'Jane Doe', diagnosis: 'COPD', hospice: true }, DAY);
+		await openIntake(page);
+
+		const prompt = page.locator('#intake-form .lc-form-draft');
+		await expect(prompt).toBeVisible();
+		await expect(prompt.locator('.lc-form-draft-message')).toContainText('You have an unfinished draft from');
+
+		await prompt.locator('.lc-form-draft-restore').click();
+		await expect(prompt).toHaveCount(0);
+		await expect(page.locator('lc-input[name="patient-name"] input')).toHaveValue('Jane Doe');
+		await expect(page.locator('lc-radio[value="palliative"] input')).toBeChecked();
+
+		// The restored answer brings back the palliative step
+		await expect(page.locator('#intake-form .lc-form-progress-item')).toHaveText(['Care needed', 'Palliative care', 'Contact details', 'Notes', 'Review']);
+		await page.locator('#intake-form .lc-form-next').click();
+		await expect(page.locator('lc-input[name="diagnosis"] input')).toHaveValue('COPD');
+		await expect(page.locator('lc-checkbox[name="hospice"] input')).toBeChecked();
+	});
+
+	test('should drop the draft when the visitor discards it', async ({ page }) => {
+		await seedDraft(page, { 'patient-name': 'Jane Doe' }, DAY);
+		await openIntake(page);
+
+		await page.locator('#intake-form .lc-form-draft-discard').click();
+		await expect(page.locator('#intake-form .lc-form-draft')).toHaveCount(0);
+		await expect(page.locator('lc-input[name="patient-name"] input')).toHaveValue('');
+		expect(await readDraft(page)).toBeNull();
+
+		await page.reload();
+		await expect(page.locator('#intake-form .lc-form-progress-item').first()).toBeVisible();
+		await expect(page.locator('#intake-form .lc-form-draft')).toHaveCount(0);
+	});
+
+	test('should drop drafts older than seven days', async ({ page }) => {
+		await seedDraft(page, { 'patient-name': 'Jane Doe' }, 8 * DAY);
+		await openIntake(page);
+
+		await expect(page.locator('#intake-form .lc-form-draft')).toHaveCount(0);
+		expect(await readDraft(page)).toBeNull();
+	});
+
+	test('should clear the draft after a successful submission', async ({ page }) => {
+		await openIntake(page);
+		// Deliver locally instead of opening the mail client
+		await page.evaluate(() => document.querySelector('#intake-form').setAttribute('adapter', 'mock'));
+
+		await page.locator('lc-radio[value="other"]').click();
+		await page.locator('lc-input[name="patient-name"] input').fill('Jane Doe');
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('lc-input[name="contact-name"] input').fill('John Doe');
+		await page.locator('lc-input[name="email"] input').fill('john@example.com');
+		await page.locator('lc-input[name="confirm-email"] input').fill('john@example.com');
+		await page.locator('lc-input[name="zip"] input').fill('90001');
+		await expect.poll(() => readDraft(page)).not.toBeNull();
+
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('#intake-form lc-submit-button button').click();
+
+		await expect.poll(() => readDraft(page)).toBeNull();
+		await page.reload();
+		await expect(page.locator('#intake-form .lc-form-progress-item').first()).toBeVisible();
+		await expect(page.locator('#intake-form .lc-form-draft')).toHaveCount(0);
+	});
+});
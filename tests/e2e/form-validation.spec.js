@@ -0,0 +1,273 @@
+/**
+ * Cross-field and Async Validation Tests
+ *
+ * Tests:
+ * - service-area.json has ZIP codes for exactly the counties in locations.json
+ * - Cross-field rules declared with `rules` on <lc-form> (matches, after)
+ * - Dependent fields are re-checked when the field they compare against changes
+ * - Async service-area ZIP check: pending state, out-of-area error, failed lookup
+ * - Messages translated in every locale, with interpolated parameters and labels
+ * - `<rule>-message` overrides on the field
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from '@playwright/test';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from '../../common/presets/locales.js';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const INTAKE_URL = '/pages/services/intake/';
+
+/**
+ * Read a JSON file from the repository
+ * @param {string} file - Path from the repository root
+ * @returns {any}
+ */
+function readJSON(file) {
+	return JSON.parse(fs.readFileSync(path.join(repoRoot, file), 'utf8'));
+}
+
+/**
+ * Names of the top-level {placeholders} in a message
+ * @param {string} message - ICU message
+ * @returns {string[]}
+ */
+function placeholders(message) {
+	return [...message.matchAll(/\{(\w+)[,}]/g)].map(([, name]) => name).sort();
+}
+
+/**
+ * Open the care intake and answer the first step
+ * @param {import('@playwright/test').Page} page
+ * @param {string} service - 'post-op', 'palliative' or 'other'
+ * @param {string} [url] - Page URL, e.g. with ?lang=es
+ */
+async function startIntake(page, service, url = INTAKE_URL) {
+	await page.goto(url);
+	await expect(page.locator('#intake-form .lc-form-progress-item').first()).toBeVisible();
+	await page.locator(`lc-radio[value="${service}"]`).click();
+	await page.locator('lc-input[name="patient-name"] input').fill('Jane Doe');
+	await page.locator('#intake-form .lc-form-next').click();
+}
+
+/**
+ * Fill the contact step
+ * @param {import('@playwright/test').Page} page
+ * @param {Object<string, string>} values - Values by field name
+ */
+async function fillContact(page, values) {
+	const defaults = { 'contact-name': 'John Doe', email: 'john@example.com', 'confirm-email': 'john@example.com', zip: '90001' };
+	for (const [name, value] of Object.entries({ ...defaults, ...values })) {
+		await page.locator(`lc-input[name="${name}"] input`).fill(value);
+	}
+}
+
+/**
+ * Error shown under a field
+ * @param {import('@playwright/test').Page} page
+ * @param {string} name - Field name
+ */
+function fieldError(page, name) {
+	return page.locator(`lc-input[name="${name}"] .lc-input-error`);
+}
+
+/**
+ * The visible step's title
+ * @param {import('@playwright/test').Page} page
+ */
+function currentStepTitle(page) {
+	return page.locator('#intake-form lc-form-step:not([hidden]) .lc-form-step-title');
+}
+
+test.describe('Service area data', () => {
+	test('should have ZIP codes for every county on the locations page, and no others', () => {
+		const { locations } = readJSON(`shared/content/_locale/${DEFAULT_LOCALE}/locations.json`);
+		const { counties } = readJSON('shared/content/data/service-area.json');
+
+		expect(Object.keys(counties).sort()).toEqual(Object.keys(locations.counties).sort());
+		for (const [county, { zips }] of Object.entries(counties)) {
+			expect(zips.length, county).toBeGreaterThan(0);
+			for (const zip of zips) expect(zip, county).toMatch(/^\d{5}$/);
+		}
+	});
+});
+
+test.describe('Cross-field validation', () => {
+	test('should require the confirmation to match the email', async ({ page }) => {
+		await startIntake(page, 'other');
+		await fillContact(page, { 'confirm-email': 'jon@example.com' });
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(currentStepTitle(page)).toHaveText('Contact details');
+		await expect(fieldError(page, 'confirm-email')).toHaveText('Must match Email address');
+		await expect(page.locator('lc-input[name="confirm-email"]')).toHaveAttribute('aria-invalid', 'true');
+
+		await page.locator('lc-input[name="confirm-email"] input').fill('john@example.com');
+		await page.locator('#intake-form .lc-form-next').click();
+		await expect(currentStepTitle(page)).toHaveText('Notes');
+	});
+
+	test('should re-check the confirmation when the email changes', async ({ page }) => {
+		await startIntake(page, 'other');
+		await fillContact(page, {});
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('#intake-form .lc-form-back').click();
+
+		await page.locator('lc-input[name="email"] input').fill('jane@example.com');
+		await expect(fieldError(page, 'confirm-email')).toHaveText('Must match Email address');
+	});
+
+	test('should require discharge after surgery', async ({ page }) => {
+		await startIntake(page, 'post-op');
+		await page.locator('lc-input[name="surgery-date"] input').fill('2026-03-10');
+		await page.locator('lc-input[name="discharge-date"] input').fill('2026-03-08');
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(currentStepTitle(page)).toHaveText('Surgery details');
+		await expect(fieldError(page, 'discharge-date')).toHaveText('Must be after Date of surgery');
+
+		await page.locator('lc-input[name="discharge-date"] input').fill('2026-03-12');
+		await page.locator('#intake-form .lc-form-next').click();
+		await expect(currentStepTitle(page)).toHaveText('Contact details');
+	});
+});
+
+test.describe('Service area ZIP validation', () => {
+	test('should show a pending state while the ZIP is checked', async ({ page }) => {
+		let release;
+		const held = new Promise((resolve) => {
+			release = resolve;
+		});
+		await page.route('**/service-area.json', async (route) => {
+			await held;
+			await route.continue();
+		});
+
+		await startIntake(page, 'other');
+		await fillContact(page, { zip: '90001' });
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(page.locator('lc-input[name="zip"]')).toHaveAttribute('aria-busy', 'true');
+		await expect(page.locator('lc-input[name="zip"] .lc-input-pending')).toHaveText('Checking…');
+
+		release();
+		await expect(page.locator('lc-input[name="zip"]')).not.toHaveAttribute('aria-busy', 'true');
+		await expect(currentStepTitle(page)).toHaveText('Notes');
+	});
+
+	test('should reject a ZIP outside the service counties', async ({ page }) => {
+		await startIntake(page, 'other');
+		await fillContact(page, { zip: '10001' });
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(fieldError(page, 'zip')).toHaveText('Sorry, we do not currently serve this ZIP code');
+		await expect(currentStepTitle(page)).toHaveText('Contact details');
+	});
+
+	test('should accept ZIP+4 codes in a service county', async ({ page }) => {
+		await startIntake(page, 'other');
+		await fillContact(page, { zip: '92101-1234' });
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(currentStepTitle(page)).toHaveText('Notes');
+	});
+
+	test('should check the format before looking the ZIP up', async ({ page }) => {
+		let lookups = 0;
+		await page.route('**/service-area.json', (route) => {
+			lookups++;
+			return route.continue();
+		});
+
+		await startIntake(page, 'other');
+		await fillContact(page, { zip: '9000' });
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(fieldError(page, 'zip')).toHaveText('Please enter a valid ZIP code (12345 or 12345-6789)');
+		expect(lookups).toBe(0);
+	});
+
+	test('should not block the visitor when the lookup fails', async ({ page }) => {
+		await page.route('**/service-area.json', (route) => route.abort());
+
+		await startIntake(page, 'other');
+		await fillContact(page, { zip: '10001' });
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(currentStepTitle(page)).toHaveText('Notes');
+	});
+});
+
+test.describe('Validation message translations', () => {
+	const source = fs.readFileSync(path.join(repoRoot, 'common/services/validation.js'), 'utf8');
+	// Keys of the registered rules and MESSAGES, not the doc-comment example
+	const keys = [...source.matchAll(/^\t+messageKey: "validation\.(\w+)"/gm)].map(([, key]) => key);
+	const { validation: english } = readJSON(`shared/content/_locale/${DEFAULT_LOCALE}/common.json`);
+
+	test('should have an English message for every rule', () => {
+		expect(keys.length).toBeGreaterThan(0);
+		for (const key of keys) expect(english, key).toHaveProperty(key);
+	});
+
+	test('should translate every message with the same parameters', () => {
+		for (const locale of SUPPORTED_LOCALES) {
+			const { validation } = readJSON(`shared/content/_locale/${locale}/common.json`);
+			// Regional files (es-MX) only override what differs and fall back for the rest
+			if (!validation) continue;
+
+			for (const key of keys) {
+				expect(validation, `${locale} ${key}`).toHaveProperty(key);
+				expect(placeholders(validation[key]), `${locale} ${key}`).toEqual(placeholders(english[key]));
+			}
+		}
+	});
+});
+
+test.describe('Localized validation messages', () => {
+	test('should show required messages in Spanish', async ({ page }) => {
+		await page.goto(`${INTAKE_URL}?lang=es`);
+		await expect(page.locator('#intake-form .lc-form-progress-item').first()).toHaveText('Atención necesaria');
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(page.locator('lc-radio-group[name="service"] .lc-radio-group-error')).toHaveText('Por favor seleccione una opción');
+		await expect(fieldError(page, 'patient-name')).toHaveText('Este campo es obligatorio');
+	});
+
+	test('should fill rule parameters into the message', async ({ page }) => {
+		await page.goto(`${INTAKE_URL}?lang=es`);
+		await expect(page.locator('#intake-form .lc-form-progress-item').first()).toHaveText('Atención necesaria');
+		await page.locator('lc-input[name="patient-name"] input').evaluate((input) => input.setAttribute('minlength', '3'));
+		await page.locator('lc-input[name="patient-name"] input').fill('Jo');
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(fieldError(page, 'patient-name')).toHaveText('Se requieren al menos 3 caracteres');
+	});
+
+	test('should name the other field by its translated label', async ({ page }) => {
+		await startIntake(page, 'other', `${INTAKE_URL}?lang=es`);
+		await fillContact(page, { 'confirm-email': 'jon@example.com' });
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(fieldError(page, 'confirm-email')).toHaveText('Debe coincidir con Correo electrónico');
+	});
+
+	test('should show named validator messages in Spanish', async ({ page }) => {
+		await startIntake(page, 'other', `${INTAKE_URL}?lang=es`);
+		await fillContact(page, { zip: '9000' });
+		await page.locator('lc-input[name="phone"] input').fill('123');
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(fieldError(page, 'phone')).toHaveText('Ingrese un número de teléfono válido de EE. UU. (p. ej., 555-123-4567)');
+		await expect(fieldError(page, 'zip')).toHaveText('Ingrese un código postal válido (12345 o 12345-6789)');
+	});
+
+	test('should prefer a message set on the field', async ({ page }) => {
+		await page.goto(INTAKE_URL);
+		await expect(page.locator('#intake-form .lc-form-progress-item').first()).toBeVisible();
+		await page.locator('lc-input[name="patient-name"]').evaluate((field) => field.setAttribute('required-message', 'Who is the care for?'));
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(fieldError(page, 'patient-name')).toHaveText('Who is the care for?');
+	});
+});
@@ -0,0 +1,161 @@
+/**
+ * Multi-step Form (Wizard) Tests
+ *
+ * Tests:
+ * - Progress indicator lists only the steps that apply
+ * - Each step is validated before moving on
+ * - Conditional steps (`when`) are shown or skipped from earlier answers
+ * - Back, review screen and its Edit buttons
+ * - Skipped steps are left out of the submission
+ */
+
+import { expect, test } from '@playwright/test';
+
+const INTAKE_URL = '/pages/services/intake/';
+
+/**
+ * Open the care intake and wait for the wizard to render
+ * @param {import('@playwright/test').Page} page
+ */
+async function openIntake(page) {
+	await page.goto(INTAKE_URL);
+	await expect(page.locator('#intake-form .lc-form-progress-item').first()).toBeVisible();
+}
+
+/**
+ * Answer the first step
+ * @param {import('@playwright/test').Page} page
+ * @param {string} service - 'post-op', 'palliative' or 'other'
+ */
+async function answerCareStep(page, service) {
+	await page.locator(`lc-radio[value="${service}"]`).click();
+	await page.locator('lc-input[name="patient-name"] input').fill('Jane Doe');
+}
+
+/**
+ * Items of the progress indicator
+ * @param {import('@playwright/test').Page} page
+ */
+function progressItems(page) {
+	return page.locator('#intake-form .lc-form-progress-item');
+}
+
+/**
+ * The visible step's title
+ * @param {import('@playwright/test').Page} page
+ */
+function currentStepTitle(page) {
+	return page.locator('#intake-form lc-form-step:not([hidden]) .lc-form-step-title');
+}
+
+/**
+ * Keep submissions in the page and record their data on window.submitted
+ * @param {import('@playwright/test').Page} page
+ */
+async function captureSubmit(page) {
+	await page.evaluate(() => {
+		document.querySelector('#intake-form').addEventListener('lc-form-submit', (event) => {
+			event.preventDefault();
+			window.submitted = event.detail.data;
+		});
+	});
+}
+
+test.describe('Form wizard', () => {
+	test.beforeEach(async ({ page }) => {
+		await openIntake(page);
+	});
+
+	test('should list only steps that apply in the progress indicator', async ({ page }) => {
+		await expect(progressItems(page)).toHaveText(['Care needed', 'Contact details', 'Notes', 'Review']);
+		await expect(page.locator('#intake-form .lc-form-progress-item[aria-current="step"]')).toHaveText('Care needed');
+		await expect(page.locator('#intake-form .lc-form-progress-status')).toHaveText('Step 1 of 4: Care needed');
+
+		await answerCareStep(page, 'post-op');
+		await page.locator('#intake-form .lc-form-next').click();
+		await expect(progressItems(page)).toHaveText(['Care needed', 'Surgery details', 'Contact details', 'Notes', 'Review']);
+	});
+
+	test('should stay on a step until it is valid', async ({ page }) => {
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(currentStepTitle(page)).toHaveText('Care needed');
+		await expect(page.locator('lc-radio-group[name="service"]')).toHaveAttribute('aria-invalid', 'true');
+		await expect(page.locator('#intake-form .lc-form-back')).toBeHidden();
+	});
+
+	test('should show the surgery step for post-op care only', async ({ page }) => {
+		await answerCareStep(page, 'post-op');
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(currentStepTitle(page)).toHaveText('Surgery details');
+		await expect(page.locator('lc-form-step[when="service=palliative"]')).toBeHidden();
+		await expect(page.locator('lc-form-step[when="service=palliative"] fieldset')).toBeDisabled();
+
+		await page.locator('lc-input[name="surgery-date"] input').fill('2026-01-15');
+		await page.locator('#intake-form .lc-form-next').click();
+		await expect(currentStepTitle(page)).toHaveText('Contact details');
+
+		await page.locator('#intake-form .lc-form-back').click();
+		await expect(currentStepTitle(page)).toHaveText('Surgery details');
+		await expect(page.locator('lc-input[name="surgery-date"] input')).toHaveValue('2026-01-15');
+	});
+
+	test('should skip both conditional steps for other care', async ({ page }) => {
+		await answerCareStep(page, 'other');
+		await page.locator('#intake-form .lc-form-next').click();
+
+		await expect(currentStepTitle(page)).toHaveText('Contact details');
+		await expect(page.locator('#intake-form .lc-form-progress-status')).toHaveText('Step 2 of 4: Contact details');
+	});
+
+	test('should review answers and jump back with Edit', async ({ page }) => {
+		await answerCareStep(page, 'palliative');
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('lc-input[name="diagnosis"] input').fill('COPD');
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('lc-input[name="contact-name"] input').fill('John Doe');
+		await page.locator('lc-input[name="email"] input').fill('john@example.com');
+		await page.locator('lc-input[name="confirm-email"] input').fill('john@example.com');
+		await page.locator('lc-input[name="zip"] input').fill('90001');
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('#intake-form .lc-form-next').click();
+
+		const review = page.locator('#intake-form .lc-form-review');
+		await expect(review).toBeVisible();
+		await expect(page.locator('#intake-form lc-submit-button')).toBeVisible();
+		await expect(page.locator('#intake-form .lc-form-next')).toBeHidden();
+		await expect(review.locator('.lc-form-review-step h4')).toHaveText(['Care needed', 'Palliative care', 'Contact details', 'Notes']);
+		await expect(review).toContainText('COPD');
+
+		await review.locator('.lc-form-review-edit', { hasText: 'Edit' }).nth(1).click();
+		await expect(currentStepTitle(page)).toHaveText('Palliative care');
+		await expect(review).toBeHidden();
+	});
+
+	test('should leave skipped steps out of the submission', async ({ page }) => {
+		await captureSubmit(page);
+
+		// Fill the surgery step, then change the answer that made it apply
+		await answerCareStep(page, 'post-op');
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('lc-input[name="surgery-date"] input').fill('2026-01-15');
+		await page.locator('#intake-form .lc-form-back').click();
+		await page.locator('lc-radio[value="other"]').click();
+
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('lc-input[name="contact-name"] input').fill('John Doe');
+		await page.locator('lc-input[name="email"] input').fill('john@example.com');
+		await page.locator('lc-input[name="confirm-email"] input').fill('john@example.com');
+		await page.locator('lc-input[name="zip"] input').fill('90001');
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('#intake-form .lc-form-next').click();
+		await page.locator('#intake-form lc-submit-button button').click();
+
+		await expect.poll(() => page.evaluate(() => window.submitted)).toBeTruthy();
+		const data = await page.evaluate(() => window.submitted);
+		expect(data.service).toBe('other');
+		expect(data['contact-name']).toBe('John Doe');
+		expect(data).not.toHaveProperty('surgery-date');
+	});
+});
@@ -0,0 +1,243 @@
+/**
+ * Translation Exchange Tests
+ *
+ * Tests (bin/i18n-exchange.cjs, run on a copy of the catalog in a temporary directory):
+ * - Export writes XLIFF 2.0 and PO files with source, target and translator notes
+ * - Untranslated and TODO: values export with an empty target
+ * - Importing an unchanged export changes nothing
+ * - Translated targets are merged back, with escaping intact
+ * - Fuzzy entries, unknown keys and changed source texts
+ * - Bad arguments and imports into the source locale
+ */
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from '@playwright/test';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/** What the script reads, copied for each test */
+const SITE_FILES = ['package.json', 'bin/i18n-exchange.cjs', 'common', 'shared/content/_locale'];
+
+/**
+ * Run the exchange script
+ * @param {string} root - Site root
+ * @param {string[]} args - Command-line arguments
+ * @returns {{status: number, output: string}}
+ */
+function exchange(root, args) {
+	const result = spawnSync(process.execPath, [path.join(root, 'bin/i18n-exchange.cjs'), ...args], { cwd: root, encoding: 'utf8' });
+	return { status: result.status, output: result.stdout + result.stderr };
+}
+
+/**
+ * Path of a locale file
+ * @param {string} root - Site root
+ * @param {string} file - Path under shared/content/_locale, e.g. 'es/intake.json'
+ * @returns {string}
+ */
+function localePath(root, file) {
+	return path.join(root, 'shared/content/_locale', file);
+}
+
+/**
+ * Change a locale file
+ * @param {string} root - Site root
+ * @param {string} file - Path under shared/content/_locale
+ * @param {Function} change - Receives the parsed file and changes it in place
+ */
+function editLocale(root, file, change) {
+	const data = JSON.parse(fs.readFileSync(localePath(root, file), 'utf8'));
+	change(data);
+	fs.writeFileSync(localePath(root, file), `${JSON.stringify(data, null, '\t')}\n`);
+}
+
+/**
+ * Fill in the msgstr of a PO entry
+ * @param {string} po - PO file
+ * @param {string} context - msgctxt, e.g. 'intake:intake.title'
+ * @param {string} text - Escaped PO string content
+ * @returns {string}
+ */
+function setPoTarget(po, context, text) {
+	return po.replace(new RegExp(`(msgctxt "${context.replace(/[.[\]]/g, '\\$&')}"\\nmsgid .*\\n)msgstr ".*"`), `$1msgstr "${text}"`);
+}
+
+test.describe('Translation exchange', () => {
+	let root;
+	let outDir;
+
+	test.beforeEach(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'lc-i18n-exchange-'));
+		for (const file of SITE_FILES) {
+			fs.cpSync(path.join(repoRoot, file), path.join(root, file), { recursive: true });
+		}
+		outDir = path.join(root, 'translations');
+	});
+
+	test.afterEach(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('should export every other locale in both formats', () => {
+		const { status, output } = exchange(root, ['export', '--out', outDir]);
+
+		expect(status).toBe(0);
+		expect(fs.readdirSync(outDir).sort()).toEqual(['es-MX.po', 'es-MX.xlf', 'es.po', 'es.xlf']);
+		expect(output).toMatch(/✓ translations\/es\.xlf: \d+ strings, \d+ translated/);
+	});
+
+	test('should write XLIFF units with source, target and notes', () => {
+		exchange(root, ['export', '--lang', 'es', '--format', 'xliff', '--out', outDir]);
+		const xliff = fs.readFileSync(path.join(outDir, 'es.xlf'), 'utf8');
+		const spanish = JSON.parse(fs.readFileSync(localePath(root, 'es/intake.json'), 'utf8'));
+
+		expect(xliff).toContain('srcLang="en" trgLang="es"');
+		expect(xliff).toContain('<file id="intake" original="shared/content/_locale/en/intake.json">');
+		expect(xliff).toContain('<source xml:space="preserve">Start Your Care Plan</source>');
+		expect(xliff).toContain(`<target xml:space="preserve">${spanish.intake.title}</target>`);
+		expect(xliff).toContain('<note category="context">Placeholders: {count}</note>');
+		expect(xliff).toContain('<note category="context">ICU message: translate the text inside the braces, keep keywords (one, other, =0) and # as written</note>');
+		expect(fs.existsSync(path.join(outDir, 'es.po'))).toBe(false);
+	});
+
+	test('should write PO entries keyed by file and key', () => {
+		exchange(root, ['export', '--lang', 'es', '--format', 'po', '--out', outDir]);
+		const po = fs.readFileSync(path.join(outDir, 'es.po'), 'utf8');
+
+		expect(po).toContain('"Language: es\\n"');
+		expect(po).toContain('#: shared/content/_locale/en/intake.json\nmsgctxt "intake:intake.title"\nmsgid "Start Your Care Plan"\nmsgstr "');
+		expect(po).toContain('#. Placeholders: {count}');
+	});
+
+	test('should export untranslated and TODO: values with an empty target', () => {
+		editLocale(root, 'es/intake.json', (data) => {
+			delete data.intake.form.zip.help;
+			data.intake.subtitle = 'TODO: Tell us what care you need.';
+		});
+
+		exchange(root, ['export', '--lang', 'es', '--out', outDir]);
+		const po = fs.readFileSync(path.join(outDir, 'es.po'), 'utf8');
+		const xliff = fs.readFileSync(path.join(outDir, 'es.xlf'), 'utf8');
+
+		expect(po).toMatch(/msgctxt "intake:intake\.form\.zip\.help"\nmsgid ".+"\nmsgstr ""\n/);
+		expect(po).toMatch(/msgctxt "intake:intake\.subtitle"\nmsgid ".+"\nmsgstr ""\n/);
+		expect(xliff).toMatch(/<unit id="intake\.subtitle" name="intake\.subtitle">[\s\S]*?<segment state="initial">\n\t+<source[^>]*>[^<]*<\/source>\n\t+<\/segment>/);
+	});
+
+	test('should change nothing when importing an unchanged export', () => {
+		const before = fs.readFileSync(localePath(root, 'es/intake.json'), 'utf8');
+		exchange(root, ['export', '--lang', 'es', '--out', outDir]);
+
+		for (const file of ['es.xlf', 'es.po']) {
+			const { status, output } = exchange(root, ['import', path.join(outDir, file)]);
+			expect(output, file).toContain('0 translation(s) imported into 0 file(s), 0 warning(s)');
+			expect(status, file).toBe(0);
+		}
+		expect(fs.readFileSync(localePath(root, 'es/intake.json'), 'utf8')).toBe(before);
+	});
+
+	test('should import translated PO entries', () => {
+		editLocale(root, 'es/intake.json', (data) => {
+			delete data.intake.form.zip.help;
+		});
+		exchange(root, ['export', '--lang', 'es', '--format', 'po', '--out', outDir]);
+
+		const file = path.join(outDir, 'es.po');
+		fs.writeFileSync(file, setPoTarget(fs.readFileSync(file, 'utf8'), 'intake:intake.form.zip.help', 'Atendemos el sur de California.'));
+
+		const { status, output } = exchange(root, ['import', file]);
+		expect(output).toContain('✓ shared/content/_locale/es/intake.json');
+		expect(output).toContain('1 translation(s) imported into 1 file(s), 0 warning(s)');
+		expect(status).toBe(0);
+
+		const source = fs.readFileSync(localePath(root, 'es/intake.json'), 'utf8');
+		expect(JSON.parse(source).intake.form.zip).toEqual({ label: 'Código postal del paciente', help: 'Atendemos el sur de California.' });
+		expect(source).toMatch(/^\{\n\t"intake"/);
+	});
+
+	test('should import XLIFF targets with markup and entities intact', () => {
+		exchange(root, ['export', '--lang', 'es', '--format', 'xliff', '--out', outDir]);
+
+		const file = path.join(outDir, 'es.xlf');
+		const xliff = fs.readFileSync(file, 'utf8').replace(
+			/(<unit id="intake\.title"[\s\S]*?<target xml:space="preserve">)[^<]*(<\/target>)/,
+			'$1Comience su &lt;strong&gt;plan&lt;/strong&gt; de &quot;atención&quot; &amp; más$2',
+		);
+		fs.writeFileSync(file, xliff);
+
+		const { status } = exchange(root, ['import', file]);
+		expect(status).toBe(0);
+		const spanish = JSON.parse(fs.readFileSync(localePath(root, 'es/intake.json'), 'utf8'));
+		expect(spanish.intake.title).toBe('Comience su <strong>plan</strong> de "atención" & más');
+	});
+
+	test('should skip fuzzy entries and unknown keys', () => {
+		const before = fs.readFileSync(localePath(root, 'es/intake.json'), 'utf8');
+		const file = path.join(outDir, 'es.po');
+		fs.mkdirSync(outDir);
+		fs.writeFileSync(
+			file,
+			[
+				'msgid ""',
+				'msgstr ""',
+				'"Language: es\\n"',
+				'',
+				'#, fuzzy',
+				'msgctxt "intake:intake.title"',
+				'msgid "Start Your Care Plan"',
+				'msgstr "Empiece"',
+				'',
+				'msgctxt "intake:intake.heading"',
+				'msgid "Your Care Plan"',
+				'msgstr "Su plan"',
+				'',
+			].join('\n'),
+		);
+
+		const { status, output } = exchange(root, ['import', 'translations/es.po']);
+		expect(output).toContain('! translations/es.po: intake:intake.heading is not a key in en; skipped');
+		expect(output).toContain('0 translation(s) imported into 0 file(s), 1 warning(s)');
+		expect(status).toBe(0);
+		expect(fs.readFileSync(localePath(root, 'es/intake.json'), 'utf8')).toBe(before);
+	});
+
+	test('should warn when the source text changed since the export', () => {
+		exchange(root, ['export', '--lang', 'es', '--format', 'po', '--out', outDir]);
+
+		const file = path.join(outDir, 'es.po');
+		const po = fs.readFileSync(file, 'utf8').replace('msgid "Start Your Care Plan"', 'msgid "Start Your Plan"');
+		fs.writeFileSync(file, setPoTarget(po, 'intake:intake.title', 'Comience su plan'));
+
+		const { output } = exchange(root, ['import', file]);
+		expect(output).toContain('intake:intake.title source text changed since export; review the translation');
+		expect(output).toContain('1 translation(s) imported into 1 file(s), 1 warning(s)');
+	});
+
+	test('should refuse to import into the source locale', () => {
+		exchange(root, ['export', '--lang', 'es', '--format', 'po', '--out', outDir]);
+
+		const { status, output } = exchange(root, ['import', path.join(outDir, 'es.po'), '--lang', 'en']);
+		expect(output).toContain('cannot import into the source locale en');
+		expect(status).toBe(1);
+	});
+
+	test('should reject bad arguments', () => {
+		const cases = [
+			[['export', '--format', 'csv'], 'Unknown format: csv'],
+			[['export', '--lang', 'xx'], 'Unknown locale: xx'],
+			[['import', 'es.csv'], 'Unsupported file type: es.csv (use .xlf or .po)'],
+			[['import'], 'No files to import'],
+			[['publish'], 'Unknown command: publish'],
+		];
+
+		for (const [args, message] of cases) {
+			const { status, output } = exchange(root, args);
+			expect(output, args.join(' ')).toContain(message);
+			expect(status, args.join(' ')).toBe(2);
+		}
+	});
+});
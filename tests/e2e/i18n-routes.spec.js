@@ -0,0 +1,88 @@
+/**
+ * Translation Route Tests
+ *
+ * Tests:
+ * - Every page resolves to the expected locale file (common/presets/routes.js)
+ * - Detail pages expose their meta key
+ * - Namespaced files reach the page markup
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from '@playwright/test';
+import { matchRoute } from '../../common/presets/routes.js';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const treatments = ['cardiac-pulmonary', 'eating-disorders', 'iv-therapy', 'mental-health', 'pain-management', 'post-op-recovery', 'rehab-addiction'];
+const expertise = ['als', 'alzheimers', 'dementia', 'diabetes-management', 'heart-disease', 'ms', 'oncology', 'ostomy-management', 'parkinsons', 'stroke-recovery', 'tbi'];
+
+/** Expected route of every page, by site path */
+const EXPECTED = {
+	'/': { file: 'home' },
+	'/pages/about/': { file: 'about' },
+	'/pages/about/contact/': { file: 'contact' },
+	'/pages/about/contact/locations/': { file: 'locations' },
+	'/pages/about/jobs/': { file: 'careers', namespace: 'careers' },
+	'/pages/about/legal/': { file: 'legal' },
+	'/pages/about/legal/privacy/': { file: 'privacy', namespace: 'privacy' },
+	'/pages/about/legal/terms/': { file: 'terms', namespace: 'terms' },
+	'/pages/about/partners/': { file: 'partners' },
+	'/pages/about/team/': { file: 'team' },
+	'/pages/blog/': { file: 'blog' },
+	'/pages/blog/post/post-op-care/': { file: 'blog' },
+	'/pages/demos/': { file: 'examples' },
+	'/pages/demos/blog/': { file: 'blog' },
+	'/pages/demos/blog/post/': { file: 'blog' },
+	'/pages/demos/components/': { file: 'home', namespace: 'home' },
+	'/pages/demos/entry/': { file: 'home' },
+	'/pages/demos/entry/landing/': { file: 'splash' },
+	'/pages/demos/hero/': { file: 'hero' },
+	'/pages/demos/subpage/contact/': { file: 'contact' },
+	'/pages/demos/subpage/gallery/': { file: 'gallery' },
+	'/pages/demos/subpage/sidebar/': { file: 'sidebar' },
+	'/pages/services/': { file: 'services' },
+	'/pages/services/expertise/': { file: 'expertise' },
+	'/pages/services/intake/': { file: 'intake' },
+	'/pages/services/treatments/': { file: 'treatments' },
+	...Object.fromEntries(treatments.map((slug) => [`/pages/services/treatments/views/${slug}/`, { file: 'treatments-detail', meta: slug }])),
+	...Object.fromEntries(expertise.map((slug) => [`/pages/services/expertise/views/${slug}/`, { file: 'expertise-detail', meta: slug }])),
+};
+
+/**
+ * Site paths of every index.html in the repository
+ * @returns {string[]}
+ */
+function findPages() {
+	const pages = ['/'];
+	const walk = (dir) => {
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const full = path.join(dir, entry.name);
+			if (entry.isDirectory()) walk(full);
+			else if (entry.name === 'index.html') pages.push(`/${path.relative(repoRoot, dir).split(path.sep).join('/')}/`);
+		}
+	};
+	walk(path.join(repoRoot, 'pages'));
+	return pages;
+}
+
+test.describe('Translation routes', () => {
+	test('should list every page', () => {
+		expect(findPages().sort()).toEqual(Object.keys(EXPECTED).sort());
+	});
+
+	for (const [sitePath, expected] of Object.entries(EXPECTED)) {
+		test(`should route ${sitePath}`, () => {
+			const route = matchRoute(`${sitePath}index.html`);
+			expect(route).toMatchObject(expected);
+			expect(route.namespace).toBe(expected.namespace);
+			expect(route.meta).toBe(expected.meta);
+		});
+	}
+
+	test('should translate a page whose file is namespaced', async ({ page }) => {
+		await page.goto('/pages/about/jobs/');
+		await expect(page.locator('h1[data-i18n="careers.title"]')).toHaveText('Careers');
+	});
+});
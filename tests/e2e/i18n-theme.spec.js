@@ -3,12 +3,37 @@
  *
  * Tests:
  * - Language switching persists
- * - Theme toggle works
+ * - ?lang= URLs, canonical and hreflang alternates
+ * - Translation cache
+ * - Theme switcher (light / dark / system) and registered themes
+ * - Theme styles shared with shadow-DOM components
+ * - Generated design tokens match common/presets/tokens.js
  * - Translations apply correctly
  * - localStorage persistence
+ * - Saved theme and language applied before the first paint
  */
 
 import { expect, test } from '@playwright/test';
+import { THEMES } from '../../common/presets/tokens.js';
+
+/**
+ * Open the language switcher and pick the first language that is not active
+ * @param {import('@playwright/test').Page} page
+ */
+async function switchToOtherLanguage(page) {
+	await page.locator('lc-language-switcher .language-toggle').click({ timeout: 5000 });
+	await page.locator('lc-language-switcher [role="option"][aria-selected="false"]').first().click();
+}
+
+/**
+ * Pick light or dark in the theme switcher, whichever is not showing
+ * @param {import('@playwright/test').Page} page
+ */
+async function switchToOtherTheme(page) {
+	const current = await page.getAttribute('html', 'data-theme');
+	const next = current === 'dark' ? 'light' : 'dark';
+	await page.locator(`lc-theme-switcher [role="radio"][data-theme="${next}"]`).click({ timeout: 5000 });
+}
 
 /**
  * Helper function to open mobile menu if viewport is mobile
@@ -52,8 +77,7 @@ test.describe('Internationalization (i18n)', () => {
 		await openMobileMenuIfNeeded(page);
 
 		// Click language toggle
-		const languageToggle = page.locator('.language-toggle');
-		await languageToggle.click({ timeout: 5000 });
+		await switchToOtherLanguage(page);
 
 		// Wait for language change
 		await page.waitForTimeout(500);
@@ -63,13 +87,38 @@ test.describe('Internationalization (i18n)', () => {
 		expect(newLang).not.toBe(initialLang);
 	});
 
+	test('should switch language from the keyboard', async ({ page }) => {
+		await openMobileMenuIfNeeded(page);
+		await page.evaluate(() => {
+			document.addEventListener('lc-language-change', (event) => {
+				window.languageChanges = [...(window.languageChanges || []), event.detail];
+			});
+		});
+
+		const toggle = page.locator('lc-language-switcher .language-toggle');
+		await toggle.focus();
+		await page.keyboard.press('Enter');
+		await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+		await expect(page.locator('lc-language-switcher [role="listbox"]')).toBeFocused();
+
+		// Registry order: en, es, es-MX
+		await page.keyboard.press('End');
+		await page.keyboard.press('Enter');
+
+		await expect(page.locator('html')).toHaveAttribute('lang', 'es-MX');
+		await expect(toggle).toHaveAttribute('aria-expanded', 'false');
+		await expect(toggle).toBeFocused();
+		const changes = await page.evaluate(() => window.languageChanges);
+		expect(changes).toHaveLength(1);
+		expect(changes[0]).toMatchObject({ lang: 'es-MX', dir: 'ltr' });
+	});
+
 	test('should persist language preference', async ({ page }) => {
 		// Open mobile menu if needed
 		await openMobileMenuIfNeeded(page);
 
 		// Switch to Spanish
-		const languageToggle = page.locator('.language-toggle');
-		await languageToggle.click({ timeout: 5000 });
+		await switchToOtherLanguage(page);
 		await page.waitForTimeout(500);
 
 		// Check localStorage
@@ -86,6 +135,75 @@ test.describe('Internationalization (i18n)', () => {
 		expect(lang).toBe(storedLang);
 	});
 
+	test('should fall back from a regional variant to its base language', async ({ page }) => {
+		// es-MX only overrides a few keys; the rest comes from es, then en
+		await page.evaluate(() => localStorage.setItem('preferred-language', 'es-MX'));
+		await page.goto('/pages/about/');
+		await page.waitForLoadState('networkidle');
+
+		expect(await page.getAttribute('html', 'lang')).toBe('es-MX');
+		const spanish = await page.evaluate(() => window.getTranslation('navigation.about.about'));
+		expect(spanish).toBeTruthy();
+
+		await page.evaluate(() => window.switchLanguage('es'));
+		await page.waitForTimeout(500);
+		expect(await page.evaluate(() => window.getTranslation('navigation.about.about'))).toBe(spanish);
+	});
+
+	test('should switch back to a loaded language without refetching', async ({ page }) => {
+		await page.waitForLoadState('networkidle');
+		await page.evaluate(() => window.switchLanguage('es'));
+		await expect(page.locator('html')).toHaveAttribute('lang', 'es');
+		await page.waitForLoadState('networkidle');
+
+		const requests = [];
+		page.on('request', (request) => {
+			if (request.url().includes('/_locale/en/')) requests.push(request.url());
+		});
+		await page.evaluate(() => window.switchLanguage('en'));
+		await page.waitForLoadState('networkidle');
+
+		expect(requests).toEqual([]);
+		const stored = await page.evaluate(() => Object.keys(localStorage).filter((key) => key.startsWith('lc-i18n-cache:')));
+		expect(stored).toContain('lc-i18n-cache:en/common');
+	});
+
+	test('should take the language from the URL and keep it in sync', async ({ page }) => {
+		await page.goto('/pages/about/?lang=es');
+		await page.waitForLoadState('networkidle');
+
+		await expect(page.locator('html')).toHaveAttribute('lang', 'es');
+		await expect(page.locator('link[rel="alternate"][hreflang="x-default"]')).toHaveCount(1);
+		// Canonical and alternates use the published /es/ URLs, not ?lang=
+		expect(await page.locator('link[rel="alternate"][hreflang="es-MX"]').getAttribute('href')).toMatch(/\/es-MX\/pages\/about\/$/);
+		expect(await page.locator('link[rel="canonical"]').getAttribute('href')).toMatch(/\/es\/pages\/about\/$/);
+
+		await page.evaluate(() => window.switchLanguage('en'));
+		await expect(page).toHaveURL(/\/pages\/about\/$/);
+
+		await page.goBack();
+		await expect(page).toHaveURL(/\?lang=es$/);
+		await expect(page.locator('html')).toHaveAttribute('lang', 'es');
+	});
+
+	test('should set the writing direction and mirror directional icons', async ({ page }) => {
+		expect(await page.getAttribute('html', 'dir')).toBe('ltr');
+
+		// No right-to-left locale is registered yet; flip the document directly
+		const scales = await page.evaluate(async () => {
+			document.documentElement.dir = 'rtl';
+			const next = document.createElement('lc-icon');
+			next.setAttribute('name', 'arrow-next');
+			const left = document.createElement('lc-icon');
+			left.setAttribute('name', 'arrow-left');
+			document.body.append(next, left);
+			await new Promise((resolve) => setTimeout(resolve, 500));
+			return [next, left].map((icon) => getComputedStyle(icon.shadowRoot.querySelector('svg')).scale);
+		});
+
+		expect(scales).toEqual(['-1 1', 'none']);
+	});
+
 	test('should translate navigation elements', async ({ page }) => {
 		// Open mobile menu if needed (to see nav links)
 		await openMobileMenuIfNeeded(page);
@@ -95,8 +213,7 @@ test.describe('Internationalization (i18n)', () => {
 		const initialText = await aboutLink.textContent();
 
 		// Switch language
-		const languageToggle = page.locator('.language-toggle');
-		await languageToggle.click({ timeout: 5000 });
+		await switchToOtherLanguage(page);
 		await page.waitForTimeout(500);
 
 		// Navigation text should change
@@ -113,8 +230,7 @@ test.describe('Internationalization (i18n)', () => {
 		await openMobileMenuIfNeeded(page);
 
 		// Switch language
-		const languageToggle = page.locator('.language-toggle');
-		await languageToggle.click({ timeout: 5000 });
+		await switchToOtherLanguage(page);
 		await page.waitForTimeout(500);
 
 		// Title should change
@@ -138,6 +254,28 @@ test.describe('Internationalization (i18n)', () => {
 		expect(text.trim().length).toBeGreaterThan(0);
 	});
 
+	test('should format messages with parameters', async ({ page }) => {
+		await page.waitForLoadState('networkidle');
+
+		// Footer year comes from data-i18n-params, in every language
+		const year = String(new Date().getFullYear());
+		const copyright = page.locator('.footer-copyright');
+		await expect(copyright).toContainText(year);
+
+		await openMobileMenuIfNeeded(page);
+		await switchToOtherLanguage(page);
+		await page.waitForTimeout(500);
+		await expect(copyright).toContainText(year);
+		await expect(copyright).not.toContainText('{year}');
+
+		// t() picks the plural form for the current language
+		const messages = await page.evaluate(() => [
+			window.t('missing.key', { count: 1 }, '{count, plural, one {# archivo} other {# archivos}}'),
+			window.t('missing.key', { count: 3 }, '{count, plural, one {# archivo} other {# archivos}}'),
+		]);
+		expect(messages).toEqual(['1 archivo', '3 archivos']);
+	});
+
 	test('should translate contact dialog', async ({ page }) => {
 		// Open contact dialog
 		const ctaButton = page.locator('#hero .cta-button').first();
@@ -157,8 +295,7 @@ test.describe('Internationalization (i18n)', () => {
 		await openMobileMenuIfNeeded(page);
 
 		// Switch language
-		const languageToggle = page.locator('.language-toggle');
-		await languageToggle.click({ timeout: 5000 });
+		await switchToOtherLanguage(page);
 		await page.waitForTimeout(500);
 
 		// Open dialog again
@@ -189,9 +326,8 @@ test.describe('Theme System', () => {
 		// Open mobile menu if needed
 		await openMobileMenuIfNeeded(page);
 
-		// Click theme toggle
-		const themeToggle = page.locator('[aria-label*="theme"], .theme-toggle');
-		await themeToggle.click({ timeout: 5000 });
+		// Pick the other theme
+		await switchToOtherTheme(page);
 
 		// Wait for theme change
 		await page.waitForTimeout(300);
@@ -207,8 +343,7 @@ test.describe('Theme System', () => {
 		await openMobileMenuIfNeeded(page);
 
 		// Toggle theme
-		const themeToggle = page.locator('[aria-label*="theme"], .theme-toggle');
-		await themeToggle.click({ timeout: 5000 });
+		await switchToOtherTheme(page);
 		await page.waitForTimeout(300);
 
 		// Get current theme
@@ -238,8 +373,7 @@ test.describe('Theme System', () => {
 		await openMobileMenuIfNeeded(page);
 
 		// Toggle to dark mode
-		const themeToggle = page.locator('[aria-label*="theme"], .theme-toggle');
-		await themeToggle.click({ timeout: 5000 });
+		await switchToOtherTheme(page);
 		await page.waitForTimeout(300);
 
 		// Background color should change
@@ -268,21 +402,89 @@ test.describe('Theme System', () => {
 		await darkPage.close();
 	});
 
-	test('should update theme toggle icon', async ({ page }) => {
+	test('should check the selected theme option', async ({ page }) => {
 		// Open mobile menu if needed
 		await openMobileMenuIfNeeded(page);
 
-		// Get initial theme
-		const initialTheme = await page.getAttribute('html', 'data-theme');
-
-		// Toggle theme
-		const themeToggle = page.locator('[aria-label*="theme"], .theme-toggle');
-		await themeToggle.click({ timeout: 5000 });
-		await page.waitForTimeout(300);
+		// Nothing saved: the switcher follows the device
+		await expect(page.locator('lc-theme-switcher [data-theme="system"]')).toHaveAttribute('aria-checked', 'true');
 
-		// Theme should have changed (icon text doesn't change, but theme does)
+		await switchToOtherTheme(page);
 		const newTheme = await page.getAttribute('html', 'data-theme');
-		expect(newTheme).not.toBe(initialTheme);
+		await expect(page.locator(`lc-theme-switcher [data-theme="${newTheme}"]`)).toHaveAttribute('aria-checked', 'true');
+		await expect(page.locator('lc-theme-switcher [data-theme="system"]')).toHaveAttribute('aria-checked', 'false');
+	});
+
+	test('should follow contrast preferences on the system setting', async ({ page }) => {
+		await openMobileMenuIfNeeded(page);
+		await page.evaluate(() => {
+			document.addEventListener('lc-theme-change', (event) => {
+				window.themeChanges = [...(window.themeChanges || []), event.detail];
+			});
+		});
+
+		await page.locator('lc-theme-switcher [data-theme="dark"]').click();
+		await page.locator('lc-theme-switcher [data-theme="system"]').click();
+		expect(await page.evaluate(() => localStorage.getItem('preferred-theme'))).toBeNull();
+
+		await page.emulateMedia({ contrast: 'more' });
+		await expect(page.locator('html')).toHaveAttribute('data-theme', 'high-contrast');
+
+		const changes = await page.evaluate(() => window.themeChanges);
+		expect(changes.at(0)).toMatchObject({ theme: 'dark', preference: 'dark' });
+		expect(changes.at(-1)).toMatchObject({ theme: 'high-contrast', preference: 'system' });
+	});
+
+	test('should apply registered themes from the API', async ({ page }) => {
+		await page.evaluate(() => window.LCTheme.setTheme('sepia'));
+		await expect(page.locator('html')).toHaveAttribute('data-theme', 'sepia');
+		await expect(page.locator('lc-theme-switcher [aria-checked="true"]')).toHaveCount(0);
+
+		await page.reload();
+		await expect(page.locator('html')).toHaveAttribute('data-theme', 'sepia');
+	});
+
+	test('should share theme styles with shadow-DOM components', async ({ page }) => {
+		await page.goto('/pages/demos/components/');
+		await page.waitForSelector('lc-card');
+		await page.evaluate(() => window.LCTheme.setTheme('dark'));
+
+		const styles = await page.evaluate(() => {
+			const cards = [...document.querySelectorAll('lc-card')].filter((card) => card.shadowRoot);
+			const sheets = cards.map((card) => card.shadowRoot.adoptedStyleSheets);
+			return {
+				links: cards.filter((card) => card.shadowRoot.querySelector('link[rel="stylesheet"]')).length,
+				shared: sheets.every((list) => list.length > 0 && list.every((sheet, i) => sheet === sheets[0][i])),
+			};
+		});
+		expect(styles).toEqual({ links: 0, shared: true });
+
+		// Theme rules that cannot inherit are rewritten in the shared sheet
+		await page.evaluate(() => window.LCTheme.setTheme('high-contrast'));
+		const rules = await page.evaluate(() =>
+			[...document.querySelector('lc-card').shadowRoot.adoptedStyleSheets.at(-1).cssRules].map((rule) => rule.cssText).join('\n'),
+		);
+		expect(rules).toContain(':focus-visible');
+
+		// The contact dialog reads the site tokens (dark --bg-tertiary)
+		await page.goto('/');
+		await page.evaluate(() => window.LCTheme.setTheme('dark'));
+		const background = await page.evaluate(() => {
+			const dialog = document.querySelector('lc-contact-dialog');
+			return getComputedStyle(dialog.shadowRoot.querySelector('.dialog')).backgroundColor;
+		});
+		expect(background).toBe('rgb(36, 41, 51)');
+	});
+
+	test('should apply the generated design tokens of every theme', async ({ page }) => {
+		for (const [theme, { colors }] of Object.entries(THEMES)) {
+			await page.evaluate((name) => window.LCTheme.setTheme(name), theme);
+			const applied = await page.evaluate(
+				(names) => Object.fromEntries(names.map((name) => [name, getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim()])),
+				Object.keys(colors),
+			);
+			expect(applied, `${theme} tokens (run npm run tokens)`).toEqual(colors);
+		}
 	});
 });
 
@@ -294,13 +496,11 @@ test.describe('Combined i18n and Theme', () => {
 		await openMobileMenuIfNeeded(page);
 
 		// Set language to Spanish
-		const languageToggle = page.locator('.language-toggle');
-		await languageToggle.click({ timeout: 5000 });
+		await switchToOtherLanguage(page);
 		await page.waitForTimeout(500);
 
 		// Set theme to dark
-		const themeToggle = page.locator('[aria-label*="theme"], .theme-toggle');
-		await themeToggle.click({ timeout: 5000 });
+		await switchToOtherTheme(page);
 		await page.waitForTimeout(300);
 
 		// Get current states
@@ -318,6 +518,32 @@ test.describe('Combined i18n and Theme', () => {
 		expect(persistedTheme).toBe(theme);
 	});
 
+	test('should apply saved preferences before the first paint', async ({ page }) => {
+		await page.addInitScript(() => {
+			localStorage.setItem('preferred-theme', 'dark');
+			localStorage.setItem('preferred-language', 'es');
+
+			// Before any DOMContentLoaded handler (theme.js, i18n.js) runs
+			document.addEventListener('readystatechange', () => {
+				const html = document.documentElement;
+				window.parsedState ??= {
+					theme: html.getAttribute('data-theme'),
+					lang: html.lang,
+					colorScheme: html.style.colorScheme,
+					pending: html.hasAttribute('data-i18n-pending'),
+				};
+			});
+		});
+		await page.goto('/');
+
+		expect(await page.evaluate(() => window.parsedState)).toEqual({ theme: 'dark', lang: 'es', colorScheme: 'dark', pending: true });
+
+		// Shown once translated, without switching again
+		await expect(page.locator('html')).not.toHaveAttribute('data-i18n-pending');
+		await expect(page.locator('body')).toBeVisible();
+		expect(await page.getAttribute('html', 'lang')).toBe('es');
+	});
+
 	test('should work in components', async ({ page }) => {
 		await page.goto('/');
 
@@ -325,12 +551,10 @@ test.describe('Combined i18n and Theme', () => {
 		await openMobileMenuIfNeeded(page);
 
 		// Switch to Spanish and dark mode
-		const languageToggle = page.locator('.language-toggle');
-		await languageToggle.click({ timeout: 5000 });
+		await switchToOtherLanguage(page);
 		await page.waitForTimeout(500);
 
-		const themeToggle = page.locator('[aria-label*="theme"], .theme-toggle');
-		await themeToggle.click({ timeout: 5000 });
+		await switchToOtherTheme(page);
 		await page.waitForTimeout(300);
 
 		// Open contact dialog
@@ -0,0 +1,198 @@
+/**
+ * Translation Hot Reload Tests
+ *
+ * Tests:
+ * - bin/locale-dev-server.cjs (run on a copy of the catalog): saved locale files
+ *   are pushed as `locale` events, invalid JSON as `invalid` events, other paths 404
+ * - The page re-translates in place with updateLocaleFile() and applyTranslations(),
+ *   keeping form input, and ignores files it doesn't use
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from '@playwright/test';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const INTAKE_URL = '/pages/services/intake/';
+
+/**
+ * A free local port
+ * @returns {Promise<number>}
+ */
+function freePort() {
+	return new Promise((resolve) => {
+		const server = net.createServer().listen(0, () => {
+			const { port } = server.address();
+			server.close(() => resolve(port));
+		});
+	});
+}
+
+/**
+ * Start the hot reload server and wait until it listens
+ * @param {string} root - Site root
+ * @param {number} port
+ * @returns {Promise<import('node:child_process').ChildProcess>}
+ */
+function startServer(root, port) {
+	const child = spawn(process.execPath, [path.join(root, 'bin/locale-dev-server.cjs'), '--port', String(port)], { cwd: root });
+	return new Promise((resolve, reject) => {
+		child.stdout.on('data', (chunk) => {
+			if (chunk.toString().includes('Locale hot reload on')) resolve(child);
+		});
+		child.on('exit', (code) => reject(new Error(`Server exited with ${code}`)));
+	});
+}
+
+/**
+ * Subscribe to the event stream
+ * @param {number} port
+ * @returns {Promise<{request: http.ClientRequest, next: (event: string) => Promise<Object>}>}
+ *   next() resolves with the data of the next event of that name
+ */
+function subscribe(port) {
+	return new Promise((resolve, reject) => {
+		const events = [];
+		const waiting = [];
+		let buffer = '';
+
+		const deliver = () => {
+			for (const waiter of [...waiting]) {
+				const index = events.findIndex((event) => event.name === waiter.name);
+				if (index === -1) continue;
+				waiter.resolve(events.splice(index, 1)[0].data);
+				waiting.splice(waiting.indexOf(waiter), 1);
+			}
+		};
+
+		const request = http.get(`http://localhost:${port}/events`, (res) => {
+			res.setEncoding('utf8');
+			res.on('data', (chunk) => {
+				buffer += chunk;
+				const messages = buffer.split('\n\n');
+				buffer = messages.pop();
+				for (const message of messages) {
+					const name = message.match(/^event: (.+)$/m)?.[1];
+					const data = message.match(/^data: (.+)$/m)?.[1];
+					if (name) events.push({ name, data: JSON.parse(data) });
+				}
+				deliver();
+			});
+			resolve({
+				request,
+				next: (name) =>
+					new Promise((resolveEvent) => {
+						waiting.push({ name, resolve: resolveEvent });
+						deliver();
+					}),
+			});
+		});
+		request.on('error', reject);
+	});
+}
+
+test.describe('Locale hot reload server', () => {
+	let root;
+	let port;
+	let server;
+	let stream;
+
+	test.beforeEach(async () => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'lc-locale-reload-'));
+		for (const file of ['bin/locale-dev-server.cjs', 'shared/content/_locale']) {
+			fs.cpSync(path.join(repoRoot, file), path.join(root, file), { recursive: true });
+		}
+		port = await freePort();
+		server = await startServer(root, port);
+		stream = await subscribe(port);
+	});
+
+	test.afterEach(() => {
+		stream?.request.destroy();
+		server?.kill();
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('should push a saved locale file', async () => {
+		const file = path.join(root, 'shared/content/_locale/es/intake.json');
+		const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+		data.intake.title = 'Comience hoy';
+		fs.writeFileSync(file, JSON.stringify(data, null, '\t'));
+
+		const event = await stream.next('locale');
+		expect(event.locale).toBe('es');
+		expect(event.file).toBe('intake');
+		expect(event.translations.intake.title).toBe('Comience hoy');
+	});
+
+	test('should report a file that is not valid JSON', async () => {
+		fs.writeFileSync(path.join(root, 'shared/content/_locale/es/intake.json'), '{ "intake": ');
+
+		const event = await stream.next('invalid');
+		expect(event).toMatchObject({ locale: 'es', file: 'intake' });
+		expect(event.message).toBeTruthy();
+	});
+
+	test('should send one event for several quick writes', async () => {
+		const file = path.join(root, 'shared/content/_locale/en/common.json');
+		const source = fs.readFileSync(file, 'utf8');
+		fs.writeFileSync(file, '{');
+		fs.writeFileSync(file, source);
+
+		const event = await stream.next('locale');
+		expect(event).toMatchObject({ locale: 'en', file: 'common' });
+
+		fs.writeFileSync(path.join(root, 'shared/content/_locale/es/common.json'), fs.readFileSync(path.join(root, 'shared/content/_locale/es/common.json')));
+		// The next event is for the next file, not a second one for en/common
+		expect(await stream.next('locale')).toMatchObject({ locale: 'es', file: 'common' });
+	});
+
+	test('should answer other paths with 404', async () => {
+		const status = await new Promise((resolve) => {
+			http.get(`http://localhost:${port}/`, (res) => {
+				res.resume();
+				resolve(res.statusCode);
+			});
+		});
+		expect(status).toBe(404);
+	});
+});
+
+test.describe('Locale hot reload in the page', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto(INTAKE_URL);
+		await expect(page.locator('h1[data-i18n="intake.title"]')).toHaveText('Start Your Care Plan');
+	});
+
+	test('should re-translate the page in place', async ({ page }) => {
+		const name = page.locator('lc-input[name="contact-name"] input');
+		await name.fill('Jane Doe');
+
+		const used = await page.evaluate(async () => {
+			const { applyTranslations, updateLocaleFile } = await import('@/services/i18n.js');
+			const intake = await (await fetch(window.resolvePath('shared/content/_locale/en/intake.json'))).json();
+			intake.intake.title = 'Plan Your Care';
+			const used = updateLocaleFile('en', 'intake', intake);
+			await applyTranslations();
+			return used;
+		});
+
+		expect(used).toBe(true);
+		await expect(page.locator('h1[data-i18n="intake.title"]')).toHaveText('Plan Your Care');
+		await expect(name).toHaveValue('Jane Doe');
+	});
+
+	test('should ignore files the page does not use', async ({ page }) => {
+		const used = await page.evaluate(async () => {
+			const { updateLocaleFile } = await import('@/services/i18n.js');
+			return [updateLocaleFile('es', 'intake', {}), updateLocaleFile('en', 'careers', {})];
+		});
+
+		expect(used).toEqual([false, false]);
+	});
+});
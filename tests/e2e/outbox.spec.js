@@ -0,0 +1,218 @@
+/**
+ * Offline Submission Outbox Tests
+ *
+ * Tests:
+ * - A form submitted offline is saved and sent when the connection returns
+ * - Saved submissions survive a reload
+ * - Temporary failures back off; rejected submissions are dropped with a toast
+ * - Submissions are given up after too many attempts or when too old
+ *
+ * Webhook requests to /api/leads are answered with page.route().
+ */
+
+import { expect, test } from '@playwright/test';
+
+const CONTACT_URL = '/pages/about/contact/';
+const DAY = 24 * 60 * 60 * 1000;
+const WEBHOOK = { adapter: 'webhook', endpoint: '/api/leads' };
+
+/**
+ * Answer webhook requests to /api/leads with a status
+ * Requests fail without a response while `offline` is set on the result
+ * @param {import('@playwright/test').Page} page
+ * @param {number} status - HTTP status
+ * @returns {Promise<{count: number, offline: boolean}>} Requests answered so far
+ */
+async function routeWebhook(page, status) {
+	const received = { count: 0, offline: false };
+	await page.route('**/api/leads', (route) => {
+		if (received.offline) return route.abort('internetdisconnected');
+		received.count++;
+		return route.fulfill({ status, contentType: 'application/json', body: '{}' });
+	});
+	return received;
+}
+
+/**
+ * Record outbox change types on window.outboxEvents
+ * @param {import('@playwright/test').Page} page
+ */
+async function recordOutboxEvents(page) {
+	await page.evaluate(() => {
+		window.outboxEvents = [];
+		window.addEventListener('lc-outbox-change', (event) => window.outboxEvents.push(event.detail.type));
+	});
+}
+
+/**
+ * Queue a submission through the outbox service
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<Object>} Stored entry
+ */
+function queue(page) {
+	return page.evaluate(async (config) => {
+		const { queueSubmission } = await import('@/services/outbox.js');
+		const formData = new FormData();
+		formData.append('name', 'Jane Doe');
+		return queueSubmission(formData, config, { formId: 'contact-form' });
+	}, WEBHOOK);
+}
+
+/**
+ * Store an entry directly, as a previous visit would have left it
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} entry - Fields to override on a one-attempt entry
+ */
+function seedEntry(page, entry) {
+	return page.evaluate(
+		async ({ config, entry }) => {
+			const { getPendingSubmissions } = await import('@/services/outbox.js');
+			// Opens (and creates) the database
+			await getPendingSubmissions();
+			const db = await new Promise((resolve) => {
+				const request = indexedDB.open('lc-outbox');
+				request.onsuccess = () => resolve(request.result);
+			});
+			await new Promise((resolve) => {
+				const transaction = db.transaction('submissions', 'readwrite');
+				transaction.objectStore('submissions').put({
+					formId: 'contact-form',
+					config,
+					fields: [['name', 'Jane Doe']],
+					createdAt: Date.now(),
+					attempts: 1,
+					nextAttemptAt: Date.now(),
+					...entry,
+				});
+				transaction.oncomplete = resolve;
+			});
+			db.close();
+		},
+		{ config: WEBHOOK, entry },
+	);
+}
+
+/**
+ * Submissions still waiting
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<Object[]>}
+ */
+function pending(page) {
+	return page.evaluate(async () => {
+		const { getPendingSubmissions } = await import('@/services/outbox.js');
+		return getPendingSubmissions();
+	});
+}
+
+/**
+ * Retry everything now, ignoring the backoff
+ * @param {import('@playwright/test').Page} page
+ */
+function flush(page) {
+	return page.evaluate(async () => {
+		const { flushOutbox } = await import('@/services/outbox.js');
+		await flushOutbox({ force: true });
+	});
+}
+
+test.describe('Submission outbox', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto(CONTACT_URL);
+		await recordOutboxEvents(page);
+	});
+
+	test('should save a form sent offline and deliver it when back online', async ({ page, context }) => {
+		const received = await routeWebhook(page, 200);
+		await page.evaluate(({ adapter, endpoint }) => {
+			const form = document.querySelector('#contact-form');
+			form.setAttribute('adapter', adapter);
+			form.setAttribute('endpoint', endpoint);
+		}, WEBHOOK);
+
+		await page.locator('lc-input[name="name"] input').fill('Jane Doe');
+		await page.locator('lc-input[name="email"] input').fill('jane@example.com');
+		await page.locator('lc-select[name="subject"] select').selectOption('general');
+		await page.locator('lc-textarea[name="message"] textarea').fill('Please call me about post-op care.');
+
+		received.offline = true;
+		await context.setOffline(true);
+		await page.locator('#contact-form lc-submit-button button').click();
+
+		const toast = page.locator('lc-toast-region .toast .message');
+		await expect(toast).toHaveText('You appear to be offline. Your submission has been saved and will be sent automatically when your connection returns.');
+		await expect(page.locator('lc-input[name="name"] input')).toHaveValue('');
+		expect(await pending(page)).toHaveLength(1);
+
+		received.offline = false;
+		await context.setOffline(false);
+		await expect(toast.filter({ hasText: 'Your saved submission has now been sent.' })).toBeVisible();
+		expect(received.count).toBe(1);
+		expect(await pending(page)).toHaveLength(0);
+		expect(await page.evaluate(() => window.outboxEvents)).toEqual(['queued', 'sent']);
+	});
+
+	test('should keep saved submissions across a reload', async ({ page }) => {
+		await routeWebhook(page, 503);
+		const entry = await queue(page);
+		expect(entry).toMatchObject({ formId: 'contact-form', attempts: 1, fields: [['name', 'Jane Doe']] });
+
+		await page.reload();
+		expect(await pending(page)).toEqual([expect.objectContaining({ id: entry.id, formId: 'contact-form' })]);
+	});
+
+	test('should back off after a temporary failure', async ({ page }) => {
+		await routeWebhook(page, 503);
+		await seedEntry(page, {});
+
+		const before = Date.now();
+		await flush(page);
+
+		const [entry] = await pending(page);
+		expect(entry.attempts).toBe(2);
+		// Second retry waits 10 s, plus up to 20% jitter
+		expect(entry.nextAttemptAt - before).toBeGreaterThanOrEqual(10000);
+		expect(entry.nextAttemptAt - Date.now()).toBeLessThanOrEqual(12000);
+		expect(await page.evaluate(() => window.outboxEvents)).toEqual(['retry']);
+	});
+
+	test('should not retry before the backoff has passed', async ({ page }) => {
+		const received = await routeWebhook(page, 200);
+		await seedEntry(page, { nextAttemptAt: Date.now() + 60000 });
+
+		await page.evaluate(async () => {
+			const { flushOutbox } = await import('@/services/outbox.js');
+			await flushOutbox();
+		});
+
+		expect(received.count).toBe(0);
+		expect(await pending(page)).toHaveLength(1);
+	});
+
+	test('should drop a submission the backend rejects', async ({ page }) => {
+		await routeWebhook(page, 422);
+		await seedEntry(page, {});
+		await flush(page);
+
+		expect(await pending(page)).toHaveLength(0);
+		expect(await page.evaluate(() => window.outboxEvents)).toEqual(['failed']);
+		await expect(page.locator('lc-toast-region .toast .message')).toContainText('could not be delivered. Please send it again or contact us directly.');
+	});
+
+	test('should give up after the last attempt', async ({ page }) => {
+		await routeWebhook(page, 503);
+		await seedEntry(page, { attempts: 23 });
+		await flush(page);
+
+		expect(await pending(page)).toHaveLength(0);
+		expect(await page.evaluate(() => window.outboxEvents)).toEqual(['failed']);
+	});
+
+	test('should give up on submissions older than seven days', async ({ page }) => {
+		await routeWebhook(page, 503);
+		await seedEntry(page, { createdAt: Date.now() - 8 * DAY });
+		await flush(page);
+
+		expect(await pending(page)).toHaveLength(0);
+		expect(await page.evaluate(() => window.outboxEvents)).toEqual(['failed']);
+	});
+});
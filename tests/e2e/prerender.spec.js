@@ -0,0 +1,209 @@
+/**
+ * Pre-render Build Tests
+ *
+ * Tests (bin/prerender-i18n.cjs, run once into a temporary directory):
+ * - Page text, title, description and social tags in the page's language
+ * - <html> lang, dir and data-prerendered
+ * - Translations embedded for the runtime
+ * - Canonical, og:url and hreflang alternates per language
+ * - Asset URLs re-based for /{lang}/ pages
+ * - Per-language manifest and the sitemap
+ */
+
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from '@playwright/test';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const SITE_URL = 'https://www.legacyconcierge.com';
+const INTAKE = 'pages/services/intake/index.html';
+
+let outDir;
+
+/**
+ * Run the pre-render script
+ * @param {string[]} args - Command-line arguments
+ * @returns {string} Standard output
+ */
+function prerender(args) {
+	return execFileSync(process.execPath, ['bin/prerender-i18n.cjs', ...args], { cwd: repoRoot, encoding: 'utf8', stdio: 'pipe' });
+}
+
+/**
+ * Read a file from the build output
+ * @param {string} file - Path inside the output directory
+ * @returns {string}
+ */
+function readOutput(file) {
+	return fs.readFileSync(path.join(outDir, file), 'utf8');
+}
+
+/**
+ * Read a locale file
+ * @param {string} lang - Locale code
+ * @param {string} file - File name without extension
+ * @returns {any}
+ */
+function readLocale(lang, file) {
+	return JSON.parse(fs.readFileSync(path.join(repoRoot, 'shared/content/_locale', lang, `${file}.json`), 'utf8'));
+}
+
+/**
+ * Undo the HTML escaping of an attribute or text value
+ * @param {string} value - Escaped value
+ * @returns {string}
+ */
+function decodeHTML(value) {
+	return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Value of an attribute on the first tag that matches
+ * @param {string} html - Page HTML
+ * @param {string} selector - Attribute that identifies the tag, e.g. 'property="og:title"'
+ * @param {string} name - Attribute to read
+ * @returns {string|undefined}
+ */
+function tagAttribute(html, selector, name) {
+	const tag = html.match(new RegExp(`<[a-z]+\\s[^>]*${selector}[^>]*>`))?.[0];
+	const value = tag?.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+	return value === undefined ? undefined : decodeHTML(value);
+}
+
+/**
+ * Text of the first element with a data-i18n key
+ * @param {string} html - Page HTML
+ * @param {string} key - Translation key
+ * @returns {string|undefined}
+ */
+function translatedText(html, key) {
+	const text = html.match(new RegExp(`data-i18n="${key}"[^>]*>([^<]*)<`))?.[1];
+	return text === undefined ? undefined : decodeHTML(text);
+}
+
+test.describe('Pre-render build', () => {
+	test.beforeAll(() => {
+		outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lc-prerender-'));
+		prerender(['--out', outDir]);
+	});
+
+	test.afterAll(() => {
+		fs.rmSync(outDir, { recursive: true, force: true });
+	});
+
+	test('should render every page in every language', () => {
+		for (const lang of ['', 'es', 'es-MX']) {
+			expect(fs.existsSync(path.join(outDir, lang, 'index.html')), lang || 'en').toBe(true);
+			expect(fs.existsSync(path.join(outDir, lang, INTAKE)), lang || 'en').toBe(true);
+		}
+	});
+
+	test('should translate the page text', () => {
+		const html = readOutput(`es/${INTAKE}`);
+		const { intake } = readLocale('es', 'intake');
+
+		expect(translatedText(html, 'intake.title')).toBe(intake.title);
+		expect(translatedText(html, 'intake.subtitle')).toBe(intake.subtitle);
+		expect(translatedText(readOutput(INTAKE), 'intake.title')).toBe(readLocale('en', 'intake').intake.title);
+	});
+
+	test('should translate the title, description and social tags', () => {
+		const html = readOutput(`es/${INTAKE}`);
+		const { meta } = readLocale('es', 'intake');
+
+		expect(translatedText(html, 'meta.title')).toBe(meta.title);
+		expect(tagAttribute(html, 'name="description"', 'content')).toBe(meta.description);
+		expect(tagAttribute(html, 'property="og:title"', 'content')).toBe(meta.title);
+		expect(tagAttribute(html, 'property="og:description"', 'content')).toBe(meta.description);
+		expect(tagAttribute(html, 'property="twitter:title"', 'content')).toBe(meta.title);
+		expect(tagAttribute(html, 'property="twitter:description"', 'content')).toBe(meta.description);
+	});
+
+	test('should translate the meta of namespaced files', () => {
+		const html = readOutput('es/pages/about/jobs/index.html');
+		const { meta } = readLocale('es', 'careers');
+
+		expect(tagAttribute(html, 'property="og:title"', 'content')).toBe(meta.title);
+		expect(tagAttribute(html, 'name="description"', 'content')).toBe(meta.description);
+	});
+
+	test('should set the language and direction on <html>', () => {
+		expect(readOutput(`es/${INTAKE}`)).toMatch(/<html lang="es" dir="ltr" data-prerendered/);
+		expect(readOutput(`es-MX/${INTAKE}`)).toMatch(/<html lang="es-MX" dir="ltr" data-prerendered/);
+		expect(readOutput(INTAKE)).toMatch(/<html lang="en" dir="ltr" data-prerendered/);
+	});
+
+	test('should embed the translations for the runtime', () => {
+		const html = readOutput(`es/${INTAKE}`);
+		const json = html.match(/<script type="application\/json" id="lc-i18n-data">([^<]*)<\/script>/)?.[1];
+		const data = JSON.parse(json);
+
+		expect(data.lang).toBe('es');
+		expect(data.file).toBe('intake');
+		expect(data.translations.intake.title).toBe(readLocale('es', 'intake').intake.title);
+		expect(data.translations.validation.required).toBe(readLocale('es', 'common').validation.required);
+	});
+
+	test('should point canonical and og:url at the language URL', () => {
+		const html = readOutput(`es/${INTAKE}`);
+
+		expect(tagAttribute(html, 'rel="canonical"', 'href')).toBe(`${SITE_URL}/es/pages/services/intake/`);
+		expect(tagAttribute(html, 'property="og:url"', 'content')).toBe(`${SITE_URL}/es/pages/services/intake/`);
+		expect(tagAttribute(readOutput(INTAKE), 'rel="canonical"', 'href')).toBe(`${SITE_URL}/pages/services/intake/`);
+	});
+
+	test('should list every language version', () => {
+		const html = readOutput(`es/${INTAKE}`);
+		const alternates = Object.fromEntries([...html.matchAll(/<link rel="alternate" hreflang="([^"]+)" href="([^"]+)"/g)].map(([, lang, href]) => [lang, href]));
+
+		expect(alternates).toEqual({
+			en: `${SITE_URL}/pages/services/intake/`,
+			es: `${SITE_URL}/es/pages/services/intake/`,
+			'es-MX': `${SITE_URL}/es-MX/pages/services/intake/`,
+			'x-default': `${SITE_URL}/pages/services/intake/`,
+		});
+	});
+
+	test('should re-base asset URLs for language folders', () => {
+		const file = `es/${INTAKE}`;
+		const html = readOutput(file);
+		const sources = [...html.matchAll(/<(?:script|img)\s[^>]*src="([^"]+)"/g)].map(([, src]) => src).filter((src) => !/^(?:[a-z]+:|\/\/|data:)/.test(src));
+
+		expect(sources.length).toBeGreaterThan(0);
+		for (const src of sources) {
+			expect(fs.existsSync(path.resolve(path.dirname(path.join(outDir, file)), src.split(/[?#]/)[0])), src).toBe(true);
+		}
+	});
+
+	test('should write a manifest per language', () => {
+		const manifest = JSON.parse(readOutput('es/manifest.json'));
+		const root = JSON.parse(readOutput('manifest.json'));
+
+		expect(manifest.lang).toBe('es');
+		expect(manifest.dir).toBe('ltr');
+		expect(manifest.start_url).toBe(`/es${root.start_url}`);
+		expect(manifest.id).toBe(root.id ?? root.start_url);
+	});
+
+	test('should list the language URLs in the sitemap', () => {
+		const sitemap = readOutput('sitemap.xml');
+
+		expect(sitemap).toContain(`<loc>${SITE_URL}/es/pages/services/intake/</loc>`);
+		expect(sitemap).toContain(`<xhtml:link rel="alternate" hreflang="es" href="${SITE_URL}/es/pages/services/intake/" />`);
+	});
+
+	test('should refuse an unknown language', () => {
+		let error;
+		try {
+			prerender(['--out', path.join(outDir, 'unknown'), '--lang', 'xx']);
+		} catch (caught) {
+			error = caught;
+		}
+
+		expect(error?.status).toBe(1);
+		expect(error?.stderr).toContain('Unknown language: xx');
+	});
+});
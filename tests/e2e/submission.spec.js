@@ -0,0 +1,281 @@
+/**
+ * Form Submission Adapter Tests
+ *
+ * Tests:
+ * - Configuration precedence: defaults, page config, per-form config, attributes
+ * - Adapter registry: custom adapters, unknown names
+ * - webhook: JSON and multipart payloads, HTTP and network errors
+ * - mailto: message built from the fields, attachments refused
+ * - mock: local delivery with progress and simulated failures
+ *
+ * The service is imported in the page, through its import map, and webhook
+ * requests are answered with page.route().
+ */
+
+import { expect, test } from '@playwright/test';
+
+const PAGE_URL = '/pages/about/contact/';
+
+/**
+ * Answer webhook requests to /api/leads and record what was sent
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} [response]
+ * @param {number} [response.status] - HTTP status
+ * @param {Object} [response.body] - JSON body
+ * @returns {Promise<Array<{contentType: string, body: string}>>} Requests received so far
+ */
+async function routeWebhook(page, { status = 200, body = { id: 'lead-1' } } = {}) {
+	const requests = [];
+	await page.route('**/api/leads', (route) => {
+		const request = route.request();
+		requests.push({ contentType: request.headers()['content-type'], body: request.postDataBuffer()?.toString('latin1') || '' });
+		return route.fulfill({ status, contentType: 'application/json', body: JSON.stringify(body) });
+	});
+	return requests;
+}
+
+/**
+ * Submit fields through an adapter in the page
+ * Errors are returned as plain objects, as they can't leave the page otherwise
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} config - Submission configuration
+ * @param {Object} [options]
+ * @param {Array<[string, string]>} [options.fields] - Form entries
+ * @param {boolean} [options.file] - Attach a PDF as "resume"
+ * @returns {Promise<{success: boolean, data?: Object, error?: Object, progress: number[]}>}
+ */
+function submit(page, config, { fields = [['name', 'Jane Doe'], ['email', 'jane@example.com']], file = false } = {}) {
+	return page.evaluate(
+		async ({ config, fields, file }) => {
+			const { isRetryableError, submitForm } = await import('@/services/submission.js');
+			const formData = new FormData();
+			for (const [name, value] of fields) formData.append(name, value);
+			if (file) formData.append('resume', new File(['%PDF-1.4'], 'resume.pdf', { type: 'application/pdf' }));
+
+			const progress = [];
+			const result = await submitForm(formData, config, { onProgress: (value) => progress.push(value) });
+			const { error } = result;
+			return {
+				...result,
+				error: error && { message: error.message, code: error.code, status: error.status, retryable: isRetryableError(error) },
+				progress,
+			};
+		},
+		{ config, fields, file },
+	);
+}
+
+test.describe('Submission configuration', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto(PAGE_URL);
+	});
+
+	test('should default to the mailto adapter', async ({ page }) => {
+		const config = await page.evaluate(async () => {
+			const { resolveSubmissionConfig } = await import('@/services/submission.js');
+			return resolveSubmissionConfig(document.createElement('lc-form'));
+		});
+		expect(config).toEqual({ adapter: 'mailto' });
+	});
+
+	test('should merge page, per-form and attribute settings in that order', async ({ page }) => {
+		const config = await page.evaluate(async () => {
+			const { resolveSubmissionConfig } = await import('@/services/submission.js');
+			const script = document.createElement('script');
+			script.type = 'application/json';
+			script.id = 'lc-submission-config';
+			script.textContent = JSON.stringify({
+				adapter: 'hubspot',
+				portalId: '1234567',
+				formGuid: 'page-guid',
+				forms: { 'quote-form': { formGuid: 'form-guid', subject: 'Quote request' } },
+			});
+			document.body.appendChild(script);
+
+			const form = document.createElement('lc-form');
+			form.id = 'quote-form';
+			form.setAttribute('subject', 'Urgent quote');
+			return resolveSubmissionConfig(form);
+		});
+
+		expect(config).toEqual({ adapter: 'hubspot', portalId: '1234567', formGuid: 'form-guid', subject: 'Urgent quote' });
+	});
+
+	test('should resolve a site-relative endpoint against the base path', async ({ page }) => {
+		const endpoint = await page.evaluate(async () => {
+			const { resolveSubmissionConfig } = await import('@/services/submission.js');
+			const form = document.createElement('lc-form');
+			form.setAttribute('adapter', 'webhook');
+			form.setAttribute('endpoint', 'api/leads');
+			return resolveSubmissionConfig(form).endpoint;
+		});
+		expect(endpoint).toBe(await page.evaluate(() => window.resolvePath('api/leads')));
+	});
+});
+
+test.describe('Submission adapter registry', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto(PAGE_URL);
+	});
+
+	test('should deliver through a registered adapter', async ({ page }) => {
+		const result = await page.evaluate(async () => {
+			const { registerSubmissionAdapter, submitForm } = await import('@/services/submission.js');
+			registerSubmissionAdapter('crm', (config) => ({
+				submit: async (formData, context) => ({ list: config.list, name: formData.get('name'), page: context.pageUri }),
+			}));
+			const formData = new FormData();
+			formData.append('name', 'Jane Doe');
+			return submitForm(formData, { adapter: 'crm', list: 'leads' });
+		});
+
+		expect(result.success).toBe(true);
+		expect(result.data).toEqual({ list: 'leads', name: 'Jane Doe', page: expect.stringContaining(PAGE_URL) });
+	});
+
+	test('should refuse an adapter that is not a factory', async ({ page }) => {
+		const message = await page.evaluate(async () => {
+			const { registerSubmissionAdapter } = await import('@/services/submission.js');
+			try {
+				registerSubmissionAdapter('broken', { submit() {} });
+			} catch (error) {
+				return `${error.name}: ${error.message}`;
+			}
+			return null;
+		});
+		expect(message).toBe('TypeError: Submission adapter "broken" must be a factory function');
+	});
+
+	test('should fail, not throw, for an unknown adapter', async ({ page }) => {
+		const result = await submit(page, { adapter: 'carrier-pigeon' });
+		expect(result.success).toBe(false);
+		expect(result.error.message).toBe('Unknown submission adapter: carrier-pigeon');
+		expect(result.error.retryable).toBe(false);
+	});
+});
+
+test.describe('Webhook adapter', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto(PAGE_URL);
+	});
+
+	test('should post the fields and page context as JSON', async ({ page }) => {
+		const requests = await routeWebhook(page);
+		const result = await submit(page, { adapter: 'webhook', endpoint: '/api/leads' }, {
+			fields: [['name', 'Jane Doe'], ['preferred-time', '09:00-11:00'], ['preferred-time', '13:00-15:00']],
+		});
+
+		expect(result).toMatchObject({ success: true, data: { id: 'lead-1' } });
+		expect(requests).toHaveLength(1);
+		expect(requests[0].contentType).toBe('application/json');
+
+		const payload = JSON.parse(requests[0].body);
+		expect(payload.fields).toEqual({ name: 'Jane Doe', 'preferred-time': ['09:00-11:00', '13:00-15:00'] });
+		expect(payload.context.pageUri).toContain(PAGE_URL);
+		expect(payload.context.pageName).toBe(await page.title());
+		expect(typeof payload.submittedAt).toBe('number');
+	});
+
+	test('should send attachments as multipart and report progress', async ({ page }) => {
+		const requests = await routeWebhook(page);
+		const result = await submit(page, { adapter: 'webhook', endpoint: '/api/leads' }, { file: true });
+
+		expect(result.success).toBe(true);
+		expect(requests[0].contentType).toMatch(/^multipart\/form-data; boundary=/);
+		expect(requests[0].body).toContain('name="resume"; filename="resume.pdf"');
+		expect(requests[0].body).toContain('name="context"');
+		expect(result.progress.at(-1)).toBe(1);
+	});
+
+	test('should require an endpoint', async ({ page }) => {
+		const result = await submit(page, { adapter: 'webhook' });
+		expect(result.error.message).toBe('Webhook adapter requires an endpoint');
+	});
+
+	test('should report a rejected submission as final', async ({ page }) => {
+		await routeWebhook(page, { status: 422, body: { message: 'Email is not valid' } });
+		const result = await submit(page, { adapter: 'webhook', endpoint: '/api/leads' });
+
+		expect(result.success).toBe(false);
+		expect(result.error).toMatchObject({ message: 'Email is not valid', status: 422, retryable: false });
+	});
+
+	test('should report server and network failures as retryable', async ({ page }) => {
+		await routeWebhook(page, { status: 503, body: {} });
+		const unavailable = await submit(page, { adapter: 'webhook', endpoint: '/api/leads' });
+		expect(unavailable.error).toMatchObject({ message: 'HTTP 503', status: 503, retryable: true });
+
+		await page.unroute('**/api/leads');
+		await page.route('**/api/leads', (route) => route.abort('internetdisconnected'));
+		const offline = await submit(page, { adapter: 'webhook', endpoint: '/api/leads' });
+		expect(offline.error).toMatchObject({ message: 'Network request failed', code: 'network', retryable: true });
+	});
+});
+
+test.describe('mailto adapter', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto(PAGE_URL);
+	});
+
+	test('should write one line per field to the configured recipient', async ({ page }) => {
+		const url = await page.evaluate(async () => {
+			const { createMailtoUrl } = await import('@/services/submission.js');
+			const formData = new FormData();
+			formData.append('name', 'Jane Doe');
+			formData.append('message', 'Call after 5 & ask for Jim');
+			return createMailtoUrl(formData, { recipient: 'careers@example.com', subject: 'Application' }, { pageName: 'Careers' });
+		});
+
+		const mail = new URL(url);
+		expect(mail.protocol).toBe('mailto:');
+		expect(mail.pathname).toBe('careers@example.com');
+		expect(mail.searchParams.get('subject')).toBe('Application');
+		expect(mail.searchParams.get('body')).toBe('name: Jane Doe\nmessage: Call after 5 & ask for Jim');
+		expect(url).not.toContain('+');
+	});
+
+	test('should default to the site address and the page title', async ({ page }) => {
+		const url = await page.evaluate(async () => {
+			const { createMailtoUrl } = await import('@/services/submission.js');
+			return createMailtoUrl(new FormData(), {}, { pageName: 'Contact Us' });
+		});
+
+		const mail = new URL(url);
+		expect(mail.pathname).toBe('info@legacyconcierge.com');
+		expect(mail.searchParams.get('subject')).toBe('Contact Us');
+	});
+
+	test('should refuse attachments instead of dropping them', async ({ page }) => {
+		const result = await submit(page, { adapter: 'mailto' }, { file: true });
+
+		expect(result.success).toBe(false);
+		expect(result.error).toMatchObject({ code: 'files-unsupported', retryable: false });
+		await expect(page).toHaveURL(new RegExp(`${PAGE_URL}$`));
+	});
+});
+
+test.describe('Mock adapter', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto(PAGE_URL);
+	});
+
+	test('should resolve locally with progress and the configured message', async ({ page }) => {
+		let requests = 0;
+		page.on('request', (request) => {
+			if (request.method() === 'POST') requests++;
+		});
+
+		const result = await submit(page, { adapter: 'mock', delay: '50', message: 'Thanks, Jane' });
+
+		expect(result).toMatchObject({ success: true, data: { inlineMessage: 'Thanks, Jane' } });
+		expect(result.progress).toEqual([0.2, 0.4, 0.6, 0.8, 1]);
+		expect(requests).toBe(0);
+	});
+
+	test('should simulate a failure', async ({ page }) => {
+		const result = await submit(page, { adapter: 'mock', delay: '10', fail: 'true' });
+
+		expect(result.success).toBe(false);
+		expect(result.error.message).toBe('Mock submission failure');
+	});
+});